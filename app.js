@@ -7,6 +7,22 @@ class WebDAVVideoApp {
         this.isInitialized = false;
         this.currentConnection = null;
         this.uiElements = {};
+        // 当前目录中的视频（自然排序），点击视频时据此生成播放列表
+        this.directoryVideos = [];
+        this.isSearching = false;
+        // 视频缩略图: 路径|ETag|大小 -> blob URL
+        this.thumbnailUrls = new Map();
+        this.thumbnailObserver = null;
+        // 视频媒体信息摘要: 路径|ETag|大小 -> 摘要文本
+        this.mediaSummaries = new Map();
+        // 上传完成后延迟刷新当前目录（多个文件连续完成时只刷新一次）
+        this.uploadRefreshTimer = null;
+        // 文件列表中选中的路径（Ctrl/Shift多选），右键菜单和Delete键对其操作
+        this.selectedPaths = new Set();
+        this.lastSelectedPath = null;
+        // 移到回收站的记录（每次删除一批），撤销时按相反顺序移回原位置
+        this.trashHistory = [];
+        this.isFileOperationRunning = false;
         
         // 等待DOM加载完成
         if (document.readyState === 'loading') {
@@ -25,6 +41,7 @@ class WebDAVVideoApp {
             
             // 初始化UI元素
             this.initializeUIElements();
+            this.initializeThumbnailObserver();
             
             // 绑定事件监听器
             this.bindEventListeners();
@@ -34,6 +51,8 @@ class WebDAVVideoApp {
             
             // 更新UI状态
             this.updateConnectionStatus('未连接');
+            this.renderPlaylist();
+            this.renderUploads();
             
             this.isInitialized = true;
             logger.info('应用初始化完成');
@@ -59,8 +78,38 @@ class WebDAVVideoApp {
             connectionStatus: document.getElementById('connectionStatus'),
             
             // 文件浏览
+            fileBrowser: document.querySelector('.file-browser'),
             breadcrumb: document.getElementById('breadcrumb'),
             fileList: document.getElementById('fileList'),
+            fileContextMenu: document.getElementById('fileContextMenu'),
+            fileUndoBar: document.getElementById('fileUndoBar'),
+            newFolderBtn: document.getElementById('newFolderBtn'),
+
+            // 上传
+            uploadBtn: document.getElementById('uploadBtn'),
+            uploadInput: document.getElementById('uploadInput'),
+            clearUploadsBtn: document.getElementById('clearUploadsBtn'),
+            uploadQueue: document.getElementById('uploadQueue'),
+
+            // 文件搜索
+            searchKeyword: document.getElementById('searchKeyword'),
+            searchBtn: document.getElementById('searchBtn'),
+            searchFiltersBtn: document.getElementById('searchFiltersBtn'),
+            searchFilters: document.getElementById('searchFilters'),
+            searchExtensions: document.getElementById('searchExtensions'),
+            searchMinSize: document.getElementById('searchMinSize'),
+            searchMaxSize: document.getElementById('searchMaxSize'),
+            searchModifiedAfter: document.getElementById('searchModifiedAfter'),
+            searchModifiedBefore: document.getElementById('searchModifiedBefore'),
+            searchVideoOnly: document.getElementById('searchVideoOnly'),
+
+            // 播放列表
+            playlistQueue: document.getElementById('playlistQueue'),
+            prevBtn: document.getElementById('prevBtn'),
+            nextBtn: document.getElementById('nextBtn'),
+            shuffleBtn: document.getElementById('shuffleBtn'),
+            repeatBtn: document.getElementById('repeatBtn'),
+            clearQueueBtn: document.getElementById('clearQueueBtn'),
             
             // 加载遮罩
             loadingOverlay: document.getElementById('loadingOverlay')
@@ -110,14 +159,71 @@ class WebDAVVideoApp {
             });
         }
 
-        // 文件列表点击
+        // 文件列表点击（Ctrl/⌘点击切换选中，Shift点击选中一段）
         this.uiElements.fileList.addEventListener('click', (e) => {
             const fileItem = e.target.closest('.file-item');
-            if (fileItem) {
+            if (!fileItem) {
+                this.clearSelection();
+                return;
+            }
+
+            if (e.target.closest('.file-enqueue')) {
+                this.enqueueVideo(fileItem);
+            } else if (e.ctrlKey || e.metaKey) {
+                this.toggleSelection(fileItem);
+            } else if (e.shiftKey) {
+                this.selectRange(fileItem);
+            } else {
+                this.clearSelection();
                 this.handleFileClick(fileItem);
             }
         });
 
+        // 文件管理：右键菜单、快捷键、撤销删除
+        if (this.uiElements.fileContextMenu) {
+            this.bindFileManagementEvents();
+        }
+
+        // 文件搜索
+        if (this.uiElements.searchBtn) {
+            this.uiElements.searchBtn.addEventListener('click', () => {
+                if (this.isSearching) {
+                    webdavClient.cancelSearch();
+                } else {
+                    this.handleSearch();
+                }
+            });
+            this.uiElements.searchKeyword.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter' && !this.isSearching) {
+                    this.handleSearch();
+                }
+            });
+            this.uiElements.searchFiltersBtn.addEventListener('click', () => {
+                this.uiElements.searchFilters.hidden = !this.uiElements.searchFilters.hidden;
+            });
+        }
+
+        // 播放列表控制
+        if (this.uiElements.playlistQueue) {
+            this.uiElements.playlistQueue.addEventListener('click', (e) => this.handlePlaylistClick(e));
+            this.uiElements.prevBtn.addEventListener('click', () => this.playFromPlaylist(playlist.previous()));
+            this.uiElements.nextBtn.addEventListener('click', () => this.playFromPlaylist(playlist.next()));
+            this.uiElements.shuffleBtn.addEventListener('click', () => playlist.setShuffle(!playlist.shuffle));
+            this.uiElements.repeatBtn.addEventListener('click', () => {
+                const modes = ['none', 'all', 'one'];
+                playlist.setRepeatMode(modes[(modes.indexOf(playlist.repeatMode) + 1) % modes.length]);
+            });
+            this.uiElements.clearQueueBtn.addEventListener('click', () => playlist.clear());
+        }
+
+        // 播放列表变化
+        window.addEventListener('playlist-change', () => this.renderPlaylist());
+
+        // 上传：拖放到文件浏览器或选择文件
+        if (this.uiElements.uploadQueue) {
+            this.bindUploadEvents();
+        }
+
         // 监听WebDAV客户端状态变化
         window.addEventListener('webdav-status-change', (e) => {
             this.handleWebDAVStatusChange(e.detail);
@@ -186,6 +292,13 @@ class WebDAVVideoApp {
         try {
             webdavClient.disconnect();
             videoPlayer.cleanup();
+            playlist.clear();
+            uploadQueue.clear();
+            this.clearSelection();
+            this.trashHistory = [];
+            this.updateUndoBar();
+            this.clearThumbnails();
+            this.mediaSummaries.clear();
             
             this.currentConnection = null;
             this.updateConnectionStatus('未连接', 'disconnected');
@@ -242,7 +355,7 @@ class WebDAVVideoApp {
             this.showLoading('正在加载目录...');
             
             const contents = await webdavClient.getDirectoryContents(path);
-            this.displayDirectoryContents(contents);
+            await this.displayDirectoryContents(contents);
             this.updateBreadcrumb();
             
             logger.info('目录加载完成', {
@@ -262,18 +375,24 @@ class WebDAVVideoApp {
     /**
      * 显示目录内容
      */
-    displayDirectoryContents(contents) {
+    async displayDirectoryContents(contents) {
         const fileList = this.uiElements.fileList;
-        fileList.innerHTML = '';
+        this.clearSelection();
 
         if (contents.all.length === 0) {
             fileList.innerHTML = '<div class="empty-state">目录为空</div>';
             return;
         }
 
+        // 读取视频的播放进度
+        const videoItems = contents.files.filter(item => webdavClient.isVideoFile(item.name, item.mime));
+        const progressRecords = await playbackHistory.getMany(videoItems);
+        this.directoryVideos = playlist.sortNaturally(videoItems);
+
         // 显示所有项目（文件夹和文件）
+        fileList.innerHTML = '';
         contents.all.forEach(item => {
-            const fileItem = this.createFileItem(item);
+            const fileItem = this.createFileItem(item, progressRecords.get(item.path));
             fileList.appendChild(fileItem);
         });
     }
@@ -281,25 +400,178 @@ class WebDAVVideoApp {
     /**
      * 创建文件列表项
      */
-    createFileItem(item) {
+    createFileItem(item, progressRecord = null) {
         const div = document.createElement('div');
         div.className = 'file-item';
         div.dataset.path = item.path;
         div.dataset.type = item.type;
         div.dataset.name = item.name;
+        div.dataset.size = item.size || 0;
+        if (item.etag) {
+            div.dataset.etag = item.etag;
+        }
+
+        // 锁定状态：mine 本客户端持有的锁 | others 其他人的锁（记录令牌，用于解除他人遗留的锁）
+        const locks = item.locks || [];
+        const otherLock = locks.find(lock => !lock.held);
+        if (locks.length > 0) {
+            div.dataset.lock = otherLock ? 'others' : 'mine';
+        }
+        if (otherLock) {
+            div.dataset.lockToken = otherLock.token;
+            div.dataset.lockOwner = otherLock.owner;
+        }
+        const lockBadge = locks.length > 0
+            ? `<span class="file-lock ${otherLock ? '' : 'mine'}" title="${this.escapeHtml(this.describeLocks(locks))}">🔒</span>`
+            : '';
 
         const isVideo = webdavClient.isVideoFile(item.name, item.mime);
         const itemClass = item.type === 'directory' ? 'folder' : (isVideo ? 'video-file' : '');
         
+        // 搜索结果额外显示所在目录
+        const location = item.directory
+            ? `<div class="file-location">${this.escapeHtml(item.directory)}</div>`
+            : '';
+
         div.innerHTML = `
             <div class="file-icon ${itemClass}">${item.icon}</div>
-            <div class="file-name">${this.escapeHtml(item.name)}</div>
+            <div class="file-name">${this.escapeHtml(item.name)}${lockBadge}${location}</div>
             <div class="file-size">${item.formattedSize || ''}</div>
+            ${isVideo && item.type !== 'directory' ? '<button class="file-enqueue" title="加入播放列表">＋</button>' : ''}
         `;
 
+        if (progressRecord) {
+            this.renderFileProgress(div, progressRecord);
+        }
+
+        if (isVideo && item.type !== 'directory' && this.thumbnailObserver) {
+            this.thumbnailObserver.observe(div);
+        }
+
         return div;
     }
 
+    /**
+     * 锁定状态的提示文字
+     */
+    describeLocks(locks) {
+        return locks.map(lock => {
+            const owner = lock.held ? '你' : (lock.owner || '未知用户');
+            const scope = lock.scope === 'shared' ? '共享锁' : '排他锁';
+            const expires = lock.timeout ? `，${Math.ceil(lock.timeout / 60)} 分钟后到期` : '';
+            return `已被${owner}锁定（${scope}${expires}）`;
+        }).join('\n');
+    }
+
+    /**
+     * 文件列表项滚动到可见区域时再加载缩略图和媒体信息，避免一次让代理处理整个目录的视频
+     */
+    initializeThumbnailObserver() {
+        if (!('IntersectionObserver' in window)) {
+            logger.debug('浏览器不支持IntersectionObserver，不显示视频缩略图');
+            return;
+        }
+
+        this.thumbnailObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                this.thumbnailObserver.unobserve(entry.target);
+                this.loadThumbnail(entry.target);
+                this.loadMediaSummary(entry.target);
+            });
+        }, { root: this.uiElements.fileList, rootMargin: '200px' });
+    }
+
+    /**
+     * 加载视频缩略图替换文件图标，失败时保留图标
+     */
+    async loadThumbnail(fileItem) {
+        if (!webdavClient.thumbnailsAvailable) return;
+
+        const { path, etag = '', size } = fileItem.dataset;
+        const key = `${path}|${etag}|${size}`;
+
+        try {
+            if (!this.thumbnailUrls.has(key)) {
+                this.thumbnailUrls.set(key, await webdavClient.fetchThumbnail(path));
+            }
+        } catch (error) {
+            logger.debug('缩略图加载失败', { path, error: error.message });
+            return;
+        }
+
+        const icon = fileItem.querySelector('.file-icon');
+        if (!icon || !fileItem.isConnected) return;
+
+        const image = document.createElement('img');
+        image.className = 'file-thumbnail';
+        image.alt = '';
+        image.src = this.thumbnailUrls.get(key);
+        icon.textContent = '';
+        icon.appendChild(image);
+        icon.classList.add('has-thumbnail');
+    }
+
+    /**
+     * 在文件名下显示视频的分辨率、编码和时长（代理解析容器头部），失败时不显示
+     */
+    async loadMediaSummary(fileItem) {
+        if (!webdavClient.mediaInfoAvailable) return;
+
+        const { path, etag = '', size } = fileItem.dataset;
+        const key = `${path}|${etag}|${size}`;
+
+        try {
+            if (!this.mediaSummaries.has(key)) {
+                const mediaInfo = await webdavClient.fetchMediaInfo(path);
+                this.mediaSummaries.set(key, videoPlayer.getMediaSummary(mediaInfo));
+            }
+        } catch (error) {
+            logger.debug('媒体信息加载失败', { path, error: error.message });
+            return;
+        }
+
+        const name = fileItem.querySelector('.file-name');
+        const text = this.mediaSummaries.get(key);
+        if (!name || !text || !fileItem.isConnected) return;
+
+        const summary = document.createElement('div');
+        summary.className = 'file-media';
+        summary.textContent = text;
+        name.appendChild(summary);
+    }
+
+    /**
+     * 释放缩略图的blob URL
+     */
+    clearThumbnails() {
+        this.thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        this.thumbnailUrls.clear();
+    }
+
+    /**
+     * 在文件列表项上显示播放进度条，已看完的视频显示为完整进度
+     */
+    renderFileProgress(fileItem, record) {
+        let progress = fileItem.querySelector('.file-progress');
+        if (!progress) {
+            progress = document.createElement('div');
+            progress.className = 'file-progress';
+            progress.innerHTML = '<div class="file-progress-bar"></div>';
+            fileItem.appendChild(progress);
+        }
+
+        const percent = record.watched && !record.position
+            ? 100
+            : (record.duration ? Math.min(100, (record.position / record.duration) * 100) : 0);
+
+        fileItem.classList.toggle('watched', !!record.watched);
+        progress.querySelector('.file-progress-bar').style.width = `${percent.toFixed(1)}%`;
+        progress.title = record.watched && !record.position
+            ? '已看完'
+            : `已播放到 ${videoPlayer.formatTime(record.position)}`;
+    }
+
     /**
      * 处理文件点击
      */
@@ -315,12 +587,12 @@ class WebDAVVideoApp {
             } else {
                 // 检查是否为视频文件
                 if (webdavClient.isVideoFile(name)) {
-                    await this.playVideo({
-                        name: name,
-                        path: path,
-                        type: type,
-                        formattedSize: fileItem.querySelector('.file-size').textContent
-                    });
+                    // 从点击的视频开始，把目录中其后的视频按自然顺序加入播放列表
+                    const videoFile = this.getVideoFileFromItem(fileItem);
+                    const startIndex = this.directoryVideos.findIndex(video => video.path === path);
+                    playlist.setQueue(startIndex >= 0 ? this.directoryVideos.slice(startIndex) : [videoFile]);
+
+                    await this.playVideo(videoFile);
                 } else {
                     this.showInfo(`不支持播放此文件类型: ${name}`);
                 }
@@ -330,6 +602,829 @@ class WebDAVVideoApp {
         }
     }
 
+    /**
+     * 读取搜索表单，生成搜索条件
+     */
+    getSearchCriteria() {
+        const ui = this.uiElements;
+        const megabytes = input => input.value === '' ? null : parseFloat(input.value) * 1024 * 1024;
+        const date = (input, endOfDay) => input.value
+            ? new Date(`${input.value}T${endOfDay ? '23:59:59' : '00:00:00'}`)
+            : null;
+
+        return {
+            keyword: ui.searchKeyword.value.trim(),
+            extensions: ui.searchExtensions.value
+                .split(/[\s,，]+/)
+                .map(ext => ext.replace(/^\./, '').toLowerCase())
+                .filter(ext => ext),
+            minSize: megabytes(ui.searchMinSize),
+            maxSize: megabytes(ui.searchMaxSize),
+            modifiedAfter: date(ui.searchModifiedAfter, false),
+            modifiedBefore: date(ui.searchModifiedBefore, true),
+            videoOnly: ui.searchVideoOnly.checked
+        };
+    }
+
+    /**
+     * 在当前目录及子目录中搜索，结果显示在文件列表中
+     */
+    async handleSearch() {
+        if (!webdavClient.isConnected) {
+            this.showError('请先连接WebDAV服务器');
+            return;
+        }
+
+        const criteria = this.getSearchCriteria();
+        const rootPath = webdavClient.currentPath;
+        const fileList = this.uiElements.fileList;
+
+        this.isSearching = true;
+        this.uiElements.searchBtn.textContent = '停止';
+        fileList.innerHTML = '<div class="empty-state">正在搜索...</div>';
+
+        try {
+            const result = await webdavClient.searchFiles(criteria, progress => {
+                fileList.innerHTML = `<div class="empty-state">正在搜索... 已扫描 ${progress.scannedDirectories} 个目录，` +
+                    `找到 ${progress.results.length} 个文件</div>`;
+            });
+
+            if (result.results.length > 0) {
+                await this.displayDirectoryContents({ folders: [], files: result.results, all: result.results });
+                // 搜索结果跨多个目录，播放列表按完整路径的自然顺序排列
+                this.directoryVideos = result.results.filter(item => webdavClient.isVideoFile(item.name, item.mime));
+            } else {
+                fileList.innerHTML = '<div class="empty-state">没有找到匹配的文件</div>';
+            }
+            this.updateSearchBreadcrumb(rootPath, criteria, result);
+
+            logger.info('搜索完成', {
+                rootPath: rootPath,
+                method: result.method,
+                scannedDirectories: result.scannedDirectories,
+                resultCount: result.results.length
+            });
+        } catch (error) {
+            if (error.message === '搜索已取消') {
+                logger.info('搜索已停止');
+                await this.loadDirectory();
+            } else {
+                this.showError('搜索失败: ' + error.message);
+                logger.error('搜索失败', { error: error.message, rootPath: rootPath });
+            }
+        } finally {
+            this.isSearching = false;
+            this.uiElements.searchBtn.textContent = '搜索';
+        }
+    }
+
+    /**
+     * 搜索结果的面包屑：返回目录 / 搜索摘要
+     */
+    updateSearchBreadcrumb(rootPath, criteria, result) {
+        if (!this.uiElements.breadcrumb) return;
+
+        const keyword = criteria.keyword ? `“${this.escapeHtml(criteria.keyword)}”` : '全部文件';
+        const truncated = result.truncated ? '（结果过多，只显示前 ' + result.results.length + ' 个）' : '';
+        this.uiElements.breadcrumb.innerHTML =
+            `<span class="breadcrumb-item" data-path="${this.escapeHtml(rootPath)}">← 返回目录</span>` +
+            '<span class="breadcrumb-separator">/</span>' +
+            `<span>在 ${this.escapeHtml(rootPath)} 中搜索 ${keyword}：${result.results.length} 个结果${truncated}</span>`;
+    }
+
+    /**
+     * 获取文件列表项对应的视频信息
+     */
+    getVideoFileFromItem(fileItem) {
+        const path = fileItem.dataset.path;
+        return this.directoryVideos.find(video => video.path === path) || {
+            name: fileItem.dataset.name,
+            path: path,
+            type: fileItem.dataset.type,
+            size: parseInt(fileItem.dataset.size) || 0,
+            etag: fileItem.dataset.etag || null,
+            formattedSize: fileItem.querySelector('.file-size').textContent
+        };
+    }
+
+    /**
+     * 把视频加入播放列表末尾，播放列表为空时直接播放
+     */
+    async enqueueVideo(fileItem) {
+        const videoFile = this.getVideoFileFromItem(fileItem);
+
+        if (playlist.items.length === 0) {
+            playlist.setQueue([videoFile]);
+            await this.playVideo(videoFile);
+        } else {
+            playlist.add(videoFile);
+        }
+    }
+
+    /**
+     * 播放播放列表切换到的视频（到达列表两端时为null）
+     */
+    async playFromPlaylist(videoFile) {
+        if (videoFile) {
+            await this.playVideo(videoFile);
+        }
+    }
+
+    /**
+     * 处理播放列表中的点击：播放、上移、下移、移除
+     */
+    async handlePlaylistClick(e) {
+        const listItem = e.target.closest('.playlist-item');
+        if (!listItem) return;
+
+        const index = parseInt(listItem.dataset.index);
+        const action = e.target.closest('[data-action]')?.dataset.action;
+
+        switch (action) {
+            case 'up':
+                playlist.move(index, index - 1);
+                break;
+            case 'down':
+                playlist.move(index, index + 1);
+                break;
+            case 'remove':
+                playlist.remove(index);
+                break;
+            default:
+                if (index !== playlist.currentIndex) {
+                    await this.playFromPlaylist(playlist.playAt(index));
+                }
+        }
+    }
+
+    /**
+     * 渲染播放列表
+     */
+    renderPlaylist() {
+        const queue = this.uiElements.playlistQueue;
+        if (!queue) return;
+
+        const repeatLabels = { none: '🔁 不循环', all: '🔁 列表循环', one: '🔂 单集循环' };
+        this.uiElements.repeatBtn.textContent = repeatLabels[playlist.repeatMode];
+        this.uiElements.shuffleBtn.classList.toggle('active', playlist.shuffle);
+        this.uiElements.prevBtn.disabled = playlist.items.length === 0;
+        this.uiElements.nextBtn.disabled = playlist.items.length === 0;
+
+        if (playlist.items.length === 0) {
+            queue.innerHTML = '<li class="playlist-empty">点击视频或“＋”加入播放列表</li>';
+            return;
+        }
+
+        queue.innerHTML = playlist.items.map((item, index) => {
+            const isCurrent = index === playlist.currentIndex;
+            return `
+                <li class="playlist-item${isCurrent ? ' current' : ''}" data-index="${index}">
+                    <span class="playlist-item-name">${isCurrent ? '▶ ' : ''}${this.escapeHtml(item.name)}</span>
+                    <button class="playlist-action" data-action="up" title="上移" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="playlist-action" data-action="down" title="下移" ${index === playlist.items.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button class="playlist-action" data-action="remove" title="移除" ${isCurrent ? 'disabled' : ''}>✕</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 绑定上传相关事件
+     */
+    bindUploadEvents() {
+        const fileBrowser = this.uiElements.fileBrowser;
+
+        fileBrowser.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            fileBrowser.classList.add('drag-over');
+        });
+        fileBrowser.addEventListener('dragleave', (e) => {
+            if (!fileBrowser.contains(e.relatedTarget)) {
+                fileBrowser.classList.remove('drag-over');
+            }
+        });
+        fileBrowser.addEventListener('drop', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            fileBrowser.classList.remove('drag-over');
+            this.uploadFiles(e.dataTransfer.files);
+        });
+
+        this.uiElements.uploadBtn.addEventListener('click', () => this.uiElements.uploadInput.click());
+        this.uiElements.uploadInput.addEventListener('change', () => {
+            this.uploadFiles(this.uiElements.uploadInput.files);
+            this.uiElements.uploadInput.value = '';
+        });
+        this.uiElements.clearUploadsBtn.addEventListener('click', () => uploadQueue.clearFinished());
+        this.uiElements.uploadQueue.addEventListener('click', (e) => this.handleUploadClick(e));
+
+        window.addEventListener('upload-change', () => this.renderUploads());
+        window.addEventListener('upload-complete', (e) => this.handleUploadComplete(e.detail));
+    }
+
+    /**
+     * 把文件加入上传队列，上传到当前浏览的目录
+     */
+    uploadFiles(fileList) {
+        // 拖放的文件夹无法读取内容，跳过
+        const files = [...fileList].filter(file => file.size > 0 || file.type);
+        if (files.length === 0) return;
+
+        if (!webdavClient.isConnected) {
+            this.showError('请先连接WebDAV服务器');
+            return;
+        }
+        if (this.isSearching) {
+            this.showError('搜索进行中，请等待搜索结束后再上传');
+            return;
+        }
+
+        uploadQueue.addFiles(files, webdavClient.currentPath);
+    }
+
+    /**
+     * 处理上传列表中的点击：暂停、继续、覆盖、跳过、取消
+     */
+    handleUploadClick(e) {
+        const listItem = e.target.closest('.upload-item');
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        if (!listItem || !action) return;
+
+        const id = parseInt(listItem.dataset.id);
+        switch (action) {
+            case 'pause':
+                uploadQueue.pause(id);
+                break;
+            case 'resume':
+                uploadQueue.resume(id);
+                break;
+            case 'overwrite':
+                uploadQueue.resolveConflict(id, true);
+                break;
+            case 'skip':
+                uploadQueue.resolveConflict(id, false);
+                break;
+            case 'cancel':
+                uploadQueue.cancel(id);
+                break;
+        }
+    }
+
+    /**
+     * 上传完成后刷新所在目录
+     */
+    handleUploadComplete(detail) {
+        if (this.isSearching || detail.dir !== webdavClient.currentPath) return;
+
+        clearTimeout(this.uploadRefreshTimer);
+        this.uploadRefreshTimer = setTimeout(() => {
+            if (webdavClient.isConnected && detail.dir === webdavClient.currentPath) {
+                this.loadDirectory(webdavClient.currentPath);
+            }
+        }, 1000);
+    }
+
+    /**
+     * 渲染上传列表
+     */
+    renderUploads() {
+        const queue = this.uiElements.uploadQueue;
+        if (!queue) return;
+
+        this.uiElements.clearUploadsBtn.disabled = !uploadQueue.tasks.some(task => task.state === 'done');
+
+        const formatSize = (bytes) => webdavClient.formatFileSize(bytes);
+        queue.innerHTML = uploadQueue.tasks.map(task => {
+            const size = task.file.size;
+            const progress = task.state === 'storing' ? task.stored : task.loaded;
+            const percent = size > 0 ? Math.min(progress / size * 100, 100) : 100;
+            const statusText = {
+                pending: '等待上传',
+                uploading: `${formatSize(task.loaded)} / ${formatSize(size)}`,
+                storing: `写入服务器 ${percent.toFixed(0)}%`,
+                paused: `已暂停 ${formatSize(task.loaded)} / ${formatSize(size)}`,
+                conflict: '文件已存在',
+                done: `已完成 ${formatSize(size)}`,
+                error: '上传失败'
+            }[task.state];
+
+            const actions = {
+                pending: [['pause', '⏸', '暂停']],
+                uploading: [['pause', '⏸', '暂停']],
+                paused: [['resume', '▶', '继续']],
+                error: [['resume', '↻', '重试']],
+                conflict: [['overwrite', '覆盖', '覆盖已存在的文件'], ['skip', '跳过', '不上传此文件']]
+            }[task.state] || [];
+            if (!['storing', 'done', 'conflict'].includes(task.state)) {
+                actions.push(['cancel', '✕', '取消']);
+            }
+
+            return `
+                <li class="upload-item ${task.state}" data-id="${task.id}">
+                    <div class="upload-item-header">
+                        <span class="upload-item-name" title="${this.escapeHtml(task.path)}">${this.escapeHtml(task.file.name)}</span>
+                        <span class="upload-item-status" title="${this.escapeHtml(task.error || '')}">${statusText}</span>
+                        ${actions.map(([action, label, title]) =>
+                            `<button class="upload-action" data-action="${action}" title="${title}">${label}</button>`).join('')}
+                    </div>
+                    <div class="upload-progress"><div class="upload-progress-bar" style="width: ${percent.toFixed(1)}%"></div></div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 绑定文件管理相关事件
+     */
+    bindFileManagementEvents() {
+        const menu = this.uiElements.fileContextMenu;
+
+        this.uiElements.fileList.addEventListener('contextmenu', (e) => this.showFileContextMenu(e));
+        menu.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            this.hideFileContextMenu();
+            if (action) {
+                this.runFileAction(action);
+            }
+        });
+        document.addEventListener('click', (e) => {
+            if (!menu.contains(e.target)) this.hideFileContextMenu();
+        });
+        this.uiElements.fileList.addEventListener('scroll', () => this.hideFileContextMenu());
+        window.addEventListener('blur', () => this.hideFileContextMenu());
+
+        // Delete删除、F2重命名、Esc取消选择（焦点在输入框中时不处理）
+        document.addEventListener('keydown', (e) => {
+            if (e.target.closest('input, textarea, select') || !webdavClient.isConnected) return;
+
+            if (e.key === 'Escape') {
+                this.hideFileContextMenu();
+                this.clearSelection();
+            } else if (e.key === 'Delete' && this.selectedPaths.size > 0) {
+                e.preventDefault();
+                this.runFileAction('delete');
+            } else if (e.key === 'F2' && this.selectedPaths.size === 1) {
+                e.preventDefault();
+                this.runFileAction('rename');
+            }
+        });
+
+        if (this.uiElements.newFolderBtn) {
+            this.uiElements.newFolderBtn.addEventListener('click', () => this.runFileAction('mkdir'));
+        }
+
+        this.uiElements.fileUndoBar.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'undo') {
+                this.undoTrash();
+            } else if (action === 'dismiss') {
+                this.trashHistory = [];
+                this.updateUndoBar();
+            }
+        });
+    }
+
+    /**
+     * 获取文件列表中的所有项目
+     */
+    getFileItems() {
+        return [...this.uiElements.fileList.querySelectorAll('.file-item')];
+    }
+
+    /**
+     * 切换文件列表项的选中状态
+     */
+    toggleSelection(fileItem) {
+        const path = fileItem.dataset.path;
+        if (this.selectedPaths.has(path)) {
+            this.selectedPaths.delete(path);
+        } else {
+            this.selectedPaths.add(path);
+        }
+        this.lastSelectedPath = path;
+        this.updateSelection();
+    }
+
+    /**
+     * 选中上次选中的项目到当前项目之间的所有项目
+     */
+    selectRange(fileItem) {
+        const items = this.getFileItems();
+        const end = items.indexOf(fileItem);
+        const anchor = items.findIndex(item => item.dataset.path === this.lastSelectedPath);
+        const start = anchor >= 0 ? anchor : end;
+
+        items.slice(Math.min(start, end), Math.max(start, end) + 1)
+            .forEach(item => this.selectedPaths.add(item.dataset.path));
+        if (anchor < 0) {
+            this.lastSelectedPath = fileItem.dataset.path;
+        }
+        this.updateSelection();
+    }
+
+    clearSelection() {
+        if (this.selectedPaths.size === 0) return;
+        this.selectedPaths.clear();
+        this.lastSelectedPath = null;
+        this.updateSelection();
+    }
+
+    updateSelection() {
+        this.getFileItems().forEach(item => {
+            item.classList.toggle('selected', this.selectedPaths.has(item.dataset.path));
+        });
+    }
+
+    /**
+     * 获取选中的文件列表项
+     */
+    getSelectedItems() {
+        return this.getFileItems()
+            .filter(item => this.selectedPaths.has(item.dataset.path))
+            .map(item => ({
+                path: item.dataset.path,
+                name: item.dataset.name,
+                type: item.dataset.type,
+                lock: item.dataset.lock || null,
+                lockToken: item.dataset.lockToken || null,
+                lockOwner: item.dataset.lockOwner || ''
+            }));
+    }
+
+    /**
+     * 显示文件列表的右键菜单；在未选中的项目上右键时只选中该项目，在空白处右键时只能新建文件夹
+     */
+    showFileContextMenu(e) {
+        if (!webdavClient.isConnected || this.isSearching) return;
+        e.preventDefault();
+
+        const fileItem = e.target.closest('.file-item');
+        if (!fileItem) {
+            this.clearSelection();
+        } else if (!this.selectedPaths.has(fileItem.dataset.path)) {
+            this.selectedPaths.clear();
+            this.selectedPaths.add(fileItem.dataset.path);
+            this.lastSelectedPath = fileItem.dataset.path;
+            this.updateSelection();
+        }
+
+        const items = this.getSelectedItems();
+        const count = items.length;
+        const inTrash = items.some(item => webdavClient.isInTrash(item.path));
+        const lockActions = [
+            ...(items.some(item => !item.lock) ? [['lock', '🔒 锁定']] : []),
+            ...(items.some(item => item.lock === 'mine') ? [['unlock', '🔓 解锁']] : []),
+            ...(count === 1 && items[0].lock === 'others' ? [['break-lock', '🔓 解除他人的锁定']] : [])
+        ];
+        const actions = count === 0
+            ? [['mkdir', '📁 新建文件夹']]
+            : [
+                ...(count === 1 ? [['open', '打开'], ['rename', '✏️ 重命名']] : []),
+                ['move', `📂 移动到...${count > 1 ? ` (${count}项)` : ''}`],
+                ['copy', `📄 复制到...${count > 1 ? ` (${count}项)` : ''}`],
+                ...lockActions,
+                ['delete', inTrash ? '❌ 永久删除' : '🗑️ 移到回收站'],
+                ['mkdir', '📁 新建文件夹']
+            ];
+
+        const menu = this.uiElements.fileContextMenu;
+        menu.innerHTML = actions.map(([action, label]) =>
+            `<button class="context-menu-item${action === 'delete' ? ' danger' : ''}" data-action="${action}">${label}</button>`).join('');
+        menu.hidden = false;
+
+        // 靠近窗口边缘时向左/向上展开
+        const x = Math.min(e.clientX, window.innerWidth - menu.offsetWidth - 4);
+        const y = Math.min(e.clientY, window.innerHeight - menu.offsetHeight - 4);
+        menu.style.left = `${Math.max(0, x)}px`;
+        menu.style.top = `${Math.max(0, y)}px`;
+    }
+
+    hideFileContextMenu() {
+        if (this.uiElements.fileContextMenu) {
+            this.uiElements.fileContextMenu.hidden = true;
+        }
+    }
+
+    /**
+     * 执行右键菜单或快捷键对应的文件操作，同一时间只执行一个
+     */
+    async runFileAction(action) {
+        if (this.isFileOperationRunning || this.isSearching || !webdavClient.isConnected) return;
+
+        const items = this.getSelectedItems();
+        if (action === 'open') {
+            const fileItem = this.getFileItems().find(item => item.dataset.path === items[0]?.path);
+            if (fileItem) this.handleFileClick(fileItem);
+            return;
+        }
+
+        // 其他人锁定的项目不能重命名、移动或删除（服务器也会拒绝），提示锁的所有者
+        const lockedItems = ['rename', 'move', 'delete'].includes(action)
+            ? items.filter(item => item.lock === 'others')
+            : [];
+        if (lockedItems.length > 0) {
+            this.showError('以下项目已被其他人锁定，请等待对方解锁:\n' +
+                lockedItems.map(item => `  ${item.name}（${item.lockOwner || '未知用户'}）`).join('\n'));
+            return;
+        }
+
+        this.isFileOperationRunning = true;
+        try {
+            switch (action) {
+                case 'lock':
+                case 'unlock':
+                    await this.setItemsLocked(items, action === 'lock');
+                    break;
+                case 'break-lock':
+                    if (items.length === 1) await this.breakLock(items[0]);
+                    break;
+                case 'mkdir':
+                    await this.createFolder();
+                    break;
+                case 'rename':
+                    if (items.length === 1) await this.renameItem(items[0]);
+                    break;
+                case 'move':
+                case 'copy':
+                    if (items.length > 0) await this.transferItems(items, action === 'copy');
+                    break;
+                case 'delete':
+                    if (items.length > 0) await this.deleteItems(items);
+                    break;
+            }
+        } finally {
+            this.isFileOperationRunning = false;
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * 在当前目录新建文件夹
+     */
+    async createFolder() {
+        const name = this.promptFileName('新建文件夹名称', '新建文件夹');
+        if (!name) return;
+
+        const path = `${webdavClient.currentPath.replace(/\/$/, '')}/${name}`;
+        try {
+            this.showLoading('正在新建文件夹...');
+            await webdavClient.createDirectory(path);
+            await this.loadDirectory();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * 重命名（在同一目录中移动）
+     */
+    async renameItem(item) {
+        const name = this.promptFileName('新名称', item.name);
+        if (!name || name === item.name) return;
+
+        const newPath = `${webdavClient.getDirectoryOf(item.path).replace(/\/$/, '')}/${name}`;
+        try {
+            this.showLoading('正在重命名...');
+            await webdavClient.moveItem(item.path, newPath);
+            await this.loadDirectory();
+        } catch (error) {
+            this.showError(error.status === 412 ? `已存在名为“${name}”的文件或文件夹` : error.message);
+        }
+    }
+
+    /**
+     * 询问文件名，包含“/”等无效字符时提示后返回null
+     */
+    promptFileName(message, defaultValue) {
+        const name = (prompt(message, defaultValue) || '').trim();
+        if (!name) return null;
+
+        if (/[\\/]/.test(name) || name === '.' || name === '..') {
+            this.showError('名称不能包含“/”或“\\”');
+            return null;
+        }
+        return name;
+    }
+
+    /**
+     * 把选中的项目移动或复制到另一个文件夹；目标文件夹不存在时询问是否创建，目标已存在同名文件时逐个询问是否覆盖
+     */
+    async transferItems(items, copy) {
+        const verb = copy ? '复制' : '移动';
+        const input = prompt(`${verb}到文件夹（完整路径）`, webdavClient.currentPath);
+        if (!input || !input.trim()) return;
+        const targetDir = webdavClient.normalizePath(input.trim());
+
+        try {
+            this.showLoading(`正在${verb}...`);
+            if (!await webdavClient.fileExists(targetDir)) {
+                this.hideLoading();
+                if (!confirm(`文件夹“${targetDir}”不存在，是否创建？`)) return;
+                this.showLoading(`正在${verb}...`);
+                await webdavClient.ensureDirectory(targetDir);
+            }
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        const failures = [];
+        let completed = 0;
+        for (const item of items) {
+            const targetPath = `${targetDir.replace(/\/$/, '')}/${item.name}`;
+            if (targetPath === item.path) continue;
+            if (item.type === 'directory' && (targetDir === item.path || targetDir.startsWith(item.path + '/'))) {
+                failures.push(`${item.name}: 不能${verb}到自身或其子文件夹中`);
+                continue;
+            }
+
+            this.showLoading(`正在${verb} (${completed + 1}/${items.length}): ${item.name}`);
+            try {
+                await this.transferItem(item, targetPath, copy);
+                completed++;
+            } catch (error) {
+                if (error.message !== '已跳过') {
+                    failures.push(`${item.name}: ${error.message}`);
+                }
+            }
+        }
+
+        logger.info(`${verb}完成`, { targetDir, completed, failed: failures.length });
+        await this.loadDirectory();
+        if (failures.length > 0) {
+            this.showError(`${failures.length} 项${verb}失败:\n${failures.join('\n')}`);
+        }
+    }
+
+    /**
+     * 移动或复制一项，目标已存在时询问是否覆盖
+     */
+    async transferItem(item, targetPath, copy) {
+        const transfer = overwrite => copy
+            ? webdavClient.copyItem(item.path, targetPath, overwrite)
+            : webdavClient.moveItem(item.path, targetPath, overwrite);
+
+        try {
+            await transfer(false);
+        } catch (error) {
+            if (error.status !== 412) throw error;
+
+            this.hideLoading();
+            if (!confirm(`“${item.name}”在目标文件夹中已存在，是否覆盖？`)) {
+                throw new Error('已跳过');
+            }
+            this.showLoading(copy ? '正在复制...' : '正在移动...');
+            await transfer(true);
+        }
+    }
+
+    /**
+     * 删除选中的项目：移到回收站（可撤销）；回收站中的项目或无法移到回收站时永久删除
+     */
+    async deleteItems(items) {
+        const names = items.slice(0, 5).map(item => `  ${item.name}`).join('\n') +
+            (items.length > 5 ? `\n  ...等 ${items.length} 项` : '');
+        const permanent = items.some(item => webdavClient.isInTrash(item.path));
+
+        if (permanent) {
+            if (!confirm(`永久删除以下项目？此操作无法撤销。\n${names}`)) return;
+        } else if (!confirm(`将以下项目移到回收站？\n${names}`)) {
+            return;
+        }
+
+        const trashed = [];
+        const failures = [];
+        let confirmedPermanent = permanent;
+        for (const item of items) {
+            this.showLoading(`正在删除: ${item.name}`);
+            try {
+                if (item.path === webdavClient.getTrashPath() || confirmedPermanent) {
+                    await webdavClient.deleteItem(item.path);
+                    continue;
+                }
+
+                try {
+                    trashed.push(await webdavClient.moveToTrash(item.path));
+                } catch (error) {
+                    // 回收站不可用（如基础路径下不能创建文件夹、项目在另一个挂载上）时询问是否永久删除
+                    if (error.status === 412) throw error;
+                    this.hideLoading();
+                    if (!confirm(`无法移到回收站（${error.message}），是否永久删除“${item.name}”？此操作无法撤销。`)) {
+                        continue;
+                    }
+                    confirmedPermanent = item !== items[items.length - 1] && confirm('剩余项目也直接永久删除？');
+                    await webdavClient.deleteItem(item.path);
+                }
+            } catch (error) {
+                failures.push(`${item.name}: ${error.message}`);
+            }
+        }
+
+        if (trashed.length > 0) {
+            this.trashHistory.push(trashed);
+        }
+        this.updateUndoBar();
+        await this.loadDirectory();
+        if (failures.length > 0) {
+            this.showError(`${failures.length} 项删除失败:\n${failures.join('\n')}`);
+        }
+    }
+
+    /**
+     * 锁定或解锁选中的项目（只解除本客户端持有的锁）
+     */
+    async setItemsLocked(items, locked) {
+        const targets = items.filter(item => locked ? !item.lock : item.lock === 'mine');
+        const failures = [];
+
+        for (const item of targets) {
+            this.showLoading(`正在${locked ? '锁定' : '解锁'}: ${item.name}`);
+            try {
+                if (locked) {
+                    await webdavClient.lockItem(item.path);
+                } else {
+                    await webdavClient.unlockItem(item.path);
+                }
+            } catch (error) {
+                failures.push(`${item.name}: ${error.message}`);
+            }
+        }
+
+        await this.loadDirectory();
+        if (failures.length > 0) {
+            this.showError(`${failures.length} 项${locked ? '锁定' : '解锁'}失败:\n${failures.join('\n')}`);
+        }
+    }
+
+    /**
+     * 解除他人的锁（如对方的程序异常退出后遗留的锁）
+     */
+    async breakLock(item) {
+        if (!item.lockToken) {
+            this.showError('服务器没有提供锁令牌，无法解除该锁');
+            return;
+        }
+        if (!confirm(`“${item.name}”已被${item.lockOwner || '未知用户'}锁定。\n解除他人的锁可能导致对方的修改被覆盖，是否继续？`)) {
+            return;
+        }
+
+        try {
+            this.showLoading('正在解除锁定...');
+            await webdavClient.unlockItem(item.path, item.lockToken);
+            await this.loadDirectory();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * 撤销最近一次移到回收站的操作
+     */
+    async undoTrash() {
+        if (this.isFileOperationRunning || this.trashHistory.length === 0) return;
+        const entries = this.trashHistory.pop();
+
+        this.isFileOperationRunning = true;
+        const failures = [];
+        try {
+            for (const entry of [...entries].reverse()) {
+                this.showLoading(`正在还原: ${webdavClient.getBaseName(entry.from)}`);
+                try {
+                    await webdavClient.restoreFromTrash(entry);
+                } catch (error) {
+                    const reason = error.status === 412 ? '原位置已有同名文件' : error.message;
+                    failures.push(`${webdavClient.getBaseName(entry.from)}: ${reason}`);
+                }
+            }
+        } finally {
+            this.isFileOperationRunning = false;
+            this.hideLoading();
+        }
+
+        this.updateUndoBar();
+        await this.loadDirectory();
+        if (failures.length > 0) {
+            this.showError(`${failures.length} 项无法还原（仍在回收站中）:\n${failures.join('\n')}`);
+        }
+    }
+
+    /**
+     * 显示最近一次删除的撤销提示
+     */
+    updateUndoBar() {
+        const bar = this.uiElements.fileUndoBar;
+        if (!bar) return;
+
+        const entries = this.trashHistory[this.trashHistory.length - 1];
+        bar.hidden = !entries;
+        if (entries) {
+            const label = entries.length === 1 ? `“${webdavClient.getBaseName(entries[0].from)}”` : `${entries.length} 项`;
+            bar.querySelector('.file-undo-text').textContent = `已将${label}移到回收站`;
+        }
+    }
+
     /**
      * 导航到指定路径
      */
@@ -528,7 +1623,15 @@ class WebDAVVideoApp {
      */
     handleVideoPlayerEvent(detail) {
         logger.debug('视频播放器事件', detail);
-        // 可以在这里处理播放器事件的UI更新
+
+        // 播放进度变化时更新文件列表中的进度条
+        if (detail.type === 'playback-progress' && detail.record) {
+            const fileItem = Array.from(this.uiElements.fileList.querySelectorAll('.file-item'))
+                .find(element => element.dataset.path === detail.path);
+            if (fileItem) {
+                this.renderFileProgress(fileItem, detail.record);
+            }
+        }
     }
 
     /**
@@ -8,23 +8,40 @@ const https = require('https');
 const url = require('url');
 const fs = require('fs');
 const path = require('path');
-
-const PROXY_PORT = 8090;
-const TARGET_HOST = 'webdav-1839857505.pd1.123pan.cn';
-const TARGET_PATH = '/webdav';
+const {
+    loadProxyConfig,
+    validateProxyConfig,
+    getUpstreamHostHeader,
+    getUpstreamBaseUrl
+} = require('./proxy-config');
+const { parseRangeHeader, isIfRangeSatisfied, buildMultipartLayout } = require('./http-range');
+
+// 当前生效的代理配置（由createEnhancedProxyServer设置）
+let proxyConfig = null;
 const CACHE_DIR = path.join(__dirname, 'video-cache');
 const MAX_CACHE_SIZE = 500 * 1024 * 1024; // 500MB
 const SEGMENT_SIZE = 2 * 1024 * 1024; // 2MB per segment
+const MAX_MULTI_RANGE_SIZE = 16 * 1024 * 1024; // 多范围响应在内存中组装，总长度超过时返回完整文件
 
 // CORS头配置
 const CORS_HEADERS = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS, PROPFIND, PROPPATCH, MKCOL, COPY, MOVE',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS, PROPFIND, PROPPATCH, MKCOL, COPY, MOVE, LOCK, UNLOCK',
     'Access-Control-Allow-Headers': 'Authorization, Content-Type, Depth, Destination, If, Lock-Token, Overwrite, Timeout, X-Requested-With, Range',
     'Access-Control-Expose-Headers': 'Content-Length, Content-Type, Date, Last-Modified, ETag, Accept-Ranges, Content-Range',
     'Access-Control-Allow-Credentials': 'true'
 };
 
+// 根据协议选择http/https模块
+function getHttpModule(protocol) {
+    return protocol === 'https:' ? https : http;
+}
+
+// 上游Host头
+function getUpstreamHost() {
+    return getUpstreamHostHeader(proxyConfig.upstream);
+}
+
 // 缓存管理
 class VideoCache {
     constructor() {
@@ -163,24 +180,9 @@ class VideoCache {
     }
 }
 
-// Range请求解析
-function parseRange(rangeHeader, totalSize) {
-    if (!rangeHeader || !rangeHeader.startsWith('bytes=')) {
-        return null;
-    }
-
-    const ranges = rangeHeader.substring(6).split(',');
-    const range = ranges[0].trim();
-    const [start, end] = range.split('-');
-
-    return {
-        start: start ? parseInt(start) : 0,
-        end: end ? parseInt(end) : totalSize - 1
-    };
-}
-
 // 创建增强代理服务器
-function createEnhancedProxyServer() {
+function createEnhancedProxyServer(config = proxyConfig || loadProxyConfig()) {
+    proxyConfig = config;
     const cache = new VideoCache();
     
     const server = http.createServer(async (req, res) => {
@@ -207,7 +209,7 @@ function createEnhancedProxyServer() {
         }
 
         // 构建目标URL
-        const targetUrl = `https://${TARGET_HOST}${TARGET_PATH}${parsedUrl.pathname}${parsedUrl.search || ''}`;
+        const targetUrl = `${getUpstreamBaseUrl(proxyConfig.upstream)}${parsedUrl.pathname}${parsedUrl.search || ''}`;
         
         try {
             // 检查是否为视频文件的GET请求
@@ -238,18 +240,44 @@ function createEnhancedProxyServer() {
 async function handleRangeRequest(req, res, targetUrl, cache) {
     const rangeHeader = req.headers.range;
     
-    // 首先获取文件总大小
-    const headResponse = await makeRequest('HEAD', targetUrl, req.headers);
+    // 首先获取文件总大小（不带Range，避免上游对HEAD返回部分长度）
+    const headHeaders = { ...req.headers };
+    delete headHeaders['range'];
+    delete headHeaders['if-range'];
+    const headResponse = await makeRequest('HEAD', targetUrl, headHeaders);
     const totalSize = parseInt(headResponse.headers['content-length'] || '0');
     
     if (totalSize === 0) {
         throw new Error('无法获取文件大小');
     }
 
-    const range = parseRange(rangeHeader, totalSize);
-    if (!range) {
-        throw new Error('无效的Range请求');
+    const parsed = parseRangeHeader(rangeHeader, totalSize);
+    if (!parsed || !isIfRangeSatisfied(req.headers['if-range'], headResponse.headers)) {
+        // Range无效或If-Range与当前文件不符（文件已变化），忽略Range返回完整文件
+        console.log(parsed ? '[RANGE] If-Range不匹配，返回完整文件' : `[RANGE] 忽略无效的Range: ${rangeHeader}`);
+        delete req.headers['range'];
+        delete req.headers['if-range'];
+        await handleRegularRequest(req, res, targetUrl, cache);
+        return;
     }
+    if (!parsed.satisfiable) {
+        console.log(`[RANGE] Range超出文件大小: ${rangeHeader} (${totalSize} bytes)`);
+        res.writeHead(416, {
+            ...CORS_HEADERS,
+            'Content-Range': `bytes */${totalSize}`,
+            'Content-Type': 'application/json'
+        });
+        res.end(JSON.stringify({ error: '请求的范围超出文件大小', size: totalSize }));
+        return;
+    }
+    // If-Range已在代理校验，不再转发给上游
+    delete req.headers['if-range'];
+
+    if (parsed.ranges.length > 1) {
+        await handleMultiRangeRequest(req, res, targetUrl, parsed.ranges, totalSize, headResponse.headers, cache);
+        return;
+    }
+    const range = parsed.ranges[0];
 
     console.log(`[RANGE] 请求范围: ${range.start}-${range.end}/${totalSize} (${((range.end - range.start + 1) / 1024 / 1024).toFixed(2)} MB)`);
 
@@ -288,11 +316,11 @@ async function handleRangeRequest(req, res, targetUrl, cache) {
         // 先尝试发送Range请求给上游
         const rangeHeaders = {
             ...req.headers,
-            'Range': `bytes=${downloadRange.start}-${downloadRange.end}`
+            'range': `bytes=${downloadRange.start}-${downloadRange.end}`
         };
         delete rangeHeaders['origin'];
         delete rangeHeaders['referer'];
-        rangeHeaders.host = TARGET_HOST;
+        rangeHeaders.host = getUpstreamHost();
 
         const response = await makeRequest('GET', targetUrl, rangeHeaders);
         
@@ -326,6 +354,73 @@ async function handleRangeRequest(req, res, targetUrl, cache) {
     }
 }
 
+// 多个范围以 multipart/byteranges 响应；总长度过大或任一范围无法获取时忽略Range返回完整文件
+async function handleMultiRangeRequest(req, res, targetUrl, ranges, totalSize, headers, cache) {
+    console.log(`[RANGE] 多范围请求: ${ranges.map(range => `${range.start}-${range.end}`).join(', ')}/${totalSize}`);
+
+    const requestedSize = ranges.reduce((sum, range) => sum + range.end - range.start + 1, 0);
+    if (requestedSize > MAX_MULTI_RANGE_SIZE) {
+        console.log(`[RANGE] 多范围总长度过大 (${(requestedSize / 1024 / 1024).toFixed(2)} MB)，返回完整文件`);
+        delete req.headers['range'];
+        await handleRegularRequest(req, res, targetUrl, cache);
+        return;
+    }
+
+    const buffers = [];
+    try {
+        for (const range of ranges) {
+            buffers.push(await fetchRangeData(req, targetUrl, range, cache));
+        }
+    } catch (error) {
+        console.error(`[RANGE ERROR] 多范围请求失败，返回完整文件: ${error.message}`);
+        delete req.headers['range'];
+        await handleRegularRequest(req, res, targetUrl, cache);
+        return;
+    }
+
+    const multipart = buildMultipartLayout(ranges, totalSize, headers['content-type'] || 'video/mp4');
+    res.writeHead(206, {
+        ...CORS_HEADERS,
+        'Content-Length': multipart.contentLength,
+        'Content-Type': multipart.contentType,
+        'Accept-Ranges': 'bytes'
+    });
+    multipart.parts.forEach((part, index) => {
+        res.write(part.header);
+        res.write(buffers[index]);
+    });
+    res.end(multipart.trailer);
+}
+
+// 获取一个范围的数据：优先从分段缓存组合，未命中时向上游发送Range请求。
+// 缓存键按分段起点计算，未对齐的范围存入后会被当作从分段起点开始的数据，所以这里的结果不写入缓存
+async function fetchRangeData(req, targetUrl, range, cache) {
+    const segmentData = tryBuildFromSegments(cache.findAdjacentSegments(targetUrl, range), range);
+    if (segmentData) {
+        return segmentData;
+    }
+
+    const response = await makeRequest('GET', targetUrl, {
+        ...req.headers,
+        'range': `bytes=${range.start}-${range.end}`
+    });
+    if (response.statusCode !== 206) {
+        response.resume();
+        throw new Error(`上游不支持Range请求 (状态${response.statusCode})`);
+    }
+
+    const data = await new Promise((resolve, reject) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => resolve(Buffer.concat(chunks)));
+        response.on('error', reject);
+    });
+    if (data.length !== range.end - range.start + 1) {
+        throw new Error(`上游返回的数据长度不符: ${data.length}`);
+    }
+    return data;
+}
+
 // 尝试从分段缓存中构建响应数据
 function tryBuildFromSegments(segments, range) {
     if (segments.length === 0) return null;
@@ -383,7 +478,7 @@ async function handlePartialDownload(req, res, targetUrl, range, totalSize, cach
             method: 'GET',
             headers: {
                 ...req.headers,
-                host: TARGET_HOST
+                host: getUpstreamHost()
             }
         };
         
@@ -394,7 +489,7 @@ async function handlePartialDownload(req, res, targetUrl, range, totalSize, cach
         
         console.log(`[PARTIAL] 开始部分下载: ${range.start}-${range.end}, 目标大小: ${range.end - range.start + 1} bytes`);
         
-        const proxyReq = https.request(options, (proxyRes) => {
+        const proxyReq = getHttpModule(parsedUrl.protocol).request(options, (proxyRes) => {
             console.log(`[PARTIAL] 响应状态: ${proxyRes.statusCode}`);
             
             // 处理重定向
@@ -516,7 +611,7 @@ async function handleRedirect(redirectUrl, range, totalSize, cache) {
         const url = require('url');
         const parsedUrl = url.parse(redirectUrl);
         const isHttps = parsedUrl.protocol === 'https:';
-        const httpModule = isHttps ? https : require('http');
+        const httpModule = isHttps ? https : http;
         
         const options = {
             hostname: parsedUrl.hostname,
@@ -635,7 +730,7 @@ async function handleRegularRequest(req, res, targetUrl, cache) {
         method: req.method,
         headers: {
             ...req.headers,
-            host: TARGET_HOST
+            host: getUpstreamHost()
         }
     };
 
@@ -643,7 +738,8 @@ async function handleRegularRequest(req, res, targetUrl, cache) {
     delete options.headers['origin'];
     delete options.headers['referer'];
 
-    const proxyReq = https.request(targetUrl, options, (proxyRes) => {
+    const httpModule = getHttpModule(url.parse(targetUrl).protocol);
+    const proxyReq = httpModule.request(targetUrl, options, (proxyRes) => {
         console.log(`[PROXY] ${req.method} ${targetUrl} -> ${proxyRes.statusCode}`);
         
         const responseHeaders = {
@@ -687,35 +783,42 @@ function sendRangeResponse(res, data, range, totalSize, originalHeaders) {
 }
 
 // 辅助函数：发起HTTP请求
-function makeRequest(method, url, headers) {
+function makeRequest(method, targetUrl, headers) {
     return new Promise((resolve, reject) => {
         const options = {
             method,
             headers: {
                 ...headers,
-                host: TARGET_HOST
+                host: getUpstreamHost()
             }
         };
 
         delete options.headers['origin'];
         delete options.headers['referer'];
 
-        const req = https.request(url, options, resolve);
+        const httpModule = getHttpModule(url.parse(targetUrl).protocol);
+        const req = httpModule.request(targetUrl, options, resolve);
         req.on('error', reject);
         req.end();
     });
 }
 
 // 启动增强服务器
-function startEnhancedServer() {
-    const server = createEnhancedProxyServer();
+function startEnhancedServer(config = loadProxyConfig()) {
+    // 启动前校验配置
+    const configErrors = validateProxyConfig(config);
+    if (configErrors.length > 0) {
+        throw new Error(`代理配置无效:\n  - ${configErrors.join('\n  - ')}`);
+    }
+
+    const server = createEnhancedProxyServer(config);
     
-    server.listen(PROXY_PORT, () => {
+    server.listen(config.port, () => {
         console.log('🚀 增强版WebDAV代理服务器已启动');
-        console.log(`📍 监听端口: ${PROXY_PORT}`);
-        console.log(`🎯 目标服务器: https://${TARGET_HOST}${TARGET_PATH}`);
-        console.log(`🌐 本地访问地址: http://localhost:${PROXY_PORT}`);
-        console.log(`📊 统计信息: http://localhost:${PROXY_PORT}/stats`);
+        console.log(`📍 监听端口: ${config.port}`);
+        console.log(`🎯 目标服务器: ${getUpstreamBaseUrl(config.upstream)}`);
+        console.log(`🌐 本地访问地址: http://localhost:${config.port}`);
+        console.log(`📊 统计信息: http://localhost:${config.port}/stats`);
         console.log('');
         console.log('✨ 新功能:');
         console.log('  - Range请求支持 (视频快进/跳转)');
@@ -741,7 +844,12 @@ function startEnhancedServer() {
 
 // 如果直接运行此脚本
 if (require.main === module) {
-    startEnhancedServer();
+    try {
+        startEnhancedServer();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
 }
 
 module.exports = { startEnhancedServer, createEnhancedProxyServer };
\ No newline at end of file
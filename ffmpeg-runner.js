@@ -0,0 +1,232 @@
+/**
+ * ffmpeg调用辅助
+ * 在PATH中查找ffmpeg，让ffmpeg直接通过HTTP Range读取上游文件（带上游认证头），并限制同时运行的进程数
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const DEFAULT_TIMEOUT = 60 * 1000;
+
+// 查找ffmpeg：配置了路径时使用配置（只有文件名时在PATH中查找），否则在PATH中查找ffmpeg，找不到时返回null
+function findFfmpeg(configuredPath = null) {
+    if (configuredPath && configuredPath.includes(path.sep)) {
+        return isExecutable(configuredPath) ? path.resolve(configuredPath) : null;
+    }
+
+    const baseName = configuredPath || 'ffmpeg';
+    const names = process.platform === 'win32' ? [`${baseName}.exe`, baseName] : [baseName];
+    for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+        if (!dir) continue;
+        for (const name of names) {
+            const candidate = path.join(dir, name);
+            if (isExecutable(candidate)) return candidate;
+        }
+    }
+    return null;
+}
+
+function isExecutable(filePath) {
+    try {
+        fs.accessSync(filePath, fs.constants.X_OK);
+        return fs.statSync(filePath).isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+// 输入参数：上游URL和需要转发的请求头（ffmpeg的HTTP协议支持Range，可按需跳转读取）
+function buildInputArgs(inputUrl, headers = {}, seekSeconds = null) {
+    const args = ['-rw_timeout', '15000000'];
+    const headerLines = Object.entries(headers)
+        .filter(([, value]) => value)
+        .map(([name, value]) => `${name}: ${value}\r\n`)
+        .join('');
+    if (headerLines) {
+        args.push('-headers', headerLines);
+    }
+    if (seekSeconds !== null) {
+        // 放在-i之前按关键帧快速跳转，只读取目标位置附近的数据
+        args.push('-ss', String(seekSeconds));
+    }
+    args.push('-i', inputUrl);
+    return args;
+}
+
+// 从ffmpeg输出中解析时长（秒），如 "Duration: 01:23:45.67"
+function parseDuration(stderr) {
+    const match = stderr.match(/Duration:\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+    if (!match) return null;
+    return parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]);
+}
+
+// 从ffmpeg输出中解析第一路视频和音频的编码，如 "Video: h264 (High), ..." 和 "Audio: ac3, 48000 Hz, ..."
+function parseStreams(stderr) {
+    const streams = { videoCodec: null, videoProfile: null, audioCodec: null };
+    for (const line of stderr.split('\n')) {
+        const match = line.match(/Stream #\d+:\d+.*?: (Video|Audio): (\w+)(?: \(([^)]+)\))?/);
+        if (!match) continue;
+
+        // 跳过封面图片
+        if (match[1] === 'Video' && !streams.videoCodec && !line.includes('(attached pic)')) {
+            streams.videoCodec = match[2];
+            streams.videoProfile = match[3] || null;
+        } else if (match[1] === 'Audio' && !streams.audioCodec) {
+            streams.audioCodec = match[2];
+        }
+    }
+    return streams;
+}
+
+class FfmpegRunner {
+    constructor(options = {}) {
+        this.ffmpegPath = options.ffmpegPath || null;
+        this.maxConcurrent = options.maxConcurrent || 2;
+        this.enabled = !!this.ffmpegPath;
+
+        this.running = 0;
+        this.waiting = [];
+        // 正在输出流的进程（转码），不占用并发名额
+        this.streams = new Set();
+        // 视频信息缓存: 文件标识 -> { duration, videoCodec, videoProfile, audioCodec }
+        this.probes = new Map();
+        this.stats = {
+            runs: 0,
+            failures: 0,
+            timeouts: 0
+        };
+    }
+
+    // 等待空闲名额
+    acquire() {
+        if (this.running < this.maxConcurrent) {
+            this.running++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.running--;
+        }
+    }
+
+    // 运行ffmpeg，返回 { code, stdout, stderr }；allowFailure为false时非0退出码抛出异常
+    async run(args, options = {}) {
+        if (!this.enabled) {
+            throw new Error('未找到ffmpeg');
+        }
+
+        await this.acquire();
+        try {
+            return await this.spawnProcess(args, options);
+        } finally {
+            this.release();
+        }
+    }
+
+    spawnProcess(args, { timeout = DEFAULT_TIMEOUT, allowFailure = false } = {}) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.ffmpegPath, ['-hide_banner', '-nostdin', ...args], {
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+            const stdout = [];
+            let stderr = '';
+            let timedOut = false;
+
+            this.stats.runs++;
+            const timer = setTimeout(() => {
+                timedOut = true;
+                child.kill('SIGKILL');
+            }, timeout);
+
+            child.stdout.on('data', chunk => stdout.push(chunk));
+            child.stderr.on('data', chunk => {
+                // 只保留最后一部分错误输出
+                stderr = (stderr + chunk.toString()).slice(-16 * 1024);
+            });
+            child.on('error', error => {
+                clearTimeout(timer);
+                this.stats.failures++;
+                reject(error);
+            });
+            child.on('close', code => {
+                clearTimeout(timer);
+                if (timedOut) {
+                    this.stats.timeouts++;
+                    reject(new Error(`ffmpeg超时 (${timeout}ms)`));
+                    return;
+                }
+                if (code !== 0 && !allowFailure) {
+                    this.stats.failures++;
+                    const lastLine = stderr.trim().split('\n').pop() || '';
+                    reject(new Error(`ffmpeg退出码 ${code}: ${lastLine}`));
+                    return;
+                }
+                resolve({ code, stdout: Buffer.concat(stdout), stderr });
+            });
+        });
+    }
+
+    // 启动输出到stdout的长时间进程（如转码），调用方负责读取输出和结束进程；stderrTail保留最后的错误输出
+    spawnStream(args) {
+        if (!this.enabled) {
+            throw new Error('未找到ffmpeg');
+        }
+
+        const child = spawn(this.ffmpegPath, ['-hide_banner', '-nostdin', ...args], {
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        child.stderrTail = '';
+        this.stats.runs++;
+        this.streams.add(child);
+
+        child.stderr.on('data', chunk => {
+            child.stderrTail = (child.stderrTail + chunk.toString()).slice(-4 * 1024);
+        });
+        child.on('error', () => this.stats.failures++);
+        child.on('close', (code, signal) => {
+            this.streams.delete(child);
+            if (code !== 0 && !signal) this.stats.failures++;
+        });
+        return child;
+    }
+
+    // 读取视频时长（秒）和编码，无法识别的项为null；指定cacheKey时缓存结果
+    async probe(inputUrl, headers, cacheKey = null) {
+        if (cacheKey && this.probes.has(cacheKey)) {
+            return this.probes.get(cacheKey);
+        }
+
+        // 不指定输出时ffmpeg只打印输入信息并以非0退出码结束
+        const { stderr } = await this.run(buildInputArgs(inputUrl, headers), { allowFailure: true });
+        const info = { duration: parseDuration(stderr), ...parseStreams(stderr) };
+        if (cacheKey && info.duration) {
+            this.probes.set(cacheKey, info);
+        }
+        return info;
+    }
+
+    // 读取视频时长（秒），无法识别时返回null
+    async probeDuration(inputUrl, headers, cacheKey = null) {
+        return (await this.probe(inputUrl, headers, cacheKey)).duration;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            enabled: this.enabled,
+            ffmpegPath: this.ffmpegPath,
+            running: this.running,
+            waiting: this.waiting.length,
+            streams: this.streams.size
+        };
+    }
+}
+
+module.exports = { FfmpegRunner, findFfmpeg, buildInputArgs, parseDuration, parseStreams };
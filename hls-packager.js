@@ -0,0 +1,240 @@
+/**
+ * HLS即时封装
+ * 把普通MP4按视频关键帧切分为fMP4分段（只重新封装，不转码），生成VOD播放列表
+ */
+
+const DEFAULT_SEGMENT_DURATION = 6; // 秒
+const MAX_READ_GAP = 1024 * 1024; // 相距小于1MB的采样合并为一次范围读取
+
+// 采样标志：关键帧不依赖其它帧，非关键帧依赖其它帧
+const SYNC_SAMPLE_FLAGS = 0x02000000;
+const NON_SYNC_SAMPLE_FLAGS = 0x01010000;
+
+// 构建box
+function box(type, ...payloads) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + payloads.reduce((sum, payload) => sum + payload.length, 0));
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, ...payloads]);
+}
+
+// 构建带版本号和标志的FullBox
+function fullBox(type, version, flags, ...payloads) {
+    const versionAndFlags = Buffer.alloc(4);
+    versionAndFlags.writeUInt32BE(version * 0x1000000 + flags);
+    return box(type, versionAndFlags, ...payloads);
+}
+
+function uint32(...values) {
+    const buffer = Buffer.alloc(values.length * 4);
+    values.forEach((value, i) => buffer.writeUInt32BE(value, i * 4));
+    return buffer;
+}
+
+function uint64(value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(Math.round(value)));
+    return buffer;
+}
+
+class HlsPackage {
+    constructor(movie, segmentDuration = DEFAULT_SEGMENT_DURATION) {
+        this.movie = movie;
+        // 只封装音视频轨道，字幕、时间码等轨道会被忽略
+        this.tracks = movie.tracks.filter(track =>
+            (track.handlerType === 'vide' || track.handlerType === 'soun') && track.samples.sampleCount > 0);
+
+        if (this.tracks.length === 0) {
+            throw new Error('MP4中没有可封装的音视频轨道');
+        }
+
+        this.segments = this.buildSegments(segmentDuration);
+    }
+
+    // 按参考轨道（优先视频）的关键帧切分分段，并计算每条轨道在各分段中的采样区间
+    buildSegments(segmentDuration) {
+        const reference = this.tracks.find(track => track.handlerType === 'vide') || this.tracks[0];
+        const { samples, timescale } = reference;
+
+        const boundaries = [0];
+        let segmentStart = 0;
+        for (let i = 1; i < samples.sampleCount; i++) {
+            if (samples.syncSamples[i] && (samples.dts[i] - segmentStart) / timescale >= segmentDuration) {
+                boundaries.push(samples.dts[i] / timescale);
+                segmentStart = samples.dts[i];
+            }
+        }
+
+        const endTime = Math.max(...this.tracks.map(track => track.samples.duration / track.timescale));
+        const segments = boundaries.map((start, index) => {
+            const end = index + 1 < boundaries.length ? boundaries[index + 1] : endTime;
+            return { index, start, end, duration: end - start, trackRanges: [] };
+        });
+
+        this.tracks.forEach((track, trackIndex) => {
+            const { dts, sampleCount } = track.samples;
+            let sampleIndex = 0;
+
+            segments.forEach((segment, index) => {
+                const first = sampleIndex;
+                const isLast = index === segments.length - 1;
+                while (sampleIndex < sampleCount &&
+                    (isLast || dts[sampleIndex] / track.timescale < segment.end)) {
+                    sampleIndex++;
+                }
+                segment.trackRanges[trackIndex] = [first, sampleIndex];
+            });
+        });
+
+        return segments;
+    }
+
+    // 生成VOD播放列表，query会附加到分段地址上（用于传递会话参数）
+    buildPlaylist(query = '') {
+        const targetDuration = Math.ceil(Math.max(...this.segments.map(segment => segment.duration)));
+        const lines = [
+            '#EXTM3U',
+            '#EXT-X-VERSION:7',
+            `#EXT-X-TARGETDURATION:${targetDuration}`,
+            '#EXT-X-PLAYLIST-TYPE:VOD',
+            '#EXT-X-MEDIA-SEQUENCE:0',
+            '#EXT-X-INDEPENDENT-SEGMENTS',
+            `#EXT-X-MAP:URI="init.mp4${query}"`
+        ];
+
+        this.segments.forEach(segment => {
+            lines.push(`#EXTINF:${segment.duration.toFixed(3)},`);
+            lines.push(`${segment.index}.m4s${query}`);
+        });
+
+        lines.push('#EXT-X-ENDLIST');
+        return lines.join('\n') + '\n';
+    }
+
+    // 生成初始化分段：复制原文件的轨道描述和编辑列表（B帧的合成时间偏移、音频起始延迟），采样表置空并加入mvex
+    buildInitSegment() {
+        const source = this.movie.buffer;
+        const raw = ref => source.subarray(ref.start, ref.end);
+
+        const ftyp = box('ftyp', Buffer.from('iso5', 'latin1'), uint32(512), Buffer.from('iso5iso6mp41', 'latin1'));
+
+        const traks = this.tracks.map(track => {
+            const boxes = track.boxes;
+            const stbl = box('stbl',
+                raw(boxes.stsd),
+                fullBox('stts', 0, 0, uint32(0)),
+                fullBox('stsc', 0, 0, uint32(0)),
+                fullBox('stsz', 0, 0, uint32(0, 0)),
+                fullBox('stco', 0, 0, uint32(0)));
+            const dinf = boxes.dinf
+                ? raw(boxes.dinf)
+                : box('dinf', fullBox('dref', 0, 0, uint32(1), fullBox('url ', 0, 1)));
+            const minfChildren = boxes.mediaHeader ? [raw(boxes.mediaHeader), dinf, stbl] : [dinf, stbl];
+
+            return box('trak',
+                raw(boxes.tkhd),
+                ...(boxes.edts ? [raw(boxes.edts)] : []),
+                box('mdia', raw(boxes.mdhd), raw(boxes.hdlr), box('minf', ...minfChildren)));
+        });
+
+        const mvex = box('mvex', ...this.tracks.map(track =>
+            fullBox('trex', 0, 0, uint32(track.trackId, 1, 0, 0, 0))));
+
+        return Buffer.concat([ftyp, box('moov', raw(this.movie.mvhd), ...traks, mvex)]);
+    }
+
+    // 生成媒体分段 (moof + mdat)，readRange用于读取原文件中的采样数据
+    async buildMediaSegment(index, readRange) {
+        const segment = this.segments[index];
+        if (!segment) {
+            throw new Error(`分段不存在: ${index}`);
+        }
+
+        const entries = this.tracks
+            .map((track, trackIndex) => ({
+                track,
+                first: segment.trackRanges[trackIndex][0],
+                last: segment.trackRanges[trackIndex][1]
+            }))
+            .filter(entry => entry.last > entry.first);
+
+        const trackData = await readSampleData(entries, readRange);
+
+        // moof大小与data_offset的取值无关，先按0构建得到大小再计算真实偏移
+        const buildMoof = dataOffsets => box('moof',
+            fullBox('mfhd', 0, 0, uint32(segment.index + 1)),
+            ...entries.map((entry, i) => buildTrackFragment(entry, dataOffsets[i])));
+
+        const moofSize = buildMoof(entries.map(() => 0)).length;
+        const dataOffsets = [];
+        let dataOffset = moofSize + 8;
+        trackData.forEach(data => {
+            dataOffsets.push(dataOffset);
+            dataOffset += data.length;
+        });
+
+        return Buffer.concat([buildMoof(dataOffsets), box('mdat', ...trackData)]);
+    }
+}
+
+// 构建一条轨道的traf：tfhd + tfdt + trun
+function buildTrackFragment(entry, dataOffset) {
+    const { track, first, last } = entry;
+    const samples = track.samples;
+    const isVideo = track.handlerType === 'vide';
+    const count = last - first;
+
+    const table = Buffer.alloc(count * 16);
+    for (let i = 0; i < count; i++) {
+        const sampleIndex = first + i;
+        const flags = !isVideo || samples.syncSamples[sampleIndex] ? SYNC_SAMPLE_FLAGS : NON_SYNC_SAMPLE_FLAGS;
+        table.writeUInt32BE(samples.durations[sampleIndex], i * 16);
+        table.writeUInt32BE(samples.sizes[sampleIndex], i * 16 + 4);
+        table.writeUInt32BE(flags, i * 16 + 8);
+        table.writeInt32BE(samples.compositionOffsets[sampleIndex], i * 16 + 12);
+    }
+
+    const trunHeader = Buffer.alloc(8);
+    trunHeader.writeUInt32BE(count);
+    trunHeader.writeInt32BE(dataOffset, 4);
+
+    return box('traf',
+        fullBox('tfhd', 0, 0x020000, uint32(track.trackId)), // default-base-is-moof
+        fullBox('tfdt', 1, 0, uint64(samples.dts[first])),
+        // 标志: data-offset | duration | size | flags | composition-time-offset
+        fullBox('trun', 1, 0x000f01, trunHeader, table));
+}
+
+// 读取分段内所有采样的数据：按文件偏移排序后合并相邻采样，减少范围请求次数
+async function readSampleData(entries, readRange) {
+    const pieces = [];
+    entries.forEach((entry, entryIndex) => {
+        const samples = entry.track.samples;
+        for (let i = entry.first; i < entry.last; i++) {
+            pieces.push({ entryIndex, offset: samples.offsets[i], size: samples.sizes[i], data: null });
+        }
+    });
+
+    const runs = [];
+    pieces.slice().sort((a, b) => a.offset - b.offset).forEach(piece => {
+        const run = runs[runs.length - 1];
+        if (run && piece.offset <= run.end + MAX_READ_GAP) {
+            run.end = Math.max(run.end, piece.offset + piece.size);
+            run.pieces.push(piece);
+        } else {
+            runs.push({ start: piece.offset, end: piece.offset + piece.size, pieces: [piece] });
+        }
+    });
+
+    for (const run of runs) {
+        const data = await readRange(run.start, run.end - 1);
+        run.pieces.forEach(piece => {
+            piece.data = data.subarray(piece.offset - run.start, piece.offset - run.start + piece.size);
+        });
+    }
+
+    return entries.map((entry, entryIndex) => Buffer.concat(
+        pieces.filter(piece => piece.entryIndex === entryIndex).map(piece => piece.data)));
+}
+
+module.exports = { HlsPackage, DEFAULT_SEGMENT_DURATION };
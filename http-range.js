@@ -0,0 +1,147 @@
+/**
+ * HTTP Range请求 (RFC 7233)
+ * 解析Range头（多个范围排序并合并重叠部分）、校验If-Range，生成 multipart/byteranges 响应的分段头
+ */
+
+const crypto = require('crypto');
+
+// 相隔不超过该字节数的范围合并为一个（小于多一个分段头的开销）
+const COALESCE_GAP = 80;
+// 合并后仍超过该数量的范围时忽略Range返回完整内容，防止大量小范围请求放大上游请求
+const MAX_RANGES = 16;
+
+// 解析Range头，返回：
+//   null                                  没有Range头、不是bytes单位或语法无效（应忽略Range，返回完整内容）
+//   { satisfiable: false }                所有范围都在文件之外（应返回416）
+//   { satisfiable: true, ranges: [...] }  按起始位置排序、合并后的 [{ start, end }]
+function parseRangeHeader(rangeHeader, totalSize) {
+    const match = /^\s*bytes\s*=(.*)$/i.exec(rangeHeader || '');
+    if (!match) {
+        return null;
+    }
+
+    const ranges = [];
+    let specCount = 0;
+    for (const spec of match[1].split(',')) {
+        const trimmed = spec.trim();
+        // 列表中允许空元素
+        if (!trimmed) continue;
+
+        const parts = /^(\d*)\s*-\s*(\d*)$/.exec(trimmed);
+        if (!parts || (parts[1] === '' && parts[2] === '')) {
+            return null;
+        }
+        specCount++;
+
+        if (parts[1] === '') {
+            // bytes=-500 文件最后500字节
+            const suffixLength = parseInt(parts[2], 10);
+            if (suffixLength > 0 && totalSize > 0) {
+                ranges.push({ start: Math.max(0, totalSize - suffixLength), end: totalSize - 1 });
+            }
+            continue;
+        }
+
+        // bytes=1024- 从某位置到文件末尾
+        const start = parseInt(parts[1], 10);
+        const end = parts[2] === '' ? Infinity : parseInt(parts[2], 10);
+        if (end < start) {
+            return null;
+        }
+        if (start < totalSize) {
+            ranges.push({ start, end: Math.min(end, totalSize - 1) });
+        }
+    }
+
+    if (specCount === 0) {
+        return null;
+    }
+    if (ranges.length === 0) {
+        return { satisfiable: false };
+    }
+
+    const merged = coalesceRanges(ranges);
+    if (merged.length > MAX_RANGES) {
+        return null;
+    }
+    return { satisfiable: true, ranges: merged };
+}
+
+// 排序并合并重叠、相邻或间隔很小的范围
+function coalesceRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a.start - b.start);
+    const merged = [{ ...sorted[0] }];
+
+    for (const range of sorted.slice(1)) {
+        const last = merged[merged.length - 1];
+        if (range.start <= last.end + 1 + COALESCE_GAP) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+    }
+    return merged;
+}
+
+// 解析206响应的Content-Range头（bytes 100-199/1000），返回 { start, end, total }；
+// 缺失或无效时返回null，total未知（*）时为null
+function parseContentRange(contentRange) {
+    const match = /^\s*bytes\s+(\d+)-(\d+)\/(\d+|\*)\s*$/i.exec(contentRange || '');
+    if (!match) {
+        return null;
+    }
+    const start = parseInt(match[1], 10);
+    const end = parseInt(match[2], 10);
+    if (end < start) {
+        return null;
+    }
+    return { start, end, total: match[3] === '*' ? null : parseInt(match[3], 10) };
+}
+
+// If-Range：值必须与当前的强ETag或Last-Modified完全相同，Range才有效；不匹配（文件已变化）时应返回完整内容。
+// metadata为文件的响应头（etag、last-modified）
+function isIfRangeSatisfied(ifRange, metadata = {}) {
+    if (!ifRange) {
+        return true;
+    }
+
+    const value = ifRange.trim();
+    if (value.startsWith('"') || value.startsWith('W/')) {
+        // 弱ETag不能用于If-Range
+        const etag = metadata['etag'];
+        return !value.startsWith('W/') && !!etag && !etag.startsWith('W/') && value === etag.trim();
+    }
+
+    const lastModified = metadata['last-modified'];
+    return !!lastModified && value === lastModified.trim();
+}
+
+// 生成 multipart/byteranges 响应的结构：每个分段先写header再写 [start, end] 的数据，最后写trailer
+function buildMultipartLayout(ranges, totalSize, contentType) {
+    const boundary = crypto.randomBytes(12).toString('hex');
+    const parts = ranges.map((range, index) => ({
+        start: range.start,
+        end: range.end,
+        header: Buffer.from(`${index > 0 ? '\r\n' : ''}--${boundary}\r\n` +
+            `Content-Type: ${contentType}\r\n` +
+            `Content-Range: bytes ${range.start}-${range.end}/${totalSize}\r\n\r\n`)
+    }));
+    const trailer = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+    const contentLength = parts.reduce((sum, part) => sum + part.header.length + part.end - part.start + 1, trailer.length);
+    return {
+        contentType: `multipart/byteranges; boundary=${boundary}`,
+        contentLength,
+        parts,
+        trailer
+    };
+}
+
+module.exports = {
+    parseRangeHeader,
+    parseContentRange,
+    coalesceRanges,
+    isIfRangeSatisfied,
+    buildMultipartLayout,
+    MAX_RANGES
+};
@@ -0,0 +1,347 @@
+/**
+ * 媒体库索引
+ * 后台用PROPFIND (Depth: 1) 爬取各挂载下的目录，把视频文件索引保存为磁盘上的JSON文件。
+ * 增量扫描时，目录的ETag/getlastmodified与上次相同则沿用该目录自己的文件列表，不再重新列出；
+ * 多数WebDAV服务器只在直接子项变化时更新目录的版本，所以仍会逐个检查子目录（Depth: 0）
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const INDEX_VERSION = 1;
+const VIDEO_EXTENSIONS = ['mp4', 'avi', 'mkv', 'mov', 'wmv', 'flv', 'webm', 'm4v', '3gp', 'ts', 'm2ts'];
+const SORT_FIELDS = ['name', 'path', 'size', 'lastmod'];
+
+// 解析PROPFIND返回的multistatus，返回 [{ href, isDirectory, size, etag, lastmod, mime }]
+function parseMultistatus(xmlText) {
+    const entries = [];
+    const responsePattern = /<(?:[\w-]+:)?response\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?response>/gi;
+
+    for (const [, block] of xmlText.matchAll(responsePattern)) {
+        const href = readElement(block, 'href');
+        if (!href) continue;
+
+        // 只取状态为200的propstat中的属性
+        const props = [...block.matchAll(/<(?:[\w-]+:)?propstat\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?propstat>/gi)]
+            .map(match => match[1])
+            .filter(propstat => !/<(?:[\w-]+:)?status>[^<]*\s(?!200)\d{3}\b/i.test(propstat))
+            .join('') || block;
+
+        const resourceType = readElement(props, 'resourcetype') || '';
+        entries.push({
+            href,
+            isDirectory: /<(?:[\w-]+:)?collection\b/i.test(resourceType),
+            size: parseInt(readElement(props, 'getcontentlength') || '0') || 0,
+            etag: readElement(props, 'getetag'),
+            lastmod: readElement(props, 'getlastmodified'),
+            mime: readElement(props, 'getcontenttype')
+        });
+    }
+    return entries;
+}
+
+// 读取XML元素内容（忽略命名空间前缀），不存在或为空时返回null
+function readElement(xml, name) {
+    const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, 'i'));
+    if (!match) return null;
+
+    const value = match[1].trim();
+    if (!value) return null;
+    return value.startsWith('<') ? value : decodeXml(value);
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code)))
+        .replace(/&amp;/g, '&');
+}
+
+function isVideoEntry(name, mime) {
+    const ext = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    return VIDEO_EXTENSIONS.includes(ext) || (!!mime && mime.startsWith('video/'));
+}
+
+// 拼接代理路径，如 joinPath('/nas', 'Movies') -> /nas/Movies
+function joinPath(directory, name) {
+    return `${directory === '/' ? '' : directory}/${name}`;
+}
+
+function getDirectoryOf(filePath) {
+    return filePath.substring(0, filePath.lastIndexOf('/')) || '/';
+}
+
+class LibraryIndex {
+    constructor(options = {}) {
+        this.file = options.file;
+        this.concurrency = options.concurrency || 2;
+        // listDirectory(mount, mountPath) 返回该目录下的直接子项: [{ name, isDirectory, size, etag, lastmod, mime }]
+        this.listDirectory = options.listDirectory;
+        // statDirectory(mount, mountPath) 返回目录自身的版本 { etag, lastmod }；未提供时子目录总是重新列出
+        this.statDirectory = options.statDirectory || null;
+        this.collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+        // 目录索引: 代理路径 -> { mount, etag, lastmod, files: [...], subdirs: [...] }
+        this.directories = new Map();
+        this.lastScanAt = null;
+        this.lastFullScanAt = null;
+        this.scanning = null;
+        this.stats = {
+            scans: 0,
+            listedDirectories: 0,
+            checkedDirectories: 0,
+            skippedDirectories: 0,
+            failedDirectories: 0,
+            lastScanDuration: 0
+        };
+
+        this.load();
+    }
+
+    // 从磁盘读取索引
+    load() {
+        if (!this.file || !fs.existsSync(this.file)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            if (data.version !== INDEX_VERSION) {
+                console.warn(`[LIBRARY] 索引版本不匹配，将重新扫描: ${this.file}`);
+                return;
+            }
+            this.directories = new Map(Object.entries(data.directories || {}));
+            this.lastScanAt = data.lastScanAt || null;
+            this.lastFullScanAt = data.lastFullScanAt || null;
+        } catch (error) {
+            console.error(`[LIBRARY] 读取索引失败，将重新扫描: ${error.message}`);
+        }
+    }
+
+    // 保存索引（先写临时文件再重命名）
+    async save() {
+        if (!this.file) return;
+
+        const data = JSON.stringify({
+            version: INDEX_VERSION,
+            lastScanAt: this.lastScanAt,
+            lastFullScanAt: this.lastFullScanAt,
+            directories: Object.fromEntries(this.directories)
+        });
+        const tempPath = `${this.file}.${process.pid}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, this.file);
+    }
+
+    isReady() {
+        return this.lastScanAt !== null;
+    }
+
+    // 扫描所有挂载，full为true时忽略ETag/修改时间重新列出全部目录；扫描进行中时返回同一个Promise
+    scan(mounts, full = false) {
+        if (this.scanning) return this.scanning;
+
+        const startTime = Date.now();
+        this.scanning = (async () => {
+            const next = new Map();
+            for (const mount of mounts) {
+                await this.scanMount(mount, full, next);
+            }
+
+            this.directories = next;
+            this.lastScanAt = Date.now();
+            if (full) this.lastFullScanAt = this.lastScanAt;
+            this.stats.scans++;
+            this.stats.lastScanDuration = Date.now() - startTime;
+            await this.save();
+            return this.getStats();
+        })().finally(() => {
+            this.scanning = null;
+        });
+
+        return this.scanning;
+    }
+
+    // 以有限并发爬取一个挂载，结果写入next
+    async scanMount(mount, full, next) {
+        // version为上级目录列出时得到的版本，stat为true时（上级目录未重新列出）需要单独查询
+        const queue = [{ proxyPath: mount.prefix || '/', mountPath: '/', version: null, stat: false }];
+        let active = 0;
+
+        await new Promise(resolve => {
+            const pump = () => {
+                if (queue.length === 0 && active === 0) {
+                    resolve();
+                    return;
+                }
+
+                while (active < this.concurrency && queue.length > 0) {
+                    active++;
+                    this.scanDirectory(mount, queue.shift(), full, next, queue)
+                        .finally(() => {
+                            active--;
+                            pump();
+                        });
+                }
+
+                if (queue.length === 0 && active === 0) {
+                    resolve();
+                }
+            };
+            pump();
+        });
+    }
+
+    // 扫描一个目录：版本未变化时沿用上次的文件列表，否则重新列出；子目录加入队列
+    async scanDirectory(mount, directory, full, next, queue) {
+        const previous = this.directories.get(directory.proxyPath);
+        const child = name => ({
+            proxyPath: joinPath(directory.proxyPath, name),
+            mountPath: joinPath(directory.mountPath, name)
+        });
+
+        try {
+            let version = directory.version;
+            if (!full && previous && directory.stat && this.statDirectory) {
+                version = await this.statDirectory(mount, directory.mountPath);
+                this.stats.checkedDirectories++;
+            }
+
+            // 目录自身未变化：沿用上次的文件列表，子目录仍逐个检查
+            if (!full && previous && isSameVersion(previous, version)) {
+                next.set(directory.proxyPath, previous);
+                this.stats.skippedDirectories++;
+                previous.subdirs.forEach(name => queue.push({ ...child(name), version: null, stat: true }));
+                return;
+            }
+
+            const entries = await this.listDirectory(mount, directory.mountPath);
+            const subdirs = entries.filter(entry => entry.isDirectory);
+            next.set(directory.proxyPath, {
+                mount: mount.name,
+                etag: version ? version.etag : null,
+                lastmod: version ? version.lastmod : null,
+                files: entries
+                    .filter(entry => !entry.isDirectory && isVideoEntry(entry.name, entry.mime))
+                    .map(({ name, size, etag, lastmod, mime }) => ({ name, size, etag, lastmod, mime })),
+                subdirs: subdirs.map(entry => entry.name)
+            });
+            this.stats.listedDirectories++;
+
+            subdirs.forEach(entry => queue.push({
+                ...child(entry.name),
+                version: { etag: entry.etag, lastmod: entry.lastmod },
+                stat: false
+            }));
+        } catch (error) {
+            // 读取失败时保留上次的结果
+            this.stats.failedDirectories++;
+            console.warn(`[LIBRARY] 目录扫描失败 ${directory.proxyPath}: ${error.message}`);
+            if (previous) this.copySubtree(directory.proxyPath, next);
+        }
+    }
+
+    // 把上次索引中的目录及其全部子目录复制到next
+    copySubtree(proxyPath, next) {
+        const entry = this.directories.get(proxyPath);
+        if (!entry || next.has(proxyPath)) return;
+
+        next.set(proxyPath, entry);
+        this.stats.skippedDirectories++;
+        entry.subdirs.forEach(name => this.copySubtree(joinPath(proxyPath, name), next));
+    }
+
+    // 列出目录下的子目录名（包括挂在该目录下的挂载点）
+    listFolders(directory, mounts = []) {
+        const folders = new Set(this.directories.get(directory)?.subdirs || []);
+        mounts.forEach(mount => {
+            if (mount.prefix && getDirectoryOf(mount.prefix) === directory) {
+                folders.add(mount.prefix.substring(mount.prefix.lastIndexOf('/') + 1));
+            }
+        });
+        return [...folders].sort((a, b) => this.collator.compare(a, b));
+    }
+
+    // 查询视频：{ q, dir, recursive, ext, minSize, maxSize, sort, order, page, pageSize }
+    query(options = {}) {
+        const directory = options.dir || '/';
+        const recursive = options.recursive || !!options.q;
+        const keyword = options.q ? options.q.toLowerCase() : null;
+        const extensions = options.ext && options.ext.length > 0 ? options.ext : null;
+
+        let items = [];
+        for (const [proxyPath, entry] of this.directories) {
+            const inScope = proxyPath === directory ||
+                (recursive && (directory === '/' || proxyPath.startsWith(directory + '/')));
+            if (!inScope) continue;
+
+            entry.files.forEach(file => {
+                const ext = file.name.split('.').pop().toLowerCase();
+                if (keyword && !file.name.toLowerCase().includes(keyword)) return;
+                if (extensions && !extensions.includes(ext)) return;
+                if (options.minSize != null && file.size < options.minSize) return;
+                if (options.maxSize != null && file.size > options.maxSize) return;
+
+                items.push({
+                    ...file,
+                    path: joinPath(proxyPath, file.name),
+                    directory: proxyPath,
+                    mount: entry.mount
+                });
+            });
+        }
+
+        const sort = SORT_FIELDS.includes(options.sort) ? options.sort : 'path';
+        const direction = options.order === 'desc' ? -1 : 1;
+        items.sort((a, b) => direction * this.compareBy(sort, a, b));
+
+        const pageSize = Math.min(Math.max(parseInt(options.pageSize) || 50, 1), 1000);
+        const page = Math.max(parseInt(options.page) || 1, 1);
+        return {
+            total: items.length,
+            page,
+            pageSize,
+            items: items.slice((page - 1) * pageSize, page * pageSize)
+        };
+    }
+
+    compareBy(field, a, b) {
+        switch (field) {
+            case 'size':
+                return a.size - b.size;
+            case 'lastmod':
+                return (Date.parse(a.lastmod) || 0) - (Date.parse(b.lastmod) || 0);
+            case 'name':
+                return this.collator.compare(a.name, b.name) || this.collator.compare(a.path, b.path);
+            default:
+                return this.collator.compare(a.path, b.path);
+        }
+    }
+
+    getStats() {
+        let videos = 0;
+        this.directories.forEach(entry => { videos += entry.files.length; });
+        return {
+            ...this.stats,
+            ready: this.isReady(),
+            scanning: !!this.scanning,
+            directories: this.directories.size,
+            videos,
+            lastScanAt: this.lastScanAt,
+            lastFullScanAt: this.lastFullScanAt
+        };
+    }
+}
+
+// 目录版本是否未变化：优先比较ETag，没有ETag时比较修改时间
+function isSameVersion(previous, version) {
+    if (!version) return false;
+    if (version.etag && previous.etag) return version.etag === previous.etag;
+    if (version.lastmod && previous.lastmod) return version.lastmod === previous.lastmod;
+    return false;
+}
+
+module.exports = { LibraryIndex, parseMultistatus, VIDEO_EXTENSIONS };
@@ -0,0 +1,613 @@
+/**
+ * 媒体信息探测
+ * 只读取容器头部（MP4的moov，Matroska/WebM的EBML头、Info、Tracks和Chapters），
+ * 得到时长、码率、各轨道的编码/语言/分辨率和章节列表，不需要ffmpeg。
+ * readRange(start, end) 需返回包含 [start, end] 字节的 Promise<Buffer>
+ */
+
+const { readBoxHeader, iterateBoxes, findChild, findPath, readMovieBox, parseMovie } = require('./mp4-parser');
+
+// 首次读取的文件头大小：用于识别容器，MKV的Info/Tracks通常也在其中
+const HEAD_SIZE = 64 * 1024;
+// 单个头部元素的读取上限，防止损坏的文件导致读取过多数据
+const MAX_ELEMENT_SIZE = 16 * 1024 * 1024;
+// QuickTime章节轨道的文本采样最多读取的字节数
+const MAX_CHAPTER_TEXT_SIZE = 1024 * 1024;
+
+// MP4文件开头可能出现的顶层box
+const MP4_TOP_LEVEL_TYPES = ['ftyp', 'moov', 'mdat', 'free', 'skip', 'wide', 'pnot', 'styp'];
+
+// 编码名与ffmpeg一致（h264、aac、ac3...），便于和ffmpeg的探测结果互换使用
+const MP4_CODECS = {
+    avc1: 'h264', avc3: 'h264', hvc1: 'hevc', hev1: 'hevc', av01: 'av1', vp08: 'vp8', vp09: 'vp9', mp4v: 'mpeg4',
+    mp4a: 'aac', 'ac-3': 'ac3', 'ec-3': 'eac3', Opus: 'opus', fLaC: 'flac', alac: 'alac', '.mp3': 'mp3',
+    tx3g: 'mov_text', wvtt: 'webvtt', stpp: 'ttml', c608: 'eia_608'
+};
+
+const MATROSKA_CODECS = {
+    'V_MPEG4/ISO/AVC': 'h264', 'V_MPEGH/ISO/HEVC': 'hevc', 'V_AV1': 'av1', 'V_VP8': 'vp8', 'V_VP9': 'vp9',
+    'V_MPEG4/ISO/ASP': 'mpeg4', 'V_MPEG2': 'mpeg2video', 'V_THEORA': 'theora',
+    'A_AC3': 'ac3', 'A_EAC3': 'eac3', 'A_TRUEHD': 'truehd', 'A_OPUS': 'opus', 'A_VORBIS': 'vorbis',
+    'A_FLAC': 'flac', 'A_MPEG/L3': 'mp3', 'A_MPEG/L2': 'mp2', 'A_ALAC': 'alac',
+    'S_TEXT/UTF8': 'subrip', 'S_TEXT/ASS': 'ass', 'S_TEXT/SSA': 'ass', 'S_TEXT/WEBVTT': 'webvtt',
+    'S_HDMV/PGS': 'hdmv_pgs_subtitle', 'S_VOBSUB': 'dvd_subtitle', 'S_DVBSUB': 'dvb_subtitle'
+};
+// 带子类型的CodecID按前缀匹配，如 A_AAC/MPEG4/LC、A_DTS/EXPRESS、A_PCM/INT/LIT
+const MATROSKA_CODEC_PREFIXES = { 'A_AAC': 'aac', 'A_DTS': 'dts', 'A_PCM/': 'pcm' };
+
+// 编码档次名称与ffmpeg一致
+const H264_PROFILES = {
+    66: 'Baseline', 77: 'Main', 88: 'Extended', 100: 'High', 110: 'High 10', 122: 'High 4:2:2', 244: 'High 4:4:4 Predictive'
+};
+const HEVC_PROFILES = { 1: 'Main', 2: 'Main 10', 3: 'Main Still Picture', 4: 'Rext' };
+const AAC_PROFILES = { 1: 'Main', 2: 'LC', 5: 'HE-AAC', 29: 'HE-AACv2' };
+
+// Matroska元素ID（含长度标记位）
+const MKV = {
+    EBML: 0x1A45DFA3, DocType: 0x4282, Segment: 0x18538067, Cluster: 0x1F43B675,
+    SeekHead: 0x114D9B74, Seek: 0x4DBB, SeekID: 0x53AB, SeekPosition: 0x53AC,
+    Info: 0x1549A966, TimecodeScale: 0x2AD7B1, Duration: 0x4489, Title: 0x7BA9,
+    Tracks: 0x1654AE6B, TrackEntry: 0xAE, TrackNumber: 0xD7, TrackType: 0x83, CodecID: 0x86, CodecPrivate: 0x63A2,
+    Name: 0x536E, Language: 0x22B59C, LanguageBCP47: 0x22B59D, FlagDefault: 0x88, FlagForced: 0x55AA,
+    DefaultDuration: 0x23E383, Video: 0xE0, PixelWidth: 0xB0, PixelHeight: 0xBA,
+    Audio: 0xE1, SamplingFrequency: 0xB5, Channels: 0x9F,
+    Chapters: 0x1043A770, EditionEntry: 0x45B9, ChapterAtom: 0xB6, ChapterTimeStart: 0x91, ChapterTimeEnd: 0x92,
+    ChapterFlagHidden: 0x98, ChapterDisplay: 0x80, ChapString: 0x85
+};
+const MKV_TRACK_TYPES = { 1: 'video', 2: 'audio', 17: 'subtitle' };
+
+// 探测媒体信息，返回 { container, title, duration, size, bitrate, video, audio, subtitles, chapters }；
+// 不是MP4或Matroska/WebM时返回null
+async function probeMedia(readRange, fileSize) {
+    const head = await readRange(0, Math.min(HEAD_SIZE, fileSize) - 1);
+    // 文件头范围内的读取直接使用已读取的数据
+    const readCached = (start, end) => end < head.length
+        ? Promise.resolve(head.subarray(start, end + 1))
+        : readRange(start, end);
+
+    let result;
+    if (head.length >= 4 && head.readUInt32BE(0) === MKV.EBML) {
+        result = await probeMatroska(readCached, fileSize, head);
+    } else if (head.length >= 8 && MP4_TOP_LEVEL_TYPES.includes(head.toString('latin1', 4, 8))) {
+        result = await probeMp4(readCached, fileSize);
+    } else {
+        return null;
+    }
+
+    result.size = fileSize;
+    result.bitrate = result.duration ? Math.round(fileSize * 8 / result.duration) : null;
+    return result;
+}
+
+// 由ffmpeg的探测结果 { duration, videoCodec, videoProfile, audioCodec } 构造同样格式的结果（只有第一路视频和音频）
+function probeResultFromFfmpeg(info, fileSize) {
+    const result = createResult('unknown');
+    result.duration = info.duration;
+    result.size = fileSize;
+    result.bitrate = info.duration ? Math.round(fileSize * 8 / info.duration) : null;
+    if (info.videoCodec) {
+        result.video.push({ id: null, codec: info.videoCodec, profile: info.videoProfile });
+    }
+    if (info.audioCodec) {
+        result.audio.push({ id: null, codec: info.audioCodec });
+    }
+    return result;
+}
+
+function createResult(container) {
+    return {
+        container,
+        title: null,
+        duration: null,
+        size: null,
+        bitrate: null,
+        video: [],
+        audio: [],
+        subtitles: [],
+        chapters: []
+    };
+}
+
+// 章节按开始时间排序，未给出结束时间的以下一章开始时间（最后一章为总时长）作为结束时间
+function finishChapters(chapters, duration) {
+    chapters.sort((a, b) => a.start - b.start);
+    chapters.forEach((chapter, index) => {
+        if (chapter.end === null || chapter.end <= chapter.start) {
+            chapter.end = index + 1 < chapters.length ? chapters[index + 1].start : duration;
+        }
+    });
+    return chapters;
+}
+
+function roundTo(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+// ===== MP4 =====
+
+async function probeMp4(readRange, fileSize) {
+    const { moovBuffer } = await readMovieBox(readRange, fileSize);
+    const movie = parseMovie(moovBuffer);
+    const moov = { dataStart: readBoxHeader(moovBuffer, 0).headerSize, end: moovBuffer.length };
+    const result = createResult('mp4');
+    result.duration = movie.timescale ? roundTo(movie.duration / movie.timescale, 3) : null;
+
+    // tref/chap 引用的文本轨道是QuickTime章节，不作为字幕
+    const chapterTrackIds = new Set();
+    movie.tracks.forEach(track => {
+        const chap = findPath(moovBuffer, track.boxes.trak, ['tref', 'chap']);
+        for (let offset = chap ? chap.dataStart : 0; chap && offset + 4 <= chap.end; offset += 4) {
+            chapterTrackIds.add(moovBuffer.readUInt32BE(offset));
+        }
+    });
+
+    for (const track of movie.tracks) {
+        const seconds = track.timescale ? track.duration / track.timescale : 0;
+        const entry = track.boxes.stsd
+            ? iterateBoxes(moovBuffer, track.boxes.stsd.dataStart + 8, track.boxes.stsd.end).next().value
+            : null;
+        let totalBytes = 0;
+        track.samples.sizes.forEach(size => { totalBytes += size; });
+
+        const base = {
+            id: track.trackId,
+            codec: MP4_CODECS[track.codec] || track.codec,
+            codecTag: track.codec,
+            language: /^[a-z]{3}$/.test(track.language) && track.language !== 'und' ? track.language : null,
+            // tkhd的flags第1位为track_enabled
+            default: (moovBuffer.readUInt32BE(track.boxes.tkhd.dataStart) & 1) === 1
+        };
+        const bitrate = seconds && totalBytes ? Math.round(totalBytes * 8 / seconds) : null;
+
+        if (track.handlerType === 'vide') {
+            result.video.push({
+                ...base,
+                profile: entry ? readVideoProfile(moovBuffer, entry) : null,
+                width: Math.round(track.width) || null,
+                height: Math.round(track.height) || null,
+                frameRate: seconds ? roundTo(track.samples.sampleCount / seconds, 3) : null,
+                bitrate
+            });
+        } else if (track.handlerType === 'soun') {
+            result.audio.push({ ...base, ...(entry ? readAudioEntry(moovBuffer, entry) : {}), bitrate });
+        } else if (['sbtl', 'subt', 'text', 'clcp'].includes(track.handlerType) && !chapterTrackIds.has(track.trackId)) {
+            result.subtitles.push({ ...base, forced: false });
+        }
+    }
+
+    result.chapters = readNeroChapters(moovBuffer, moov);
+    if (result.chapters.length === 0) {
+        const chapterTrack = movie.tracks.find(track => chapterTrackIds.has(track.trackId));
+        if (chapterTrack) {
+            result.chapters = await readQuickTimeChapters(chapterTrack, readRange).catch(() => []);
+        }
+    }
+    finishChapters(result.chapters, result.duration);
+    return result;
+}
+
+// 从avcC/hvcC读取编码档次
+function readVideoProfile(buffer, entry) {
+    // VisualSampleEntry的固定字段共78字节，之后是编码配置box
+    const children = { dataStart: entry.dataStart + 78, end: entry.end };
+    try {
+        const avcC = findChild(buffer, children, 'avcC');
+        if (avcC) {
+            const profile = buffer[avcC.dataStart + 1];
+            const constrained = profile === 66 && (buffer[avcC.dataStart + 2] & 0x40);
+            return constrained ? 'Constrained Baseline' : H264_PROFILES[profile] || null;
+        }
+        const hvcC = findChild(buffer, children, 'hvcC');
+        if (hvcC) {
+            return HEVC_PROFILES[buffer[hvcC.dataStart + 1] & 0x1f] || null;
+        }
+    } catch (error) {
+        // 配置box损坏时不返回档次
+    }
+    return null;
+}
+
+// 读取AudioSampleEntry中的声道数和采样率，mp4a再从esds区分AAC/MP3和AAC档次
+function readAudioEntry(buffer, entry) {
+    const info = {
+        channels: buffer.readUInt16BE(entry.dataStart + 16),
+        sampleRate: buffer.readUInt32BE(entry.dataStart + 24) >>> 16
+    };
+
+    // QuickTime声音描述的版本决定子box的起始位置
+    const version = buffer.readUInt16BE(entry.dataStart + 8);
+    const children = { dataStart: entry.dataStart + ([28, 44, 64][version] || 28), end: entry.end };
+    try {
+        const esds = findChild(buffer, children, 'esds') || findPath(buffer, children, ['wave', 'esds']);
+        const config = esds ? parseEsds(buffer, esds) : null;
+        if (config) {
+            if (config.objectType === 0x69 || config.objectType === 0x6B) {
+                info.codec = 'mp3';
+            } else if (config.audioObjectType) {
+                info.profile = AAC_PROFILES[config.audioObjectType] || null;
+            }
+        }
+    } catch (error) {
+        // esds损坏时只返回声道和采样率
+    }
+    return info;
+}
+
+// 读取MPEG-4描述符头，长度为1到4字节的7位变长整数
+function readDescriptor(buffer, offset) {
+    const tag = buffer[offset];
+    let size = 0;
+    let position = offset + 1;
+    for (let i = 0; i < 4; i++) {
+        const byte = buffer[position++];
+        size = (size << 7) | (byte & 0x7f);
+        if (!(byte & 0x80)) break;
+    }
+    return { tag, size, dataStart: position };
+}
+
+// 解析esds，返回 { objectType, audioObjectType }
+function parseEsds(buffer, esds) {
+    const esDescriptor = readDescriptor(buffer, esds.dataStart + 4);
+    if (esDescriptor.tag !== 0x03) return null;
+
+    let offset = esDescriptor.dataStart + 2;
+    const flags = buffer[offset++];
+    if (flags & 0x80) offset += 2;
+    if (flags & 0x40) offset += 1 + buffer[offset];
+    if (flags & 0x20) offset += 2;
+
+    const decoderConfig = readDescriptor(buffer, offset);
+    if (decoderConfig.tag !== 0x04) return null;
+
+    const objectType = buffer[decoderConfig.dataStart];
+    const specificInfo = readDescriptor(buffer, decoderConfig.dataStart + 13);
+    let audioObjectType = null;
+    if (specificInfo.tag === 0x05 && specificInfo.size > 0) {
+        const first = buffer[specificInfo.dataStart];
+        audioObjectType = first >> 3;
+        if (audioObjectType === 31) {
+            audioObjectType = 32 + (((first & 0x07) << 3) | (buffer[specificInfo.dataStart + 1] >> 5));
+        }
+    }
+    return { objectType, audioObjectType };
+}
+
+// Nero章节 (moov/udta/chpl)：时间单位为100纳秒
+function readNeroChapters(buffer, moov) {
+    const chpl = findPath(buffer, moov, ['udta', 'chpl']);
+    if (!chpl) return [];
+
+    const chapters = [];
+    try {
+        const version = buffer[chpl.dataStart];
+        let offset = chpl.dataStart + 4 + (version === 1 ? 4 : 0);
+        const count = buffer[offset++];
+        for (let i = 0; i < count && offset + 9 <= chpl.end; i++) {
+            const start = Number(buffer.readBigUInt64BE(offset)) / 1e7;
+            const length = buffer[offset + 8];
+            chapters.push({
+                start: roundTo(start, 3),
+                end: null,
+                title: buffer.toString('utf8', offset + 9, offset + 9 + length)
+            });
+            offset += 9 + length;
+        }
+    } catch (error) {
+        // 保留已解析的章节
+    }
+    return chapters;
+}
+
+// QuickTime章节：章节轨道的每个文本采样是一章，采样内容为2字节长度加文本
+async function readQuickTimeChapters(track, readRange) {
+    const { sampleCount, offsets, sizes, dts } = track.samples;
+    if (sampleCount === 0) return [];
+
+    let first = Infinity;
+    let last = 0;
+    for (let i = 0; i < sampleCount; i++) {
+        first = Math.min(first, offsets[i]);
+        last = Math.max(last, offsets[i] + sizes[i]);
+    }
+    if (last - first > MAX_CHAPTER_TEXT_SIZE) return [];
+
+    const data = await readRange(first, last - 1);
+    const chapters = [];
+    for (let i = 0; i < sampleCount; i++) {
+        const offset = offsets[i] - first;
+        if (sizes[i] < 2) continue;
+        const length = Math.min(data.readUInt16BE(offset), sizes[i] - 2);
+        const text = data.subarray(offset + 2, offset + 2 + length);
+        // 以BOM开头的是UTF-16文本
+        const title = text[0] === 0xFE && text[1] === 0xFF
+            ? Buffer.from(text.subarray(2)).swap16().toString('utf16le')
+            : text.toString('utf8');
+        chapters.push({ start: roundTo(dts[i] / track.timescale, 3), end: null, title });
+    }
+    return chapters;
+}
+
+// ===== Matroska / WebM =====
+
+// 读取EBML变长整数；keepMarker为true时保留长度标记位（元素ID），数据不足时返回null
+function readVint(buffer, offset, keepMarker) {
+    if (offset >= buffer.length) return null;
+
+    const first = buffer[offset];
+    let length = 1;
+    let mask = 0x80;
+    while (length <= 8 && !(first & mask)) {
+        length++;
+        mask >>= 1;
+    }
+    if (length > 8 || offset + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (mask - 1);
+    let allOnes = value === mask - 1;
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+        if (buffer[offset + i] !== 0xff) allOnes = false;
+    }
+    return { value, length, allOnes };
+}
+
+// 读取元素头，返回 { id, size, dataStart, end }；大小未知（全1）时size和end为null
+function readElementHeader(buffer, offset) {
+    const id = readVint(buffer, offset, true);
+    const size = id && readVint(buffer, offset + id.length, false);
+    if (!size) return null;
+
+    const dataStart = offset + id.length + size.length;
+    const unknownSize = size.allOnes;
+    return {
+        id: id.value,
+        size: unknownSize ? null : size.value,
+        dataStart,
+        end: unknownSize ? null : dataStart + size.value
+    };
+}
+
+// 遍历父元素中完整的子元素
+function* iterateElements(buffer, start, end) {
+    let offset = start;
+    while (offset < end) {
+        const element = readElementHeader(buffer, offset);
+        if (!element || element.end === null || element.end > end) break;
+        yield element;
+        offset = element.end;
+    }
+}
+
+function readElements(buffer, parent) {
+    return [...iterateElements(buffer, parent.dataStart, Math.min(parent.end, buffer.length))];
+}
+
+function readUInt(buffer, element) {
+    let value = 0;
+    for (let i = element.dataStart; i < element.end; i++) {
+        value = value * 256 + buffer[i];
+    }
+    return value;
+}
+
+function readFloat(buffer, element) {
+    if (element.size === 4) return buffer.readFloatBE(element.dataStart);
+    if (element.size === 8) return buffer.readDoubleBE(element.dataStart);
+    return 0;
+}
+
+function readString(buffer, element) {
+    return buffer.toString('utf8', element.dataStart, element.end).replace(/\0+$/, '');
+}
+
+// 父元素中第一个指定ID的子元素
+function findElement(buffer, parent, id) {
+    return readElements(buffer, parent).find(element => element.id === id) || null;
+}
+
+async function probeMatroska(readRange, fileSize, head) {
+    const ebml = readElementHeader(head, 0);
+    const docTypeElement = ebml && ebml.end !== null ? findElement(head, ebml, MKV.DocType) : null;
+    const docType = docTypeElement ? readString(head, docTypeElement) : 'matroska';
+
+    const segment = ebml && ebml.end !== null ? readElementHeader(head, ebml.end) : null;
+    if (!segment || segment.id !== MKV.Segment) {
+        throw new Error('Matroska结构损坏：未找到Segment');
+    }
+
+    // SeekHead中的位置相对于Segment数据开始处
+    const segmentStart = segment.dataStart;
+    const segmentEnd = segment.end === null ? fileSize : Math.min(segment.end, fileSize);
+    const elements = new Map(); // 元素ID -> { buffer, element }
+    const seekPositions = new Map();
+
+    // 文件头中的一级元素，遇到Cluster（媒体数据）为止
+    let offset = segment.dataStart;
+    while (offset < Math.min(head.length, segmentEnd)) {
+        const element = readElementHeader(head, offset);
+        if (!element || element.id === MKV.Cluster || element.end === null) break;
+
+        if (element.end <= head.length) {
+            if (!elements.has(element.id)) {
+                elements.set(element.id, { buffer: head, element });
+            }
+            if (element.id === MKV.SeekHead) {
+                readSeekHead(head, element).forEach((position, id) => {
+                    if (!seekPositions.has(id)) seekPositions.set(id, position);
+                });
+            }
+        } else if (!seekPositions.has(element.id)) {
+            // 超出文件头的元素稍后单独读取
+            seekPositions.set(element.id, offset - segmentStart);
+        }
+        offset = element.end;
+    }
+
+    // 不在文件头中的Info/Tracks/Chapters按SeekHead中的位置读取
+    for (const id of [MKV.Info, MKV.Tracks, MKV.Chapters]) {
+        if (elements.has(id) || !seekPositions.has(id)) continue;
+        const element = await readTopLevelElement(readRange, segmentStart + seekPositions.get(id), fileSize, id);
+        if (element) elements.set(id, element);
+    }
+
+    const result = createResult(docType === 'webm' ? 'webm' : 'matroska');
+    if (elements.has(MKV.Info)) {
+        Object.assign(result, parseSegmentInfo(elements.get(MKV.Info)));
+    }
+    if (elements.has(MKV.Tracks)) {
+        parseTracks(elements.get(MKV.Tracks)).forEach(({ type, ...track }) => {
+            if (type === 'video') result.video.push(track);
+            else if (type === 'audio') result.audio.push(track);
+            else result.subtitles.push(track);
+        });
+    }
+    if (elements.has(MKV.Chapters)) {
+        result.chapters = finishChapters(parseChapters(elements.get(MKV.Chapters)), result.duration);
+    }
+    return result;
+}
+
+// 读取SeekHead，返回 元素ID -> 相对Segment的位置
+function readSeekHead(buffer, seekHead) {
+    const positions = new Map();
+    readElements(buffer, seekHead)
+        .filter(element => element.id === MKV.Seek)
+        .forEach(seek => {
+            const seekId = findElement(buffer, seek, MKV.SeekID);
+            const seekPosition = findElement(buffer, seek, MKV.SeekPosition);
+            if (seekId && seekPosition) {
+                positions.set(readUInt(buffer, seekId), readUInt(buffer, seekPosition));
+            }
+        });
+    return positions;
+}
+
+// 读取指定位置的一级元素，ID不符或过大时返回null
+async function readTopLevelElement(readRange, position, fileSize, expectedId) {
+    if (position >= fileSize) return null;
+
+    const headerBuffer = await readRange(position, Math.min(position + 11, fileSize - 1));
+    const header = readElementHeader(headerBuffer, 0);
+    if (!header || header.id !== expectedId || header.end === null || header.size > MAX_ELEMENT_SIZE) {
+        return null;
+    }
+
+    const buffer = await readRange(position, Math.min(position + header.end, fileSize) - 1);
+    return { buffer, element: { ...header, end: Math.min(header.end, buffer.length) } };
+}
+
+function parseSegmentInfo({ buffer, element }) {
+    let timecodeScale = 1000000;
+    let duration = null;
+    let title = null;
+
+    readElements(buffer, element).forEach(child => {
+        if (child.id === MKV.TimecodeScale) timecodeScale = readUInt(buffer, child);
+        else if (child.id === MKV.Duration) duration = readFloat(buffer, child);
+        else if (child.id === MKV.Title) title = readString(buffer, child) || null;
+    });
+
+    return {
+        title,
+        // Duration以TimecodeScale（纳秒）为单位
+        duration: duration ? roundTo(duration * timecodeScale / 1e9, 3) : null
+    };
+}
+
+function parseTracks({ buffer, element }) {
+    return readElements(buffer, element)
+        .filter(child => child.id === MKV.TrackEntry)
+        .map(entry => {
+            const fields = new Map(readElements(buffer, entry).map(child => [child.id, child]));
+            const type = MKV_TRACK_TYPES[fields.has(MKV.TrackType) ? readUInt(buffer, fields.get(MKV.TrackType)) : 0];
+            if (!type) return null;
+
+            const codecId = fields.has(MKV.CodecID) ? readString(buffer, fields.get(MKV.CodecID)) : '';
+            const language = fields.has(MKV.LanguageBCP47)
+                ? readString(buffer, fields.get(MKV.LanguageBCP47))
+                : fields.has(MKV.Language) ? readString(buffer, fields.get(MKV.Language)) : 'eng';
+            const track = {
+                type,
+                id: fields.has(MKV.TrackNumber) ? readUInt(buffer, fields.get(MKV.TrackNumber)) : null,
+                codec: getMatroskaCodec(codecId),
+                codecTag: codecId,
+                language: language === 'und' ? null : language,
+                name: fields.has(MKV.Name) ? readString(buffer, fields.get(MKV.Name)) || null : null,
+                default: fields.has(MKV.FlagDefault) ? readUInt(buffer, fields.get(MKV.FlagDefault)) === 1 : true
+            };
+
+            if (type === 'video') {
+                const video = fields.get(MKV.Video);
+                const width = video && findElement(buffer, video, MKV.PixelWidth);
+                const height = video && findElement(buffer, video, MKV.PixelHeight);
+                const frameDuration = fields.has(MKV.DefaultDuration) ? readUInt(buffer, fields.get(MKV.DefaultDuration)) : 0;
+                Object.assign(track, {
+                    profile: readCodecPrivateProfile(buffer, track.codec, fields.get(MKV.CodecPrivate)),
+                    width: width ? readUInt(buffer, width) : null,
+                    height: height ? readUInt(buffer, height) : null,
+                    frameRate: frameDuration ? roundTo(1e9 / frameDuration, 3) : null
+                });
+            } else if (type === 'audio') {
+                const audio = fields.get(MKV.Audio);
+                const sampleRate = audio && findElement(buffer, audio, MKV.SamplingFrequency);
+                const channels = audio && findElement(buffer, audio, MKV.Channels);
+                Object.assign(track, {
+                    channels: channels ? readUInt(buffer, channels) : 1,
+                    sampleRate: sampleRate ? Math.round(readFloat(buffer, sampleRate)) : 8000
+                });
+            } else {
+                track.forced = fields.has(MKV.FlagForced) && readUInt(buffer, fields.get(MKV.FlagForced)) === 1;
+            }
+            return track;
+        })
+        .filter(Boolean);
+}
+
+function getMatroskaCodec(codecId) {
+    if (MATROSKA_CODECS[codecId]) return MATROSKA_CODECS[codecId];
+    const prefix = Object.keys(MATROSKA_CODEC_PREFIXES).find(key => codecId.startsWith(key));
+    return prefix ? MATROSKA_CODEC_PREFIXES[prefix] : codecId;
+}
+
+// H.264/HEVC的CodecPrivate与MP4的avcC/hvcC内容相同
+function readCodecPrivateProfile(buffer, codec, codecPrivate) {
+    if (!codecPrivate || codecPrivate.size < 4) return null;
+
+    const profile = buffer[codecPrivate.dataStart + 1];
+    if (codec === 'h264') {
+        const constrained = profile === 66 && (buffer[codecPrivate.dataStart + 2] & 0x40);
+        return constrained ? 'Constrained Baseline' : H264_PROFILES[profile] || null;
+    }
+    if (codec === 'hevc') {
+        return HEVC_PROFILES[profile & 0x1f] || null;
+    }
+    return null;
+}
+
+// 读取第一个版本（EditionEntry）中未隐藏的章节，时间单位为纳秒
+function parseChapters({ buffer, element }) {
+    const edition = findElement(buffer, element, MKV.EditionEntry);
+    if (!edition) return [];
+
+    return readElements(buffer, edition)
+        .filter(child => child.id === MKV.ChapterAtom)
+        .map(atom => {
+            const fields = new Map(readElements(buffer, atom).map(child => [child.id, child]));
+            if (fields.has(MKV.ChapterFlagHidden) && readUInt(buffer, fields.get(MKV.ChapterFlagHidden)) === 1) {
+                return null;
+            }
+
+            const display = fields.get(MKV.ChapterDisplay);
+            const title = display && findElement(buffer, display, MKV.ChapString);
+            return {
+                start: fields.has(MKV.ChapterTimeStart) ? roundTo(readUInt(buffer, fields.get(MKV.ChapterTimeStart)) / 1e9, 3) : 0,
+                end: fields.has(MKV.ChapterTimeEnd) ? roundTo(readUInt(buffer, fields.get(MKV.ChapterTimeEnd)) / 1e9, 3) : null,
+                title: title ? readString(buffer, title) : null
+            };
+        })
+        .filter(Boolean);
+}
+
+module.exports = { probeMedia, probeResultFromFfmpeg };
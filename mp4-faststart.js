@@ -0,0 +1,137 @@
+/**
+ * MP4 虚拟faststart
+ * moov位于文件末尾时，把moov移动到mdat之前并修正stco/co64中的chunk偏移，
+ * 对外提供一个"虚拟文件"，并把虚拟文件的字节范围映射回原文件
+ */
+
+const { readTopLevelBoxes, iterateBoxes } = require('./mp4-parser');
+
+// 需要递归改写的容器（chunk偏移表位于 moov/trak/mdia/minf/stbl 之下）
+const OFFSET_CONTAINERS = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl']);
+const MAX_UINT32 = 0xffffffff;
+
+// 分析MP4顶层结构，moov在mdat之后时返回虚拟faststart布局，否则返回 { moovAtEnd: false }
+async function analyzeMp4Layout(readRange, fileSize) {
+    const boxes = await readTopLevelBoxes(readRange, fileSize);
+    const moovBox = boxes.find(box => box.type === 'moov');
+    const firstMdat = boxes.find(box => box.type === 'mdat');
+
+    if (!moovBox || !firstMdat || moovBox.start < firstMdat.start) {
+        return { moovAtEnd: false, size: fileSize };
+    }
+
+    const moovBuffer = await readRange(moovBox.start, moovBox.start + moovBox.size - 1);
+    const insertAt = firstMdat.start;
+    const patchedMoov = relocateMoov(moovBuffer, insertAt, moovBox.start);
+    const moovEnd = moovBox.start + moovBox.size;
+
+    // 虚拟文件 = [moov之前的头部] + 修正后的moov + [原mdat...moov之前] + [moov之后的剩余box]
+    const parts = [];
+    let position = 0;
+    const addPart = (length, part) => {
+        if (length <= 0) return;
+        parts.push({ start: position, end: position + length - 1, ...part });
+        position += length;
+    };
+    addPart(insertAt, { sourceStart: 0 });
+    addPart(patchedMoov.length, { data: patchedMoov });
+    addPart(moovBox.start - insertAt, { sourceStart: insertAt });
+    addPart(fileSize - moovEnd, { sourceStart: moovEnd });
+
+    return {
+        moovAtEnd: true,
+        size: position,
+        originalSize: fileSize,
+        moovOffset: moovBox.start,
+        moovSize: moovBox.size,
+        parts
+    };
+}
+
+// 生成插入到insertAt（第一个mdat）处的moov，moovStart为原moov的位置，32位溢出时把stco改为co64。
+// 只有 [insertAt, moovStart) 之间的数据后移新moov的大小；原moov之后的数据位置只随moov大小的变化而变化
+function relocateMoov(moovBuffer, insertAt, moovStart) {
+    const moov = iterateBoxes(moovBuffer).next().value;
+    if (!moov || moov.type !== 'moov') {
+        throw new Error('无效的moov数据');
+    }
+
+    const offsetMapper = (newMoovSize) => (offset) => {
+        if (offset < insertAt) return offset;
+        if (offset < moovStart) return offset + newMoovSize;
+        return offset - moovBuffer.length + newMoovSize;
+    };
+
+    const state = { overflow: false };
+    let patched = rewriteBox(moovBuffer, moov, offsetMapper(moovBuffer.length), false, state);
+    if (state.overflow) {
+        // co64的大小与偏移值无关，先得到转换后的大小再按该大小改写
+        const co64Size = rewriteBox(moovBuffer, moov, offset => offset, true, state).length;
+        patched = rewriteBox(moovBuffer, moov, offsetMapper(co64Size), true, state);
+    }
+    return patched;
+}
+
+// 递归改写box，mapOffset把原文件中的chunk偏移换算为虚拟文件中的偏移
+function rewriteBox(buffer, box, mapOffset, useCo64, state) {
+    if (OFFSET_CONTAINERS.has(box.type)) {
+        const children = [];
+        for (const child of iterateBoxes(buffer, box.dataStart, box.end)) {
+            children.push(rewriteBox(buffer, child, mapOffset, useCo64, state));
+        }
+        return buildBox(box.type, Buffer.concat(children));
+    }
+
+    if (box.type === 'stco' || box.type === 'co64') {
+        const versionAndFlags = buffer.subarray(box.dataStart, box.dataStart + 4);
+        const count = buffer.readUInt32BE(box.dataStart + 4);
+        const entrySize = box.type === 'co64' || useCo64 ? 8 : 4;
+        const table = Buffer.alloc(4 + count * entrySize);
+        table.writeUInt32BE(count);
+
+        for (let i = 0; i < count; i++) {
+            const offset = box.type === 'co64'
+                ? Number(buffer.readBigUInt64BE(box.dataStart + 8 + i * 8))
+                : buffer.readUInt32BE(box.dataStart + 8 + i * 4);
+            const patched = mapOffset(offset);
+
+            if (entrySize === 8) {
+                table.writeBigUInt64BE(BigInt(patched), 4 + i * 8);
+            } else if (patched > MAX_UINT32) {
+                state.overflow = true;
+            } else {
+                table.writeUInt32BE(patched, 4 + i * 4);
+            }
+        }
+
+        return buildBox(entrySize === 8 ? 'co64' : 'stco', Buffer.concat([versionAndFlags, table]));
+    }
+
+    return buffer.subarray(box.start, box.end);
+}
+
+function buildBox(type, payload) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + payload.length);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, payload]);
+}
+
+// 把虚拟文件的 [start, end] 映射为内存数据和原文件字节范围的列表
+function mapVirtualRange(layout, start, end) {
+    const pieces = [];
+    for (const part of layout.parts) {
+        if (part.end < start || part.start > end) continue;
+
+        const from = Math.max(start, part.start) - part.start;
+        const to = Math.min(end, part.end) - part.start;
+        if (part.data) {
+            pieces.push({ data: part.data.subarray(from, to + 1) });
+        } else {
+            pieces.push({ sourceStart: part.sourceStart + from, sourceEnd: part.sourceStart + to });
+        }
+    }
+    return pieces;
+}
+
+module.exports = { analyzeMp4Layout, relocateMoov, mapVirtualRange };
@@ -0,0 +1,296 @@
+/**
+ * MP4 (ISO BMFF) 解析
+ * 通过按需的范围读取定位顶层box，解析moov得到每条轨道的采样表
+ * readRange(start, end) 需返回包含 [start, end] 字节的 Promise<Buffer>
+ */
+
+// 读取box头，返回 { type, start, size, headerSize }，数据不足时返回null
+function readBoxHeader(buffer, offset, fileOffset = offset) {
+    if (offset + 8 > buffer.length) return null;
+
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+        if (offset + 16 > buffer.length) return null;
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        headerSize = 16;
+    }
+
+    return { type, start: fileOffset, size, headerSize };
+}
+
+// 遍历buffer中 [start, end) 范围内的box
+function* iterateBoxes(buffer, start = 0, end = buffer.length) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        const header = readBoxHeader(buffer, offset);
+        if (!header) break;
+
+        const size = header.size === 0 ? end - offset : header.size;
+        if (size < header.headerSize || offset + size > end) break;
+
+        yield {
+            type: header.type,
+            start: offset,
+            end: offset + size,
+            dataStart: offset + header.headerSize
+        };
+        offset += size;
+    }
+}
+
+// 查找第一个指定类型的子box
+function findChild(buffer, parent, type) {
+    for (const box of iterateBoxes(buffer, parent.dataStart, parent.end)) {
+        if (box.type === type) return box;
+    }
+    return null;
+}
+
+// 按路径查找box，如 findPath(buf, moov, ['mdia', 'minf', 'stbl'])
+function findPath(buffer, parent, types) {
+    let box = parent;
+    for (const type of types) {
+        box = findChild(buffer, box, type);
+        if (!box) return null;
+    }
+    return box;
+}
+
+// 遍历文件顶层box（每个box只读取头部）
+async function readTopLevelBoxes(readRange, fileSize) {
+    const boxes = [];
+    let offset = 0;
+
+    while (offset + 8 <= fileSize) {
+        const headerBuffer = await readRange(offset, Math.min(offset + 15, fileSize - 1));
+        const header = readBoxHeader(headerBuffer, 0, offset);
+        if (!header) break;
+
+        const size = header.size === 0 ? fileSize - offset : header.size;
+        if (size < header.headerSize) {
+            throw new Error(`MP4结构损坏: 偏移 ${offset} 处的 ${header.type} box 大小无效`);
+        }
+
+        boxes.push({ type: header.type, start: offset, size, headerSize: header.headerSize });
+        offset += size;
+    }
+
+    return boxes;
+}
+
+// 读取完整的moov box，返回 { boxes, moovBox, moovBuffer }
+async function readMovieBox(readRange, fileSize) {
+    const boxes = await readTopLevelBoxes(readRange, fileSize);
+    const moovBox = boxes.find(box => box.type === 'moov');
+    if (!moovBox) {
+        throw new Error('不是有效的MP4文件：未找到moov');
+    }
+
+    const moovBuffer = await readRange(moovBox.start, moovBox.start + moovBox.size - 1);
+    return { boxes, moovBox, moovBuffer };
+}
+
+// 读取FullBox的版本号
+function readVersion(buffer, box) {
+    return buffer.readUInt8(box.dataStart);
+}
+
+function readUInt64(buffer, offset) {
+    return Number(buffer.readBigUInt64BE(offset));
+}
+
+// 解析mvhd，返回电影时间刻度和时长
+function parseMovieHeader(buffer, mvhd) {
+    const version = readVersion(buffer, mvhd);
+    const base = mvhd.dataStart + 4 + (version === 1 ? 16 : 8);
+    const timescale = buffer.readUInt32BE(base);
+    const duration = version === 1 ? readUInt64(buffer, base + 4) : buffer.readUInt32BE(base + 4);
+    return { timescale, duration };
+}
+
+// 解析mdhd中的时间刻度、时长和语言
+function parseMediaHeader(buffer, mdhd) {
+    const version = readVersion(buffer, mdhd);
+    const base = mdhd.dataStart + 4 + (version === 1 ? 16 : 8);
+    const timescale = buffer.readUInt32BE(base);
+    const duration = version === 1 ? readUInt64(buffer, base + 4) : buffer.readUInt32BE(base + 4);
+    const packedLanguage = buffer.readUInt16BE(base + (version === 1 ? 12 : 8));
+    const language = String.fromCharCode(
+        ((packedLanguage >> 10) & 0x1f) + 0x60,
+        ((packedLanguage >> 5) & 0x1f) + 0x60,
+        (packedLanguage & 0x1f) + 0x60
+    );
+    return { timescale, duration, language };
+}
+
+// 解析tkhd中的轨道ID和画面尺寸
+function parseTrackHeader(buffer, tkhd) {
+    const version = readVersion(buffer, tkhd);
+    const trackId = buffer.readUInt32BE(tkhd.dataStart + 4 + (version === 1 ? 16 : 8));
+    return {
+        trackId,
+        width: buffer.readUInt32BE(tkhd.end - 8) / 65536,
+        height: buffer.readUInt32BE(tkhd.end - 4) / 65536
+    };
+}
+
+// 读取FullBox中 entry_count 之后的条目表
+function readTable(buffer, box, fieldCount, fieldSize = 4) {
+    const countOffset = box.dataStart + 4;
+    const count = buffer.readUInt32BE(countOffset);
+    const entries = [];
+    let offset = countOffset + 4;
+
+    for (let i = 0; i < count; i++) {
+        const entry = [];
+        for (let f = 0; f < fieldCount; f++) {
+            entry.push(fieldSize === 8 ? readUInt64(buffer, offset) : buffer.readUInt32BE(offset));
+            offset += fieldSize;
+        }
+        entries.push(entry);
+    }
+    return entries;
+}
+
+// 解析采样表，展开为每个采样的偏移、大小、解码时间、显示时间偏移和是否关键帧
+function parseSampleTable(buffer, stbl) {
+    const stsz = findChild(buffer, stbl, 'stsz');
+    if (!stsz) {
+        throw new Error(findChild(buffer, stbl, 'stz2') ? '暂不支持stz2采样表' : '缺少stsz采样表');
+    }
+
+    // 采样大小
+    const defaultSize = buffer.readUInt32BE(stsz.dataStart + 4);
+    const sampleCount = buffer.readUInt32BE(stsz.dataStart + 8);
+    const sizes = new Uint32Array(sampleCount);
+    for (let i = 0; i < sampleCount; i++) {
+        sizes[i] = defaultSize || buffer.readUInt32BE(stsz.dataStart + 12 + i * 4);
+    }
+
+    // 解码时间与时长
+    const dts = new Float64Array(sampleCount);
+    const durations = new Uint32Array(sampleCount);
+    let sampleIndex = 0;
+    let time = 0;
+    for (const [count, delta] of readTable(buffer, findChild(buffer, stbl, 'stts'), 2)) {
+        for (let i = 0; i < count && sampleIndex < sampleCount; i++, sampleIndex++) {
+            dts[sampleIndex] = time;
+            durations[sampleIndex] = delta;
+            time += delta;
+        }
+    }
+
+    // 显示时间偏移（B帧）
+    const compositionOffsets = new Int32Array(sampleCount);
+    const ctts = findChild(buffer, stbl, 'ctts');
+    if (ctts) {
+        sampleIndex = 0;
+        for (const [count, offset] of readTable(buffer, ctts, 2)) {
+            for (let i = 0; i < count && sampleIndex < sampleCount; i++, sampleIndex++) {
+                compositionOffsets[sampleIndex] = offset | 0; // version 1 为有符号数
+            }
+        }
+    }
+
+    // 关键帧（没有stss表示全部为关键帧）
+    const syncSamples = new Uint8Array(sampleCount);
+    const stss = findChild(buffer, stbl, 'stss');
+    if (stss) {
+        for (const [sampleNumber] of readTable(buffer, stss, 1)) {
+            if (sampleNumber >= 1 && sampleNumber <= sampleCount) {
+                syncSamples[sampleNumber - 1] = 1;
+            }
+        }
+    } else {
+        syncSamples.fill(1);
+    }
+
+    // 采样在文件中的偏移：chunk偏移 + chunk内前序采样大小
+    const stco = findChild(buffer, stbl, 'stco');
+    const co64 = findChild(buffer, stbl, 'co64');
+    const chunkOffsets = stco
+        ? readTable(buffer, stco, 1).map(entry => entry[0])
+        : readTable(buffer, co64, 1, 8).map(entry => entry[0]);
+    const sampleToChunk = readTable(buffer, findChild(buffer, stbl, 'stsc'), 3);
+
+    const offsets = new Float64Array(sampleCount);
+    sampleIndex = 0;
+    for (let i = 0; i < sampleToChunk.length; i++) {
+        const [firstChunk, samplesPerChunk] = sampleToChunk[i];
+        const lastChunk = i + 1 < sampleToChunk.length ? sampleToChunk[i + 1][0] - 1 : chunkOffsets.length;
+
+        for (let chunk = firstChunk; chunk <= lastChunk; chunk++) {
+            let offset = chunkOffsets[chunk - 1];
+            for (let s = 0; s < samplesPerChunk && sampleIndex < sampleCount; s++, sampleIndex++) {
+                offsets[sampleIndex] = offset;
+                offset += sizes[sampleIndex];
+            }
+        }
+    }
+
+    return { sampleCount, sizes, offsets, dts, durations, compositionOffsets, syncSamples, duration: time };
+}
+
+// 解析moov，返回电影信息和轨道列表
+function parseMovie(moovBuffer) {
+    const moov = { type: 'moov', start: 0, end: moovBuffer.length, dataStart: 8 };
+    const header = readBoxHeader(moovBuffer, 0);
+    if (!header || header.type !== 'moov') {
+        throw new Error('无效的moov数据');
+    }
+    moov.dataStart = header.headerSize;
+
+    const mvhd = findChild(moovBuffer, moov, 'mvhd');
+    const movie = {
+        ...parseMovieHeader(moovBuffer, mvhd),
+        mvhd,
+        tracks: []
+    };
+
+    for (const trak of iterateBoxes(moovBuffer, moov.dataStart, moov.end)) {
+        if (trak.type !== 'trak') continue;
+
+        const tkhd = findChild(moovBuffer, trak, 'tkhd');
+        const mdia = findChild(moovBuffer, trak, 'mdia');
+        const mdhd = mdia && findChild(moovBuffer, mdia, 'mdhd');
+        const hdlr = mdia && findChild(moovBuffer, mdia, 'hdlr');
+        const minf = mdia && findChild(moovBuffer, mdia, 'minf');
+        const stbl = minf && findChild(moovBuffer, minf, 'stbl');
+        if (!tkhd || !mdhd || !hdlr || !stbl) continue;
+
+        const stsd = findChild(moovBuffer, stbl, 'stsd');
+        // stsd 的第一个采样描述，类型即编码格式 (avc1/hvc1/mp4a...)
+        const sampleEntry = stsd ? iterateBoxes(moovBuffer, stsd.dataStart + 8, stsd.end).next().value : null;
+
+        movie.tracks.push({
+            ...parseTrackHeader(moovBuffer, tkhd),
+            ...parseMediaHeader(moovBuffer, mdhd),
+            handlerType: moovBuffer.toString('latin1', hdlr.dataStart + 8, hdlr.dataStart + 12),
+            codec: sampleEntry ? sampleEntry.type : null,
+            boxes: {
+                trak, tkhd, mdia, mdhd, hdlr, minf, stbl, stsd,
+                edts: findChild(moovBuffer, trak, 'edts'),
+                mediaHeader: findChild(moovBuffer, minf, 'vmhd') || findChild(moovBuffer, minf, 'smhd') ||
+                    findChild(moovBuffer, minf, 'sthd') || findChild(moovBuffer, minf, 'nmhd'),
+                dinf: findChild(moovBuffer, minf, 'dinf')
+            },
+            samples: parseSampleTable(moovBuffer, stbl)
+        });
+    }
+
+    movie.buffer = moovBuffer;
+    return movie;
+}
+
+module.exports = {
+    readBoxHeader,
+    iterateBoxes,
+    findChild,
+    findPath,
+    readTopLevelBoxes,
+    readMovieBox,
+    parseMovie
+};
@@ -0,0 +1,283 @@
+/**
+ * 多连接分段下载
+ * 123pan等网盘的CDN限制单个连接的速度，大范围拆成多个子范围并发请求，按顺序边收边输出：
+ * 当前输出位置所在的分段直接转发，后面的分段先缓存在内存中（最多maxConnections段）。
+ * 服务器返回429/503时按主机减少并发数并等待（Retry-After或指数退避），之后逐步恢复。
+ * 分段中断或地址失效后可由调用方提供的reopen重新请求（例如重新获取过期的重定向地址）
+ */
+
+const DEFAULT_PART_SIZE = 2 * 1024 * 1024;
+const DEFAULT_CONNECTIONS = 4;
+// 连接中断等错误时每段的默认重试次数和首次重试前的等待时间，被限流时的最多等待次数
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 500;
+const MAX_THROTTLE_WAITS = 6;
+// 限流退避时长：1秒起每次加倍，最长30秒
+const BASE_BACKOFF = 1000;
+const MAX_BACKOFF = 30 * 1000;
+// 连续成功这么多段后并发数加1
+const RECOVER_AFTER = 4;
+
+class ParallelFetcher {
+    constructor(options = {}) {
+        // requestRange(url, start, end) 返回上游响应的Promise
+        this.requestRange = options.requestRange;
+        this.partSize = options.partSize || DEFAULT_PART_SIZE;
+        this.maxConnections = options.maxConnections || DEFAULT_CONNECTIONS;
+        // 小于该大小的范围用单个连接
+        this.minSize = options.minSize || this.partSize * 2;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : DEFAULT_RETRIES;
+        this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : DEFAULT_RETRY_DELAY;
+
+        // 按主机的并发控制: host -> { limit, successes, backoffs, blockedUntil }
+        this.hosts = new Map();
+        this.stats = {
+            downloads: 0,
+            parts: 0,
+            retries: 0,
+            throttled: 0,
+            bytes: 0
+        };
+    }
+
+    shouldSplit(start, end) {
+        return this.maxConnections > 1 && end - start + 1 >= this.minSize;
+    }
+
+    getHost(targetUrl) {
+        const host = new URL(targetUrl).host;
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, { limit: this.maxConnections, successes: 0, backoffs: 0, blockedUntil: 0 });
+        }
+        return this.hosts.get(host);
+    }
+
+    // 下载 [start, end]，按顺序交给 output.write(chunk)；write返回false时等待 output.waitDrain()，
+    // output.isClosed() 为true（客户端断开）时停止所有连接。
+    // 可选的 output.reopen(start, end) 返回206响应的Promise，分段中断或返回异常状态后用它代替requestRange重新请求
+    fetch(targetUrl, start, end, output) {
+        const host = this.getHost(targetUrl);
+        const parts = [];
+        for (let position = start; position <= end; position += this.partSize) {
+            parts.push({
+                start: position,
+                end: Math.min(position + this.partSize - 1, end),
+                received: 0,
+                chunks: [],
+                done: false,
+                response: null
+            });
+        }
+        this.stats.downloads++;
+
+        return new Promise((resolve, reject) => {
+            let next = 0; // 正在输出的分段
+            let launched = 0;
+            let active = 0;
+            let finished = false;
+
+            const stop = error => {
+                if (finished) return;
+                finished = true;
+                parts.forEach(part => part.response && part.response.destroy());
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+            const cancelled = () => finished || output.isClosed();
+
+            // 写出数据，输出缓冲区满时暂停当前分段的连接，缓冲区清空后恢复
+            const paused = new Set();
+            let draining = false;
+            const write = (part, chunk) => {
+                if (output.write(chunk) || !part.response) return;
+
+                part.response.pause();
+                paused.add(part.response);
+                if (draining) return;
+                draining = true;
+                output.waitDrain().then(() => {
+                    draining = false;
+                    paused.forEach(response => response.resume());
+                    paused.clear();
+                });
+            };
+
+            // 依次输出已缓存的数据，当前分段完成后移到下一段
+            const flush = () => {
+                if (finished) return;
+                while (next < parts.length) {
+                    const part = parts[next];
+                    while (part.chunks.length > 0) {
+                        write(part, part.chunks.shift());
+                    }
+                    if (!part.done) break;
+                    next++;
+                }
+                if (next === parts.length) {
+                    stop();
+                } else {
+                    schedule();
+                }
+            };
+
+            const onChunk = (part, chunk) => {
+                if (cancelled()) {
+                    stop();
+                    return;
+                }
+                this.stats.bytes += chunk.length;
+                if (part === parts[next] && part.chunks.length === 0) {
+                    write(part, chunk);
+                } else {
+                    part.chunks.push(chunk);
+                }
+            };
+
+            // 在并发数和内存窗口允许时启动后续分段
+            const schedule = () => {
+                if (cancelled()) {
+                    stop();
+                    return;
+                }
+                while (launched < parts.length && active < host.limit && launched < next + this.maxConnections) {
+                    const part = parts[launched++];
+                    active++;
+                    this.downloadPart(targetUrl, part, host, onChunk, cancelled, output.reopen)
+                        .then(() => {
+                            active--;
+                            part.done = true;
+                            this.stats.parts++;
+                            flush();
+                        })
+                        .catch(stop);
+                }
+            };
+
+            schedule();
+        });
+    }
+
+    // 下载一个分段：连接中断时从已收到的位置重试，被限流时等待后重试
+    async downloadPart(targetUrl, part, host, onChunk, cancelled, reopen) {
+        let retries = 0;
+        let throttleWaits = 0;
+        let lastError = null;
+        // 出错后改用reopen重新请求
+        let resume = false;
+
+        for (;;) {
+            const wait = host.blockedUntil - Date.now();
+            if (wait > 0) {
+                await delay(wait);
+            }
+            if (cancelled()) return;
+
+            const from = part.start + part.received;
+            let response;
+            try {
+                response = resume && reopen
+                    ? await reopen(from, part.end)
+                    : await this.requestRange(targetUrl, from, part.end);
+            } catch (error) {
+                if (cancelled()) return;
+                if (error.status === 429 || error.status === 503) {
+                    if (++throttleWaits > MAX_THROTTLE_WAITS) throw error;
+                    this.throttle(host, error.retryAfter);
+                    continue;
+                }
+                if (++retries > this.maxRetries) throw error;
+                this.stats.retries++;
+                resume = true;
+                await delay(this.retryDelay * retries);
+                continue;
+            }
+            if (response.statusCode === 429 || response.statusCode === 503) {
+                response.resume();
+                if (++throttleWaits > MAX_THROTTLE_WAITS) {
+                    throw new Error(`服务器持续限流: ${response.statusCode}`);
+                }
+                this.throttle(host, response.headers['retry-after']);
+                continue;
+            }
+            if (response.statusCode !== 206) {
+                response.resume();
+                const error = new Error(`分段请求失败: ${response.statusCode}`);
+                // 地址可能已失效（如签名过期），由reopen重新获取后立即重试
+                if (!reopen || resume || ++retries > this.maxRetries) throw error;
+                this.stats.retries++;
+                resume = true;
+                continue;
+            }
+
+            part.response = response;
+            try {
+                await new Promise((resolve, reject) => {
+                    response.on('data', chunk => {
+                        part.received += chunk.length;
+                        onChunk(part, chunk);
+                    });
+                    response.on('end', resolve);
+                    response.on('error', reject);
+                    // 连接被关闭但没有正常结束
+                    response.on('close', () => reject(new Error('连接中断')));
+                });
+            } catch (error) {
+                if (cancelled()) return;
+                lastError = error;
+            } finally {
+                part.response = null;
+            }
+
+            if (part.received >= part.end - part.start + 1) {
+                this.recover(host);
+                return;
+            }
+            // 连接中断或数据不完整，从已收到的位置继续
+            if (++retries > this.maxRetries) {
+                throw lastError || new Error('分段数据不完整');
+            }
+            this.stats.retries++;
+            resume = true;
+            await delay(this.retryDelay * retries);
+        }
+    }
+
+    // 被限流：并发数减半，所有连接等待Retry-After或退避时长
+    throttle(host, retryAfter) {
+        this.stats.throttled++;
+        host.limit = Math.max(1, Math.floor(host.limit / 2));
+        host.successes = 0;
+
+        const seconds = parseInt(retryAfter, 10);
+        const backoff = seconds > 0 ? seconds * 1000 : BASE_BACKOFF * 2 ** host.backoffs;
+        host.backoffs++;
+        host.blockedUntil = Math.max(host.blockedUntil, Date.now() + Math.min(backoff, MAX_BACKOFF));
+    }
+
+    // 分段成功：重置退避，连续成功后逐步恢复并发数
+    recover(host) {
+        host.backoffs = 0;
+        if (host.limit < this.maxConnections && ++host.successes >= RECOVER_AFTER) {
+            host.limit++;
+            host.successes = 0;
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            partSize: this.partSize,
+            maxConnections: this.maxConnections,
+            hosts: Object.fromEntries([...this.hosts].map(([host, entry]) => [host, entry.limit]))
+        };
+    }
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { ParallelFetcher };
@@ -0,0 +1,133 @@
+/**
+ * 播放进度记录
+ * 使用IndexedDB按 服务器地址 + 路径 + ETag/文件大小 保存每个视频的播放位置和是否看完
+ */
+class PlaybackHistory {
+    constructor() {
+        this.dbName = 'webdav-video-player';
+        this.storeName = 'playback';
+        this.dbPromise = null;
+        // IndexedDB不可用（如隐私模式）时退化为内存记录，只在本次会话有效
+        this.memoryStore = null;
+    }
+
+    /**
+     * 打开数据库
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('浏览器不支持IndexedDB'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                store.createIndex('updatedAt', 'updatedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            logger.warn('IndexedDB不可用，播放进度只保存在内存中', { error: error.message });
+            this.memoryStore = new Map();
+            return null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * 记录键：同一路径的文件被替换（ETag或大小变化）后不再沿用旧进度
+     */
+    getKey(videoFile) {
+        const version = videoFile.etag || (videoFile.size ? String(videoFile.size) : '');
+        return `${webdavClient.config.serverUrl}|${videoFile.path}|${version}`;
+    }
+
+    /**
+     * 在对象仓库上执行一个请求
+     */
+    async runRequest(mode, createRequest) {
+        const db = await this.openDatabase();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = createRequest(transaction.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 获取单个视频的播放记录
+     */
+    async get(videoFile) {
+        const key = this.getKey(videoFile);
+        try {
+            const record = await this.runRequest('readonly', store => store.get(key));
+            return this.memoryStore ? this.memoryStore.get(key) || null : record || null;
+        } catch (error) {
+            logger.error('读取播放进度失败', { error: error.message, path: videoFile.path });
+            return null;
+        }
+    }
+
+    /**
+     * 批量获取播放记录，返回 path -> 记录 的Map
+     */
+    async getMany(videoFiles) {
+        const records = new Map();
+        await Promise.all(videoFiles.map(async videoFile => {
+            const record = await this.get(videoFile);
+            if (record) records.set(videoFile.path, record);
+        }));
+        return records;
+    }
+
+    /**
+     * 保存播放记录
+     */
+    async put(videoFile, changes) {
+        const existing = await this.get(videoFile);
+        const record = {
+            position: 0,
+            duration: 0,
+            watched: false,
+            ...existing,
+            ...changes,
+            key: this.getKey(videoFile),
+            serverUrl: webdavClient.config.serverUrl,
+            path: videoFile.path,
+            updatedAt: Date.now()
+        };
+
+        try {
+            await this.runRequest('readwrite', store => store.put(record));
+            if (this.memoryStore) this.memoryStore.set(record.key, record);
+        } catch (error) {
+            logger.error('保存播放进度失败', { error: error.message, path: videoFile.path });
+        }
+        return record;
+    }
+
+    /**
+     * 保存播放位置
+     */
+    async savePosition(videoFile, position, duration) {
+        return this.put(videoFile, { position, duration });
+    }
+
+    /**
+     * 标记为已看完（下次从头播放）
+     */
+    async markWatched(videoFile, duration) {
+        return this.put(videoFile, { position: 0, duration, watched: true });
+    }
+}
+
+// 创建全局播放进度记录实例
+window.playbackHistory = new PlaybackHistory();
@@ -0,0 +1,242 @@
+/**
+ * 播放列表管理类
+ * 维护播放队列、随机播放和循环模式，队列变化时触发 playlist-change 事件
+ */
+class Playlist {
+    constructor() {
+        this.items = [];
+        this.currentIndex = -1;
+        this.shuffle = false;
+        this.repeatMode = 'none'; // none | one | all
+        // 自然排序：第2集在第1集之后，E10在E9之后
+        this.collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+        this.restoreSettings();
+        logger.debug('播放列表已初始化', { shuffle: this.shuffle, repeatMode: this.repeatMode });
+    }
+
+    /**
+     * 按文件名自然排序
+     */
+    sortNaturally(videoFiles) {
+        return [...videoFiles].sort((a, b) => this.collator.compare(a.name, b.name));
+    }
+
+    /**
+     * 设置播放队列，从startIndex开始播放
+     */
+    setQueue(videoFiles, startIndex = 0) {
+        this.items = [...videoFiles];
+        this.currentIndex = this.items.length > 0 ? startIndex : -1;
+        if (this.shuffle) {
+            this.shuffleUpcoming();
+        }
+
+        logger.info('播放列表已更新', {
+            count: this.items.length,
+            current: this.getCurrent()?.name
+        });
+        this.notifyChange();
+        return this.getCurrent();
+    }
+
+    /**
+     * 获取当前视频
+     */
+    getCurrent() {
+        return this.items[this.currentIndex] || null;
+    }
+
+    /**
+     * 切换到下一个视频，列表结束且未循环时返回null
+     */
+    next() {
+        if (this.items.length === 0) return null;
+
+        if (this.currentIndex + 1 < this.items.length) {
+            this.currentIndex++;
+        } else if (this.repeatMode === 'all') {
+            this.currentIndex = 0;
+            if (this.shuffle) {
+                this.shuffleUpcoming();
+            }
+        } else {
+            return null;
+        }
+
+        this.notifyChange();
+        return this.getCurrent();
+    }
+
+    /**
+     * 切换到上一个视频
+     */
+    previous() {
+        if (this.items.length === 0) return null;
+
+        if (this.currentIndex > 0) {
+            this.currentIndex--;
+        } else if (this.repeatMode === 'all') {
+            this.currentIndex = this.items.length - 1;
+        } else {
+            return null;
+        }
+
+        this.notifyChange();
+        return this.getCurrent();
+    }
+
+    /**
+     * 跳转到队列中的指定视频
+     */
+    playAt(index) {
+        if (index < 0 || index >= this.items.length) return null;
+
+        this.currentIndex = index;
+        this.notifyChange();
+        return this.getCurrent();
+    }
+
+    /**
+     * 加入队列末尾（已在队列中的视频不重复加入）
+     */
+    add(videoFile) {
+        if (this.items.some(item => item.path === videoFile.path)) {
+            logger.debug('视频已在播放列表中', { name: videoFile.name });
+            return false;
+        }
+
+        this.items.push(videoFile);
+        logger.info('已加入播放列表', { name: videoFile.name });
+        this.notifyChange();
+        return true;
+    }
+
+    /**
+     * 从队列中移除（正在播放的视频不能移除）
+     */
+    remove(index) {
+        if (index < 0 || index >= this.items.length || index === this.currentIndex) return;
+
+        const [removed] = this.items.splice(index, 1);
+        if (index < this.currentIndex) {
+            this.currentIndex--;
+        }
+
+        logger.info('已从播放列表移除', { name: removed.name });
+        this.notifyChange();
+    }
+
+    /**
+     * 调整队列顺序
+     */
+    move(fromIndex, toIndex) {
+        if (fromIndex < 0 || fromIndex >= this.items.length ||
+            toIndex < 0 || toIndex >= this.items.length || fromIndex === toIndex) {
+            return;
+        }
+
+        const current = this.getCurrent();
+        const [item] = this.items.splice(fromIndex, 1);
+        this.items.splice(toIndex, 0, item);
+        this.currentIndex = this.items.indexOf(current);
+        this.notifyChange();
+    }
+
+    /**
+     * 清空队列
+     */
+    clear() {
+        this.items = [];
+        this.currentIndex = -1;
+        logger.info('播放列表已清空');
+        this.notifyChange();
+    }
+
+    /**
+     * 切换随机播放：打乱当前视频之后的顺序，关闭时恢复自然顺序
+     */
+    setShuffle(enabled) {
+        this.shuffle = enabled;
+        if (enabled) {
+            this.shuffleUpcoming();
+        } else {
+            const upcoming = this.sortNaturally(this.items.slice(this.currentIndex + 1));
+            this.items = [...this.items.slice(0, this.currentIndex + 1), ...upcoming];
+        }
+
+        logger.info('随机播放' + (enabled ? '已开启' : '已关闭'));
+        this.saveSettings();
+        this.notifyChange();
+    }
+
+    /**
+     * 设置循环模式
+     */
+    setRepeatMode(mode) {
+        if (!['none', 'one', 'all'].includes(mode)) {
+            throw new Error(`无效的循环模式: ${mode}`);
+        }
+
+        this.repeatMode = mode;
+        logger.info('循环模式已切换', { repeatMode: mode });
+        this.saveSettings();
+        this.notifyChange();
+    }
+
+    /**
+     * 打乱当前视频之后的队列 (Fisher-Yates)
+     */
+    shuffleUpcoming() {
+        for (let i = this.items.length - 1; i > this.currentIndex + 1; i--) {
+            const j = this.currentIndex + 1 + Math.floor(Math.random() * (i - this.currentIndex));
+            [this.items[i], this.items[j]] = [this.items[j], this.items[i]];
+        }
+    }
+
+    /**
+     * 通知界面刷新播放列表
+     */
+    notifyChange() {
+        window.dispatchEvent(new CustomEvent('playlist-change', {
+            detail: {
+                items: this.items,
+                currentIndex: this.currentIndex,
+                shuffle: this.shuffle,
+                repeatMode: this.repeatMode
+            }
+        }));
+    }
+
+    /**
+     * 保存随机和循环设置到localStorage
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem('webdav_playlist', JSON.stringify({
+                shuffle: this.shuffle,
+                repeatMode: this.repeatMode
+            }));
+        } catch (error) {
+            logger.error('保存播放列表设置失败', { error: error.message });
+        }
+    }
+
+    /**
+     * 恢复随机和循环设置
+     */
+    restoreSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('webdav_playlist') || '{}');
+            this.shuffle = !!saved.shuffle;
+            if (['none', 'one', 'all'].includes(saved.repeatMode)) {
+                this.repeatMode = saved.repeatMode;
+            }
+        } catch (error) {
+            logger.error('恢复播放列表设置失败', { error: error.message });
+        }
+    }
+}
+
+// 创建全局播放列表实例
+window.playlist = new Playlist();
@@ -0,0 +1,139 @@
+/**
+ * 代理本地会话认证
+ * 上游WebDAV凭据只保存在代理服务器上，浏览器使用代理本地账号登录后获得会话令牌
+ */
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'wvp_session';
+const SESSION_QUERY_PARAM = 'session';
+
+class SessionAuth {
+    constructor(authConfig = {}) {
+        this.users = new Map((authConfig.users || []).map(user => [user.username, user.password]));
+        this.enabled = this.users.size > 0;
+        this.sessionTtl = (authConfig.sessionTtl || 12 * 60 * 60) * 1000;
+        this.sessions = new Map();
+    }
+
+    // 校验本地用户并创建会话，失败返回null
+    login(username, password) {
+        const expected = this.users.get(username);
+        if (expected === undefined || !safeEqual(String(password || ''), expected)) {
+            return null;
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+        const session = {
+            token,
+            username,
+            createdAt: Date.now(),
+            expiresAt: Date.now() + this.sessionTtl
+        };
+        this.sessions.set(token, session);
+        return session;
+    }
+
+    // 注销会话
+    logout(token) {
+        return this.sessions.delete(token);
+    }
+
+    // 从请求中提取会话令牌：Bearer头 > 查询参数 > Cookie
+    extractToken(req) {
+        const authorization = req.headers['authorization'] || '';
+        if (authorization.startsWith('Bearer ')) {
+            return authorization.substring(7).trim();
+        }
+
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        if (query.has(SESSION_QUERY_PARAM)) {
+            return query.get(SESSION_QUERY_PARAM);
+        }
+
+        const cookies = parseCookies(req.headers['cookie']);
+        return cookies[SESSION_COOKIE] || null;
+    }
+
+    // 获取请求对应的有效会话，无效返回null（有效会话会滑动续期）
+    getSession(req) {
+        const token = this.extractToken(req);
+        if (!token) return null;
+
+        const session = this.sessions.get(token);
+        if (!session) return null;
+
+        if (Date.now() > session.expiresAt) {
+            this.sessions.delete(token);
+            return null;
+        }
+
+        session.expiresAt = Date.now() + this.sessionTtl;
+        return session;
+    }
+
+    // 清理过期会话
+    cleanup() {
+        const now = Date.now();
+        for (const [token, session] of this.sessions.entries()) {
+            if (now > session.expiresAt) {
+                this.sessions.delete(token);
+            }
+        }
+    }
+
+    // 生成会话Cookie
+    buildCookie(session) {
+        const maxAge = Math.floor(this.sessionTtl / 1000);
+        return `${SESSION_COOKIE}=${session.token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}`;
+    }
+
+    // 生成清除会话的Cookie
+    buildClearCookie() {
+        return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+    }
+}
+
+// 常量时间比较，避免通过响应时间猜测密码
+function safeEqual(actual, expected) {
+    const a = crypto.createHash('sha256').update(actual).digest();
+    const b = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+// 解析Cookie头（无法解码的值保留原样）
+function parseCookies(cookieHeader) {
+    const cookies = {};
+    if (!cookieHeader) return cookies;
+
+    cookieHeader.split(';').forEach(part => {
+        const eqIndex = part.indexOf('=');
+        if (eqIndex > 0) {
+            const name = part.substring(0, eqIndex).trim();
+            const value = part.substring(eqIndex + 1).trim();
+            try {
+                cookies[name] = decodeURIComponent(value);
+            } catch (error) {
+                cookies[name] = value;
+            }
+        }
+    });
+    return cookies;
+}
+
+// 从查询字符串中移除会话参数，避免转发给上游
+function stripSessionParam(search) {
+    if (!search) return '';
+    const params = new URLSearchParams(search);
+    if (!params.has(SESSION_QUERY_PARAM)) return search;
+
+    params.delete(SESSION_QUERY_PARAM);
+    const rest = params.toString();
+    return rest ? `?${rest}` : '';
+}
+
+module.exports = {
+    SessionAuth,
+    SESSION_QUERY_PARAM,
+    stripSessionParam
+};
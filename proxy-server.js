@@ -7,21 +7,26 @@
 const http = require('http');
 const https = require('https');
 const url = require('url');
-
-const PROXY_PORT = 8090;
-const TARGET_HOST = 'webdav-1839857505.pd1.123pan.cn';
-const TARGET_PATH = '/webdav';
+const {
+    loadProxyConfig,
+    validateProxyConfig,
+    getUpstreamHostHeader,
+    getUpstreamBaseUrl
+} = require('./proxy-config');
 
 // CORS头配置
 const CORS_HEADERS = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS, PROPFIND, PROPPATCH, MKCOL, COPY, MOVE',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS, PROPFIND, PROPPATCH, MKCOL, COPY, MOVE, LOCK, UNLOCK',
     'Access-Control-Allow-Headers': 'Authorization, Content-Type, Depth, Destination, If, Lock-Token, Overwrite, Timeout, X-Requested-With',
     'Access-Control-Expose-Headers': 'Content-Length, Content-Type, Date, Last-Modified, ETag',
     'Access-Control-Allow-Credentials': 'true'
 };
 
-function createProxyServer() {
+function createProxyServer(config = loadProxyConfig()) {
+    const upstreamBaseUrl = getUpstreamBaseUrl(config.upstream);
+    const upstreamModule = config.upstream.scheme === 'https' ? https : http;
+
     const server = http.createServer((req, res) => {
         // 解析请求URL
         const parsedUrl = url.parse(req.url, true);
@@ -36,7 +41,7 @@ function createProxyServer() {
         }
 
         // 构建目标URL
-        const targetUrl = `https://${TARGET_HOST}${TARGET_PATH}${parsedUrl.pathname}${parsedUrl.search || ''}`;
+        const targetUrl = `${upstreamBaseUrl}${parsedUrl.pathname}${parsedUrl.search || ''}`;
         
         console.log(`代理到: ${targetUrl}`);
 
@@ -45,7 +50,7 @@ function createProxyServer() {
             method: req.method,
             headers: {
                 ...req.headers,
-                host: TARGET_HOST
+                host: getUpstreamHostHeader(config.upstream)
             }
         };
 
@@ -54,7 +59,7 @@ function createProxyServer() {
         delete options.headers['referer'];
 
         // 创建到目标服务器的请求
-        const proxyReq = https.request(targetUrl, options, (proxyRes) => {
+        const proxyReq = upstreamModule.request(targetUrl, options, (proxyRes) => {
             console.log(`响应状态: ${proxyRes.statusCode}`);
             
             // 设置CORS头
@@ -100,18 +105,24 @@ function createProxyServer() {
 }
 
 // 启动服务器
-function startServer() {
-    const server = createProxyServer();
+function startServer(config = loadProxyConfig()) {
+    // 启动前校验配置
+    const configErrors = validateProxyConfig(config);
+    if (configErrors.length > 0) {
+        throw new Error(`代理配置无效:\n  - ${configErrors.join('\n  - ')}`);
+    }
+
+    const server = createProxyServer(config);
     
-    server.listen(PROXY_PORT, () => {
+    server.listen(config.port, () => {
         console.log('🚀 WebDAV代理服务器已启动');
-        console.log(`📍 监听端口: ${PROXY_PORT}`);
-        console.log(`🎯 目标服务器: https://${TARGET_HOST}${TARGET_PATH}`);
-        console.log(`🌐 本地访问地址: http://localhost:${PROXY_PORT}`);
+        console.log(`📍 监听端口: ${config.port}`);
+        console.log(`🎯 目标服务器: ${getUpstreamBaseUrl(config.upstream)}`);
+        console.log(`🌐 本地访问地址: http://localhost:${config.port}`);
         console.log('');
         console.log('📋 使用说明:');
         console.log('1. 在WebDAV应用中使用以下配置:');
-        console.log(`   服务器地址: http://localhost:${PROXY_PORT}`);
+        console.log(`   服务器地址: http://localhost:${config.port}`);
         console.log('   用户名: 18867123055');
         console.log('   密码: 1x1v8bj1000dbj9o9s1ay9setkp4d8zg');
         console.log('   基础路径: /小鲸鱼');
@@ -142,7 +153,12 @@ function startServer() {
 
 // 如果直接运行此脚本
 if (require.main === module) {
-    startServer();
+    try {
+        startServer();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
 }
 
 module.exports = { createProxyServer, startServer };
\ No newline at end of file
@@ -0,0 +1,152 @@
+/**
+ * 自适应Range扩展
+ * 播放器的小范围请求扩展为约N秒播放量的上游请求（按视频码率 = 文件大小 ÷ 时长），
+ * 再按该客户端测得的传输速度限制单次请求的耗时；码率未知时按固定大小扩展。
+ * 最近的扩展决策保留在统计中，用于调整参数
+ */
+
+// 码率未知时的扩展大小
+const DEFAULT_EXPANSION = 10 * 1024 * 1024;
+// 扩展大小的上下限
+const MIN_EXPANSION = 2 * 1024 * 1024;
+const MAX_EXPANSION = 64 * 1024 * 1024;
+// 不小于该大小的请求不扩展
+const LARGE_REQUEST = 20 * 1024 * 1024;
+// 按测得的速度，扩展后的请求最多传输这么多秒（但至少保留MIN_READAHEAD秒的播放量）
+const MAX_FETCH_SECONDS = 8;
+const MIN_READAHEAD = 5;
+// 速度按指数加权平均，新样本的权重
+const THROUGHPUT_WEIGHT = 0.3;
+// 传输量太小的请求主要是延迟，不计入速度
+const MIN_SAMPLE_BYTES = 256 * 1024;
+// 客户端速度和文件码率在该时长内未使用时清理
+const ENTRY_TTL = 30 * 60 * 1000;
+const MAX_DECISIONS = 50;
+
+class RangePlanner {
+    constructor(options = {}) {
+        this.readaheadSeconds = options.readaheadSeconds || 30;
+
+        // 客户端速度: clientId -> { throughput (字节/秒), samples, lastSeen }
+        this.clients = new Map();
+        // 文件码率: targetUrl -> { bitrate (字节/秒), lastSeen }
+        this.files = new Map();
+        // 最近的扩展决策（新的在前）
+        this.decisions = [];
+        this.stats = {
+            planned: 0,
+            expanded: 0,
+            unchanged: 0,
+            byBitrate: 0,
+            throughputLimited: 0,
+            bytesRequested: 0,
+            bytesPlanned: 0
+        };
+    }
+
+    // 记录一次经上游的传输（duration为毫秒），更新客户端速度
+    recordTransfer(clientId, bytes, duration) {
+        if (bytes < MIN_SAMPLE_BYTES || duration <= 0) return;
+
+        const sample = bytes / duration * 1000;
+        const client = this.clients.get(clientId);
+        if (client) {
+            client.throughput = client.throughput * (1 - THROUGHPUT_WEIGHT) + sample * THROUGHPUT_WEIGHT;
+            client.samples++;
+            client.lastSeen = Date.now();
+        } else {
+            this.clients.set(clientId, { throughput: sample, samples: 1, lastSeen: Date.now() });
+        }
+    }
+
+    // 记录视频码率（比特/秒，来自媒体信息探测）
+    setBitrate(targetUrl, bitrate) {
+        if (!(bitrate > 0)) return;
+        this.files.set(targetUrl, { bitrate: bitrate / 8, lastSeen: Date.now() });
+    }
+
+    hasBitrate(targetUrl) {
+        return this.files.has(targetUrl);
+    }
+
+    // 规划单个Range的上游请求，扩展时返回 { start, end, originalEnd, optimized: true }
+    plan(range, totalSize, { clientId, targetUrl }) {
+        const requestSize = range.end - range.start + 1;
+        const file = this.files.get(targetUrl);
+        const client = this.clients.get(clientId);
+        if (file) file.lastSeen = Date.now();
+        if (client) client.lastSeen = Date.now();
+
+        let target = DEFAULT_EXPANSION;
+        let reason = 'default';
+        if (file) {
+            target = file.bitrate * this.readaheadSeconds;
+            reason = 'bitrate';
+        }
+        if (client) {
+            const floor = file ? file.bitrate * MIN_READAHEAD : MIN_EXPANSION;
+            const limit = Math.max(client.throughput * MAX_FETCH_SECONDS, floor);
+            if (limit < target) {
+                target = limit;
+                reason = 'throughput';
+            }
+        }
+        target = Math.round(Math.min(Math.max(target, MIN_EXPANSION), MAX_EXPANSION));
+
+        const expandedEnd = requestSize >= LARGE_REQUEST
+            ? range.end
+            : Math.min(Math.max(range.start + target - 1, range.end), totalSize - 1);
+        const expanded = expandedEnd > range.end;
+
+        this.stats.planned++;
+        this.stats[expanded ? 'expanded' : 'unchanged']++;
+        if (expanded && reason === 'bitrate') this.stats.byBitrate++;
+        if (expanded && reason === 'throughput') this.stats.throughputLimited++;
+        this.stats.bytesRequested += requestSize;
+        this.stats.bytesPlanned += expandedEnd - range.start + 1;
+
+        this.decisions.unshift({
+            time: Date.now(),
+            client: clientId,
+            url: targetUrl,
+            start: range.start,
+            requested: requestSize,
+            planned: expandedEnd - range.start + 1,
+            reason: expanded ? reason : 'none',
+            bitrate: file ? Math.round(file.bitrate * 8) : null,
+            throughput: client ? Math.round(client.throughput) : null
+        });
+        this.decisions.length = Math.min(this.decisions.length, MAX_DECISIONS);
+
+        if (!expanded) {
+            return { start: range.start, end: range.end };
+        }
+        return { start: range.start, end: expandedEnd, originalEnd: range.end, optimized: true, reason };
+    }
+
+    // 清理长时间未使用的客户端速度和文件码率
+    cleanup() {
+        const now = Date.now();
+        [this.clients, this.files].forEach(map => {
+            for (const [key, entry] of map.entries()) {
+                if (now - entry.lastSeen > ENTRY_TTL) map.delete(key);
+            }
+        });
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            readaheadSeconds: this.readaheadSeconds,
+            files: this.files.size,
+            clients: [...this.clients.entries()].map(([client, entry]) => ({
+                client,
+                throughput: Math.round(entry.throughput),
+                samples: entry.samples
+            })),
+            recentDecisions: this.decisions
+        };
+    }
+}
+
+module.exports = { RangePlanner };
@@ -0,0 +1,264 @@
+/**
+ * 磁盘分段缓存
+ * 按固定大小把视频切分为分段保存到磁盘，重启代理后仍可复用，总大小超限时按LRU清理
+ * 分段思路沿用 enhanced-proxy-server.js 中 VideoCache 的设计
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const DEFAULT_SEGMENT_SIZE = 2 * 1024 * 1024; // 2MB per segment
+
+class SegmentCache {
+    constructor(options = {}) {
+        this.dir = options.dir;
+        this.maxSize = options.maxSize || 0;
+        this.segmentSize = options.segmentSize || DEFAULT_SEGMENT_SIZE;
+        this.enabled = !!this.dir && this.maxSize > 0;
+
+        // 分段索引: "fileKey/index" -> { size, lastAccess }
+        this.segments = new Map();
+        this.cacheSize = 0;
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            bytesServed: 0,
+            bytesWritten: 0,
+            evictions: 0
+        };
+
+        if (this.enabled) {
+            this.loadIndex();
+        }
+    }
+
+    // 启动时扫描缓存目录，恢复分段索引
+    loadIndex() {
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        for (const fileKey of fs.readdirSync(this.dir)) {
+            const fileDir = path.join(this.dir, fileKey);
+            if (!fs.statSync(fileDir).isDirectory()) continue;
+
+            for (const name of fs.readdirSync(fileDir)) {
+                const match = name.match(/^(\d+)\.seg$/);
+                const segmentPath = path.join(fileDir, name);
+                if (!match) {
+                    // 清理上次异常退出遗留的临时文件
+                    if (name.endsWith('.tmp')) fs.unlinkSync(segmentPath);
+                    continue;
+                }
+
+                const stat = fs.statSync(segmentPath);
+                this.segments.set(`${fileKey}/${match[1]}`, {
+                    size: stat.size,
+                    lastAccess: stat.mtimeMs
+                });
+                this.cacheSize += stat.size;
+            }
+        }
+
+        if (this.cacheSize > this.maxSize) {
+            this.evict();
+        }
+    }
+
+    // 文件标识：同一URL的文件大小或ETag变化后视为新文件
+    getFileKey(targetUrl, totalSize, etag = '') {
+        return crypto.createHash('sha1')
+            .update(`${targetUrl}|${totalSize}|${etag || ''}`)
+            .digest('hex');
+    }
+
+    getSegmentPath(fileKey, index) {
+        return path.join(this.dir, fileKey, `${index}.seg`);
+    }
+
+    // 是否已登记（包括正在写入的分段），用于避免重复写入
+    has(fileKey, index) {
+        return this.segments.has(`${fileKey}/${index}`);
+    }
+
+    // 分段是否已写入磁盘、可以读取
+    isReadable(fileKey, index) {
+        const entry = this.segments.get(`${fileKey}/${index}`);
+        return !!entry && !entry.pending;
+    }
+
+    // 从start开始连续缓存到的最后一个字节位置（未命中时返回start - 1），正在写入的分段不算已缓存
+    getCachedEnd(fileKey, start, end) {
+        if (!this.enabled) return start - 1;
+
+        let index = Math.floor(start / this.segmentSize);
+        let cachedEnd = start - 1;
+
+        while (cachedEnd < end && this.isReadable(fileKey, index)) {
+            const entry = this.segments.get(`${fileKey}/${index}`);
+            cachedEnd = Math.min(end, index * this.segmentSize + entry.size - 1);
+            if (entry.size < this.segmentSize) break; // 文件最后一个分段
+            index++;
+        }
+        return cachedEnd;
+    }
+
+    // 记录一次Range请求的缓存查找结果
+    recordLookup(hit) {
+        if (hit) {
+            this.stats.hits++;
+        } else {
+            this.stats.misses++;
+        }
+    }
+
+    // 读取[start, end]范围的缓存数据流（调用前需确认范围已缓存）
+    createReadStream(fileKey, start, end) {
+        const cache = this;
+
+        async function* readSegments() {
+            const firstIndex = Math.floor(start / cache.segmentSize);
+            const lastIndex = Math.floor(end / cache.segmentSize);
+
+            for (let index = firstIndex; index <= lastIndex; index++) {
+                const segmentStart = index * cache.segmentSize;
+                const entry = cache.segments.get(`${fileKey}/${index}`);
+                if (entry) entry.lastAccess = Date.now();
+
+                const stream = fs.createReadStream(cache.getSegmentPath(fileKey, index), {
+                    start: Math.max(start, segmentStart) - segmentStart,
+                    end: Math.min(end, segmentStart + cache.segmentSize - 1) - segmentStart
+                });
+                for await (const chunk of stream) {
+                    cache.stats.bytesServed += chunk.length;
+                    yield chunk;
+                }
+            }
+        }
+
+        return Readable.from(readSegments());
+    }
+
+    // 创建写入器：传输过程中把从startOffset开始的连续数据按分段写入磁盘
+    // 只缓存完整的分段，起点未对齐的首个分段和中断时的末尾分段会被丢弃
+    createWriter(fileKey, startOffset, totalSize) {
+        const cache = this;
+        let position = startOffset;
+        let current = null;
+
+        return {
+            write(chunk) {
+                if (!cache.enabled) return;
+
+                let chunkOffset = 0;
+                while (chunkOffset < chunk.length && position < totalSize) {
+                    const index = Math.floor(position / cache.segmentSize);
+                    const segmentStart = index * cache.segmentSize;
+                    const segmentEnd = Math.min(segmentStart + cache.segmentSize, totalSize);
+                    const take = Math.min(chunk.length - chunkOffset, segmentEnd - position);
+
+                    if (!current || current.index !== index) {
+                        const cacheable = position === segmentStart && !cache.has(fileKey, index);
+                        current = { index, chunks: [], skip: !cacheable };
+                    }
+                    if (!current.skip) {
+                        current.chunks.push(chunk.subarray(chunkOffset, chunkOffset + take));
+                    }
+
+                    position += take;
+                    chunkOffset += take;
+
+                    if (position === segmentEnd) {
+                        if (!current.skip) {
+                            cache.writeSegment(fileKey, index, Buffer.concat(current.chunks));
+                        }
+                        current = null;
+                    }
+                }
+            },
+
+            end() {
+                current = null;
+            }
+        };
+    }
+
+    // 写入一个完整分段（先写临时文件再重命名，避免留下不完整的分段）
+    writeSegment(fileKey, index, data) {
+        const key = `${fileKey}/${index}`;
+        if (this.segments.has(key)) return;
+
+        const segmentPath = this.getSegmentPath(fileKey, index);
+        const tempPath = `${segmentPath}.${process.pid}.tmp`;
+
+        // 先登记索引，防止并发请求重复写入同一分段
+        this.segments.set(key, { size: data.length, lastAccess: Date.now(), pending: true });
+
+        fs.promises.mkdir(path.dirname(segmentPath), { recursive: true })
+            .then(() => fs.promises.writeFile(tempPath, data))
+            .then(() => fs.promises.rename(tempPath, segmentPath))
+            .then(() => {
+                const entry = this.segments.get(key);
+                if (!entry) return; // 写入期间已被清理
+                delete entry.pending;
+                this.cacheSize += data.length;
+                this.stats.bytesWritten += data.length;
+                if (this.cacheSize > this.maxSize) {
+                    this.evict();
+                }
+            })
+            .catch(error => {
+                this.segments.delete(key);
+                fs.promises.unlink(tempPath).catch(() => {});
+                console.error(`[SEGMENT CACHE] 写入分段失败 ${key}: ${error.message}`);
+            });
+    }
+
+    // 删除一个文件的所有分段（上游文件已被替换）；正在写入的分段留给LRU清理
+    removeFile(fileKey) {
+        let removed = 0;
+        for (const [key, entry] of [...this.segments.entries()]) {
+            if (!key.startsWith(`${fileKey}/`) || entry.pending) continue;
+
+            this.segments.delete(key);
+            this.cacheSize -= entry.size;
+            removed++;
+            fs.promises.unlink(this.getSegmentPath(fileKey, key.split('/')[1]))
+                .then(() => fs.promises.rmdir(path.join(this.dir, fileKey)).catch(() => {}))
+                .catch(() => {});
+        }
+        return removed;
+    }
+
+    // 按最久未访问清理到最大容量的80%
+    evict() {
+        const targetSize = this.maxSize * 0.8;
+        const entries = Array.from(this.segments.entries())
+            .filter(([, entry]) => !entry.pending)
+            .sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+
+        while (this.cacheSize > targetSize && entries.length > 0) {
+            const [key, entry] = entries.shift();
+            const [fileKey, index] = key.split('/');
+            this.segments.delete(key);
+            this.cacheSize -= entry.size;
+            this.stats.evictions++;
+
+            fs.promises.unlink(this.getSegmentPath(fileKey, index))
+                .then(() => fs.promises.rmdir(path.join(this.dir, fileKey)).catch(() => {}))
+                .catch(() => {});
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            enabled: this.enabled,
+            segments: this.segments.size,
+            cacheSize: this.cacheSize,
+            maxSize: this.maxSize
+        };
+    }
+}
+
+module.exports = { SegmentCache, DEFAULT_SEGMENT_SIZE };
@@ -40,4 +40,4 @@ echo "━━━━━━━━━━━━━━━━━━━━━━━━
 echo ""
 
 # 启动代理服务器
-node proxy-server.js
\ No newline at end of file
+node proxy-server.js "$@"
\ No newline at end of file
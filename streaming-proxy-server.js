@@ -7,10 +7,51 @@
 const http = require('http');
 const https = require('https');
 const url = require('url');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const {
+    loadProxyConfig,
+    validateProxyConfig,
+    resolveMount,
+    getUpstreamBaseUrl
+} = require('./proxy-config');
+const { SessionAuth, SESSION_QUERY_PARAM, stripSessionParam } = require('./proxy-auth');
+const { SegmentCache } = require('./segment-cache');
+const { readMovieBox, parseMovie } = require('./mp4-parser');
+const { HlsPackage } = require('./hls-packager');
+const { analyzeMp4Layout, mapVirtualRange } = require('./mp4-faststart');
+const { SUBTITLE_FORMATS, convertSubtitle } = require('./subtitle-converter');
+const { LibraryIndex, parseMultistatus } = require('./library-index');
+const { FfmpegRunner, findFfmpeg } = require('./ffmpeg-runner');
+const { ThumbnailGenerator, buildSpriteVtt } = require('./thumbnail-generator');
+const { Transcoder, TRANSCODE_MODES } = require('./transcoder');
+const { probeMedia, probeResultFromFfmpeg } = require('./media-probe');
+const { UploadManager, MAX_CHUNK_SIZE } = require('./upload-manager');
+const { parseRangeHeader, parseContentRange, isIfRangeSatisfied, buildMultipartLayout } = require('./http-range');
+const { RangePlanner } = require('./range-planner');
+const { ParallelFetcher } = require('./parallel-fetcher');
 
-const PROXY_PORT = 8090;
-const TARGET_HOST = 'webdav-1839857505.pd1.123pan.cn';
-const TARGET_PATH = '/webdav';
+// 当前生效的代理配置（由createStreamingProxyServer设置）
+let proxyConfig = null;
+// 本地会话认证
+let sessionAuth = null;
+// 磁盘分段缓存
+let segmentCache = null;
+// 按码率和客户端速度扩展小范围请求
+let rangePlanner = null;
+// CDN大范围请求拆成多个并发连接
+let parallelFetcher = null;
+// 媒体库索引
+let libraryIndex = null;
+// ffmpeg进程管理、缩略图生成和即时转码
+let ffmpegRunner = null;
+let thumbnailGenerator = null;
+let transcoder = null;
+// 分块上传
+let uploadManager = null;
+
+// 字幕文件大小上限（整个文件读入内存转换）
+const MAX_SUBTITLE_SIZE = 20 * 1024 * 1024;
 
 // 请求跟踪
 let requestCounter = 0;
@@ -24,12 +65,14 @@ const globalStats = {
     currentSpeed: 0,
     transferHistory: [], // 最近的传输记录
     rangeRequests: 0, // Range请求计数
+    upstreamRetries: 0, // 上游传输中断后从断点重新请求的次数
+    mounts: {}, // 按挂载统计
     startTime: Date.now()
 };
 
 // 缓存系统
 const cacheSystem = {
-    // 文件元数据缓存 (HEAD请求结果)
+    // 文件元数据缓存 (HEAD请求结果，probe字段为媒体信息探测结果)
     metadata: new Map(),
     // 重定向URL缓存
     redirects: new Map(),
@@ -37,19 +80,41 @@ const cacheSystem = {
     agents: new Map(),
     // 预加载缓存
     preloadCache: new Map(),
+    // 预加载数据命中统计（按Range请求计数）
+    preloadStats: {
+        hits: 0,
+        partialHits: 0,
+        misses: 0,
+        bytesServed: 0
+    },
+    // HLS封装信息（解析后的moov和分段表）
+    hlsPackages: new Map(),
+    // MP4顶层结构（moov在末尾时的虚拟faststart布局）
+    faststartLayouts: new Map(),
+    // 条件请求统计：notModified 直接返回304；revalidated 过期元数据经上游确认未变化；changed 检测到文件已被替换
+    revalidationStats: {
+        notModified: 0,
+        revalidated: 0,
+        changed: 0
+    },
     
     // 缓存配置
     METADATA_TTL: 5 * 60 * 1000, // 5分钟
+    METADATA_STALE_TTL: 30 * 60 * 1000, // 过期的元数据再保留30分钟，用于向上游发送条件HEAD重新验证
     REDIRECT_TTL: 10 * 60 * 1000, // 10分钟
     PRELOAD_TTL: 2 * 60 * 1000, // 2分钟
+    HLS_TTL: 30 * 60 * 1000, // 30分钟
+    FASTSTART_TTL: 30 * 60 * 1000, // 30分钟
+    PROBE_TTL: 30 * 60 * 1000, // 30分钟
     
     // 清理过期缓存
     cleanup() {
         const now = Date.now();
         
-        // 清理过期的元数据缓存
+        // 清理过期的元数据缓存（媒体信息比HEAD结果保留更久）
         for (const [key, entry] of this.metadata.entries()) {
-            if (now - entry.timestamp > this.METADATA_TTL) {
+            if (now - entry.timestamp > this.METADATA_STALE_TTL &&
+                (!entry.probe || now - entry.probe.timestamp > this.PROBE_TTL)) {
                 this.metadata.delete(key);
             }
         }
@@ -67,6 +132,33 @@ const cacheSystem = {
                 this.preloadCache.delete(key);
             }
         }
+
+        // 清理长时间未使用的HLS封装信息
+        for (const [key, entry] of this.hlsPackages.entries()) {
+            if (now - entry.timestamp > this.HLS_TTL) {
+                this.hlsPackages.delete(key);
+            }
+        }
+
+        // 清理长时间未使用的faststart布局
+        for (const [key, entry] of this.faststartLayouts.entries()) {
+            if (now - entry.timestamp > this.FASTSTART_TTL) {
+                this.faststartLayouts.delete(key);
+            }
+        }
+    },
+
+    // 文件被修改、移动或删除后丢弃与之相关的缓存（目录时包括其下所有文件）
+    invalidate(targetUrl) {
+        const matches = key => key === targetUrl || key.startsWith(targetUrl.replace(/\/$/, '') + '/');
+        [this.metadata, this.redirects, this.hlsPackages, this.faststartLayouts].forEach(cache => {
+            for (const key of [...cache.keys()]) {
+                if (matches(key)) cache.delete(key);
+            }
+        });
+        for (const [key, entry] of [...this.preloadCache.entries()]) {
+            if (matches(entry.targetUrl)) this.preloadCache.delete(key);
+        }
     },
     
     // 获取或创建连接Agent
@@ -88,8 +180,97 @@ const cacheSystem = {
 // 定期清理缓存
 setInterval(() => {
     cacheSystem.cleanup();
+    if (sessionAuth) {
+        sessionAuth.cleanup();
+    }
+    if (uploadManager) {
+        uploadManager.cleanup();
+    }
+    if (rangePlanner) {
+        rangePlanner.cleanup();
+    }
 }, 60000); // 每分钟清理一次
 
+// 根据协议选择http/https模块
+function getHttpModule(protocol) {
+    return protocol === 'https:' ? https : http;
+}
+
+// 根据请求路径解析挂载和上游目标URL
+function resolveTarget(pathname, search = '') {
+    const route = resolveMount(proxyConfig.mounts, pathname);
+    if (!route) {
+        return null;
+    }
+    return {
+        ...route,
+        targetUrl: `${getUpstreamBaseUrl(route.mount.upstream)}${route.path}${search || ''}`
+    };
+}
+
+// 解析MOVE/COPY的Destination头（完整URL或绝对路径）对应的挂载和上游URL
+function resolveDestination(destination) {
+    let pathname;
+    try {
+        pathname = new URL(destination, 'http://localhost').pathname;
+    } catch (error) {
+        return null;
+    }
+    return resolveTarget(pathname);
+}
+
+// 根据上游URL反查所属挂载
+function findMountByTargetUrl(targetUrl) {
+    let matched = null;
+    for (const mount of proxyConfig.mounts) {
+        const baseUrl = getUpstreamBaseUrl(mount.upstream);
+        if (targetUrl.startsWith(baseUrl) &&
+            (!matched || baseUrl.length > getUpstreamBaseUrl(matched.upstream).length)) {
+            matched = mount;
+        }
+    }
+    return matched;
+}
+
+// 构建发往上游的请求头：修正Host、删除浏览器专用头、注入挂载凭据
+function buildUpstreamHeaders(headers, targetUrl) {
+    const upstreamHeaders = {
+        ...headers,
+        host: url.parse(targetUrl).host
+    };
+
+    // 删除可能引起问题的头
+    delete upstreamHeaders['origin'];
+    delete upstreamHeaders['referer'];
+
+    // 会话模式下浏览器的认证信息只属于代理，不转发给上游
+    if (sessionAuth && sessionAuth.enabled) {
+        delete upstreamHeaders['cookie'];
+        delete upstreamHeaders['authorization'];
+    }
+
+    const mount = findMountByTargetUrl(targetUrl);
+    if (mount && mount.username) {
+        delete upstreamHeaders['Authorization'];
+        upstreamHeaders['authorization'] = 'Basic ' +
+            Buffer.from(`${mount.username}:${mount.password}`).toString('base64');
+    }
+
+    return upstreamHeaders;
+}
+
+// 获取挂载统计（不存在时创建）
+function getMountStats(mountName) {
+    if (!globalStats.mounts[mountName]) {
+        globalStats.mounts[mountName] = {
+            totalRequests: 0,
+            rangeRequests: 0,
+            totalBytesTransferred: 0
+        };
+    }
+    return globalStats.mounts[mountName];
+}
+
 // 生成请求ID
 function generateRequestId() {
     return `REQ_${++requestCounter}_${Date.now().toString(36)}`;
@@ -117,9 +298,19 @@ function formatBytes(bytes) {
 }
 
 // 更新传输统计
-function updateTransferStats(bytes) {
+function updateTransferStats(bytes, requestId = null) {
     const now = Date.now();
     globalStats.totalBytesTransferred += bytes;
+
+    // 累计到请求所属挂载，并记录请求自身的传输量（用于测量客户端速度）
+    const request = requestId && activeRequests.get(requestId);
+    if (request && request.mount) {
+        getMountStats(request.mount).totalBytesTransferred += bytes;
+    }
+    if (request) {
+        request.bytes = (request.bytes || 0) + bytes;
+        request.lastByteAt = now;
+    }
     
     // 记录传输历史（用于计算速度）
     globalStats.transferHistory.push({
@@ -141,6 +332,15 @@ function updateTransferStats(bytes) {
     }
 }
 
+// 请求结束：经上游传输的Range请求计入客户端速度，再移除请求记录
+function finishRequest(requestId) {
+    const request = activeRequests.get(requestId);
+    if (request && request.upstream && request.bytes) {
+        rangePlanner.recordTransfer(request.client, request.bytes, request.lastByteAt - request.startTime);
+    }
+    activeRequests.delete(requestId);
+}
+
 // 缓存辅助函数
 function getCachedMetadata(url) {
     const entry = cacheSystem.metadata.get(url);
@@ -151,7 +351,22 @@ function getCachedMetadata(url) {
 }
 
 function setCachedMetadata(url, headers) {
+    // 保留媒体信息，使用时按文件标识校验，文件变化后自然失效
+    let previous = cacheSystem.metadata.get(url);
+    if (previous && isFileChanged(previous.data, headers)) {
+        // 上游文件已被替换：丢弃旧文件的重定向、预加载、封装信息和磁盘分段，避免返回旧数据
+        log('CACHE', 'info', `文件已变化，丢弃旧缓存: ${url}`);
+        cacheSystem.revalidationStats.changed++;
+        cacheSystem.invalidate(url);
+        if (segmentCache) {
+            segmentCache.removeFile(segmentCache.getFileKey(url,
+                parseInt(previous.data['content-length'] || '0'), previous.data['etag']));
+        }
+        previous = null;
+    }
     cacheSystem.metadata.set(url, {
+        probe: previous ? previous.probe : undefined,
+        bitrateProbe: previous ? previous.bitrateProbe : undefined,
         data: {
             'content-length': headers['content-length'],
             'content-type': headers['content-type'],
@@ -162,6 +377,26 @@ function setCachedMetadata(url, headers) {
     });
 }
 
+// 上游确认文件未变化（条件HEAD返回304），延长元数据有效期
+function refreshCachedMetadata(url) {
+    const entry = cacheSystem.metadata.get(url);
+    if (entry) {
+        entry.timestamp = Date.now();
+        cacheSystem.revalidationStats.revalidated++;
+    }
+}
+
+// 比较两次响应的文件标识：优先比较ETag，没有ETag时比较Last-Modified，大小变化也视为新文件
+function isFileChanged(previous, headers) {
+    if (previous['etag'] && headers['etag']) {
+        if (previous['etag'] !== headers['etag']) return true;
+    } else if (previous['last-modified'] && headers['last-modified'] &&
+        previous['last-modified'] !== headers['last-modified']) {
+        return true;
+    }
+    return !!headers['content-length'] && previous['content-length'] !== headers['content-length'];
+}
+
 function getCachedRedirect(url) {
     const entry = cacheSystem.redirects.get(url);
     if (entry && (Date.now() - entry.timestamp < cacheSystem.REDIRECT_TTL)) {
@@ -188,102 +423,114 @@ function getGlobalStats() {
         cache: {
             metadataEntries: cacheSystem.metadata.size,
             redirectEntries: cacheSystem.redirects.size,
-            agentCount: cacheSystem.agents.size
+            hlsEntries: cacheSystem.hlsPackages.size,
+            faststartEntries: cacheSystem.faststartLayouts.size,
+            agentCount: cacheSystem.agents.size,
+            segments: segmentCache ? segmentCache.getStats() : null,
+            preload: {
+                entries: cacheSystem.preloadCache.size,
+                ...cacheSystem.preloadStats
+            },
+            revalidation: cacheSystem.revalidationStats,
+            mounts: getMountCacheStats()
+        },
+        library: libraryIndex ? libraryIndex.getStats() : null,
+        ffmpeg: ffmpegRunner ? ffmpegRunner.getStats() : null,
+        thumbnails: thumbnailGenerator ? thumbnailGenerator.getStats() : null,
+        transcode: transcoder ? transcoder.getStats() : null,
+        uploads: uploadManager ? uploadManager.getStats() : null,
+        rangePlanner: rangePlanner ? rangePlanner.getStats() : null,
+        parallelFetch: parallelFetcher ? parallelFetcher.getStats() : null
+    };
+}
+
+// 按挂载统计缓存条目数
+function getMountCacheStats() {
+    const result = {};
+    if (!proxyConfig) return result;
+
+    proxyConfig.mounts.forEach(mount => {
+        result[mount.name] = { metadataEntries: 0, redirectEntries: 0, preloadEntries: 0 };
+    });
+
+    const countBy = (map, field, keyToMount) => {
+        for (const key of map.keys()) {
+            const mount = keyToMount(key);
+            if (mount) result[mount.name][field]++;
         }
     };
+    countBy(cacheSystem.metadata, 'metadataEntries', findMountByTargetUrl);
+    countBy(cacheSystem.redirects, 'redirectEntries', findMountByTargetUrl);
+    countBy(cacheSystem.preloadCache, 'preloadEntries',
+        key => (resolveMount(proxyConfig.mounts, key.split(':')[0]) || {}).mount);
+
+    return result;
 }
 
 // CORS头配置
 const CORS_HEADERS = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS, PROPFIND, PROPPATCH, MKCOL, COPY, MOVE',
-    'Access-Control-Allow-Headers': 'Authorization, Content-Type, Depth, Destination, If, Lock-Token, Overwrite, Timeout, X-Requested-With, Range',
-    'Access-Control-Expose-Headers': 'Content-Length, Content-Type, Date, Last-Modified, ETag, Accept-Ranges, Content-Range',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS, PROPFIND, PROPPATCH, MKCOL, COPY, MOVE, LOCK, UNLOCK',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, Depth, Destination, If, If-Match, If-Modified-Since, If-None-Match, If-Range, Lock-Token, Overwrite, Timeout, X-Requested-With, Range',
+    'Access-Control-Expose-Headers': 'Content-Length, Content-Type, Date, Last-Modified, ETag, Accept-Ranges, Content-Range, X-Subtitle-Encoding',
     'Access-Control-Allow-Credentials': 'true'
 };
 
-// Range请求解析 - 改进版，支持多种格式和智能合并
-function parseRange(rangeHeader, totalSize) {
-    if (!rangeHeader || !rangeHeader.startsWith('bytes=')) {
-        return null;
-    }
-
-    const ranges = rangeHeader.substring(6).split(',');
-    const range = ranges[0].trim();
-    
-    // 支持不同的Range格式：
-    // bytes=0-1023    (标准格式)
-    // bytes=1024-     (从某位置到文件末尾)
-    // bytes=-1024     (文件最后1024字节)
-    
-    let parsedRange;
-    
-    if (range.startsWith('-')) {
-        // 处理 bytes=-1024 格式（后缀范围）
-        const suffixLength = parseInt(range.substring(1));
-        parsedRange = {
-            start: Math.max(0, totalSize - suffixLength),
-            end: totalSize - 1
-        };
-    } else {
-        const [start, end] = range.split('-');
-        parsedRange = {
-            start: start ? parseInt(start) : 0,
-            end: end !== '' ? parseInt(end) : totalSize - 1
-        };
-    }
-    
-    // 优化小范围请求：增加预缓冲策略以提升播放流畅性
-    const requestSize = parsedRange.end - parsedRange.start + 1;
-    const MIN_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB - 增加最小块大小
-    const OPTIMAL_CHUNK_SIZE = 10 * 1024 * 1024; // 10MB - 增加最优块大小
-    
-    // 对小于5MB的请求进行优化
-    if (requestSize < MIN_CHUNK_SIZE) {
-        // 扩展范围以获得更好的缓存效率和播放流畅性
-        const expandedEnd = Math.min(
-            parsedRange.start + OPTIMAL_CHUNK_SIZE - 1,
-            totalSize - 1
-        );
-        
-        log('RANGE_OPT', 'info', 
-            `小范围请求优化(提升播放流畅性): ${formatBytes(requestSize)} -> ${formatBytes(expandedEnd - parsedRange.start + 1)}`);
-        
-        return {
-            start: parsedRange.start,
-            end: expandedEnd,
-            originalEnd: parsedRange.end, // 保存原始请求范围
-            optimized: true
-        };
-    }
-    
-    // 对中等大小的请求（5-20MB）也进行适度优化
-    if (requestSize < 20 * 1024 * 1024) {
-        const expandedEnd = Math.min(
-            parsedRange.start + Math.max(requestSize * 1.5, OPTIMAL_CHUNK_SIZE) - 1,
-            totalSize - 1
-        );
-        
-        if (expandedEnd > parsedRange.end) {
-            log('RANGE_OPT', 'info', 
-                `中等范围请求优化: ${formatBytes(requestSize)} -> ${formatBytes(expandedEnd - parsedRange.start + 1)}`);
-            
-            return {
-                start: parsedRange.start,
-                end: expandedEnd,
-                originalEnd: parsedRange.end,
-                optimized: true
-            };
-        }
-    }
-    
-    return parsedRange;
-}
+// 会修改上游文件的方法，成功后需要丢弃缓存
+const MODIFYING_METHODS = ['PUT', 'DELETE', 'MOVE', 'COPY'];
 
 // 创建流式代理服务器
-function createStreamingProxyServer() {
-    const server = http.createServer(async (req, res) => {
+function createStreamingProxyServer(config = proxyConfig || loadProxyConfig()) {
+    proxyConfig = config;
+    sessionAuth = new SessionAuth(config.auth);
+    segmentCache = new SegmentCache({
+        dir: config.cache.dir,
+        maxSize: config.cache.maxSize * 1024 * 1024
+    });
+    rangePlanner = new RangePlanner({ readaheadSeconds: config.cache.readahead });
+    parallelFetcher = new ParallelFetcher({
+        requestRange: requestRedirectRange,
+        maxRetries: config.retry.attempts,
+        retryDelay: config.retry.delay
+    });
+    libraryIndex = new LibraryIndex({
+        file: config.library.file,
+        listDirectory: propfindDirectory,
+        statDirectory: propfindDirectoryVersion
+    });
+    ffmpegRunner = new FfmpegRunner({ ffmpegPath: findFfmpeg(config.ffmpeg) });
+    thumbnailGenerator = new ThumbnailGenerator({
+        dir: config.thumbnails.dir,
+        maxSize: config.thumbnails.maxSize * 1024 * 1024,
+        runner: ffmpegRunner
+    });
+    transcoder = new Transcoder({ runner: ffmpegRunner });
+    uploadManager = new UploadManager({
+        dir: config.uploads.dir,
+        maxAge: config.uploads.maxAge * 60 * 60 * 1000
+    });
+    config.mounts.forEach(mount => getMountStats(mount.name));
+
+    const server = http.createServer((req, res) => {
         const requestId = generateRequestId();
+        // 挂载请求在handleRequest内部处理错误，这里兜底认证和API分发中未捕获的异常，避免进程退出
+        handleRequest(req, res, requestId).catch(error => {
+            log(requestId, 'error', `请求处理失败: ${error.message}`);
+            if (!res.headersSent) {
+                res.writeHead(500, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    error: '代理服务器错误',
+                    message: error.message,
+                    requestId: requestId
+                }));
+            } else {
+                res.destroy();
+            }
+            activeRequests.delete(requestId);
+        });
+    });
+
+    async function handleRequest(req, res, requestId) {
         const parsedUrl = url.parse(req.url, true);
         
         // 记录请求开始
@@ -291,13 +538,34 @@ function createStreamingProxyServer() {
             method: req.method,
             url: req.url,
             startTime: Date.now(),
-            range: req.headers.range
+            range: req.headers.range,
+            client: req.socket.remoteAddress
         });
         
-        log(requestId, 'info', `${req.method} ${req.url}${req.headers.range ? ' Range: ' + req.headers.range : ''}`);
+        log(requestId, 'info', `${req.method} ${parsedUrl.pathname}${req.headers.range ? ' Range: ' + req.headers.range : ''}`);
         
+        // 处理会话认证API请求
+        if (['/api/login', '/api/logout', '/api/session'].includes(parsedUrl.pathname)) {
+            await handleAuthRequest(req, res, parsedUrl.pathname, requestId);
+            activeRequests.delete(requestId);
+            return;
+        }
+
+        // 会话认证模式：除预检请求外都需要有效会话
+        if (sessionAuth.enabled && req.method !== 'OPTIONS' && !sessionAuth.getSession(req)) {
+            res.writeHead(401, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                error: '未登录或会话已过期',
+                authRequired: true,
+                requestId: requestId
+            }));
+            log(requestId, 'warn', '拒绝未认证请求');
+            activeRequests.delete(requestId);
+            return;
+        }
+
         // 处理统计API请求
-        if (req.url === '/api/stats') {
+        if (parsedUrl.pathname === '/api/stats') {
             res.writeHead(200, {
                 ...CORS_HEADERS,
                 'Content-Type': 'application/json'
@@ -309,7 +577,7 @@ function createStreamingProxyServer() {
         }
 
         // 处理预加载API请求
-        if (req.url.startsWith('/api/preload')) {
+        if (parsedUrl.pathname === '/api/preload') {
             await handlePreloadRequest(req, res, requestId);
             activeRequests.delete(requestId);
             return;
@@ -324,22 +592,147 @@ function createStreamingProxyServer() {
             return;
         }
 
-        // 构建目标URL
-        const targetUrl = `https://${TARGET_HOST}${TARGET_PATH}${parsedUrl.pathname}${parsedUrl.search || ''}`;
-        log(requestId, 'debug', `目标URL: ${targetUrl}`);
+        // 处理HLS封装请求
+        if (parsedUrl.pathname.startsWith('/api/hls/')) {
+            await handleHlsRequest(req, res, parsedUrl, requestId);
+            activeRequests.delete(requestId);
+            return;
+        }
+
+        // 处理字幕转换请求
+        if (parsedUrl.pathname === '/api/subtitle') {
+            await handleSubtitleRequest(req, res, parsedUrl, requestId);
+            activeRequests.delete(requestId);
+            return;
+        }
+
+        // 处理缩略图请求
+        if (parsedUrl.pathname === '/api/thumbnail' || parsedUrl.pathname.startsWith('/api/thumbnail/')) {
+            await handleThumbnailRequest(req, res, parsedUrl, requestId);
+            activeRequests.delete(requestId);
+            return;
+        }
+
+        // 处理转码请求
+        if (parsedUrl.pathname === '/api/transcode' || parsedUrl.pathname.startsWith('/api/transcode/')) {
+            await handleTranscodeRequest(req, res, parsedUrl, requestId);
+            activeRequests.delete(requestId);
+            return;
+        }
+
+        // 处理媒体信息请求
+        if (parsedUrl.pathname === '/api/probe') {
+            await handleProbeRequest(req, res, parsedUrl, requestId);
+            activeRequests.delete(requestId);
+            return;
+        }
+
+        // 处理上传请求
+        if (parsedUrl.pathname === '/api/upload' || parsedUrl.pathname.startsWith('/api/upload/')) {
+            await handleUploadRequest(req, res, parsedUrl, requestId);
+            activeRequests.delete(requestId);
+            return;
+        }
+
+        // 处理媒体库请求
+        if (parsedUrl.pathname === '/api/library' || parsedUrl.pathname.startsWith('/api/library/')) {
+            await handleLibraryRequest(req, res, parsedUrl, requestId);
+            activeRequests.delete(requestId);
+            return;
+        }
+
+        // 按挂载表解析目标URL
+        const target = resolveTarget(parsedUrl.pathname, stripSessionParam(parsedUrl.search));
+        if (!target) {
+            if (req.method === 'PROPFIND' && parsedUrl.pathname === '/') {
+                // 没有根挂载时，根目录列出所有挂载点
+                sendMountListing(res);
+                log(requestId, 'info', '返回挂载点列表');
+            } else {
+                res.writeHead(404, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    error: '路径未匹配任何挂载',
+                    path: parsedUrl.pathname,
+                    requestId: requestId
+                }));
+                log(requestId, 'warn', `路径未匹配任何挂载: ${parsedUrl.pathname}`);
+            }
+            activeRequests.delete(requestId);
+            return;
+        }
+
+        const targetUrl = target.targetUrl;
+        const mountStats = getMountStats(target.mount.name);
+        mountStats.totalRequests++;
+        activeRequests.get(requestId).mount = target.mount.name;
+        log(requestId, 'debug', `目标URL: ${targetUrl} (挂载: ${target.mount.name})`);
+
+        // MOVE/COPY的Destination是浏览器看到的代理地址，改写为上游地址
+        if ((req.method === 'MOVE' || req.method === 'COPY') && req.headers.destination) {
+            const destination = resolveDestination(req.headers.destination);
+            if (!destination || destination.mount !== target.mount) {
+                // 不同挂载可能是不同的上游服务器，无法在上游直接移动或复制（RFC 4918 规定返回502）
+                res.writeHead(502, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    error: destination ? '不能在不同挂载之间移动或复制' : '目标路径未匹配任何挂载',
+                    destination: req.headers.destination,
+                    requestId: requestId
+                }));
+                log(requestId, 'warn', `${req.method} 目标无效: ${req.headers.destination}`);
+                activeRequests.delete(requestId);
+                return;
+            }
+            req.headers.destination = destination.targetUrl;
+            log(requestId, 'info', `${req.method} 目标: ${destination.targetUrl}`);
+        }
         
         try {
             // 检查是否为视频文件的GET请求且有Range头
             const isVideoRequest = req.method === 'GET' && 
                                  (parsedUrl.pathname.match(/\.(mp4|mov|avi|mkv|webm|m4v)$/i));
-            
-            if (isVideoRequest && req.headers.range) {
+
+            // moov位于末尾的MP4改为提供moov前置的虚拟文件
+            const isMp4Request = (req.method === 'GET' || req.method === 'HEAD') &&
+                /\.(mp4|m4v|mov)$/i.test(parsedUrl.pathname);
+
+            const faststartLayout = isMp4Request ? await getFaststartLayout(targetUrl, req.headers, requestId) : null;
+            const isFaststart = !!(faststartLayout && faststartLayout.moovAtEnd);
+
+            // 条件请求：已缓存（或视频请求本就需要获取）元数据时由代理判断，文件未变化直接返回304
+            const isConditional = (req.method === 'GET' || req.method === 'HEAD') &&
+                (req.headers['if-none-match'] || req.headers['if-modified-since']);
+            if (isConditional && (isVideoRequest || isMp4Request || cacheSystem.metadata.has(targetUrl))) {
+                const metadata = await fetchFileMetadata(targetUrl, req.headers, requestId).catch(error => {
+                    log(requestId, 'warn', `无法获取文件元数据，由上游判断条件请求: ${error.message}`);
+                    return null;
+                });
+                const validators = metadata && isFaststart ? getFaststartValidators(metadata) : metadata;
+                if (validators && isNotModified(req.headers, validators)) {
+                    sendNotModified(res, validators, requestId);
+                    return;
+                }
+                if (metadata) {
+                    // 已确认文件有变化，上游不必再判断
+                    delete req.headers['if-none-match'];
+                    delete req.headers['if-modified-since'];
+                }
+            }
+
+            if (isFaststart) {
+                log(requestId, 'info', '处理moov后置MP4的虚拟faststart请求');
+                if (req.headers.range) {
+                    globalStats.rangeRequests++;
+                    mountStats.rangeRequests++;
+                }
+                await handleFaststartRequest(req, res, targetUrl, faststartLayout, requestId);
+            } else if (isVideoRequest && req.headers.range) {
                 log(requestId, 'info', '处理视频Range请求');
                 globalStats.rangeRequests++; // 增加Range请求计数
+                mountStats.rangeRequests++;
                 await handleStreamingRangeRequest(req, res, targetUrl, requestId);
             } else {
                 log(requestId, 'info', '处理常规请求');
-                await handleRegularRequest(req, res, targetUrl, requestId);
+                await handleRegularRequest(req, res, targetUrl, requestId, target.mount);
             }
             
             // 计算请求时长
@@ -357,9 +750,14 @@ function createStreamingProxyServer() {
                 }));
             }
         } finally {
-            activeRequests.delete(requestId);
+            // 流式响应在处理函数返回后仍在传输，等响应结束再移除请求记录
+            if (res.writableEnded) {
+                finishRequest(requestId);
+            } else {
+                res.once('close', () => finishRequest(requestId));
+            }
         }
-    });
+    }
 
     return server;
 }
@@ -370,49 +768,71 @@ async function handleStreamingRangeRequest(req, res, targetUrl, requestId) {
     
     log(requestId, 'debug', `Range头: ${rangeHeader}`);
     
-    // 优化1: 检查缓存的元数据
-    let cachedMetadata = getCachedMetadata(targetUrl);
-    let totalSize;
-    
-    if (cachedMetadata) {
-        totalSize = parseInt(cachedMetadata['content-length'] || '0');
-        log(requestId, 'info', `使用缓存元数据: ${totalSize} bytes (节省HEAD请求)`);
-    } else {
-        // 缓存未命中，发起HEAD请求
-        log(requestId, 'debug', '发起HEAD请求获取文件大小');
-        const headResponse = await makeRequest('HEAD', targetUrl, req.headers);
-        totalSize = parseInt(headResponse.headers['content-length'] || '0');
-        
-        log(requestId, 'debug', `HEAD响应状态: ${headResponse.statusCode}, Content-Length: ${headResponse.headers['content-length']}`);
-        
-        // 缓存元数据
-        setCachedMetadata(targetUrl, headResponse.headers);
-        log(requestId, 'debug', '元数据已缓存');
-    }
+    // 优化1: 使用缓存的元数据（过期时向上游发送条件HEAD重新验证）
+    const metadata = await fetchFileMetadata(targetUrl, req.headers, requestId);
+    const totalSize = parseInt(metadata['content-length'] || '0');
+    log(requestId, 'debug', `文件大小: ${totalSize} bytes`);
     
     if (totalSize === 0) {
         throw new Error('无法获取文件大小：Content-Length为0或未定义');
     }
 
-    const range = parseRange(rangeHeader, totalSize);
-    if (!range) {
-        throw new Error('无效的Range请求');
+    const parsed = parseRangeHeader(rangeHeader, totalSize);
+    if (!parsed || !isIfRangeSatisfied(req.headers['if-range'], metadata)) {
+        // Range无效或If-Range与当前文件不符（文件已变化），忽略Range返回完整文件
+        log(requestId, 'info', parsed ? 'If-Range不匹配，返回完整文件' : `忽略无效的Range: ${rangeHeader}`);
+        delete req.headers.range;
+        delete req.headers['if-range'];
+        await handleRegularRequest(req, res, targetUrl, requestId, findMountByTargetUrl(targetUrl));
+        return;
+    }
+    if (!parsed.satisfiable) {
+        sendRangeNotSatisfiable(res, totalSize, requestId);
+        return;
+    }
+    // If-Range已在代理校验，不再转发给上游
+    delete req.headers['if-range'];
+
+    // 优先使用磁盘分段缓存和预加载数据，文件大小或ETag变化后自动视为新文件
+    const fileKey = segmentCache.getFileKey(targetUrl, totalSize, metadata['etag']);
+
+    if (parsed.ranges.length > 1) {
+        await handleMultiRangeRequest(req, res, targetUrl, fileKey, parsed.ranges, totalSize,
+            metadata['content-type'], requestId);
+        return;
     }
 
+    const request = activeRequests.get(requestId);
+    ensureBitrate(req, targetUrl, fileKey, totalSize, requestId);
+    const range = rangePlanner.plan(parsed.ranges[0], totalSize, { clientId: request.client, targetUrl });
     const rangeSize = range.end - range.start + 1;
     log(requestId, 'info', `Range解析: ${range.start}-${range.end}/${totalSize} (${formatBytes(rangeSize)})`);
+    if (range.optimized) {
+        log(requestId, 'info', `扩展Range (${range.reason}): ${formatBytes(range.originalEnd - range.start + 1)} -> ${formatBytes(rangeSize)}`);
+    }
     
     // 记录Range请求开始
-    activeRequests.get(requestId).range = range;
-    activeRequests.get(requestId).totalSize = totalSize;
+    request.range = range;
+    request.totalSize = totalSize;
 
-    // 尝试向上游发送Range请求
-    const rangeHeaders = {
-        ...req.headers,
-        host: TARGET_HOST
-    };
-    delete rangeHeaders['origin'];
-    delete rangeHeaders['referer'];
+    const requestedEnd = range.optimized ? range.originalEnd : range.end;
+    const localParts = collectLocalParts(targetUrl, fileKey, range.start, requestedEnd);
+    recordLocalLookup(localParts, requestedEnd);
+
+    if (localParts.length > 0) {
+        await serveFromLocalCache(req, res, targetUrl, fileKey, range.start, requestedEnd,
+            localParts, totalSize, metadata['content-type'], requestId);
+        return;
+    }
+
+    // 缓存未命中：边传输边写入分段缓存，传输速度计入该客户端
+    request.upstream = true;
+    const cacheWriter = segmentCache.createWriter(fileKey, range.start, totalSize);
+    res.once('close', () => cacheWriter.end());
+
+    // 尝试向上游发送Range请求（规范化为单个范围，如 bytes=-500 转为具体位置）
+    const rangeHeaders = buildUpstreamHeaders(req.headers, targetUrl);
+    rangeHeaders.range = `bytes=${range.start}-${requestedEnd}`;
 
     try {
         // 优化2: 检查缓存的重定向URL
@@ -422,7 +842,8 @@ async function handleStreamingRangeRequest(req, res, targetUrl, requestId) {
         if (cachedRedirect) {
             log(requestId, 'info', `使用缓存的重定向URL (节省302跳转)`);
             // 直接向CDN发起请求
-            await handleRedirectRange(cachedRedirect, range, totalSize, res, requestId);
+            await handleRedirectRange(cachedRedirect, range, totalSize, res, requestId, cacheWriter,
+                targetUrl, req.headers);
             return;
         } else {
             log(requestId, 'debug', '向上游发起Range请求');
@@ -433,92 +854,30 @@ async function handleStreamingRangeRequest(req, res, targetUrl, requestId) {
         // 如果上游支持Range且返回206
         if (response.statusCode === 206) {
             log(requestId, 'info', '上游服务器支持Range请求，直接流式传输');
-            
-            // 如果范围被优化过，需要截取原始请求的部分
-            if (range.optimized && range.originalEnd) {
-                log(requestId, 'info', '处理优化范围，截取原始请求部分');
-                
-                const originalSize = range.originalEnd - range.start + 1;
-                const responseHeaders = {
-                    ...CORS_HEADERS,
-                    'Content-Range': `bytes ${range.start}-${range.originalEnd}/${totalSize}`,
-                    'Content-Length': originalSize.toString(),
-                    'Accept-Ranges': 'bytes',
-                    'Content-Type': response.headers['content-type'] || 'video/mp4'
-                };
 
-                res.writeHead(206, responseHeaders);
-                
-                let transferredBytes = 0;
-                
-                response.on('data', (chunk) => {
-                    // 只发送原始请求需要的部分
-                    if (transferredBytes + chunk.length <= originalSize) {
-                        // 整个chunk都需要
-                        res.write(chunk);
-                        transferredBytes += chunk.length;
-                        updateTransferStats(chunk.length);
-                    } else if (transferredBytes < originalSize) {
-                        // 只需要chunk的一部分
-                        const neededBytes = originalSize - transferredBytes;
-                        const partialChunk = chunk.slice(0, neededBytes);
-                        res.write(partialChunk);
-                        transferredBytes += partialChunk.length;
-                        updateTransferStats(partialChunk.length);
-                    }
-                    
-                    // 如果已经发送完原始请求的数据，结束响应
-                    if (transferredBytes >= originalSize) {
-                        response.destroy(); // 停止接收更多数据
-                        res.end();
-                        log(requestId, 'info', `优化Range传输完成: ${formatBytes(transferredBytes)}`);
-                        return;
-                    }
-                });
-                
-                response.on('error', (error) => {
-                    log(requestId, 'error', `优化传输错误: ${error.message}`);
-                    if (!res.headersSent) {
-                        res.writeHead(500, CORS_HEADERS);
-                    }
-                    res.end();
-                });
-                
-            } else {
-                // 标准Range请求处理
-                const responseHeaders = {
-                    ...CORS_HEADERS,
-                    'Content-Range': response.headers['content-range'],
-                    'Content-Length': response.headers['content-length'],
-                    'Accept-Ranges': 'bytes',
-                    'Content-Type': response.headers['content-type'] || 'video/mp4'
-                };
+            const originalSize = requestedEnd - range.start + 1;
+            res.writeHead(206, {
+                ...CORS_HEADERS,
+                'Content-Range': `bytes ${range.start}-${requestedEnd}/${totalSize}`,
+                'Content-Length': originalSize.toString(),
+                'Accept-Ranges': 'bytes',
+                'Content-Type': response.headers['content-type'] || 'video/mp4'
+            });
 
-                res.writeHead(206, responseHeaders);
-                
-                // 关键：直接管道传输，不缓冲 - 添加传输监控
-                let transferredBytes = 0;
-                response.on('data', (chunk) => {
-                    transferredBytes += chunk.length;
-                    updateTransferStats(chunk.length); // 更新全局统计
-                    if (transferredBytes % (1024 * 1024) < chunk.length) {
-                        log(requestId, 'debug', `传输进度: ${formatBytes(transferredBytes)}/${formatBytes(rangeSize)}`);
-                    }
-                });
-                
-                response.pipe(res);
-                
-                response.on('end', () => {
-                    log(requestId, 'info', `Range流式传输完成: ${formatBytes(transferredBytes)}`);
-                });
-                
-                response.on('error', (error) => {
-                    log(requestId, 'error', `流式传输错误: ${error.message}`);
-                    if (!res.headersSent) {
-                        res.writeHead(500, CORS_HEADERS);
-                    }
-                    res.end();
-                });
+            // 关键：直接管道传输，不缓冲；上游中途断开时从断点重新请求
+            try {
+                await pipeUpstreamWithResume(res, response, range.start, requestedEnd,
+                    (from, to) => openUpstreamRange(targetUrl, from, to, req.headers, requestId),
+                    chunk => {
+                        cacheWriter.write(chunk);
+                        updateTransferStats(chunk.length, requestId); // 更新全局统计
+                    }, requestId);
+                res.end();
+                log(requestId, 'info', `Range流式传输完成: ${formatBytes(originalSize)}`);
+            } catch (error) {
+                // 响应头已发送，只能中断连接让客户端重新请求
+                log(requestId, 'error', `流式传输错误: ${error.message}`);
+                res.destroy();
             }
             
         } else if (response.statusCode === 302 || response.statusCode === 301) {
@@ -535,7 +894,8 @@ async function handleStreamingRangeRequest(req, res, targetUrl, requestId) {
             log(requestId, 'debug', '重定向URL已缓存');
             
             // 向重定向URL发起流式Range请求
-            await handleRedirectRange(redirectUrl, range, totalSize, res, requestId);
+            await handleRedirectRange(redirectUrl, range, totalSize, res, requestId, cacheWriter,
+                targetUrl, req.headers);
             
         } else {
             // 上游不支持Range，使用流式部分下载
@@ -550,13 +910,13 @@ async function handleStreamingRangeRequest(req, res, targetUrl, requestId) {
         if (error.message.includes('重定向')) {
             const response = await makeRequest('GET', targetUrl, {
                 ...req.headers,
-                host: TARGET_HOST,
                 range: undefined // 移除range头获取重定向
             });
             
             if (response.statusCode === 302) {
                 const redirectUrl = response.headers.location;
-                await handleRedirectRange(redirectUrl, range, totalSize, res, requestId);
+                await handleRedirectRange(redirectUrl, range, totalSize, res, requestId, cacheWriter,
+                    targetUrl, req.headers);
             } else {
                 throw error;
             }
@@ -566,136 +926,1607 @@ async function handleStreamingRangeRequest(req, res, targetUrl, requestId) {
     }
 }
 
-// 处理重定向的流式Range请求
-async function handleRedirectRange(redirectUrl, range, totalSize, res, requestId) {
-    return new Promise((resolve, reject) => {
-        const parsedUrl = url.parse(redirectUrl);
-        const isHttps = parsedUrl.protocol === 'https:';
-        const httpModule = isHttps ? https : require('http');
-        const agent = cacheSystem.getAgent(parsedUrl.protocol);
-        
-        const options = {
-            hostname: parsedUrl.hostname,
-            port: parsedUrl.port || (isHttps ? 443 : 80),
-            path: parsedUrl.path,
-            method: 'GET',
-            agent,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                'Range': `bytes=${range.start}-${range.end}`
-            }
-        };
-        
-        log(requestId, 'info', `向CDN发起Range请求: ${range.start}-${range.end}`);
-        
-        const proxyReq = httpModule.request(options, (proxyRes) => {
-            log(requestId, 'info', `CDN响应状态: ${proxyRes.statusCode}`);
-            
-            if (proxyRes.statusCode === 206) {
-                // CDN支持Range请求，直接流式传输
-                const responseHeaders = {
-                    ...CORS_HEADERS,
-                    'Content-Range': `bytes ${range.start}-${range.end}/${totalSize}`,
-                    'Content-Length': (range.end - range.start + 1).toString(),
-                    'Accept-Ranges': 'bytes',
-                    'Content-Type': proxyRes.headers['content-type'] || 'video/mp4'
-                };
+// 按 RFC 7232 判断条件GET/HEAD：有If-None-Match时只比较ETag（弱比较），否则比较If-Modified-Since
+function isNotModified(headers, metadata) {
+    const ifNoneMatch = headers['if-none-match'];
+    if (ifNoneMatch) {
+        if (!metadata['etag']) return false;
+        if (ifNoneMatch.trim() === '*') return true;
+        const weak = tag => tag.trim().replace(/^W\//, '');
+        return ifNoneMatch.split(',').some(tag => weak(tag) === weak(metadata['etag']));
+    }
+
+    const since = Date.parse(headers['if-modified-since']);
+    const lastModified = Date.parse(metadata['last-modified']);
+    return !isNaN(since) && !isNaN(lastModified) && lastModified <= since;
+}
+
+// 返回304，带上当前的ETag和Last-Modified
+function sendNotModified(res, metadata, requestId) {
+    const headers = { ...CORS_HEADERS };
+    if (metadata['etag']) headers['ETag'] = metadata['etag'];
+    if (metadata['last-modified']) headers['Last-Modified'] = metadata['last-modified'];
+
+    cacheSystem.revalidationStats.notModified++;
+    log(requestId, 'info', '文件未变化，返回304');
+    res.writeHead(304, headers);
+    res.end();
+}
+
+// 获取文件大小的HEAD请求不带Range，避免上游返回部分内容的长度
+function withoutRangeHeaders(headers) {
+    const result = { ...headers };
+    delete result['range'];
+    delete result['if-range'];
+    return result;
+}
+
+// 返回416：所有范围都在文件之外，Content-Range告知客户端文件大小
+function sendRangeNotSatisfiable(res, totalSize, requestId) {
+    log(requestId, 'warn', `Range超出文件大小: ${totalSize} bytes`);
+    res.writeHead(416, {
+        ...CORS_HEADERS,
+        'Content-Range': `bytes */${totalSize}`,
+        'Content-Type': 'application/json'
+    });
+    res.end(JSON.stringify({ error: '请求的范围超出文件大小', size: totalSize, requestId }));
+}
+
+// 多个范围以 multipart/byteranges 响应，每个范围都先使用本地缓存、剩余部分从上游获取
+async function handleMultiRangeRequest(req, res, targetUrl, fileKey, ranges, totalSize, contentType, requestId) {
+    const multipart = buildMultipartLayout(ranges, totalSize, contentType || 'video/mp4');
+    log(requestId, 'info', `多范围请求: ${ranges.map(range => `${range.start}-${range.end}`).join(', ')}/${totalSize}`);
+    activeRequests.get(requestId).totalSize = totalSize;
+
+    res.writeHead(206, {
+        ...CORS_HEADERS,
+        'Content-Type': multipart.contentType,
+        'Content-Length': multipart.contentLength.toString(),
+        'Accept-Ranges': 'bytes'
+    });
+
+    try {
+        for (const part of multipart.parts) {
+            if (res.destroyed) return;
+            res.write(part.header);
+            await pipeFileRange(res, targetUrl, fileKey, totalSize, part.start, part.end, req.headers, requestId);
+        }
+        res.end(multipart.trailer);
+    } catch (error) {
+        // 响应头已发送，只能中断连接让客户端重新请求
+        log(requestId, 'error', `多范围传输失败: ${error.message}`);
+        res.destroy();
+    }
+}
+
+// 处理重定向的流式Range请求
+// targetUrl和reqHeaders为原始文件地址和客户端请求头，传输中断后CDN地址失效时用于重新获取重定向
+async function handleRedirectRange(redirectUrl, range, totalSize, res, requestId, cacheWriter = null,
+    targetUrl = null, reqHeaders = {}) {
+    // 从断点重新请求
+    const reopen = targetUrl
+        ? (from, to) => openUpstreamRange(targetUrl, from, to, reqHeaders, requestId)
+        : async (from, to) => {
+            const response = await requestRedirectRange(redirectUrl, from, to);
+            if (response.statusCode !== 206) {
+                response.resume();
+                throw new Error(`CDN Range请求失败: ${response.statusCode}`);
+            }
+            return response;
+        };
+
+    // 并发分段时没有单个上游响应头可用，使用文件元数据中的类型
+    const metadata = targetUrl ? getCachedMetadata(targetUrl) : null;
+    const contentType = (metadata && metadata['content-type']) || 'video/mp4';
+    if (parallelFetcher.shouldSplit(range.start, range.end) &&
+        await fetchRedirectRangeParallel(redirectUrl, range, totalSize, res, requestId, cacheWriter, reopen, contentType)) {
+        return;
+    }
+
+    return new Promise((resolve, reject) => {
+        const parsedUrl = url.parse(redirectUrl);
+        const isHttps = parsedUrl.protocol === 'https:';
+        const httpModule = isHttps ? https : http;
+        const agent = cacheSystem.getAgent(parsedUrl.protocol);
+        
+        const options = {
+            hostname: parsedUrl.hostname,
+            port: parsedUrl.port || (isHttps ? 443 : 80),
+            path: parsedUrl.path,
+            method: 'GET',
+            agent,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+                'Range': `bytes=${range.start}-${range.end}`
+            }
+        };
+        
+        log(requestId, 'info', `向CDN发起Range请求: ${range.start}-${range.end}`);
+        
+        const proxyReq = httpModule.request(options, (proxyRes) => {
+            log(requestId, 'info', `CDN响应状态: ${proxyRes.statusCode}`);
+            
+            if (proxyRes.statusCode === 206) {
+                // CDN支持Range请求，直接流式传输
+                const responseHeaders = {
+                    ...CORS_HEADERS,
+                    'Content-Range': `bytes ${range.start}-${range.end}/${totalSize}`,
+                    'Content-Length': (range.end - range.start + 1).toString(),
+                    'Accept-Ranges': 'bytes',
+                    'Content-Type': proxyRes.headers['content-type'] || 'video/mp4'
+                };
+
+                res.writeHead(206, responseHeaders);
+                
+                // 关键：直接流式传输 - 添加统计监控，连接中断时从断点续传
+                let transferredBytes = 0;
+                pipeUpstreamWithResume(res, proxyRes, range.start, range.end, reopen, chunk => {
+                    transferredBytes += chunk.length;
+                    if (cacheWriter) {
+                        cacheWriter.write(chunk);
+                    }
+                    updateTransferStats(chunk.length, requestId);
+                }, requestId).then(() => {
+                    log(requestId, 'info', `CDN流式传输完成: ${formatBytes(transferredBytes)}`);
+                    res.end();
+                    resolve();
+                }).catch(error => {
+                    log(requestId, 'error', error.message);
+                    res.destroy();
+                    resolve();
+                });
+                
+            } else if (proxyRes.statusCode === 200) {
+                // CDN不支持Range，需要流式跳过和截取
+                log(requestId, 'info', `CDN不支持Range，实现流式跳过和截取`);
+                
+                const responseHeaders = {
+                    ...CORS_HEADERS,
+                    'Content-Range': `bytes ${range.start}-${range.end}/${totalSize}`,
+                    'Content-Length': (range.end - range.start + 1).toString(),
+                    'Accept-Ranges': 'bytes',
+                    'Content-Type': proxyRes.headers['content-type'] || 'video/mp4'
+                };
+
+                res.writeHead(206, responseHeaders);
+                
+                let downloadedBytes = 0;
+                let sentBytes = 0;
+                const targetBytes = range.end - range.start + 1;
+                
+                proxyRes.on('data', chunk => {
+                    const chunkStart = downloadedBytes;
+                    const chunkEnd = downloadedBytes + chunk.length - 1;
+                    
+                    // 检查这个chunk是否包含我们需要的数据
+                    if (chunkEnd >= range.start && chunkStart <= range.end && sentBytes < targetBytes) {
+                        // 计算chunk中我们需要的部分
+                        const useStart = Math.max(0, range.start - chunkStart);
+                        const useEnd = Math.min(chunk.length - 1, range.end - chunkStart);
+                        
+                        if (useStart <= useEnd) {
+                            const usefulPart = chunk.slice(useStart, useEnd + 1);
+                            const remainingBytes = targetBytes - sentBytes;
+                            const sendBytes = Math.min(usefulPart.length, remainingBytes);
+                            
+                            if (sendBytes > 0) {
+                                // 关键：立即发送数据，不缓冲
+                                res.write(usefulPart.slice(0, sendBytes));
+                                sentBytes += sendBytes;
+                                updateTransferStats(sendBytes, requestId); // 更新统计
+                            }
+                        }
+                    }
+                    
+                    downloadedBytes += chunk.length;
+                    
+                    // 如果已经发送完所需数据，关闭连接
+                    if (sentBytes >= targetBytes) {
+                        log(requestId, 'info', `CDN流式传输完成: ${formatBytes(sentBytes)}`);
+                        proxyRes.destroy();
+                        res.end();
+                        resolve();
+                        return;
+                    }
+                    
+                    // 如果已经超过需要的范围，停止下载
+                    if (downloadedBytes > range.end) {
+                        proxyRes.destroy();
+                        res.end();
+                        resolve();
+                        return;
+                    }
+                });
+                
+                proxyRes.on('end', () => {
+                    res.end();
+                    resolve();
+                });
+                
+                proxyRes.on('error', reject);
+                
+            } else {
+                reject(new Error(`CDN重定向响应错误: ${proxyRes.statusCode}`));
+            }
+        });
+
+        proxyReq.on('error', reject);
+        proxyReq.end();
+    });
+}
+
+// 收集从start开始能在本地满足的连续数据，磁盘分段和预加载数据可以交替拼接
+function collectLocalParts(targetUrl, fileKey, start, end) {
+    const parts = [];
+    let position = start;
+
+    while (position <= end) {
+        const cachedEnd = segmentCache.getCachedEnd(fileKey, position, end);
+        if (cachedEnd >= position) {
+            parts.push({ source: 'disk', start: position, end: cachedEnd });
+            position = cachedEnd + 1;
+            continue;
+        }
+
+        const piece = findPreloadedPiece(targetUrl, position);
+        if (!piece) break;
+
+        const pieceEnd = Math.min(end, piece.start + piece.data.length - 1);
+        parts.push({
+            source: 'preload',
+            start: position,
+            end: pieceEnd,
+            data: piece.data.subarray(position - piece.start, pieceEnd - piece.start + 1)
+        });
+        position = pieceEnd + 1;
+    }
+
+    return parts;
+}
+
+// 查找包含指定字节位置的预加载数据（多个重叠时取覆盖最远的）
+function findPreloadedPiece(targetUrl, position) {
+    const now = Date.now();
+    let best = null;
+
+    for (const entry of cacheSystem.preloadCache.values()) {
+        if (entry.targetUrl !== targetUrl || now - entry.timestamp >= cacheSystem.PRELOAD_TTL) continue;
+
+        const pieceEnd = entry.start + entry.data.length - 1;
+        if (entry.start <= position && pieceEnd >= position &&
+            (!best || pieceEnd > best.start + best.data.length - 1)) {
+            best = entry;
+        }
+    }
+    return best;
+}
+
+// 记录本地缓存的命中统计
+function recordLocalLookup(parts, end) {
+    const fullHit = parts.length > 0 && parts[parts.length - 1].end >= end;
+    const preloadBytes = parts
+        .filter(part => part.source === 'preload')
+        .reduce((sum, part) => sum + part.data.length, 0);
+
+    segmentCache.recordLookup(parts.some(part => part.source === 'disk'));
+
+    if (preloadBytes === 0) {
+        cacheSystem.preloadStats.misses++;
+    } else if (fullHit) {
+        cacheSystem.preloadStats.hits++;
+    } else {
+        cacheSystem.preloadStats.partialHits++;
+    }
+}
+
+// 从本地缓存响应Range请求，本地未覆盖的剩余部分继续从上游获取；所有数据都会写入磁盘分段缓存
+async function serveFromLocalCache(req, res, targetUrl, fileKey, start, end, parts, totalSize, contentType, requestId) {
+    const localEnd = parts[parts.length - 1].end;
+    const fullHit = localEnd >= end;
+    const summary = parts.map(part => `${part.source === 'disk' ? '磁盘' : '预加载'} ${part.start}-${part.end}`).join(', ');
+    log(requestId, 'info', `本地缓存${fullHit ? '命中' : '部分命中'}: ${summary}`);
+
+    res.writeHead(206, {
+        ...CORS_HEADERS,
+        'Content-Range': `bytes ${start}-${end}/${totalSize}`,
+        'Content-Length': (end - start + 1).toString(),
+        'Accept-Ranges': 'bytes',
+        'Content-Type': contentType || 'video/mp4',
+        'X-Cache': fullHit ? 'HIT' : 'PARTIAL'
+    });
+
+    try {
+        await pipeFileRange(res, targetUrl, fileKey, totalSize, start, end, req.headers, requestId, parts);
+        res.end();
+    } catch (error) {
+        // 响应头已发送，只能中断连接让客户端重新请求
+        log(requestId, 'error', `本地缓存传输失败: ${error.message}`);
+        res.destroy();
+    }
+}
+
+// 把原文件 [start, end] 写入响应（不结束响应）：先使用本地缓存的连续数据，剩余部分从上游获取，所有数据都写入磁盘分段缓存
+async function pipeFileRange(res, targetUrl, fileKey, totalSize, start, end, headers, requestId,
+    parts = collectLocalParts(targetUrl, fileKey, start, end)) {
+    const cacheWriter = segmentCache.createWriter(fileKey, start, totalSize);
+    const onChunk = chunk => {
+        cacheWriter.write(chunk);
+        updateTransferStats(chunk.length, requestId);
+    };
+
+    try {
+        for (const part of parts) {
+            if (res.destroyed) return;
+
+            if (part.source === 'disk') {
+                await pipeWithoutEnd(segmentCache.createReadStream(fileKey, part.start, part.end), res, onChunk);
+            } else {
+                cacheSystem.preloadStats.bytesServed += part.data.length;
+                await pipeWithoutEnd(Readable.from([part.data]), res, onChunk);
+            }
+        }
+
+        const localEnd = parts.length > 0 ? parts[parts.length - 1].end : start - 1;
+        if (localEnd >= end || res.destroyed) return;
+
+        // 剩余部分从上游获取
+        const reopen = (from, to) => openUpstreamRange(targetUrl, from, to, headers, requestId);
+        const response = await reopen(localEnd + 1, end);
+        await pipeUpstreamWithResume(res, response, localEnd + 1, end, reopen, onChunk, requestId);
+        log(requestId, 'info', `上游续传完成: ${localEnd + 1}-${end}`);
+    } finally {
+        cacheWriter.end();
+    }
+}
+
+// 将数据流写入响应但不结束响应，客户端断开时停止读取
+function pipeWithoutEnd(source, res, onChunk) {
+    return new Promise((resolve, reject) => {
+        const onClose = () => {
+            source.destroy();
+            resolve();
+        };
+        res.once('close', onClose);
+
+        source.on('data', chunk => {
+            if (onChunk) onChunk(chunk);
+        });
+        source.on('end', () => {
+            res.removeListener('close', onClose);
+            resolve();
+        });
+        source.on('error', error => {
+            res.removeListener('close', onClose);
+            reject(error);
+        });
+        // 上游连接关闭但没有正常结束，由调用方按已收到的数据判断是否完整
+        source.on('close', () => {
+            res.removeListener('close', onClose);
+            resolve();
+        });
+        source.pipe(res, { end: false });
+    });
+}
+
+// 大范围拆成多个并发连接从CDN下载（网盘限制单连接速度），按顺序边收边发给客户端；
+// 还没有发送任何数据时失败（如CDN不支持Range）返回false，由调用方改用单个连接
+// reopen(from, to) 用于分段中断或CDN地址失效后重新请求（会重新获取重定向）
+async function fetchRedirectRangeParallel(redirectUrl, range, totalSize, res, requestId, cacheWriter, reopen, contentType) {
+    const rangeSize = range.end - range.start + 1;
+    log(requestId, 'info', `向CDN并发分段请求: ${range.start}-${range.end} (${formatBytes(rangeSize)})`);
+
+    try {
+        await parallelFetcher.fetch(redirectUrl, range.start, range.end, {
+            write: chunk => {
+                if (!res.headersSent) {
+                    res.writeHead(206, {
+                        ...CORS_HEADERS,
+                        'Content-Range': `bytes ${range.start}-${range.end}/${totalSize}`,
+                        'Content-Length': rangeSize.toString(),
+                        'Accept-Ranges': 'bytes',
+                        'Content-Type': contentType
+                    });
+                }
+                if (cacheWriter) {
+                    cacheWriter.write(chunk);
+                }
+                updateTransferStats(chunk.length, requestId);
+                return res.write(chunk);
+            },
+            waitDrain: () => new Promise(resolve => {
+                const done = () => {
+                    res.removeListener('drain', done);
+                    res.removeListener('close', done);
+                    resolve();
+                };
+                res.on('drain', done);
+                res.on('close', done);
+            }),
+            isClosed: () => res.destroyed,
+            reopen
+        });
+    } catch (error) {
+        if (!res.headersSent) {
+            log(requestId, 'warn', `并发分段请求失败，改用单个连接: ${error.message}`);
+            return false;
+        }
+        // 响应头已发送，只能中断连接让客户端重新请求
+        log(requestId, 'error', `并发分段传输失败: ${error.message}`);
+        res.destroy();
+        return true;
+    }
+
+    res.end();
+    log(requestId, 'info', `CDN并发分段传输完成: ${formatBytes(rangeSize)}`);
+    return true;
+}
+
+// 打开上游指定字节范围的206响应流（自动处理并缓存302重定向，缓存的CDN地址失效时重新获取）
+async function openUpstreamRange(targetUrl, start, end, reqHeaders, requestId) {
+    let redirectUrl = getCachedRedirect(targetUrl);
+
+    if (redirectUrl) {
+        log(requestId, 'info', `向CDN发起Range请求: ${start}-${end}`);
+        const response = await requestRedirectRange(redirectUrl, start, end);
+        if (response.statusCode === 206) {
+            return response;
+        }
+        response.resume();
+        if (response.statusCode === 429 || response.statusCode === 503) {
+            // 限流时地址本身仍有效，由调用方按status和Retry-After等待
+            const error = new Error(`CDN Range请求失败: ${response.statusCode}`);
+            error.status = response.statusCode;
+            error.retryAfter = response.headers['retry-after'];
+            throw error;
+        }
+        // 签名过期等原因，重新向上游获取重定向地址
+        log(requestId, 'info', `缓存的CDN地址已失效 (${response.statusCode})，重新获取重定向`);
+        cacheSystem.redirects.delete(targetUrl);
+    }
+
+    const response = await makeRequest('GET', targetUrl, {
+        ...reqHeaders,
+        range: `bytes=${start}-${end}`
+    });
+    if (response.statusCode === 206) {
+        return response;
+    }
+
+    response.resume();
+    if ((response.statusCode === 302 || response.statusCode === 301) && response.headers.location) {
+        redirectUrl = response.headers.location;
+        setCachedRedirect(targetUrl, redirectUrl);
+    } else {
+        throw new Error(`上游Range请求失败: ${response.statusCode}`);
+    }
+
+    log(requestId, 'info', `向CDN发起Range请求: ${start}-${end}`);
+    const redirected = await requestRedirectRange(redirectUrl, start, end);
+    if (redirected.statusCode !== 206) {
+        redirected.resume();
+        throw new Error(`CDN Range请求失败: ${redirected.statusCode}`);
+    }
+    return redirected;
+}
+
+// 把上游206响应的 [start, end] 写入响应（不结束响应）。上游连接中途断开时等待后用reopen(from, to)从已发送的下一个字节
+// 重新请求，最多重试 retry.attempts 次、等待时间每次加倍，客户端收到的始终是完整的数据
+async function pipeUpstreamWithResume(res, response, start, end, reopen, onChunk, requestId) {
+    const { attempts, delay } = proxyConfig.retry;
+    let position = start;
+    let source = response;
+    let reason = '连接提前结束';
+
+    for (let attempt = 1; ; attempt++) {
+        if (source) {
+            try {
+                await pipeWithoutEnd(source, res, chunk => {
+                    position += chunk.length;
+                    onChunk(chunk);
+                });
+            } catch (error) {
+                reason = error.message;
+            }
+            if (position > end || res.destroyed) return;
+        }
+
+        if (attempt > attempts) {
+            throw new Error(`上游传输在 ${position}/${end + 1} 中断，重试${attempts}次后放弃: ${reason}`);
+        }
+        const wait = delay * 2 ** (attempt - 1);
+        globalStats.upstreamRetries++;
+        log(requestId, 'warn', `上游传输在 ${position}/${end + 1} 中断 (${reason})，${wait}ms后从断点重新请求 (第${attempt}次)`);
+        await new Promise(resolve => setTimeout(resolve, wait));
+        if (res.destroyed) return;
+
+        try {
+            source = await reopen(position, end);
+        } catch (error) {
+            source = null;
+            reason = error.message;
+        }
+    }
+}
+
+function requestRedirectRange(redirectUrl, start, end) {
+    return new Promise((resolve, reject) => {
+        const parsedUrl = url.parse(redirectUrl);
+        const proxyReq = getHttpModule(parsedUrl.protocol).request(redirectUrl, {
+            method: 'GET',
+            agent: cacheSystem.getAgent(parsedUrl.protocol),
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+                'Range': `bytes=${start}-${end}`
+            }
+        }, resolve);
+
+        proxyReq.on('error', reject);
+        proxyReq.end();
+    });
+}
+
+// 获取文件元数据（优先使用缓存，未命中时发起HEAD请求）
+async function fetchFileMetadata(targetUrl, headers, requestId = 'CACHE') {
+    let metadata = getCachedMetadata(targetUrl);
+    if (metadata) {
+        return metadata;
+    }
+
+    // 保留的过期元数据带上ETag/Last-Modified发送条件HEAD，未变化时上游返回304
+    const stale = cacheSystem.metadata.get(targetUrl);
+    const headHeaders = withoutRangeHeaders(headers);
+    delete headHeaders['if-none-match'];
+    delete headHeaders['if-modified-since'];
+    if (stale && stale.data['etag']) {
+        headHeaders['if-none-match'] = stale.data['etag'];
+    } else if (stale && stale.data['last-modified']) {
+        headHeaders['if-modified-since'] = stale.data['last-modified'];
+    }
+
+    const headResponse = await makeRequest('HEAD', targetUrl, headHeaders);
+    headResponse.resume();
+    if (headResponse.statusCode === 304 && stale) {
+        log(requestId, 'debug', '元数据已过期，上游确认文件未变化');
+        refreshCachedMetadata(targetUrl);
+    } else if (headResponse.statusCode >= 400) {
+        throw new Error(`HEAD请求失败: ${headResponse.statusCode}`);
+    } else {
+        setCachedMetadata(targetUrl, headResponse.headers);
+        log(requestId, 'debug', `元数据已缓存: ${headResponse.headers['content-length']} bytes`);
+    }
+    return getCachedMetadata(targetUrl);
+}
+
+// 读取文件指定字节范围到内存（优先磁盘分段缓存，从上游读取的数据同时写入缓存）
+async function readFileRange(targetUrl, fileKey, totalSize, start, end, headers, requestId) {
+    const fromDisk = segmentCache.getCachedEnd(fileKey, start, end) >= end;
+    const source = fromDisk
+        ? segmentCache.createReadStream(fileKey, start, end)
+        : await openUpstreamRange(targetUrl, start, end, headers, requestId);
+    const cacheWriter = fromDisk ? null : segmentCache.createWriter(fileKey, start, totalSize);
+
+    const chunks = [];
+    for await (const chunk of source) {
+        chunks.push(chunk);
+        if (cacheWriter) cacheWriter.write(chunk);
+    }
+
+    const data = Buffer.concat(chunks);
+    if (data.length !== end - start + 1) {
+        throw new Error(`范围读取不完整: ${start}-${end} 只收到 ${data.length} 字节`);
+    }
+    return data;
+}
+
+// 获取文件的HLS封装信息，文件大小或ETag变化后重新解析
+async function getHlsPackage(targetUrl, headers, requestId) {
+    const metadata = await fetchFileMetadata(targetUrl, headers);
+    const totalSize = parseInt(metadata['content-length'] || '0');
+    if (totalSize === 0) {
+        throw new Error('无法获取文件大小：Content-Length为0或未定义');
+    }
+
+    const fileKey = segmentCache.getFileKey(targetUrl, totalSize, metadata['etag']);
+    const cached = cacheSystem.hlsPackages.get(targetUrl);
+    if (cached && cached.fileKey === fileKey) {
+        cached.timestamp = Date.now();
+        return cached.promise;
+    }
+
+    log(requestId, 'info', `解析MP4结构用于HLS封装: ${formatBytes(totalSize)}`);
+
+    // 同一文件的并发请求共享同一次解析
+    const readRange = (start, end) => readFileRange(targetUrl, fileKey, totalSize, start, end, headers, requestId);
+    const promise = readMovieBox(readRange, totalSize).then(({ moovBuffer }) => ({
+        fileKey,
+        totalSize,
+        hlsPackage: new HlsPackage(parseMovie(moovBuffer))
+    }));
+
+    cacheSystem.hlsPackages.set(targetUrl, { fileKey, promise, timestamp: Date.now() });
+    promise.catch(() => cacheSystem.hlsPackages.delete(targetUrl));
+    return promise;
+}
+
+// 获取MP4的faststart布局：通过HEAD和少量范围读取检测moov是否位于末尾（检测失败时返回null）
+async function getFaststartLayout(targetUrl, headers, requestId) {
+    let metadata;
+    try {
+        metadata = await fetchFileMetadata(targetUrl, headers);
+    } catch (error) {
+        log(requestId, 'warn', `无法获取文件元数据，跳过moov位置检测: ${error.message}`);
+        return null;
+    }
+
+    const totalSize = parseInt(metadata['content-length'] || '0');
+    if (totalSize === 0) return null;
+
+    const fileKey = segmentCache.getFileKey(targetUrl, totalSize, metadata['etag']);
+    const cached = cacheSystem.faststartLayouts.get(targetUrl);
+    if (cached && cached.fileKey === fileKey) {
+        cached.timestamp = Date.now();
+        return cached.promise;
+    }
+
+    // 同一文件的并发请求共享同一次检测；无法解析的文件按原文件处理
+    const readRange = (start, end) => readFileRange(targetUrl, fileKey, totalSize, start, end, headers, requestId);
+    const promise = analyzeMp4Layout(readRange, totalSize)
+        .then(layout => {
+            if (layout.moovAtEnd) {
+                log(requestId, 'info', `检测到moov位于文件末尾 (偏移 ${layout.moovOffset}, ${formatBytes(layout.moovSize)})，启用虚拟faststart`);
+            }
+            return { ...layout, fileKey, totalSize };
+        })
+        .catch(error => {
+            log(requestId, 'warn', `MP4结构检测失败，按原文件处理: ${error.message}`);
+            return { moovAtEnd: false, fileKey, totalSize };
+        });
+
+    cacheSystem.faststartLayouts.set(targetUrl, { fileKey, promise, timestamp: Date.now() });
+    return promise;
+}
+
+// 虚拟faststart文件的内容与原文件不同，ETag在上游ETag上加标记，避免浏览器把两者的缓存数据混用；
+// 同一上游文件的布局固定，Last-Modified沿用上游
+function getFaststartValidators(metadata) {
+    const validators = { 'last-modified': metadata['last-modified'] };
+    const etag = metadata['etag'];
+    if (etag) {
+        validators['etag'] = etag.endsWith('"') ? `${etag.slice(0, -1)}-faststart"` : `"${etag}-faststart"`;
+    }
+    return validators;
+}
+
+// 以虚拟faststart文件响应GET/HEAD请求：moov来自内存，其余字节映射到原文件范围
+async function handleFaststartRequest(req, res, targetUrl, layout, requestId) {
+    const metadata = getCachedMetadata(targetUrl) || {};
+    const validators = getFaststartValidators(metadata);
+    const responseHeaders = {
+        ...CORS_HEADERS,
+        'Accept-Ranges': 'bytes',
+        'Content-Type': metadata['content-type'] || 'video/mp4',
+        'X-Faststart': 'virtual'
+    };
+    if (validators['etag']) responseHeaders['ETag'] = validators['etag'];
+    if (validators['last-modified']) responseHeaders['Last-Modified'] = validators['last-modified'];
+
+    let start = 0;
+    let end = layout.size - 1;
+    let statusCode = 200;
+
+    const parsed = req.headers.range ? parseRangeHeader(req.headers.range, layout.size) : null;
+    // Range无效或If-Range与当前文件不符时忽略Range，返回完整文件
+    const ifRangeSatisfied = isIfRangeSatisfied(req.headers['if-range'], validators);
+    delete req.headers['if-range'];
+    if (parsed && ifRangeSatisfied) {
+        if (!parsed.satisfiable) {
+            sendRangeNotSatisfiable(res, layout.size, requestId);
+            return;
+        }
+        if (parsed.ranges.length > 1) {
+            await handleFaststartMultiRange(req, res, targetUrl, layout, parsed.ranges, responseHeaders, requestId);
+            return;
+        }
+        start = parsed.ranges[0].start;
+        end = parsed.ranges[0].end;
+        statusCode = 206;
+        responseHeaders['Content-Range'] = `bytes ${start}-${end}/${layout.size}`;
+    }
+    responseHeaders['Content-Length'] = (end - start + 1).toString();
+
+    res.writeHead(statusCode, responseHeaders);
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+
+    log(requestId, 'info', `虚拟faststart传输: ${start}-${end}/${layout.size}`);
+
+    try {
+        await pipeVirtualRange(req, res, targetUrl, layout, start, end, requestId);
+        res.end();
+    } catch (error) {
+        // 响应头已发送，只能中断连接让客户端重新请求
+        log(requestId, 'error', `虚拟faststart传输失败: ${error.message}`);
+        res.destroy();
+    }
+}
+
+// 以 multipart/byteranges 响应虚拟faststart文件的多个范围
+async function handleFaststartMultiRange(req, res, targetUrl, layout, ranges, responseHeaders, requestId) {
+    const multipart = buildMultipartLayout(ranges, layout.size, responseHeaders['Content-Type']);
+    res.writeHead(206, {
+        ...responseHeaders,
+        'Content-Type': multipart.contentType,
+        'Content-Length': multipart.contentLength.toString()
+    });
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+
+    log(requestId, 'info', `虚拟faststart多范围传输: ${ranges.map(range => `${range.start}-${range.end}`).join(', ')}/${layout.size}`);
+
+    try {
+        for (const part of multipart.parts) {
+            if (res.destroyed) return;
+            res.write(part.header);
+            await pipeVirtualRange(req, res, targetUrl, layout, part.start, part.end, requestId);
+        }
+        res.end(multipart.trailer);
+    } catch (error) {
+        log(requestId, 'error', `虚拟faststart传输失败: ${error.message}`);
+        res.destroy();
+    }
+}
+
+// 把虚拟文件 [start, end] 写入响应（不结束响应）：moov来自内存，其余字节映射到原文件范围
+async function pipeVirtualRange(req, res, targetUrl, layout, start, end, requestId) {
+    for (const piece of mapVirtualRange(layout, start, end)) {
+        if (res.destroyed) return;
+
+        if (piece.data) {
+            await pipeWithoutEnd(Readable.from([piece.data]), res,
+                chunk => updateTransferStats(chunk.length, requestId));
+        } else {
+            await pipeFileRange(res, targetUrl, layout.fileKey, layout.totalSize,
+                piece.sourceStart, piece.sourceEnd, req.headers, requestId);
+        }
+    }
+}
+
+// 处理HLS请求: /api/hls/<路径>/index.m3u8, init.mp4, <序号>.m4s
+async function handleHlsRequest(req, res, parsedUrl, requestId) {
+    const sendJson = (statusCode, data) => {
+        res.writeHead(statusCode, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ...data, requestId }));
+    };
+
+    const match = parsedUrl.pathname.match(/^\/api\/hls(\/.+)\/(index\.m3u8|init\.mp4|(\d+)\.m4s)$/);
+    if (!match) {
+        sendJson(404, { error: '无效的HLS地址，应为 /api/hls/<路径>/index.m3u8' });
+        return;
+    }
+
+    const target = resolveTarget(match[1]);
+    if (!target) {
+        sendJson(404, { error: '路径未匹配任何挂载', path: match[1] });
+        return;
+    }
+
+    getMountStats(target.mount.name).totalRequests++;
+    activeRequests.get(requestId).mount = target.mount.name;
+
+    try {
+        const { fileKey, totalSize, hlsPackage } = await getHlsPackage(target.targetUrl, req.headers, requestId);
+        let body;
+        let contentType = 'video/mp4';
+
+        if (match[2] === 'index.m3u8') {
+            // Safari原生HLS无法设置请求头，把会话参数传递给分段地址
+            const session = parsedUrl.query[SESSION_QUERY_PARAM];
+            body = Buffer.from(hlsPackage.buildPlaylist(
+                session ? `?${SESSION_QUERY_PARAM}=${encodeURIComponent(session)}` : ''));
+            contentType = 'application/vnd.apple.mpegurl';
+        } else if (match[2] === 'init.mp4') {
+            body = hlsPackage.buildInitSegment();
+        } else {
+            const index = parseInt(match[3]);
+            if (index >= hlsPackage.segments.length) {
+                sendJson(404, { error: `分段不存在: ${index}` });
+                return;
+            }
+            body = await hlsPackage.buildMediaSegment(index, (start, end) =>
+                readFileRange(target.targetUrl, fileKey, totalSize, start, end, req.headers, requestId));
+        }
+
+        res.writeHead(200, {
+            ...CORS_HEADERS,
+            'Content-Type': contentType,
+            'Content-Length': body.length
+        });
+        res.end(body);
+        updateTransferStats(body.length, requestId);
+        log(requestId, 'info', `HLS ${match[2]} 完成: ${formatBytes(body.length)}`);
+    } catch (error) {
+        log(requestId, 'error', `HLS封装失败: ${error.message}`);
+        sendJson(500, { error: 'HLS封装失败', message: error.message });
+    }
+}
+
+// 处理字幕请求: /api/subtitle?path=<字幕路径>，SRT/ASS/SSA/VTT统一转换为UTF-8编码的WebVTT
+async function handleSubtitleRequest(req, res, parsedUrl, requestId) {
+    const sendJson = (statusCode, data) => {
+        res.writeHead(statusCode, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ...data, requestId }));
+    };
+
+    const subtitlePath = parsedUrl.query.path;
+    if (!subtitlePath) {
+        sendJson(400, { error: '缺少path参数' });
+        return;
+    }
+
+    const format = subtitlePath.split('.').pop().toLowerCase();
+    if (!SUBTITLE_FORMATS.includes(format)) {
+        sendJson(400, { error: `不支持的字幕格式: ${format}`, supported: SUBTITLE_FORMATS });
+        return;
+    }
+
+    // 查询参数中的路径是解码后的，转发上游前逐段重新编码
+    const target = resolveTarget(subtitlePath.split('/').map(encodeURIComponent).join('/'));
+    if (!target) {
+        sendJson(404, { error: '路径未匹配任何挂载', path: subtitlePath });
+        return;
+    }
+
+    getMountStats(target.mount.name).totalRequests++;
+    activeRequests.get(requestId).mount = target.mount.name;
+
+    try {
+        const metadata = await fetchFileMetadata(target.targetUrl, req.headers);
+        const totalSize = parseInt(metadata['content-length'] || '0');
+        if (totalSize === 0 || totalSize > MAX_SUBTITLE_SIZE) {
+            sendJson(422, { error: `字幕文件大小无效: ${formatBytes(totalSize)}` });
+            return;
+        }
+
+        const fileKey = segmentCache.getFileKey(target.targetUrl, totalSize, metadata['etag']);
+        const data = await readFileRange(target.targetUrl, fileKey, totalSize, 0, totalSize - 1, req.headers, requestId);
+        const { vtt, encoding, cueCount } = convertSubtitle(data, format);
+        const body = Buffer.from(vtt, 'utf8');
+
+        res.writeHead(200, {
+            ...CORS_HEADERS,
+            'Content-Type': 'text/vtt; charset=utf-8',
+            'Content-Length': body.length,
+            'X-Subtitle-Encoding': encoding
+        });
+        res.end(body);
+        updateTransferStats(body.length, requestId);
+        log(requestId, 'info', `字幕转换完成: ${format} (${encoding}) -> WebVTT, ${cueCount} 条`);
+    } catch (error) {
+        log(requestId, 'error', `字幕转换失败: ${error.message}`);
+        sendJson(500, { error: '字幕转换失败', message: error.message });
+    }
+}
+
+// 处理缩略图请求: /api/thumbnail?path=&t=&w= (单帧), /api/thumbnail/sprite.jpg?path=, /api/thumbnail/sprite.vtt?path= (预览雪碧图)
+async function handleThumbnailRequest(req, res, parsedUrl, requestId) {
+    const sendJson = (statusCode, data) => {
+        res.writeHead(statusCode, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ...data, requestId }));
+    };
+    const sendBody = (contentType, body) => {
+        res.writeHead(200, {
+            ...CORS_HEADERS,
+            'Content-Type': contentType,
+            'Content-Length': body.length,
+            'Cache-Control': 'private, max-age=86400'
+        });
+        res.end(body);
+        updateTransferStats(body.length, requestId);
+    };
+    const query = parsedUrl.query;
+
+    const kind = parsedUrl.pathname === '/api/thumbnail'
+        ? 'frame'
+        : parsedUrl.pathname.substring('/api/thumbnail/'.length);
+    if (!['frame', 'sprite.jpg', 'sprite.vtt'].includes(kind)) {
+        sendJson(404, { error: '无效的缩略图地址', path: parsedUrl.pathname });
+        return;
+    }
+    if (!thumbnailGenerator.enabled) {
+        sendJson(503, { error: '未找到ffmpeg，缩略图不可用' });
+        return;
+    }
+
+    const videoPath = query.path;
+    if (!videoPath) {
+        sendJson(400, { error: '缺少path参数' });
+        return;
+    }
+
+    const time = query.t !== undefined && query.t !== '' ? Math.round(parseFloat(query.t) * 10) / 10 : null;
+    if (time !== null && !(time >= 0)) {
+        sendJson(400, { error: `无效的时间: ${query.t}` });
+        return;
+    }
+
+    // 查询参数中的路径是解码后的，转发上游前逐段重新编码
+    const target = resolveTarget(videoPath.split('/').map(encodeURIComponent).join('/'));
+    if (!target) {
+        sendJson(404, { error: '路径未匹配任何挂载', path: videoPath });
+        return;
+    }
+
+    getMountStats(target.mount.name).totalRequests++;
+    activeRequests.get(requestId).mount = target.mount.name;
+
+    try {
+        const source = await buildFfmpegSource(req, target);
+
+        if (kind === 'frame') {
+            const image = await thumbnailGenerator.getThumbnail(source, time, parseInt(query.w) || undefined);
+            sendBody('image/jpeg', image);
+            log(requestId, 'info', `缩略图完成: ${videoPath} (${formatBytes(image.length)})`);
+            return;
+        }
+
+        const { image, layout } = await thumbnailGenerator.getSprite(source);
+        if (kind === 'sprite.jpg') {
+            sendBody('image/jpeg', image);
+        } else {
+            // 雪碧图地址相对于VTT地址，会话模式下带上同样的会话参数
+            const session = query[SESSION_QUERY_PARAM]
+                ? `&${SESSION_QUERY_PARAM}=${encodeURIComponent(query[SESSION_QUERY_PARAM])}`
+                : '';
+            const vtt = buildSpriteVtt(layout, `sprite.jpg?path=${encodeURIComponent(videoPath)}${session}`);
+            sendBody('text/vtt; charset=utf-8', Buffer.from(vtt, 'utf8'));
+        }
+        log(requestId, 'info', `预览雪碧图完成: ${videoPath} (${layout.count} 帧, 间隔 ${layout.interval} 秒)`);
+    } catch (error) {
+        log(requestId, 'error', `缩略图生成失败: ${error.message}`);
+        sendJson(500, { error: '缩略图生成失败', message: error.message });
+    }
+}
+
+// ffmpeg的输入：ffmpeg直接向上游发Range请求，只需要上游地址、上游认证头，以及区分文件版本的标识
+async function buildFfmpegSource(req, target) {
+    const metadata = await fetchFileMetadata(target.targetUrl, req.headers);
+    return {
+        url: target.targetUrl,
+        headers: { Authorization: buildUpstreamHeaders(req.headers, target.targetUrl).authorization },
+        fileKey: segmentCache.getFileKey(target.targetUrl, metadata['content-length'], metadata['etag'])
+    };
+}
+
+// 处理转码请求: /api/transcode?path=&start=&mode=&audio= (H.264/AAC分片MP4流), /api/transcode/info?path= (视频时长和编码)
+async function handleTranscodeRequest(req, res, parsedUrl, requestId) {
+    const sendJson = (statusCode, data) => {
+        res.writeHead(statusCode, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ...data, requestId }));
+    };
+    const query = parsedUrl.query;
+    const isInfo = parsedUrl.pathname === '/api/transcode/info';
+
+    if (!isInfo && parsedUrl.pathname !== '/api/transcode') {
+        sendJson(404, { error: '无效的转码地址', path: parsedUrl.pathname });
+        return;
+    }
+    if (!transcoder.enabled) {
+        sendJson(503, { error: '未找到ffmpeg，转码不可用' });
+        return;
+    }
+
+    const videoPath = query.path;
+    if (!videoPath) {
+        sendJson(400, { error: '缺少path参数' });
+        return;
+    }
+
+    const start = query.start ? parseFloat(query.start) : 0;
+    if (!(start >= 0)) {
+        sendJson(400, { error: `无效的开始时间: ${query.start}` });
+        return;
+    }
+
+    const mode = query.mode || 'transcode';
+    if (!TRANSCODE_MODES.includes(mode)) {
+        sendJson(400, { error: `无效的转码方式: ${mode}`, modes: TRANSCODE_MODES });
+        return;
+    }
+
+    // 音频流序号（从0开始），用于切换多音轨视频的音轨
+    const audioTrack = query.audio ? Number(query.audio) : 0;
+    if (!Number.isInteger(audioTrack) || audioTrack < 0) {
+        sendJson(400, { error: `无效的音轨序号: ${query.audio}` });
+        return;
+    }
+
+    // 查询参数中的路径是解码后的，转发上游前逐段重新编码
+    const target = resolveTarget(videoPath.split('/').map(encodeURIComponent).join('/'));
+    if (!target) {
+        sendJson(404, { error: '路径未匹配任何挂载', path: videoPath });
+        return;
+    }
+
+    getMountStats(target.mount.name).totalRequests++;
+    activeRequests.get(requestId).mount = target.mount.name;
+
+    let source;
+    try {
+        source = await buildFfmpegSource(req, target);
+    } catch (error) {
+        log(requestId, 'error', `读取视频信息失败: ${error.message}`);
+        sendJson(502, { error: '读取视频信息失败', message: error.message });
+        return;
+    }
+
+    if (isInfo) {
+        try {
+            const info = await ffmpegRunner.probe(source.url, source.headers, source.fileKey);
+            sendJson(200, { path: videoPath, ...info });
+        } catch (error) {
+            log(requestId, 'error', `读取视频时长失败: ${error.message}`);
+            sendJson(500, { error: '读取视频时长失败', message: error.message });
+        }
+        return;
+    }
+
+    const session = transcoder.start(source, start, videoPath, mode, audioTrack);
+    log(requestId, 'info', `开始${mode === 'remux' ? '重新封装' : '转码'}: ${videoPath} ` +
+        `(从 ${start.toFixed(1)} 秒开始${audioTrack > 0 ? `，音轨 ${audioTrack}` : ''})`);
+    await pipeTranscodeSession(session, res, requestId);
+}
+
+// 把转码输出写入响应：收到第一块数据后才发送响应头，ffmpeg启动失败时仍可返回错误信息
+function pipeTranscodeSession(session, res, requestId) {
+    return new Promise(resolve => {
+        const { child } = session;
+        let started = false;
+        let finished = false;
+
+        const finish = (errorMessage = null) => {
+            if (finished) return;
+            finished = true;
+
+            if (started) {
+                res.end();
+            } else if (!res.headersSent) {
+                res.writeHead(502, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: '转码失败', message: errorMessage, requestId }));
+            }
+            if (errorMessage) {
+                log(requestId, 'error', `转码失败: ${errorMessage}`);
+            } else {
+                log(requestId, 'info', `转码结束: 输出 ${formatBytes(session.bytes)}`);
+            }
+            resolve();
+        };
+
+        child.stdout.on('data', chunk => {
+            if (!started) {
+                started = true;
+                res.writeHead(200, {
+                    ...CORS_HEADERS,
+                    'Content-Type': 'video/mp4',
+                    'Cache-Control': 'no-store',
+                    'Accept-Ranges': 'none'
+                });
+            }
+            updateTransferStats(chunk.length, requestId);
+
+            // 浏览器读取慢于转码时暂停读取，ffmpeg随之阻塞
+            if (!res.write(chunk)) {
+                child.stdout.pause();
+                res.once('drain', () => child.stdout.resume());
+            }
+        });
+        child.on('error', error => finish(error.message));
+        child.on('close', (code, signal) => {
+            if (code === 0 || signal || started) {
+                finish();
+            } else {
+                finish(child.stderrTail.trim().split('\n').pop() || `ffmpeg退出码 ${code}`);
+            }
+        });
+
+        // 浏览器断开（跳转或切换视频）时结束转码
+        res.on('close', () => transcoder.stop(session));
+    });
+}
+
+// 获取媒体信息：内置解析器读取MP4/MKV/WebM的头部，其他容器在有ffmpeg时由ffmpeg读取；结果缓存在文件元数据中
+async function getMediaProbe(req, target, requestId) {
+    const metadata = await fetchFileMetadata(target.targetUrl, req.headers);
+    const totalSize = parseInt(metadata['content-length'] || '0');
+    if (totalSize === 0) {
+        throw new Error('无法获取文件大小：Content-Length为0或未定义');
+    }
+
+    const fileKey = segmentCache.getFileKey(target.targetUrl, totalSize, metadata['etag']);
+    const entry = cacheSystem.metadata.get(target.targetUrl);
+    if (entry.probe && entry.probe.fileKey === fileKey) {
+        entry.probe.timestamp = Date.now();
+        return entry.probe.promise;
+    }
+
+    // 同一文件的并发请求共享同一次探测
+    const readRange = (start, end) => readFileRange(target.targetUrl, fileKey, totalSize, start, end, req.headers, requestId);
+    const promise = probeMedia(readRange, totalSize).then(async result => {
+        if (result) return result;
+        if (!ffmpegRunner.enabled) return null;
+
+        log(requestId, 'info', '内置解析器不支持该容器，改用ffmpeg读取媒体信息');
+        const source = await buildFfmpegSource(req, target);
+        return probeResultFromFfmpeg(await ffmpegRunner.probe(source.url, source.headers, fileKey), totalSize);
+    });
+
+    entry.probe = { fileKey, promise, timestamp: Date.now() };
+    promise.then(result => {
+        // 码率用于决定Range请求扩展的大小
+        if (result) rangePlanner.setBitrate(target.targetUrl, result.bitrate);
+    }, () => {
+        if (entry.probe && entry.probe.promise === promise) delete entry.probe;
+    });
+    return promise;
+}
+
+// 播放时在后台读取码率供Range扩展使用，不依赖客户端调用 /api/probe（本次请求仍按默认大小扩展）。
+// 只用内置解析器，识别失败时不缓存结果，/api/probe 仍可改用ffmpeg
+function ensureBitrate(req, targetUrl, fileKey, totalSize, requestId) {
+    const entry = cacheSystem.metadata.get(targetUrl);
+    if (!entry || rangePlanner.hasBitrate(targetUrl)) return;
+
+    const setBitrate = result => {
+        if (result) rangePlanner.setBitrate(targetUrl, result.bitrate);
+    };
+    if (entry.probe && entry.probe.fileKey === fileKey) {
+        entry.probe.promise.then(setBitrate, () => {});
+        return;
+    }
+    if (entry.bitrateProbe === fileKey) return;
+    entry.bitrateProbe = fileKey;
+
+    const readRange = (start, end) => readFileRange(targetUrl, fileKey, totalSize, start, end, req.headers, requestId);
+    const promise = probeMedia(readRange, totalSize);
+    promise.then(result => {
+        if (!result) return;
+        setBitrate(result);
+        if (!entry.probe) entry.probe = { fileKey, promise, timestamp: Date.now() };
+        log(requestId, 'debug', `后台读取码率: ${result.bitrate} bps`);
+    }, error => {
+        log(requestId, 'warn', `后台读取码率失败: ${error.message}`);
+    });
+}
+
+// 处理媒体信息请求: /api/probe?path=<视频路径>，返回时长、码率、音视频/字幕轨道和章节
+async function handleProbeRequest(req, res, parsedUrl, requestId) {
+    const sendJson = (statusCode, data) => {
+        res.writeHead(statusCode, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ...data, requestId }));
+    };
+
+    const videoPath = parsedUrl.query.path;
+    if (!videoPath) {
+        sendJson(400, { error: '缺少path参数' });
+        return;
+    }
+
+    // 查询参数中的路径是解码后的，转发上游前逐段重新编码
+    const target = resolveTarget(videoPath.split('/').map(encodeURIComponent).join('/'));
+    if (!target) {
+        sendJson(404, { error: '路径未匹配任何挂载', path: videoPath });
+        return;
+    }
+
+    getMountStats(target.mount.name).totalRequests++;
+    activeRequests.get(requestId).mount = target.mount.name;
+
+    try {
+        const result = await getMediaProbe(req, target, requestId);
+        if (!result) {
+            sendJson(415, { error: '无法识别的容器格式（内置解析器支持MP4/MKV/WebM，其他格式需要ffmpeg）', path: videoPath });
+            return;
+        }
+        sendJson(200, { path: videoPath, ...result });
+        log(requestId, 'info', `媒体信息完成: ${videoPath} (${result.container}, ${result.video.length} 视频 / ` +
+            `${result.audio.length} 音频 / ${result.subtitles.length} 字幕, ${result.chapters.length} 章节)`);
+    } catch (error) {
+        log(requestId, 'error', `媒体信息读取失败: ${error.message}`);
+        sendJson(500, { error: '媒体信息读取失败', message: error.message });
+    }
+}
+
+// 上传任务的所有者：会话模式下为本地用户，否则为浏览器认证头的摘要（不同WebDAV账号互相看不到对方的上传）
+function getUploadOwner(req) {
+    if (sessionAuth.enabled) {
+        return `user:${sessionAuth.getSession(req).username}`;
+    }
+    const digest = crypto.createHash('sha256').update(req.headers.authorization || '').digest('hex');
+    return `auth:${digest.substring(0, 16)}`;
+}
+
+// 上游是否已存在该文件
+async function upstreamFileExists(targetUrl, headers) {
+    const response = await makeRequest('HEAD', targetUrl, headers);
+    if (response.statusCode === 404) return false;
+    if (response.statusCode >= 400) {
+        throw new Error(`检查目标文件失败: ${response.statusCode}`);
+    }
+    return true;
+}
+
+// 把收齐的临时文件PUT到上游，返回上游状态码；不覆盖时带 If-None-Match: *，目标已存在时上游返回412
+function putUpstreamFile(targetUrl, upload, reqHeaders, overwrite) {
+    return new Promise((resolve, reject) => {
+        const headers = {
+            host: url.parse(targetUrl).host,
+            'content-type': upload.mime || 'application/octet-stream',
+            'content-length': upload.size
+        };
+        const { authorization } = buildUpstreamHeaders(reqHeaders, targetUrl);
+        if (authorization) {
+            headers.authorization = authorization;
+        }
+        if (!overwrite) {
+            headers['if-none-match'] = '*';
+        }
+
+        const proxyReq = getHttpModule(url.parse(targetUrl).protocol).request(targetUrl, { method: 'PUT', headers }, proxyRes => {
+            proxyRes.resume();
+            proxyRes.on('end', () => resolve(proxyRes.statusCode));
+        });
+        proxyReq.on('error', reject);
+
+        const input = uploadManager.createReadStream(upload);
+        input.on('data', chunk => {
+            upload.stored += chunk.length;
+        });
+        input.on('error', error => {
+            proxyReq.destroy();
+            reject(error);
+        });
+        input.pipe(proxyReq);
+    });
+}
+
+// 处理上传请求:
+//   POST   /api/upload?path=&size=&type=&overwrite=1  创建上传（同一文件未完成的上传从已收到的位置继续）
+//   GET    /api/upload/<id>                           查询进度
+//   PUT    /api/upload/<id>?offset=                   追加一块，offset必须等于已收到的字节数
+//   POST   /api/upload/<id>/complete?overwrite=1      收齐后写入上游
+//   DELETE /api/upload/<id>                           取消上传
+async function handleUploadRequest(req, res, parsedUrl, requestId) {
+    const sendJson = (statusCode, data) => {
+        // 提前拒绝的分块请求也要读完请求体，保持连接可复用
+        if (!req.complete) req.resume();
+        res.writeHead(statusCode, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ...data, requestId }));
+    };
+    const query = parsedUrl.query;
+    const overwrite = query.overwrite === '1';
+
+    if (!uploadManager.enabled) {
+        sendJson(503, { error: '未配置上传临时目录，上传不可用' });
+        return;
+    }
+    const owner = getUploadOwner(req);
+
+    if (parsedUrl.pathname === '/api/upload') {
+        if (req.method !== 'POST') {
+            sendJson(405, { error: `不支持的方法: ${req.method}` });
+            return;
+        }
+
+        const filePath = query.path;
+        const size = Number(query.size);
+        if (!filePath || !filePath.startsWith('/') || filePath.endsWith('/')) {
+            sendJson(400, { error: `无效的上传路径: ${filePath || ''}` });
+            return;
+        }
+        if (!Number.isInteger(size) || size < 0) {
+            sendJson(400, { error: `无效的文件大小: ${query.size}` });
+            return;
+        }
+
+        // 查询参数中的路径是解码后的，转发上游前逐段重新编码
+        const target = resolveTarget(filePath.split('/').map(encodeURIComponent).join('/'));
+        if (!target) {
+            sendJson(404, { error: '路径未匹配任何挂载', path: filePath });
+            return;
+        }
+        getMountStats(target.mount.name).totalRequests++;
+        activeRequests.get(requestId).mount = target.mount.name;
+
+        // 不覆盖时先确认目标不存在，避免传完才发现冲突
+        if (!overwrite) {
+            try {
+                if (await upstreamFileExists(target.targetUrl, req.headers)) {
+                    sendJson(412, { error: '文件已存在', path: filePath, exists: true });
+                    return;
+                }
+            } catch (error) {
+                log(requestId, 'error', error.message);
+                sendJson(502, { error: '检查目标文件失败', message: error.message });
+                return;
+            }
+        }
+
+        let created;
+        try {
+            created = await uploadManager.create(filePath, size, owner, query.type || null);
+        } catch (error) {
+            // 临时目录无法创建或磁盘已满等
+            log(requestId, 'error', `创建上传任务失败: ${error.message}`);
+            sendJson(500, { error: '创建上传任务失败', message: error.message });
+            return;
+        }
+        const { upload, resumed } = created;
+        log(requestId, 'info', resumed
+            ? `继续上传: ${filePath} (已收到 ${formatBytes(upload.offset)} / ${formatBytes(size)})`
+            : `开始上传: ${filePath} (${formatBytes(size)})`);
+        sendJson(resumed ? 200 : 201, { ...uploadManager.describe(upload), resumed });
+        return;
+    }
+
+    const match = parsedUrl.pathname.match(/^\/api\/upload\/([0-9a-f]+)(\/complete)?$/);
+    const upload = match ? uploadManager.get(match[1], owner) : null;
+    if (!upload) {
+        sendJson(404, { error: '上传任务不存在或已过期' });
+        return;
+    }
+
+    if (match[2]) {
+        if (req.method !== 'POST') {
+            sendJson(405, { error: `不支持的方法: ${req.method}` });
+            return;
+        }
+        await completeUpload(req, upload, overwrite, sendJson, requestId);
+        return;
+    }
+
+    if (req.method === 'GET') {
+        sendJson(200, uploadManager.describe(upload));
+        return;
+    }
+
+    if (req.method === 'DELETE') {
+        if (upload.state !== 'receiving') {
+            sendJson(409, { error: '上传正在写入，暂时不能取消', ...uploadManager.describe(upload) });
+            return;
+        }
+        uploadManager.remove(upload, 'cancelled');
+        log(requestId, 'info', `取消上传: ${upload.path}`);
+        sendJson(200, { id: upload.id, cancelled: true });
+        return;
+    }
+
+    if (req.method !== 'PUT') {
+        sendJson(405, { error: `不支持的方法: ${req.method}` });
+        return;
+    }
+
+    // 浏览器重试或暂停后继续时，按返回的offset重新对齐
+    if (upload.state !== 'receiving') {
+        sendJson(409, { error: '上一块仍在写入', ...uploadManager.describe(upload) });
+        return;
+    }
+    if (Number(query.offset) !== upload.offset) {
+        sendJson(409, { error: `分块位置不连续: ${query.offset}`, ...uploadManager.describe(upload) });
+        return;
+    }
+    if (Number(req.headers['content-length']) > MAX_CHUNK_SIZE) {
+        sendJson(413, { error: `分块过大，上限 ${formatBytes(MAX_CHUNK_SIZE)}` });
+        return;
+    }
+    if (upload.offset + Number(req.headers['content-length']) > upload.size) {
+        sendJson(400, { error: `数据超出文件大小 (${upload.size} 字节)`, ...uploadManager.describe(upload) });
+        return;
+    }
+
+    try {
+        await uploadManager.appendChunk(upload, req);
+    } catch (error) {
+        log(requestId, 'warn', `分块写入失败: ${error.message}`);
+        if (!res.destroyed) {
+            sendJson(400, { error: '分块写入失败', message: error.message, ...uploadManager.describe(upload) });
+        }
+        return;
+    }
+    log(requestId, 'debug', `已收到 ${formatBytes(upload.offset)} / ${formatBytes(upload.size)}: ${upload.path}`);
+    sendJson(200, uploadManager.describe(upload));
+}
+
+// 收齐后把临时文件写入上游；目标已存在且未要求覆盖时返回412，临时文件保留，可选择覆盖后重试
+async function completeUpload(req, upload, overwrite, sendJson, requestId) {
+    if (upload.state !== 'receiving') {
+        sendJson(409, { error: '上传正在写入', ...uploadManager.describe(upload) });
+        return;
+    }
+    if (upload.offset !== upload.size) {
+        sendJson(409, { error: '文件尚未传完', ...uploadManager.describe(upload) });
+        return;
+    }
+
+    const target = resolveTarget(upload.path.split('/').map(encodeURIComponent).join('/'));
+    if (!target) {
+        sendJson(404, { error: '路径未匹配任何挂载', path: upload.path });
+        return;
+    }
+    getMountStats(target.mount.name).totalRequests++;
+    activeRequests.get(requestId).mount = target.mount.name;
+
+    // 浏览器断开时仍继续写入，可通过GET查询结果
+    upload.state = 'storing';
+    upload.stored = 0;
+    try {
+        // 不是所有WebDAV服务器都支持 If-None-Match，写入前再检查一次
+        if (!overwrite && await upstreamFileExists(target.targetUrl, req.headers)) {
+            upload.state = 'receiving';
+            sendJson(412, { error: '文件已存在', path: upload.path, exists: true });
+            return;
+        }
+
+        log(requestId, 'info', `写入上游: ${upload.path} (${formatBytes(upload.size)}${overwrite ? '，覆盖' : ''})`);
+        const statusCode = await putUpstreamFile(target.targetUrl, upload, req.headers, overwrite);
+        if (statusCode === 412) {
+            upload.state = 'receiving';
+            sendJson(412, { error: '文件已存在', path: upload.path, exists: true });
+            return;
+        }
+        if (statusCode >= 400) {
+            throw new Error(`上游返回 ${statusCode}`);
+        }
+
+        uploadManager.remove(upload);
+        // 文件已变化，丢弃旧的缓存
+        cacheSystem.invalidate(target.targetUrl);
+        log(requestId, 'info', `上传完成: ${upload.path} (${formatBytes(upload.size)})`);
+        sendJson(201, { path: upload.path, size: upload.size, status: statusCode, completed: true });
+    } catch (error) {
+        upload.state = 'receiving';
+        log(requestId, 'error', `写入上游失败: ${error.message}`);
+        sendJson(502, { error: '写入上游失败', message: error.message, ...uploadManager.describe(upload) });
+    }
+}
+
+// 处理媒体库请求: GET /api/library, GET /api/library/status, POST /api/library/rescan
+async function handleLibraryRequest(req, res, parsedUrl, requestId) {
+    const sendJson = (statusCode, data, extraHeaders = {}) => {
+        res.writeHead(statusCode, { ...CORS_HEADERS, 'Content-Type': 'application/json', ...extraHeaders });
+        res.end(JSON.stringify({ ...data, requestId }));
+    };
+    const query = parsedUrl.query;
+    const indexedMounts = getIndexedMounts();
 
-                res.writeHead(206, responseHeaders);
-                
-                // 关键：直接管道传输 - 添加统计监控
-                let transferredBytes = 0;
-                proxyRes.on('data', (chunk) => {
-                    transferredBytes += chunk.length;
-                    updateTransferStats(chunk.length);
-                });
-                
-                proxyRes.pipe(res);
-                
-                proxyRes.on('end', () => {
-                    log(requestId, 'info', `CDN流式传输完成: ${formatBytes(transferredBytes)}`);
-                    resolve();
-                });
-                
-                proxyRes.on('error', reject);
-                
-            } else if (proxyRes.statusCode === 200) {
-                // CDN不支持Range，需要流式跳过和截取
-                log(requestId, 'info', `CDN不支持Range，实现流式跳过和截取`);
-                
-                const responseHeaders = {
-                    ...CORS_HEADERS,
-                    'Content-Range': `bytes ${range.start}-${range.end}/${totalSize}`,
-                    'Content-Length': (range.end - range.start + 1).toString(),
-                    'Accept-Ranges': 'bytes',
-                    'Content-Type': proxyRes.headers['content-type'] || 'video/mp4'
-                };
+    if (parsedUrl.pathname === '/api/library/status') {
+        sendJson(200, { ...libraryIndex.getStats(), mounts: indexedMounts.map(mount => mount.prefix || '/') });
+        return;
+    }
 
-                res.writeHead(206, responseHeaders);
-                
-                let downloadedBytes = 0;
-                let sentBytes = 0;
-                const targetBytes = range.end - range.start + 1;
-                
-                proxyRes.on('data', chunk => {
-                    const chunkStart = downloadedBytes;
-                    const chunkEnd = downloadedBytes + chunk.length - 1;
-                    
-                    // 检查这个chunk是否包含我们需要的数据
-                    if (chunkEnd >= range.start && chunkStart <= range.end && sentBytes < targetBytes) {
-                        // 计算chunk中我们需要的部分
-                        const useStart = Math.max(0, range.start - chunkStart);
-                        const useEnd = Math.min(chunk.length - 1, range.end - chunkStart);
-                        
-                        if (useStart <= useEnd) {
-                            const usefulPart = chunk.slice(useStart, useEnd + 1);
-                            const remainingBytes = targetBytes - sentBytes;
-                            const sendBytes = Math.min(usefulPart.length, remainingBytes);
-                            
-                            if (sendBytes > 0) {
-                                // 关键：立即发送数据，不缓冲
-                                res.write(usefulPart.slice(0, sendBytes));
-                                sentBytes += sendBytes;
-                                updateTransferStats(sendBytes); // 更新统计
-                            }
-                        }
-                    }
-                    
-                    downloadedBytes += chunk.length;
-                    
-                    // 如果已经发送完所需数据，关闭连接
-                    if (sentBytes >= targetBytes) {
-                        log(requestId, 'info', `CDN流式传输完成: ${formatBytes(sentBytes)}`);
-                        proxyRes.destroy();
-                        res.end();
-                        resolve();
-                        return;
-                    }
-                    
-                    // 如果已经超过需要的范围，停止下载
-                    if (downloadedBytes > range.end) {
-                        proxyRes.destroy();
-                        res.end();
-                        resolve();
-                        return;
-                    }
-                });
-                
-                proxyRes.on('end', () => {
-                    res.end();
-                    resolve();
-                });
-                
-                proxyRes.on('error', reject);
-                
-            } else {
-                reject(new Error(`CDN重定向响应错误: ${proxyRes.statusCode}`));
-            }
-        });
+    if (parsedUrl.pathname === '/api/library/rescan') {
+        if (req.method !== 'POST') {
+            sendJson(405, { error: '仅支持POST请求' }, { 'Allow': 'POST, OPTIONS' });
+            return;
+        }
+        if (indexedMounts.length === 0) {
+            sendJson(409, { error: '没有可索引的挂载（需要在代理配置上游用户名和密码）' });
+            return;
+        }
 
-        proxyReq.on('error', reject);
-        proxyReq.end();
+        const full = query.full === '1' || query.full === 'true';
+        libraryIndex.scan(indexedMounts, full)
+            .then(stats => log(requestId, 'info', `媒体库扫描完成: ${stats.videos} 个视频, ${stats.directories} 个目录`))
+            .catch(error => log(requestId, 'error', `媒体库扫描失败: ${error.message}`));
+        sendJson(202, { status: 'scanning', full, scan: libraryIndex.getStats() });
+        return;
+    }
+
+    if (parsedUrl.pathname !== '/api/library') {
+        sendJson(404, { error: '未知的媒体库接口', path: parsedUrl.pathname });
+        return;
+    }
+
+    if (!libraryIndex.isReady()) {
+        sendJson(503, { error: '媒体库索引尚未建立', scan: libraryIndex.getStats() }, { 'Retry-After': '30' });
+        return;
+    }
+
+    // 查询参数中的目录是解码后的代理路径，如 /nas/电影
+    const dir = ('/' + (query.dir || '')).replace(/\/+/g, '/').replace(/(.)\/$/, '$1');
+    const parseSize = value => (value !== undefined && value !== '' ? Number(value) : null);
+    const result = libraryIndex.query({
+        q: query.q,
+        dir,
+        recursive: query.recursive === '1' || query.recursive === 'true',
+        ext: query.ext ? query.ext.split(',').map(ext => ext.trim().replace(/^\./, '').toLowerCase()) : null,
+        minSize: parseSize(query.minSize),
+        maxSize: parseSize(query.maxSize),
+        sort: query.sort,
+        order: query.order,
+        page: query.page,
+        pageSize: query.pageSize
     });
+    const folders = libraryIndex.listFolders(dir, indexedMounts);
+
+    // 未索引的目录（未配置凭据的挂载或上次扫描后新建的目录）返回404，浏览器改用PROPFIND
+    if (!libraryIndex.directories.has(dir) && folders.length === 0 && result.total === 0) {
+        sendJson(404, { error: '目录不在媒体库索引中', dir });
+        return;
+    }
+
+    sendJson(200, { dir, ...result, folders, scan: libraryIndex.getStats() });
+    log(requestId, 'debug', `媒体库查询: ${dir} (${result.total} 个视频)`);
+}
+
+// 由代理注入凭据的挂载才能在后台索引
+function getIndexedMounts() {
+    return proxyConfig.mounts.filter(mount => mount.username);
+}
+
+// 用PROPFIND (Depth: 1) 列出挂载下的目录，返回直接子项
+async function propfindDirectory(mount, directoryPath) {
+    const { targetUrl, entries } = await propfindEntries(mount, directoryPath, '1');
+
+    const toPath = href => {
+        const hrefPath = /^https?:\/\//i.test(href) ? new URL(href).pathname : href;
+        return decodeURIComponent(hrefPath).replace(/\/+$/, '');
+    };
+    const selfPath = toPath(new URL(targetUrl).pathname);
+
+    return entries
+        .map(entry => {
+            const entryPath = toPath(entry.href);
+            return { ...entry, path: entryPath, name: entryPath.substring(entryPath.lastIndexOf('/') + 1) };
+        })
+        .filter(entry => entry.name && entry.path !== selfPath);
+}
+
+// 用 PROPFIND (Depth: 0) 读取目录自身的版本 { etag, lastmod }
+async function propfindDirectoryVersion(mount, directoryPath) {
+    const { entries } = await propfindEntries(mount, directoryPath, '0');
+    if (entries.length === 0) {
+        throw new Error('上游没有返回目录属性');
+    }
+    return { etag: entries[0].etag, lastmod: entries[0].lastmod };
+}
+
+// 向挂载上游的目录发送PROPFIND，返回 { targetUrl, entries }
+async function propfindEntries(mount, directoryPath, depth) {
+    const encodedPath = directoryPath.split('/').map(encodeURIComponent).join('/').replace(/\/$/, '');
+    const targetUrl = `${getUpstreamBaseUrl(mount.upstream)}${encodedPath}/`;
+
+    const response = await makeRequest('PROPFIND', targetUrl, { depth });
+    const chunks = [];
+    for await (const chunk of response) {
+        chunks.push(chunk);
+    }
+    if (response.statusCode !== 207) {
+        throw new Error(`上游返回 ${response.statusCode}`);
+    }
+    return { targetUrl, entries: parseMultistatus(Buffer.concat(chunks).toString('utf8')) };
+}
+
+// 启动媒体库后台扫描：启动时扫描一次，之后按间隔增量扫描，距上次完整扫描超过完整扫描间隔时改为完整扫描
+function scheduleLibraryScans(config) {
+    const mounts = getIndexedMounts();
+    if (!(config.library.rescanInterval > 0) || mounts.length === 0) {
+        return null;
+    }
+
+    const runScan = () => {
+        const fullInterval = config.library.fullRescanInterval * 60 * 1000;
+        const full = fullInterval > 0 && Date.now() - (libraryIndex.lastFullScanAt || 0) >= fullInterval;
+        libraryIndex.scan(mounts, full)
+            .then(stats => console.log(`[LIBRARY] ${full ? '完整' : '增量'}扫描完成: ` +
+                `${stats.videos} 个视频, ${stats.directories} 个目录, 耗时 ${stats.lastScanDuration}ms`))
+            .catch(error => console.error(`[LIBRARY] 扫描失败: ${error.message}`));
+    };
+
+    runScan();
+    return setInterval(runScan, config.library.rescanInterval * 60 * 1000);
 }
 
 // 处理流式部分下载（当上游完全不支持Range时）
@@ -710,20 +2541,15 @@ async function handleStreamingPartialDownload(req, res, targetUrl, range, totalS
             path: parsedUrl.path,
             method: 'GET',
             agent,
-            headers: {
-                ...req.headers,
-                host: TARGET_HOST
-            }
+            headers: buildUpstreamHeaders(req.headers, targetUrl)
         };
         
-        // 移除可能引起问题的头部
+        // 移除Range头，获取完整文件流
         delete options.headers['range'];
-        delete options.headers['origin'];
-        delete options.headers['referer'];
         
         log(requestId, 'info', `开始流式部分下载: ${range.start}-${range.end}`);
         
-        const proxyReq = https.request(options, (proxyRes) => {
+        const proxyReq = getHttpModule(parsedUrl.protocol).request(options, (proxyRes) => {
             log(requestId, 'info', `部分下载响应状态: ${proxyRes.statusCode}`);
             
             if (proxyRes.statusCode !== 200) {
@@ -765,7 +2591,7 @@ async function handleStreamingPartialDownload(req, res, targetUrl, range, totalS
                             // 关键：立即发送数据，不缓冲
                             res.write(usefulPart.slice(0, sendBytes));
                             sentBytes += sendBytes;
-                            updateTransferStats(sendBytes); // 更新统计
+                            updateTransferStats(sendBytes, requestId); // 更新统计
                             
                             if (sentBytes % (1024 * 1024) < sendBytes) {
                                 log(requestId, 'debug', `已发送: ${formatBytes(sentBytes)}/${formatBytes(targetBytes)}`);
@@ -808,29 +2634,60 @@ async function handleStreamingPartialDownload(req, res, targetUrl, range, totalS
 }
 
 // 处理常规请求
-async function handleRegularRequest(req, res, targetUrl, requestId) {
+async function handleRegularRequest(req, res, targetUrl, requestId, mount) {
     const options = {
         method: req.method,
-        headers: {
-            ...req.headers,
-            host: TARGET_HOST
-        }
+        headers: buildUpstreamHeaders(req.headers, targetUrl)
     };
 
-    // 删除可能引起问题的头
-    delete options.headers['origin'];
-    delete options.headers['referer'];
+    // 带前缀的挂载需要改写PROPFIND响应中的href，先请求未压缩的响应
+    const rewriteHrefs = req.method === 'PROPFIND' && mount && mount.prefix !== '';
+    if (rewriteHrefs) {
+        delete options.headers['accept-encoding'];
+    }
 
-    const proxyReq = https.request(targetUrl, options, (proxyRes) => {
+    const httpModule = getHttpModule(url.parse(targetUrl).protocol);
+    const proxyReq = httpModule.request(targetUrl, options, (proxyRes) => {
         log(requestId, 'info', `代理响应: ${req.method} -> ${proxyRes.statusCode}`);
+
+        // 完整响应带有新的文件标识时更新已缓存的元数据（文件被替换时同时丢弃旧缓存）
+        if ((req.method === 'GET' || req.method === 'HEAD') && proxyRes.statusCode === 200 &&
+            cacheSystem.metadata.has(targetUrl)) {
+            setCachedMetadata(targetUrl, proxyRes.headers);
+        }
+
+        // 文件已修改、移动或删除，丢弃相关缓存
+        if (MODIFYING_METHODS.includes(req.method) && proxyRes.statusCode < 300) {
+            cacheSystem.invalidate(targetUrl);
+            if (req.method === 'MOVE' || req.method === 'COPY') {
+                cacheSystem.invalidate(options.headers.destination);
+            }
+        }
         
         const responseHeaders = {
             ...CORS_HEADERS,
             ...proxyRes.headers
         };
 
+        if (rewriteHrefs) {
+            const chunks = [];
+            proxyRes.on('data', chunk => {
+                chunks.push(chunk);
+                updateTransferStats(chunk.length, requestId);
+            });
+            proxyRes.on('end', () => {
+                const body = rewriteMultistatusHrefs(Buffer.concat(chunks).toString('utf8'), mount);
+                responseHeaders['content-length'] = Buffer.byteLength(body);
+                delete responseHeaders['transfer-encoding'];
+                res.writeHead(proxyRes.statusCode, responseHeaders);
+                res.end(body);
+                log(requestId, 'info', `PROPFIND响应已改写到挂载前缀 ${mount.prefix}`);
+            });
+            return;
+        }
+
         // 为视频文件添加Range支持头
-        if (req.method === 'GET' && req.url.match(/\.(mp4|mov|avi|mkv|webm|m4v)$/i)) {
+        if (req.method === 'GET' && url.parse(req.url).pathname.match(/\.(mp4|mov|avi|mkv|webm|m4v)$/i)) {
             responseHeaders['Accept-Ranges'] = 'bytes';
             log(requestId, 'debug', '添加Accept-Ranges支持');
         }
@@ -844,7 +2701,7 @@ async function handleRegularRequest(req, res, targetUrl, requestId) {
         let transferredBytes = 0;
         proxyRes.on('data', (chunk) => {
             transferredBytes += chunk.length;
-            updateTransferStats(chunk.length); // 更新全局统计
+            updateTransferStats(chunk.length, requestId); // 更新全局统计
         });
         
         proxyRes.on('end', () => {
@@ -867,6 +2724,161 @@ async function handleRegularRequest(req, res, targetUrl, requestId) {
     req.pipe(proxyReq);
 }
 
+// 读取请求体（限制大小）
+function readRequestBody(req, maxBytes = 64 * 1024) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                reject(new Error('请求体过大'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// 处理会话认证请求: /api/login, /api/logout, /api/session
+async function handleAuthRequest(req, res, pathname, requestId) {
+    const sendJson = (statusCode, data, extraHeaders = {}) => {
+        res.writeHead(statusCode, {
+            ...CORS_HEADERS,
+            'Content-Type': 'application/json',
+            ...extraHeaders
+        });
+        res.end(JSON.stringify(data));
+    };
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(200, CORS_HEADERS);
+        res.end();
+        return;
+    }
+
+    if (pathname === '/api/session') {
+        const session = sessionAuth.getSession(req);
+        sendJson(200, {
+            authRequired: sessionAuth.enabled,
+            authenticated: !!session,
+            username: session ? session.username : null
+        });
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        sendJson(405, { error: '仅支持POST请求' }, { 'Allow': 'POST, OPTIONS' });
+        return;
+    }
+
+    if (pathname === '/api/logout') {
+        const token = sessionAuth.extractToken(req);
+        if (token) {
+            sessionAuth.logout(token);
+        }
+        sendJson(200, { status: 'logged_out' }, { 'Set-Cookie': sessionAuth.buildClearCookie() });
+        log(requestId, 'info', '会话已注销');
+        return;
+    }
+
+    // /api/login
+    if (!sessionAuth.enabled) {
+        sendJson(400, { error: '代理未启用会话认证', authRequired: false });
+        return;
+    }
+
+    let credentials;
+    try {
+        const body = await readRequestBody(req);
+        // 支持JSON和表单两种格式
+        credentials = body.trim().startsWith('{')
+            ? JSON.parse(body)
+            : Object.fromEntries(new URLSearchParams(body));
+    } catch (error) {
+        sendJson(400, { error: `无效的登录请求: ${error.message}` });
+        return;
+    }
+
+    const session = sessionAuth.login(credentials.username, credentials.password);
+    if (!session) {
+        log(requestId, 'warn', `登录失败: ${credentials.username}`);
+        sendJson(401, { error: '用户名或密码错误' });
+        return;
+    }
+
+    log(requestId, 'info', `用户登录: ${session.username}`);
+    sendJson(200, {
+        status: 'ok',
+        username: session.username,
+        token: session.token,
+        expiresAt: session.expiresAt
+    }, { 'Set-Cookie': sessionAuth.buildCookie(session) });
+}
+
+// 将上游PROPFIND响应中的href改写为挂载前缀下的路径
+function rewriteMultistatusHrefs(xmlText, mount) {
+    const basePaths = [mount.upstream.path, encodeURI(mount.upstream.path)];
+    const prefix = encodeURI(mount.prefix);
+
+    return xmlText.replace(/(<(?:[\w-]+:)?href>)([^<]*)(<\/(?:[\w-]+:)?href>)/gi, (match, open, href, close) => {
+        let hrefPath = href.trim();
+        if (/^https?:\/\//i.test(hrefPath)) {
+            try {
+                hrefPath = new URL(hrefPath).pathname;
+            } catch (error) {
+                return match;
+            }
+        }
+
+        for (const basePath of basePaths) {
+            if (hrefPath === basePath || hrefPath.startsWith(basePath + '/')) {
+                return `${open}${prefix}${hrefPath.substring(basePath.length) || '/'}${close}`;
+            }
+        }
+        return match;
+    });
+}
+
+// XML转义
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 返回虚拟根目录：每个挂载点作为一个子目录
+function sendMountListing(res) {
+    const collection = (href, name) => `
+    <d:response>
+        <d:href>${escapeXml(href)}</d:href>
+        <d:propstat>
+            <d:prop>
+                <d:displayname>${escapeXml(name)}</d:displayname>
+                <d:resourcetype><d:collection/></d:resourcetype>
+            </d:prop>
+            <d:status>HTTP/1.1 200 OK</d:status>
+        </d:propstat>
+    </d:response>`;
+
+    const body = '<?xml version="1.0" encoding="utf-8"?>\n<d:multistatus xmlns:d="DAV:">' +
+        collection('/', '') +
+        proxyConfig.mounts.map(mount => collection(`${encodeURI(mount.prefix)}/`, mount.name)).join('') +
+        '\n</d:multistatus>';
+
+    res.writeHead(207, {
+        ...CORS_HEADERS,
+        'Content-Type': 'application/xml; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+}
+
 // 辅助函数：发起HTTP请求（使用连接池优化）
 function makeRequest(method, url, headers) {
     return new Promise((resolve, reject) => {
@@ -876,16 +2888,10 @@ function makeRequest(method, url, headers) {
         const options = {
             method,
             agent,
-            headers: {
-                ...headers,
-                host: TARGET_HOST
-            }
+            headers: buildUpstreamHeaders(headers, url)
         };
 
-        delete options.headers['origin'];
-        delete options.headers['referer'];
-
-        const req = https.request(url, options, (response) => {
+        const req = getHttpModule(parsedUrl.protocol).request(url, options, (response) => {
             // 对于HEAD请求，我们不需要读取响应体，直接resolve
             if (method === 'HEAD') {
                 resolve(response);
@@ -906,20 +2912,50 @@ function makeRequest(method, url, headers) {
 }
 
 // 启动流式服务器
-function startStreamingServer() {
-    const server = createStreamingProxyServer();
+function startStreamingServer(config = loadProxyConfig()) {
+    // 启动前校验配置
+    const configErrors = validateProxyConfig(config);
+    if (configErrors.length > 0) {
+        throw new Error(`代理配置无效:\n  - ${configErrors.join('\n  - ')}`);
+    }
+
+    const server = createStreamingProxyServer(config);
+    const libraryTimer = scheduleLibraryScans(config);
     
-    server.listen(PROXY_PORT, () => {
+    server.listen(config.port, () => {
         console.log('🚀 优化版流式WebDAV代理服务器已启动');
-        console.log(`📍 监听端口: ${PROXY_PORT}`);
-        console.log(`🎯 目标服务器: https://${TARGET_HOST}${TARGET_PATH}`);
-        console.log(`🌐 本地访问地址: http://localhost:${PROXY_PORT}`);
+        console.log(`📍 监听端口: ${config.port}`);
+        config.mounts.forEach(mount => {
+            const auth = mount.username ? ' (代理认证)' : '';
+            console.log(`🎯 挂载 ${mount.prefix || '/'} -> ${getUpstreamBaseUrl(mount.upstream)}${auth}`);
+        });
+        if (config.configFile) {
+            console.log(`📄 配置文件: ${config.configFile}`);
+        }
+        if (config.auth.enabled) {
+            console.log(`🔐 会话认证: 已启用 (${config.auth.users.length} 个本地用户，上游凭据由代理注入)`);
+        }
+        console.log(`🌐 本地访问地址: http://localhost:${config.port}`);
         console.log('');
         console.log('✨ 核心功能:');
         console.log('  - 真正的流式传输 (边下载边播放)');
         console.log('  - Range请求支持 (视频快进/跳转)');
         console.log('  - 302重定向处理和缓存');
+        console.log('  - moov后置MP4自动虚拟faststart');
         console.log('  - 实时数据传输 (无缓冲)');
+        console.log(`  - 分块上传 (临时文件 ${config.uploads.dir})`);
+        if (segmentCache.enabled) {
+            console.log(`  - 磁盘分段缓存: ${config.cache.dir} (上限 ${formatBytes(segmentCache.maxSize)})`);
+        }
+        if (ffmpegRunner.enabled) {
+            console.log(`  - 视频缩略图和预览雪碧图: ${ffmpegRunner.ffmpegPath} (缓存 ${config.thumbnails.dir})`);
+            console.log('  - 浏览器不支持的格式即时转码为H.264/AAC');
+        } else {
+            console.log('  - 未找到ffmpeg，缩略图和转码不可用');
+        }
+        if (libraryTimer) {
+            console.log(`  - 媒体库索引: ${config.library.file} (每 ${config.library.rescanInterval} 分钟增量扫描)`);
+        }
         console.log('');
         console.log('🚀 性能优化:');
         console.log('  - 文件元数据缓存 (5分钟)');
@@ -931,6 +2967,16 @@ function startStreamingServer() {
         console.log('📊 API端点:');
         console.log('  - GET /api/stats (实时统计)');
         console.log('  - GET /api/preload?path=...&start=...&size=... (预加载)');
+        console.log('  - GET /api/hls/<路径>/index.m3u8 (MP4即时HLS封装)');
+        console.log('  - GET /api/subtitle?path=... (字幕转换为WebVTT)');
+        console.log('  - GET /api/thumbnail?path=...&t=... (视频截图)');
+        console.log('  - GET /api/thumbnail/sprite.vtt?path=... (进度条预览缩略图轨道)');
+        console.log('  - GET /api/transcode?path=...&start=...&mode=transcode|remux (即时转码/重新封装为分片MP4)');
+        console.log('  - GET /api/probe?path=... (媒体信息：编码、码率、轨道和章节)');
+        console.log('  - POST /api/upload?path=...&size=..., PUT /api/upload/<id>?offset=... (分块上传)');
+        console.log('  - GET /api/library?dir=...&q=...&sort=...&page=... (媒体库索引查询)');
+        console.log('  - GET /api/library/status, POST /api/library/rescan (媒体库扫描)');
+        console.log('  - POST /api/login, POST /api/logout, GET /api/session (会话认证)');
         console.log('');
         console.log('⚠️  停止服务器: 按 Ctrl+C');
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -939,6 +2985,7 @@ function startStreamingServer() {
     // 优雅关闭
     process.on('SIGINT', () => {
         console.log('\n🛑 正在关闭流式代理服务器...');
+        clearInterval(libraryTimer);
         server.close(() => {
             console.log('✅ 服务器已关闭');
             process.exit(0);
@@ -951,7 +2998,7 @@ function startStreamingServer() {
 // 处理预加载请求
 async function handlePreloadRequest(req, res, requestId) {
     try {
-        const urlParams = new URL(req.url, `http://localhost:${PROXY_PORT}`);
+        const urlParams = new URL(req.url, 'http://localhost');
         const targetPath = urlParams.searchParams.get('path');
         const startByte = parseInt(urlParams.searchParams.get('start') || '0');
         const size = parseInt(urlParams.searchParams.get('size') || '2097152'); // 默认2MB
@@ -962,7 +3009,13 @@ async function handlePreloadRequest(req, res, requestId) {
             return;
         }
         
-        const targetUrl = `https://${TARGET_HOST}${TARGET_PATH}${targetPath}`;
+        const target = resolveTarget(targetPath);
+        if (!target) {
+            res.writeHead(404, CORS_HEADERS);
+            res.end(JSON.stringify({ error: '路径未匹配任何挂载' }));
+            return;
+        }
+        const targetUrl = target.targetUrl;
         const cacheKey = `${targetPath}:${startByte}:${size}`;
         
         // 检查预加载缓存
@@ -983,15 +3036,12 @@ async function handlePreloadRequest(req, res, requestId) {
         
         log(requestId, 'info', `开始预加载: ${targetPath} [${startByte}:${startByte + size - 1}]`);
         
-        // 获取文件元数据
-        let totalSize;
-        const cachedMetadata = getCachedMetadata(targetUrl);
-        if (cachedMetadata) {
-            totalSize = parseInt(cachedMetadata['content-length'] || '0');
-        } else {
-            const headResponse = await makeRequest('HEAD', targetUrl, { host: TARGET_HOST });
-            totalSize = parseInt(headResponse.headers['content-length'] || '0');
-            setCachedMetadata(targetUrl, headResponse.headers);
+        // 获取文件元数据（转发浏览器的认证头，挂载未配置凭据时由上游校验）
+        const headers = withoutRangeHeaders(req.headers);
+        const metadata = await fetchFileMetadata(targetUrl, headers, requestId);
+        const totalSize = parseInt(metadata['content-length'] || '0');
+        if (totalSize === 0) {
+            throw new Error('无法获取文件大小：Content-Length为0或未定义');
         }
         
         const endByte = Math.min(startByte + size - 1, totalSize - 1);
@@ -1001,9 +3051,10 @@ async function handlePreloadRequest(req, res, requestId) {
         if (!redirectUrl) {
             // 发起请求获取重定向
             const response = await makeRequest('GET', targetUrl, {
-                host: TARGET_HOST,
-                Range: `bytes=${startByte}-${endByte}`
+                ...headers,
+                range: `bytes=${startByte}-${endByte}`
             });
+            response.resume();
             
             if (response.statusCode === 302 || response.statusCode === 301) {
                 redirectUrl = response.headers.location;
@@ -1013,9 +3064,9 @@ async function handlePreloadRequest(req, res, requestId) {
         
         // 预加载数据
         if (redirectUrl) {
-            await preloadFromCDN(redirectUrl, startByte, endByte, cacheKey, requestId);
+            await preloadFromCDN(redirectUrl, targetUrl, startByte, endByte, cacheKey, requestId);
         } else {
-            await preloadFromUpstream(targetUrl, startByte, endByte, cacheKey, requestId);
+            await preloadFromUpstream(targetUrl, startByte, endByte, headers, cacheKey, requestId);
         }
         
         res.writeHead(200, {
@@ -1035,12 +3086,31 @@ async function handlePreloadRequest(req, res, requestId) {
     }
 }
 
+// 保存预加载数据（记录上游地址和起始位置，供Range请求拼接使用）
+// 起始位置取自上游的Content-Range（上游可能按块对齐而不从请求的位置开始），
+// 范围缺失或与数据长度不符时不保存，返回false
+function setPreloadedData(cacheKey, targetUrl, contentRange, data, requestId) {
+    const range = parseContentRange(contentRange);
+    if (!range || range.end - range.start + 1 !== data.length) {
+        log(requestId, 'warn', `预加载数据的Content-Range无效，丢弃: ${contentRange || '无'}`);
+        return false;
+    }
+
+    cacheSystem.preloadCache.set(cacheKey, {
+        data,
+        targetUrl,
+        start: range.start,
+        timestamp: Date.now()
+    });
+    return true;
+}
+
 // 从CDN预加载数据
-async function preloadFromCDN(redirectUrl, startByte, endByte, cacheKey, requestId) {
+async function preloadFromCDN(redirectUrl, targetUrl, startByte, endByte, cacheKey, requestId) {
     return new Promise((resolve, reject) => {
         const parsedUrl = url.parse(redirectUrl);
         const isHttps = parsedUrl.protocol === 'https:';
-        const httpModule = isHttps ? https : require('http');
+        const httpModule = isHttps ? https : http;
         const agent = cacheSystem.getAgent(parsedUrl.protocol);
         
         const options = {
@@ -1063,15 +3133,16 @@ async function preloadFromCDN(redirectUrl, startByte, endByte, cacheKey, request
                 proxyRes.on('end', () => {
                     const data = Buffer.concat(chunks);
                     // 缓存预加载的数据
-                    cacheSystem.preloadCache.set(cacheKey, {
-                        data,
-                        timestamp: Date.now()
-                    });
+                    if (!setPreloadedData(cacheKey, targetUrl, proxyRes.headers['content-range'], data, requestId)) {
+                        reject(new Error('CDN预加载失败: 响应范围无效'));
+                        return;
+                    }
                     log(requestId, 'info', `预加载完成: ${formatBytes(data.length)}`);
                     resolve(data);
                 });
                 proxyRes.on('error', reject);
             } else {
+                proxyRes.resume();
                 reject(new Error(`CDN预加载失败: ${proxyRes.statusCode}`));
             }
         });
@@ -1082,11 +3153,11 @@ async function preloadFromCDN(redirectUrl, startByte, endByte, cacheKey, request
 }
 
 // 从上游服务器预加载数据
-async function preloadFromUpstream(targetUrl, startByte, endByte, cacheKey, requestId) {
+async function preloadFromUpstream(targetUrl, startByte, endByte, headers, cacheKey, requestId) {
     return new Promise((resolve, reject) => {
         const response = makeRequest('GET', targetUrl, {
-            host: TARGET_HOST,
-            Range: `bytes=${startByte}-${endByte}`
+            ...headers,
+            range: `bytes=${startByte}-${endByte}`
         });
         
         response.then(res => {
@@ -1095,15 +3166,16 @@ async function preloadFromUpstream(targetUrl, startByte, endByte, cacheKey, requ
                 res.on('data', chunk => chunks.push(chunk));
                 res.on('end', () => {
                     const data = Buffer.concat(chunks);
-                    cacheSystem.preloadCache.set(cacheKey, {
-                        data,
-                        timestamp: Date.now()
-                    });
+                    if (!setPreloadedData(cacheKey, targetUrl, res.headers['content-range'], data, requestId)) {
+                        reject(new Error('上游预加载失败: 响应范围无效'));
+                        return;
+                    }
                     log(requestId, 'info', `预加载完成: ${formatBytes(data.length)}`);
                     resolve(data);
                 });
                 res.on('error', reject);
             } else {
+                res.resume();
                 reject(new Error(`上游预加载失败: ${res.statusCode}`));
             }
         }).catch(reject);
@@ -1112,7 +3184,12 @@ async function preloadFromUpstream(targetUrl, startByte, endByte, cacheKey, requ
 
 // 如果直接运行此脚本
 if (require.main === module) {
-    startStreamingServer();
+    try {
+        startStreamingServer();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
 }
 
 module.exports = { startStreamingServer, createStreamingProxyServer };
\ No newline at end of file
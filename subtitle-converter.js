@@ -0,0 +1,215 @@
+/**
+ * 字幕转换
+ * 识别字幕文件编码 (UTF-8/UTF-16/GBK/Big5)，把SRT、ASS/SSA转换为浏览器<track>可用的WebVTT
+ */
+
+const SUBTITLE_FORMATS = ['srt', 'ass', 'ssa', 'vtt'];
+
+// 常用汉字：分别按GBK和Big5解码后统计命中数，用于区分简体和繁体编码
+const COMMON_SIMPLIFIED = '的一是不了在人有我他这个们中来上大为和国地到以说时要就出会可也你对生能而子那得于着下自之年过发后作里用道行所然家种事成方多经么去法学如都同现当没动面起看定天分还进好小部其些主样理心她本前开但因只从想实';
+const COMMON_TRADITIONAL = '的一是不了在人有我他這個們中來上大為和國地到以說時要就出會可也你對生能而子那得於著下自之年過發後作裡用道行所然家種事成方多經麼去法學如都同現當沒動面起看定天分還進好小部其些主樣理心她本前開但因只從想實';
+
+// 检测字幕文件编码
+function detectEncoding(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return 'utf-8';
+    if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf-16le';
+    if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf-16be';
+
+    // 无BOM的UTF-16：ASCII字符的高字节为0
+    const sample = buffer.subarray(0, 4096);
+    let evenZeros = 0;
+    let oddZeros = 0;
+    sample.forEach((byte, i) => {
+        if (byte === 0) i % 2 === 0 ? evenZeros++ : oddZeros++;
+    });
+    if (oddZeros > sample.length / 4 && evenZeros === 0) return 'utf-16le';
+    if (evenZeros > sample.length / 4 && oddZeros === 0) return 'utf-16be';
+
+    if (isValidUtf8(buffer)) return 'utf-8';
+
+    // 非UTF-8时在GBK和Big5之间选择：解码后常用字多、乱码少的一方胜出
+    const gbkScore = scoreDecoding(buffer, 'gbk', COMMON_SIMPLIFIED);
+    const big5Score = scoreDecoding(buffer, 'big5', COMMON_TRADITIONAL);
+    return big5Score > gbkScore ? 'big5' : 'gbk';
+}
+
+function isValidUtf8(buffer) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function scoreDecoding(buffer, encoding, commonChars) {
+    let text;
+    try {
+        text = new TextDecoder(encoding).decode(buffer);
+    } catch (error) {
+        return -Infinity; // 运行环境不支持该编码
+    }
+
+    let score = 0;
+    for (const char of text) {
+        if (char === '�') { // 无法解码的字节
+            score -= 10;
+        } else if (commonChars.includes(char)) {
+            score++;
+        }
+    }
+    return score;
+}
+
+// 按检测到的编码解码为文本，返回 { text, encoding }
+function decodeSubtitle(buffer) {
+    const encoding = detectEncoding(buffer);
+    // TextDecoder默认会去掉BOM
+    return { text: new TextDecoder(encoding).decode(buffer), encoding };
+}
+
+function escapeCueText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// 时间戳规范为 HH:MM:SS.mmm，支持 0:01:02,5 / 00:01:02.50 等写法
+function formatTimestamp(hours, minutes, seconds, fraction = '0') {
+    const millis = Math.round(parseFloat(`0.${fraction}`) * 1000);
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+        `${String(seconds).padStart(2, '0')}.${String(Math.min(millis, 999)).padStart(3, '0')}`;
+}
+
+function parseTimestamp(value) {
+    const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d+))?$/);
+    if (!match) return null;
+    return formatTimestamp(parseInt(match[1] || '0'), parseInt(match[2]), parseInt(match[3]), match[4]);
+}
+
+// SRT中常见的HTML标签只保留WebVTT支持的 <i> <b> <u>
+function convertSrtText(text) {
+    return escapeCueText(text.replace(/\{\\[^}]*\}/g, ''))
+        .replace(/&lt;(\/?)([ibu])&gt;/gi, (match, slash, tag) => `<${slash}${tag.toLowerCase()}>`)
+        .replace(/&lt;\/?font[^&]*&gt;/gi, '');
+}
+
+// SRT -> WebVTT
+function srtToVtt(text) {
+    const cues = [];
+    const blocks = text.replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+
+    for (const block of blocks) {
+        const lines = block.split('\n').filter(line => line.trim() !== '');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) continue;
+
+        const [startText, endText] = lines[timingIndex].split('-->');
+        const start = parseTimestamp(startText);
+        const end = parseTimestamp((endText || '').trim().split(/\s+/)[0]);
+        if (!start || !end) continue;
+
+        const cueText = lines.slice(timingIndex + 1).map(convertSrtText).join('\n');
+        if (cueText) {
+            cues.push(`${start} --> ${end}\n${cueText}`);
+        }
+    }
+
+    return buildVtt(cues);
+}
+
+// ASS文本：\N换行、\h空格，覆盖标签中只转换斜体和粗体，其余样式丢弃
+function convertAssText(text) {
+    const open = new Set();
+    let result = '';
+    let lastIndex = 0;
+
+    text.replace(/\{([^}]*)\}/g, (match, tags, offset) => {
+        result += escapeCueText(text.slice(lastIndex, offset));
+        lastIndex = offset + match.length;
+
+        for (const [, tag, value] of tags.matchAll(/\\([ib])(\d+)/g)) {
+            const enable = value !== '0';
+            if (enable && !open.has(tag)) {
+                result += `<${tag}>`;
+                open.add(tag);
+            } else if (!enable && open.has(tag)) {
+                result += `</${tag}>`;
+                open.delete(tag);
+            }
+        }
+        return match;
+    });
+    result += escapeCueText(text.slice(lastIndex));
+    open.forEach(tag => { result += `</${tag}>`; });
+
+    return result.replace(/\\N/gi, '\n').replace(/\\h/g, ' ').trim();
+}
+
+// ASS/SSA -> WebVTT（只取[Events]中的Dialogue，按开始时间排序）
+function assToVtt(text) {
+    const events = [];
+    let inEvents = false;
+    let format = null;
+
+    for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('[')) {
+            inEvents = trimmed.toLowerCase() === '[events]';
+            continue;
+        }
+        if (!inEvents) continue;
+
+        if (trimmed.startsWith('Format:')) {
+            format = trimmed.slice(7).split(',').map(field => field.trim().toLowerCase());
+            continue;
+        }
+        if (!trimmed.startsWith('Dialogue:') || !format) continue;
+
+        // Text是最后一个字段，本身可能包含逗号
+        const values = trimmed.slice(9).trim().split(',');
+        const fields = values.slice(0, format.length - 1);
+        fields.push(values.slice(format.length - 1).join(','));
+        const event = Object.fromEntries(format.map((name, i) => [name, fields[i] || '']));
+
+        // 绘图指令 (\p1) 不是文字
+        if (/\{[^}]*\\p[1-9]/.test(event.text)) continue;
+
+        const start = parseTimestamp(event.start);
+        const end = parseTimestamp(event.end);
+        const cueText = convertAssText(event.text);
+        if (start && end && cueText) {
+            events.push({ start, end, text: cueText });
+        }
+    }
+
+    events.sort((a, b) => a.start.localeCompare(b.start));
+    return buildVtt(events.map(event => `${event.start} --> ${event.end}\n${event.text}`));
+}
+
+function buildVtt(cues) {
+    return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+// 转换字幕为WebVTT，format为文件扩展名，返回 { vtt, encoding, cueCount }
+function convertSubtitle(buffer, format) {
+    const { text, encoding } = decodeSubtitle(buffer);
+    let vtt;
+
+    switch (format.toLowerCase()) {
+        case 'srt':
+            vtt = srtToVtt(text);
+            break;
+        case 'ass':
+        case 'ssa':
+            vtt = assToVtt(text);
+            break;
+        case 'vtt':
+            vtt = text.startsWith('WEBVTT') ? text : `WEBVTT\n\n${text}`;
+            break;
+        default:
+            throw new Error(`不支持的字幕格式: ${format}`);
+    }
+
+    return { vtt, encoding, cueCount: (vtt.match(/-->/g) || []).length };
+}
+
+module.exports = { SUBTITLE_FORMATS, detectEncoding, decodeSubtitle, srtToVtt, assToVtt, convertSubtitle };
@@ -0,0 +1,295 @@
+/**
+ * 视频缩略图和预览雪碧图生成
+ * 用ffmpeg按时间点截取单帧，或按固定间隔截取多帧拼成雪碧图并生成WebVTT缩略图轨道，结果缓存在磁盘上
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildInputArgs } = require('./ffmpeg-runner');
+
+// 雪碧图中每帧的尺寸和帧数
+const SPRITE_FRAME_WIDTH = 160;
+const SPRITE_FRAME_HEIGHT = 90;
+const SPRITE_COLUMNS = 10;
+const SPRITE_MAX_FRAMES = 100;
+const SPRITE_MIN_INTERVAL = 10; // 秒
+
+// 单张缩略图的默认宽度和允许范围
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_MAX_WIDTH = 1280;
+
+class ThumbnailGenerator {
+    constructor(options = {}) {
+        this.dir = options.dir;
+        this.maxSize = options.maxSize || 0;
+        this.runner = options.runner;
+        this.enabled = !!this.dir && !!this.runner && this.runner.enabled;
+
+        // 磁盘缓存索引: 文件名 -> { size, lastAccess }
+        this.files = new Map();
+        this.cacheSize = 0;
+        // 正在生成的任务，相同请求共用一个Promise
+        this.pending = new Map();
+        this.stats = {
+            hits: 0,
+            generated: 0,
+            failures: 0,
+            evictions: 0
+        };
+
+        if (this.enabled) {
+            this.loadIndex();
+        }
+    }
+
+    // 启动时扫描缓存目录
+    loadIndex() {
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        for (const name of fs.readdirSync(this.dir)) {
+            const filePath = path.join(this.dir, name);
+            const stat = fs.statSync(filePath);
+
+            // 清理上次异常退出遗留的临时文件和目录
+            if (name.endsWith('.tmp') || name.startsWith('sprite-')) {
+                fs.rmSync(filePath, { recursive: true, force: true });
+                continue;
+            }
+            if (!stat.isFile()) continue;
+
+            this.files.set(name, { size: stat.size, lastAccess: stat.mtimeMs });
+            this.cacheSize += stat.size;
+        }
+
+        this.evict();
+    }
+
+    // 读取缓存文件，不存在时返回null
+    async readCache(name) {
+        const entry = this.files.get(name);
+        if (!entry) return null;
+
+        try {
+            const data = await fs.promises.readFile(path.join(this.dir, name));
+            entry.lastAccess = Date.now();
+            return data;
+        } catch (error) {
+            this.files.delete(name);
+            this.cacheSize -= entry.size;
+            return null;
+        }
+    }
+
+    // 写入缓存文件（先写临时文件再重命名）
+    async writeCache(name, data) {
+        const filePath = path.join(this.dir, name);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, filePath);
+
+        const previous = this.files.get(name);
+        if (previous) this.cacheSize -= previous.size;
+        this.files.set(name, { size: data.length, lastAccess: Date.now() });
+        this.cacheSize += data.length;
+        this.evict();
+    }
+
+    // 超过上限时按最久未访问清理到上限的80%
+    evict() {
+        if (!this.maxSize || this.cacheSize <= this.maxSize) return;
+
+        const target = this.maxSize * 0.8;
+        const entries = [...this.files.entries()].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+        for (const [name, entry] of entries) {
+            if (this.cacheSize <= target) break;
+            this.files.delete(name);
+            this.cacheSize -= entry.size;
+            this.stats.evictions++;
+            fs.promises.unlink(path.join(this.dir, name)).catch(() => {});
+        }
+    }
+
+    // 先查磁盘缓存，未命中时生成；同一文件同时只生成一次
+    async getOrCreate(name, generate) {
+        const cached = await this.readCache(name);
+        if (cached) {
+            this.stats.hits++;
+            return cached;
+        }
+
+        if (!this.pending.has(name)) {
+            const task = generate()
+                .then(async data => {
+                    await this.writeCache(name, data);
+                    this.stats.generated++;
+                    return data;
+                })
+                .catch(error => {
+                    this.stats.failures++;
+                    throw error;
+                })
+                .finally(() => this.pending.delete(name));
+            this.pending.set(name, task);
+        }
+        return this.pending.get(name);
+    }
+
+    // 获取视频时长（秒）
+    async getDuration(source) {
+        const duration = await this.runner.probeDuration(source.url, source.headers, source.fileKey);
+        if (!duration) {
+            throw new Error('无法识别视频时长');
+        }
+        return duration;
+    }
+
+    // 截取单帧，返回JPEG；未指定时间时取时长的10%处（最多5分钟），避开片头黑屏
+    async getThumbnail(source, time = null, width = THUMBNAIL_WIDTH) {
+        width = Math.min(Math.max(Math.round(width) || THUMBNAIL_WIDTH, 32), THUMBNAIL_MAX_WIDTH);
+        const name = `${source.fileKey}-${time === null ? 'auto' : time}-${width}.jpg`;
+
+        return this.getOrCreate(name, async () => {
+            const seekTime = time !== null
+                ? time
+                : Math.min((await this.getDuration(source).catch(() => 100)) * 0.1, 300);
+            return this.grabFrame(source, seekTime, `scale=${width}:-2`);
+        });
+    }
+
+    // 用ffmpeg截取一帧
+    async grabFrame(source, seekTime, filter) {
+        const { stdout } = await this.runner.run([
+            ...buildInputArgs(source.url, source.headers, seekTime.toFixed(3)),
+            '-frames:v', '1',
+            '-vf', filter,
+            '-q:v', '5',
+            '-f', 'image2pipe',
+            '-vcodec', 'mjpeg',
+            'pipe:1'
+        ]);
+
+        if (stdout.length === 0) {
+            throw new Error(`未能截取 ${seekTime.toFixed(1)} 秒处的画面`);
+        }
+        return stdout;
+    }
+
+    // 获取预览雪碧图，返回 { image, layout }
+    async getSprite(source, retried = false) {
+        const layoutName = `${source.fileKey}-sprite.json`;
+        const imageName = `${source.fileKey}-sprite.jpg`;
+
+        const layoutData = await this.getOrCreate(layoutName, async () => {
+            const { image, layout } = await this.generateSprite(source);
+            await this.writeCache(imageName, image);
+            return Buffer.from(JSON.stringify(layout));
+        });
+
+        const image = await this.readCache(imageName);
+        if (!image) {
+            if (retried) {
+                throw new Error('雪碧图缓存写入失败');
+            }
+            // 图片已被清理而布局还在：删除布局后重新生成
+            this.files.delete(layoutName);
+            this.cacheSize -= layoutData.length;
+            return this.getSprite(source, true);
+        }
+        return { image, layout: JSON.parse(layoutData.toString('utf8')) };
+    }
+
+    // 按固定间隔截取多帧并拼接为雪碧图
+    async generateSprite(source) {
+        const duration = await this.getDuration(source);
+        const interval = Math.max(SPRITE_MIN_INTERVAL, Math.ceil(duration / SPRITE_MAX_FRAMES));
+        const count = Math.max(1, Math.min(SPRITE_MAX_FRAMES, Math.floor(duration / interval)));
+        const columns = Math.min(SPRITE_COLUMNS, count);
+        const rows = Math.ceil(count / columns);
+        const filter = `scale=${SPRITE_FRAME_WIDTH}:${SPRITE_FRAME_HEIGHT}:force_original_aspect_ratio=decrease,` +
+            `pad=${SPRITE_FRAME_WIDTH}:${SPRITE_FRAME_HEIGHT}:(ow-iw)/2:(oh-ih)/2`;
+
+        const frameDir = await fs.promises.mkdtemp(path.join(this.dir, 'sprite-'));
+        try {
+            // 截取失败的帧用前一帧代替
+            const frames = [];
+            for (let i = 0; i < count; i++) {
+                const seekTime = Math.min(i * interval + interval / 2, Math.max(duration - 1, 0));
+                frames.push(await this.grabFrame(source, seekTime, filter).catch(() => null));
+            }
+
+            const firstFrame = frames.find(Boolean);
+            if (!firstFrame) {
+                throw new Error('雪碧图的所有帧都截取失败');
+            }
+            let previous = firstFrame;
+            for (let i = 0; i < count; i++) {
+                previous = frames[i] || previous;
+                await fs.promises.writeFile(path.join(frameDir, `${String(i + 1).padStart(4, '0')}.jpg`), previous);
+            }
+
+            const { stdout } = await this.runner.run([
+                '-f', 'image2',
+                '-i', path.join(frameDir, '%04d.jpg'),
+                '-vf', `tile=${columns}x${rows}`,
+                '-frames:v', '1',
+                '-q:v', '5',
+                '-f', 'image2pipe',
+                '-vcodec', 'mjpeg',
+                'pipe:1'
+            ]);
+
+            return {
+                image: stdout,
+                layout: {
+                    duration,
+                    interval,
+                    count,
+                    columns,
+                    rows,
+                    width: SPRITE_FRAME_WIDTH,
+                    height: SPRITE_FRAME_HEIGHT
+                }
+            };
+        } finally {
+            await fs.promises.rm(frameDir, { recursive: true, force: true });
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            enabled: this.enabled,
+            files: this.files.size,
+            cacheSize: this.cacheSize,
+            pending: this.pending.size
+        };
+    }
+}
+
+// 生成WebVTT缩略图轨道，每条cue指向雪碧图中的一帧 (#xywh=x,y,w,h)
+function buildSpriteVtt(layout, imageUrl) {
+    const lines = ['WEBVTT', ''];
+    for (let i = 0; i < layout.count; i++) {
+        const start = i * layout.interval;
+        const end = i === layout.count - 1 ? layout.duration : Math.min((i + 1) * layout.interval, layout.duration);
+        const x = (i % layout.columns) * layout.width;
+        const y = Math.floor(i / layout.columns) * layout.height;
+        lines.push(`${formatVttTime(start)} --> ${formatVttTime(end)}`);
+        lines.push(`${imageUrl}#xywh=${x},${y},${layout.width},${layout.height}`);
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+function formatVttTime(seconds) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const secs = Math.floor(totalMs / 1000) % 60;
+    const ms = totalMs % 1000;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+        `${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+}
+
+module.exports = { ThumbnailGenerator, buildSpriteVtt };
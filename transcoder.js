@@ -0,0 +1,104 @@
+/**
+ * 即时转码
+ * 用ffmpeg把浏览器无法播放的视频转为H.264/AAC的分片MP4 (fragmented MP4) 边转边输出；
+ * 视频编码浏览器能播放时（如H.264视频配AC3/DTS音频的MKV）可只重新封装，复制视频流、只转码音频。
+ * 输出流不能按字节跳转，播放器跳转时从指定时间点重新开始转码
+ */
+
+const { buildInputArgs } = require('./ffmpeg-runner');
+
+// 转码方式: transcode 视频和音频都转码；remux 复制视频流，只把音频转为AAC
+const TRANSCODE_MODES = ['transcode', 'remux'];
+
+class Transcoder {
+    constructor(options = {}) {
+        this.runner = options.runner;
+        this.maxSessions = options.maxSessions || 2;
+        this.enabled = !!this.runner && this.runner.enabled;
+
+        // 进行中的转码: { child, path, start, mode, audioTrack, startedAt, bytes }
+        this.sessions = new Set();
+        this.stats = {
+            sessions: 0,
+            remuxSessions: 0,
+            replaced: 0,
+            bytesOutput: 0
+        };
+    }
+
+    // 转码参数：视频转H.264（remux时复制原视频流）、音频转双声道AAC，输出浏览器可边下边播的分片MP4；
+    // audioTrack为音频流序号（从0开始），默认输出第一路音频
+    buildArgs(source, start, mode = 'transcode', audioTrack = 0) {
+        const videoArgs = mode === 'remux'
+            // 复制的视频流从-ss之前的关键帧开始，时间戳可能为负
+            ? ['-c:v', 'copy', '-avoid_negative_ts', 'make_zero']
+            : ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p'];
+
+        return [
+            ...buildInputArgs(source.url, source.headers, start > 0 ? start.toFixed(3) : null),
+            '-map', '0:v:0',
+            '-map', `0:a:${audioTrack}?`,
+            '-sn',
+            ...videoArgs,
+            '-c:a', 'aac',
+            '-b:a', '160k',
+            '-ac', '2',
+            '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+            '-f', 'mp4',
+            'pipe:1'
+        ];
+    }
+
+    // 开始转码，返回转码会话；超过同时转码数时结束最早的转码（通常是跳转前留下的旧请求）
+    start(source, start, label, mode = 'transcode', audioTrack = 0) {
+        while (this.sessions.size >= this.maxSessions) {
+            const oldest = this.sessions.values().next().value;
+            this.stop(oldest);
+            this.stats.replaced++;
+        }
+
+        const session = {
+            child: this.runner.spawnStream(this.buildArgs(source, start, mode, audioTrack)),
+            path: label,
+            start,
+            mode,
+            audioTrack,
+            startedAt: Date.now(),
+            bytes: 0
+        };
+        session.child.stdout.on('data', chunk => {
+            session.bytes += chunk.length;
+            this.stats.bytesOutput += chunk.length;
+        });
+        session.child.on('close', () => this.sessions.delete(session));
+
+        this.sessions.add(session);
+        this.stats.sessions++;
+        if (mode === 'remux') this.stats.remuxSessions++;
+        return session;
+    }
+
+    stop(session) {
+        this.sessions.delete(session);
+        if (session.child.exitCode === null) {
+            session.child.kill('SIGKILL');
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            enabled: this.enabled,
+            active: [...this.sessions].map(session => ({
+                path: session.path,
+                start: session.start,
+                mode: session.mode,
+                audioTrack: session.audioTrack,
+                bytes: session.bytes,
+                elapsed: Date.now() - session.startedAt
+            }))
+        };
+    }
+}
+
+module.exports = { Transcoder, TRANSCODE_MODES };
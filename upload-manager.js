@@ -0,0 +1,228 @@
+/**
+ * 分块上传
+ * 浏览器把文件分块PUT到代理，代理按顺序追加到本地临时文件，全部收到后再一次性PUT到上游WebDAV
+ * （WebDAV没有通用的分块/断点上传）。上传状态保存在磁盘上，暂停、刷新页面或代理重启后可从已收到的位置继续
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 浏览器每块的建议大小和代理接受的上限
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+
+class UploadManager {
+    constructor(options = {}) {
+        this.dir = options.dir;
+        // 未完成的上传在最后一次收到数据后保留的时长（毫秒），为0时不清理
+        this.maxAge = options.maxAge || 0;
+        this.enabled = !!this.dir;
+
+        // 上传任务: id -> { id, path, size, mime, offset, owner, state, stored, createdAt, updatedAt }
+        // state: receiving 等待下一块；writing 正在写入一块；storing 正在写入上游
+        this.uploads = new Map();
+        this.stats = {
+            created: 0,
+            resumed: 0,
+            completed: 0,
+            cancelled: 0,
+            expired: 0,
+            bytesReceived: 0
+        };
+
+        if (this.enabled) {
+            this.loadIndex();
+        }
+    }
+
+    // 启动时读取未完成的上传，以临时文件的实际大小为准（写入中断时状态文件可能落后）
+    loadIndex() {
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        for (const name of fs.readdirSync(this.dir)) {
+            if (!name.endsWith('.json')) continue;
+
+            const id = name.slice(0, -'.json'.length);
+            let upload;
+            try {
+                upload = JSON.parse(fs.readFileSync(path.join(this.dir, name), 'utf8'));
+                upload.offset = fs.statSync(this.getPartPath(id)).size;
+            } catch (error) {
+                this.removeFiles(id);
+                continue;
+            }
+            if (upload.offset > upload.size) {
+                this.removeFiles(id);
+                continue;
+            }
+
+            upload.state = 'receiving';
+            upload.stored = 0;
+            this.uploads.set(id, upload);
+        }
+
+        // 没有状态文件的临时文件是异常退出的遗留
+        for (const name of fs.readdirSync(this.dir)) {
+            const id = name.replace(/\.(part|json\.tmp)$/, '');
+            if (id !== name && !this.uploads.has(id)) {
+                fs.rmSync(path.join(this.dir, name), { force: true });
+            }
+        }
+    }
+
+    getPartPath(id) {
+        return path.join(this.dir, `${id}.part`);
+    }
+
+    getMetaPath(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    // 保存上传状态（先写临时文件再重命名）
+    async saveMeta(upload) {
+        const { id, path: targetPath, size, mime, offset, owner, createdAt, updatedAt } = upload;
+        const data = JSON.stringify({ id, path: targetPath, size, mime, offset, owner, createdAt, updatedAt });
+        const tempPath = `${this.getMetaPath(id)}.tmp`;
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, this.getMetaPath(id));
+    }
+
+    removeFiles(id) {
+        fs.rmSync(this.getPartPath(id), { force: true });
+        fs.rmSync(this.getMetaPath(id), { force: true });
+    }
+
+    // 创建上传；同一用户对同一路径、同样大小的未完成上传直接返回原任务，从已收到的位置继续
+    async create(targetPath, size, owner, mime = null) {
+        for (const upload of this.uploads.values()) {
+            if (upload.path === targetPath && upload.size === size && upload.owner === owner) {
+                this.stats.resumed++;
+                return { upload, resumed: true };
+            }
+        }
+
+        const now = Date.now();
+        const upload = {
+            id: crypto.randomBytes(12).toString('hex'),
+            path: targetPath,
+            size,
+            mime,
+            offset: 0,
+            owner,
+            state: 'receiving',
+            stored: 0,
+            createdAt: now,
+            updatedAt: now
+        };
+        try {
+            await fs.promises.writeFile(this.getPartPath(upload.id), Buffer.alloc(0));
+            await this.saveMeta(upload);
+        } catch (error) {
+            // 不留下只写了一半的临时文件
+            this.removeFiles(upload.id);
+            throw error;
+        }
+        this.uploads.set(upload.id, upload);
+        this.stats.created++;
+        return { upload, resumed: false };
+    }
+
+    // 查找上传任务，不属于该用户时视为不存在
+    get(id, owner) {
+        const upload = this.uploads.get(id);
+        return upload && upload.owner === owner ? upload : null;
+    }
+
+    // 把请求体追加到临时文件，返回新的offset；数据超出文件大小或传输中断时丢弃本块
+    async appendChunk(upload, stream) {
+        const start = upload.offset;
+        const output = fs.createWriteStream(this.getPartPath(upload.id), { flags: 'a' });
+        upload.state = 'writing';
+
+        let received = 0;
+        try {
+            await new Promise((resolve, reject) => {
+                stream.on('data', chunk => {
+                    received += chunk.length;
+                    if (start + received > upload.size) {
+                        stream.destroy();
+                        reject(new Error(`数据超出文件大小 (${upload.size} 字节)`));
+                        return;
+                    }
+                    if (!output.write(chunk)) {
+                        stream.pause();
+                        output.once('drain', () => stream.resume());
+                    }
+                });
+                stream.on('end', resolve);
+                // 正常结束时end先于close触发，这里的reject不再生效
+                stream.on('close', () => reject(new Error('上传连接中断')));
+                stream.on('error', reject);
+                output.on('error', reject);
+            });
+            await new Promise((resolve, reject) => output.end(error => error ? reject(error) : resolve()));
+        } catch (error) {
+            output.destroy();
+            await fs.promises.truncate(this.getPartPath(upload.id), start).catch(() => {});
+            throw error;
+        } finally {
+            upload.state = 'receiving';
+        }
+
+        upload.offset = start + received;
+        upload.updatedAt = Date.now();
+        this.stats.bytesReceived += received;
+        await this.saveMeta(upload);
+        return upload.offset;
+    }
+
+    // 读取完整的临时文件，用于写入上游
+    createReadStream(upload) {
+        return fs.createReadStream(this.getPartPath(upload.id));
+    }
+
+    // 上传已写入上游或被取消，删除临时文件
+    remove(upload, reason = 'completed') {
+        this.uploads.delete(upload.id);
+        this.removeFiles(upload.id);
+        this.stats[reason]++;
+    }
+
+    // 清理长时间没有收到数据的上传
+    cleanup() {
+        if (!this.maxAge) return;
+
+        const now = Date.now();
+        for (const upload of [...this.uploads.values()]) {
+            if (upload.state === 'receiving' && now - upload.updatedAt > this.maxAge) {
+                this.remove(upload, 'expired');
+            }
+        }
+    }
+
+    // 返回给浏览器的上传状态
+    describe(upload) {
+        return {
+            id: upload.id,
+            path: upload.path,
+            size: upload.size,
+            offset: upload.offset,
+            state: upload.state,
+            stored: upload.stored,
+            chunkSize: DEFAULT_CHUNK_SIZE,
+            maxChunkSize: MAX_CHUNK_SIZE
+        };
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            enabled: this.enabled,
+            active: this.uploads.size,
+            pendingBytes: [...this.uploads.values()].reduce((total, upload) => total + upload.size - upload.offset, 0)
+        };
+    }
+}
+
+module.exports = { UploadManager, DEFAULT_CHUNK_SIZE, MAX_CHUNK_SIZE };
@@ -0,0 +1,364 @@
+/**
+ * 上传队列
+ * 把拖放或选择的文件逐个上传到WebDAV目录：经流式代理时分块上传（可暂停/继续，刷新页面后重新添加同一文件从断点继续），
+ * 直连WebDAV服务器时整个文件一次PUT。队列变化时触发 upload-change 事件，上传完成时触发 upload-complete 事件
+ */
+class UploadQueue {
+    constructor() {
+        // 上传任务: [{ id, file, path, dir, state, loaded, stored, uploadId, overwrite, error, controller }]
+        // state: pending 等待 | uploading 上传中 | storing 代理写入服务器 | paused 已暂停 | conflict 目标已存在 | done 完成 | error 失败
+        this.tasks = [];
+        this.nextId = 1;
+        this.running = false;
+        // 上次因进度变化触发事件的时间（进度事件很密集，限制刷新频率）
+        this.lastProgressNotify = 0;
+        // 分块上传失败（网络错误）时的重试次数
+        this.maxRetries = 3;
+
+        logger.debug('上传队列已初始化');
+    }
+
+    /**
+     * 添加要上传到dirPath目录的文件
+     */
+    addFiles(files, dirPath) {
+        const dir = dirPath.replace(/\/+$/, '');
+        for (const file of files) {
+            this.tasks.push({
+                id: this.nextId++,
+                file,
+                path: `${dir}/${file.name}`,
+                dir: dir || '/',
+                state: 'pending',
+                loaded: 0,
+                stored: 0,
+                uploadId: null,
+                overwrite: false,
+                error: null,
+                controller: null
+            });
+        }
+
+        logger.info('添加上传任务', { count: files.length, dir: dirPath });
+        this.notifyChange();
+        this.processQueue();
+    }
+
+    /**
+     * 获取上传任务
+     */
+    getTask(id) {
+        return this.tasks.find(task => task.id === id) || null;
+    }
+
+    /**
+     * 依次上传等待中的任务
+     */
+    async processQueue() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            let task;
+            while ((task = this.tasks.find(item => item.state === 'pending'))) {
+                await this.runTask(task);
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * 上传一个文件，暂停或取消时中止请求
+     */
+    async runTask(task) {
+        task.state = 'uploading';
+        task.error = null;
+        task.controller = new AbortController();
+        this.notifyChange();
+
+        try {
+            const chunked = webdavClient.uploadAvailable && await this.uploadInChunks(task);
+            if (!chunked) {
+                await this.uploadDirect(task);
+            }
+
+            task.state = 'done';
+            task.loaded = task.file.size;
+            logger.info('上传完成', { path: task.path, size: task.file.size });
+            window.dispatchEvent(new CustomEvent('upload-complete', {
+                detail: { path: task.path, dir: task.dir }
+            }));
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // 暂停或取消时已设置好状态
+            } else if (error.status === 412) {
+                task.state = 'conflict';
+                logger.warn('目标文件已存在，等待选择是否覆盖', { path: task.path });
+            } else {
+                task.state = 'error';
+                task.error = error.message;
+                logger.error('上传失败', { path: task.path, error: error.message });
+            }
+        } finally {
+            task.controller = null;
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * 经代理分块上传，代理不支持时返回false（改为直接PUT）
+     */
+    async uploadInChunks(task) {
+        const signal = task.controller.signal;
+
+        let upload = null;
+        if (task.uploadId) {
+            try {
+                upload = await webdavClient.getUploadStatus(task.uploadId);
+            } catch (error) {
+                // 代理上的任务已过期，重新开始
+                if (error.status !== 404) throw error;
+            }
+        }
+        if (!upload) {
+            try {
+                upload = await webdavClient.createUpload(task.path, task.file, task.overwrite);
+            } catch (error) {
+                if (!webdavClient.uploadAvailable) {
+                    logger.info('代理不支持分块上传，改为直接上传', { error: error.message });
+                    return false;
+                }
+                throw error;
+            }
+            task.uploadId = upload.id;
+            if (upload.resumed) {
+                logger.info('从上次中断的位置继续上传', { path: task.path, offset: upload.offset });
+            }
+        }
+
+        let offset = upload.offset;
+        let retries = 0;
+        while (offset < task.file.size) {
+            this.throwIfAborted(signal);
+            const end = Math.min(offset + upload.chunkSize, task.file.size);
+            const chunkStart = offset;
+
+            try {
+                const result = await webdavClient.uploadChunk(upload.id, chunkStart, task.file.slice(chunkStart, end), (loaded) => {
+                    task.loaded = chunkStart + loaded;
+                    this.notifyProgress();
+                }, signal);
+                offset = result.offset;
+                retries = 0;
+            } catch (error) {
+                // 位置不一致（如上一块已写入但响应丢失）时按代理返回的位置继续
+                if (error.status === 409 && error.result && error.result.state === 'receiving') {
+                    offset = error.result.offset;
+                    continue;
+                }
+                if (error.name === 'AbortError' || error.status || ++retries > this.maxRetries) {
+                    throw error;
+                }
+                logger.warn('分块上传失败，稍后重试', { path: task.path, offset: chunkStart, retries, error: error.message });
+                await this.delay(2000 * retries, signal);
+            }
+            task.loaded = offset;
+            this.notifyProgress();
+        }
+
+        task.state = 'storing';
+        task.stored = 0;
+        this.notifyChange();
+        await this.completeUpload(task);
+        return true;
+    }
+
+    /**
+     * 让代理把收齐的文件写入WebDAV服务器，期间定时查询写入进度
+     */
+    async completeUpload(task) {
+        const timer = setInterval(async () => {
+            try {
+                const status = await webdavClient.getUploadStatus(task.uploadId);
+                task.stored = status.stored;
+                this.notifyChange();
+            } catch (error) {
+                // 写入完成后代理删除任务，查询失败属正常情况
+            }
+        }, 1000);
+
+        try {
+            await webdavClient.completeUpload(task.uploadId, task.overwrite);
+        } catch (error) {
+            if (error.status) {
+                throw error;
+            }
+            // 连接中断时代理仍在写入，等待写入结束
+            await this.waitForStore(task);
+        } finally {
+            clearInterval(timer);
+        }
+        task.uploadId = null;
+    }
+
+    /**
+     * 等待代理写入结束：任务消失且文件存在视为成功
+     */
+    async waitForStore(task) {
+        for (;;) {
+            await this.delay(2000);
+
+            let status;
+            try {
+                status = await webdavClient.getUploadStatus(task.uploadId);
+            } catch (error) {
+                if (error.status === 404 && await webdavClient.fileExists(task.path)) {
+                    return;
+                }
+                throw error;
+            }
+            if (status.state !== 'storing') {
+                throw new Error('写入WebDAV服务器失败，请重试');
+            }
+        }
+    }
+
+    /**
+     * 直连WebDAV服务器时整个文件一次上传，暂停后从头开始
+     */
+    async uploadDirect(task) {
+        task.loaded = 0;
+        await webdavClient.uploadFileDirect(task.path, task.file, task.overwrite, (loaded) => {
+            task.loaded = loaded;
+            this.notifyProgress();
+        }, task.controller.signal);
+    }
+
+    /**
+     * 暂停上传（中止当前分块，已收到的数据保留在代理上）
+     */
+    pause(id) {
+        const task = this.getTask(id);
+        if (!task || !['pending', 'uploading'].includes(task.state)) return;
+
+        task.state = 'paused';
+        if (task.controller) {
+            task.controller.abort();
+        }
+        logger.info('暂停上传', { path: task.path, loaded: task.loaded });
+        this.notifyChange();
+    }
+
+    /**
+     * 继续已暂停或失败的上传
+     */
+    resume(id) {
+        const task = this.getTask(id);
+        if (!task || !['paused', 'error'].includes(task.state)) return;
+
+        task.state = 'pending';
+        logger.info('继续上传', { path: task.path });
+        this.notifyChange();
+        this.processQueue();
+    }
+
+    /**
+     * 目标已存在时选择覆盖或跳过
+     */
+    resolveConflict(id, overwrite) {
+        const task = this.getTask(id);
+        if (!task || task.state !== 'conflict') return;
+
+        if (!overwrite) {
+            this.cancel(id);
+            return;
+        }
+        task.overwrite = true;
+        task.state = 'pending';
+        logger.info('覆盖已存在的文件', { path: task.path });
+        this.notifyChange();
+        this.processQueue();
+    }
+
+    /**
+     * 取消上传并删除代理上已收到的数据
+     */
+    cancel(id) {
+        const task = this.getTask(id);
+        if (!task || task.state === 'storing') return;
+
+        if (task.controller) {
+            task.controller.abort();
+        }
+        if (task.uploadId) {
+            webdavClient.cancelUpload(task.uploadId).catch(error => {
+                logger.debug('取消代理上的上传失败', { error: error.message });
+            });
+        }
+        this.tasks = this.tasks.filter(item => item !== task);
+        logger.info('取消上传', { path: task.path });
+        this.notifyChange();
+    }
+
+    /**
+     * 移除已完成的任务
+     */
+    clearFinished() {
+        this.tasks = this.tasks.filter(task => task.state !== 'done');
+        this.notifyChange();
+    }
+
+    /**
+     * 断开连接时清空队列（代理上未完成的上传保留，重新连接后添加同一文件可继续）
+     */
+    clear() {
+        this.tasks.forEach(task => {
+            if (task.controller) {
+                task.state = 'paused';
+                task.controller.abort();
+            }
+        });
+        this.tasks = [];
+        this.notifyChange();
+    }
+
+    throwIfAborted(signal) {
+        if (signal.aborted) {
+            throw new DOMException('上传已中止', 'AbortError');
+        }
+    }
+
+    /**
+     * 等待指定毫秒，signal中止时提前结束
+     */
+    delay(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new DOMException('上传已中止', 'AbortError'));
+                }, { once: true });
+            }
+        });
+    }
+
+    /**
+     * 上传进度变化，最多每200毫秒触发一次事件
+     */
+    notifyProgress() {
+        if (Date.now() - this.lastProgressNotify < 200) return;
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        this.lastProgressNotify = Date.now();
+        window.dispatchEvent(new CustomEvent('upload-change', {
+            detail: { tasks: this.tasks }
+        }));
+    }
+}
+
+// 创建全局上传队列实例
+window.uploadQueue = new UploadQueue();
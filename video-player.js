@@ -15,6 +15,21 @@ class VideoPlayer {
             fullscreen: false
         };
         this.supportedFormats = this.detectSupportedFormats();
+        // 当前视频的外挂字幕: [{ file, label, srclang, element, objectUrl }]
+        this.subtitleTracks = [];
+        // 上次保存播放进度的时间
+        this.lastProgressSave = 0;
+        // 续播提示中的播放位置（秒）
+        this.resumePosition = null;
+        // 进度条预览缩略图: { cues, imageUrl }
+        this.thumbnailTrack = null;
+        // 代理解析的媒体信息（编码、码率、轨道和章节）
+        this.mediaInfo = null;
+        // 选择的音轨序号（对应mediaInfo.audio），null表示默认音轨
+        this.audioTrackIndex = null;
+        // 即时转码状态: { offset, duration, mode }，offset为当前转码流开始的时间点（秒），
+        // mode为transcode（完整转码）或remux（复制视频流，只转码音频）
+        this.transcode = null;
         
         this.initializePlayer();
         logger.debug('视频播放器已初始化', { supportedFormats: this.supportedFormats });
@@ -26,6 +41,22 @@ class VideoPlayer {
     initializePlayer() {
         this.videoElement = document.getElementById('videoPlayer');
         this.videoInfoElement = document.getElementById('videoInfo');
+        this.subtitlePickerElement = document.getElementById('subtitlePicker');
+        this.subtitleSelectElement = document.getElementById('subtitleSelect');
+        this.audioTrackPickerElement = document.getElementById('audioTrackPicker');
+        this.audioTrackSelectElement = document.getElementById('audioTrackSelect');
+        this.chapterPickerElement = document.getElementById('chapterPicker');
+        this.chapterSelectElement = document.getElementById('chapterSelect');
+        this.prevChapterButton = document.getElementById('prevChapterBtn');
+        this.nextChapterButton = document.getElementById('nextChapterBtn');
+        this.resumePromptElement = document.getElementById('resumePrompt');
+        this.resumeButton = document.getElementById('resumeBtn');
+        this.restartButton = document.getElementById('restartBtn');
+        this.seekPreviewElement = document.getElementById('seekPreview');
+        this.seekPreviewBar = document.getElementById('seekPreviewBar');
+        this.seekPreviewPlayed = document.getElementById('seekPreviewPlayed');
+        this.seekPreviewThumb = document.getElementById('seekPreviewThumb');
+        this.seekPreviewTime = document.getElementById('seekPreviewTime');
 
         if (!this.videoElement) {
             logger.error('未找到视频播放器元素');
@@ -49,17 +80,27 @@ class VideoPlayer {
         this.videoElement.addEventListener('pause', () => {
             this.playbackState.isPlaying = false;
             logger.logVideoEvent('播放暂停', this.currentVideoInfo?.name || 'unknown');
+            this.saveProgress();
         });
 
         this.videoElement.addEventListener('ended', () => {
             this.playbackState.isPlaying = false;
             logger.logVideoEvent('播放结束', this.currentVideoInfo?.name || 'unknown');
+            this.markWatched();
+            this.playNext();
         });
 
         // 时间更新
         this.videoElement.addEventListener('timeupdate', () => {
-            this.playbackState.currentTime = this.videoElement.currentTime;
-            this.playbackState.duration = this.videoElement.duration || 0;
+            this.playbackState.currentTime = this.getCurrentTime();
+            this.playbackState.duration = this.getDuration();
+
+            // 播放中每5秒保存一次进度
+            if (Date.now() - this.lastProgressSave > 5000) {
+                this.saveProgress();
+            }
+            this.updateSeekPreviewProgress();
+            this.updateCurrentChapter();
         });
 
         // 音量变化
@@ -116,6 +157,12 @@ class VideoPlayer {
                 message: error?.message,
                 video: this.currentVideoInfo?.name
             });
+
+            // 浏览器无法解码时改用代理转码
+            if (this.shouldFallbackToTranscode(error)) {
+                this.fallbackToTranscode(error);
+                return;
+            }
             this.handlePlaybackError(error);
         });
 
@@ -139,6 +186,54 @@ class VideoPlayer {
             this.playbackState.fullscreen = !!document.fullscreenElement;
             logger.debug('全屏状态变化', { fullscreen: this.playbackState.fullscreen });
         });
+
+        // 离开页面前保存进度
+        window.addEventListener('pagehide', () => this.saveProgress());
+
+        // 续播提示
+        if (this.resumeButton && this.restartButton) {
+            this.resumeButton.addEventListener('click', () => this.resumePlayback());
+            this.restartButton.addEventListener('click', () => this.hideResumePrompt());
+        }
+
+        // 字幕选择
+        if (this.subtitleSelectElement) {
+            this.subtitleSelectElement.addEventListener('change', () => {
+                this.selectSubtitle(parseInt(this.subtitleSelectElement.value));
+            });
+        }
+
+        // 音轨选择
+        if (this.audioTrackSelectElement) {
+            this.audioTrackSelectElement.addEventListener('change', () => {
+                this.selectAudioTrack(parseInt(this.audioTrackSelectElement.value)).catch(error => {
+                    logger.warn('切换音轨失败', { error: error.message, video: this.currentVideoInfo?.name });
+                    this.updateTrackPickers();
+                });
+            });
+        }
+
+        // 章节菜单和上一章/下一章
+        if (this.chapterSelectElement) {
+            this.chapterSelectElement.addEventListener('change', () => {
+                this.seekToChapter(parseInt(this.chapterSelectElement.value));
+            });
+        }
+        if (this.prevChapterButton && this.nextChapterButton) {
+            this.prevChapterButton.addEventListener('click', () => this.previousChapter());
+            this.nextChapterButton.addEventListener('click', () => this.nextChapter());
+        }
+
+        // 预览进度条：悬停显示缩略图，点击跳转
+        if (this.seekPreviewBar) {
+            this.seekPreviewBar.addEventListener('mousemove', (e) => this.showSeekPreview(e));
+            this.seekPreviewBar.addEventListener('mouseleave', () => {
+                this.seekPreviewThumb.hidden = true;
+            });
+            this.seekPreviewBar.addEventListener('click', (e) => {
+                this.seekTo(this.getSeekPreviewTime(e));
+            });
+        }
     }
 
     /**
@@ -154,22 +249,43 @@ class VideoPlayer {
                 size: videoFile.formattedSize
             });
 
-            // 检查格式支持
+            // 浏览器不支持的格式按编码改用代理重新封装或即时转码
+            let transcodePlan = null;
             if (!this.isFormatSupported(videoFile.name)) {
-                throw new Error(`不支持的视频格式: ${this.getFileExtension(videoFile.name)}`);
+                transcodePlan = await this.chooseTranscodePlan(videoFile);
             }
 
+            // 切换前保存上一个视频的进度
+            this.saveProgress();
+            this.hideResumePrompt();
+
             // 保存当前视频信息
             this.currentVideoInfo = videoFile;
+            this.clearSubtitles();
+            this.clearThumbnailTrack();
+            this.transcode = null;
+            this.mediaInfo = null;
+            this.audioTrackIndex = null;
+            this.updateTrackPickers();
 
-            // 获取视频URL
-            const videoUrl = webdavClient.getFileStreamUrl(videoFile.path);
-            
-            // 设置视频源
-            this.videoElement.src = videoUrl;
-            
-            // 预加载
-            this.videoElement.load();
+            if (transcodePlan) {
+                this.startTranscode(transcodePlan.duration, 0, transcodePlan.mode);
+            } else {
+                // 获取视频URL
+                const videoUrl = webdavClient.getFileStreamUrl(videoFile.path);
+                
+                // 设置视频源
+                this.videoElement.src = videoUrl;
+                
+                // 预加载
+                this.videoElement.load();
+            }
+
+            // 后台查找外挂字幕和上次的播放位置，不阻塞视频加载
+            this.loadSubtitles(videoFile);
+            this.offerResume(videoFile);
+            this.loadThumbnailTrack(videoFile);
+            this.loadMediaInfo(videoFile);
 
             const duration = Date.now() - startTime;
             logger.logPerformance('视频加载', duration);
@@ -188,6 +304,837 @@ class VideoPlayer {
         }
     }
 
+    /**
+     * 读取代理解析的媒体信息并显示在信息面板，失败时只显示浏览器提供的信息
+     */
+    async loadMediaInfo(videoFile) {
+        if (!webdavClient.mediaInfoAvailable) return;
+
+        try {
+            const mediaInfo = await webdavClient.fetchMediaInfo(videoFile.path);
+            if (this.currentVideoInfo !== videoFile) return;
+            this.mediaInfo = mediaInfo;
+            this.updateVideoInfo();
+            this.updateTrackPickers();
+            logger.debug('媒体信息已加载', { video: videoFile.name, summary: this.getMediaSummary(mediaInfo) });
+        } catch (error) {
+            logger.debug('媒体信息加载失败', { video: videoFile.name, error: error.message });
+        }
+    }
+
+    /**
+     * 媒体信息的一行摘要，如 "1080p H.264 · AC-3 5.1 · 2音轨 · 3字幕"
+     */
+    getMediaSummary(mediaInfo) {
+        const parts = [];
+        const video = mediaInfo.video[0];
+        if (video) {
+            parts.push([this.getResolutionLabel(video), this.getCodecLabel(video.codec)].filter(Boolean).join(' '));
+        }
+        const audio = mediaInfo.audio.find(track => track.default) || mediaInfo.audio[0];
+        if (audio) {
+            parts.push([this.getCodecLabel(audio.codec), this.getChannelLabel(audio.channels)].filter(Boolean).join(' '));
+        }
+        if (mediaInfo.audio.length > 1) {
+            parts.push(`${mediaInfo.audio.length}音轨`);
+        }
+        if (mediaInfo.subtitles.length > 0) {
+            parts.push(`${mediaInfo.subtitles.length}字幕`);
+        }
+        if (mediaInfo.duration) {
+            parts.push(this.formatTime(mediaInfo.duration));
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * 编码的显示名称，如 h264 -> H.264
+     */
+    getCodecLabel(codec) {
+        const labels = {
+            h264: 'H.264', hevc: 'HEVC', av1: 'AV1', vp8: 'VP8', vp9: 'VP9', mpeg4: 'MPEG-4', mpeg2video: 'MPEG-2',
+            aac: 'AAC', ac3: 'AC-3', eac3: 'E-AC-3', dts: 'DTS', truehd: 'TrueHD', opus: 'Opus', vorbis: 'Vorbis',
+            flac: 'FLAC', mp3: 'MP3', mp2: 'MP2', alac: 'ALAC', pcm: 'PCM',
+            subrip: 'SRT', ass: 'ASS', webvtt: 'WebVTT', mov_text: 'TX3G', hdmv_pgs_subtitle: 'PGS',
+            dvd_subtitle: 'VobSub', dvb_subtitle: 'DVB', ttml: 'TTML', eia_608: 'CEA-608'
+        };
+        return codec ? labels[codec] || codec.toUpperCase() : '';
+    }
+
+    /**
+     * 分辨率标签：常见高度显示为 1080p、4K，其他显示宽×高
+     */
+    getResolutionLabel(video) {
+        if (!video.width || !video.height) return '';
+        if (video.height >= 2000 || video.width >= 3800) return '4K';
+        if ([480, 576, 720, 1080, 1440].includes(video.height)) return `${video.height}p`;
+        return `${video.width}×${video.height}`;
+    }
+
+    /**
+     * 声道数标签，如 6 -> 5.1
+     */
+    getChannelLabel(channels) {
+        const labels = { 1: '单声道', 2: '2.0', 6: '5.1', 8: '7.1' };
+        return channels ? labels[channels] || `${channels}声道` : '';
+    }
+
+    /**
+     * 码率显示，如 5200000 -> 5.2 Mbps
+     */
+    formatBitrate(bitsPerSecond) {
+        if (!bitsPerSecond) return '';
+        return bitsPerSecond >= 1000000
+            ? `${(bitsPerSecond / 1000000).toFixed(1)} Mbps`
+            : `${Math.round(bitsPerSecond / 1000)} kbps`;
+    }
+
+    /**
+     * 音频/字幕轨道的描述，如 "AC-3 5.1 jpn 评论音轨 (默认)"
+     */
+    describeTrack(track) {
+        const parts = [
+            this.getCodecLabel(track.codec),
+            track.profile && track.codec === 'aac' ? track.profile : '',
+            this.getChannelLabel(track.channels),
+            track.language || '',
+            track.name || '',
+            track.default ? '(默认)' : '',
+            track.forced ? '(强制)' : ''
+        ];
+        return parts.filter(Boolean).join(' ');
+    }
+
+    /**
+     * 转义HTML特殊字符（轨道名称等来自文件内容）
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * 查询代理能否转码该视频，不能时返回null
+     */
+    async getTranscodeInfo(videoFile) {
+        try {
+            return await webdavClient.fetchTranscodeInfo(videoFile.path);
+        } catch (error) {
+            logger.warn('无法使用转码播放', { error: error.message, video: videoFile.name });
+            return null;
+        }
+    }
+
+    /**
+     * 按代理探测到的编码选择播放方式：容器和编码组合能直接播放时返回null，
+     * 否则返回 { duration, mode }；代理无法转码时抛出不支持的格式
+     */
+    async chooseTranscodePlan(videoFile) {
+        const ext = this.getFileExtension(videoFile.name);
+        const info = await this.getTranscodeInfo(videoFile);
+        if (!info) {
+            throw new Error(`不支持的视频格式: ${ext}`);
+        }
+
+        const containerTypes = {
+            mkv: 'video/x-matroska',
+            avi: 'video/x-msvideo',
+            wmv: 'video/x-ms-wmv',
+            flv: 'video/x-flv',
+            ts: 'video/mp2t',
+            m2ts: 'video/mp2t',
+            '3gp': 'video/3gpp'
+        };
+        const codecs = [this.getCodecString(info.videoCodec, info.videoProfile)];
+        if (info.audioCodec) {
+            codecs.push(this.getCodecString(info.audioCodec));
+        }
+        if (containerTypes[ext] && this.canPlayCodecs(containerTypes[ext], codecs)) {
+            logger.info('浏览器支持该视频的容器和编码，直接播放', { video: videoFile.name, codecs });
+            return null;
+        }
+
+        return { duration: info.duration, mode: this.pickTranscodeMode(info) };
+    }
+
+    /**
+     * 视频编码能在MP4中播放时只重新封装（如H.264视频配AC3/DTS音频的MKV），否则完整转码
+     */
+    pickTranscodeMode(info) {
+        const videoCodec = this.getCodecString(info.videoCodec, info.videoProfile);
+        return this.canPlayCodecs('video/mp4', [videoCodec]) ? 'remux' : 'transcode';
+    }
+
+    /**
+     * 浏览器能否播放该容器和编码组合，编码未知时视为不能播放
+     */
+    canPlayCodecs(mimeType, codecs) {
+        if (codecs.length === 0 || codecs.some(codec => !codec)) return false;
+        return this.videoElement.canPlayType(`${mimeType}; codecs="${codecs.join(', ')}"`) !== '';
+    }
+
+    /**
+     * ffmpeg的编码名转为canPlayType使用的RFC 6381编码字符串，未知编码返回null
+     */
+    getCodecString(codec, profile = null) {
+        if (codec === 'h264') {
+            const profiles = {
+                'Baseline': 'avc1.42E01E',
+                'Constrained Baseline': 'avc1.42E01E',
+                'Main': 'avc1.4D401F',
+                'High': 'avc1.640028',
+                'High 10': 'avc1.6E0028',
+                'High 4:2:2': 'avc1.7A0028'
+            };
+            return profile ? profiles[profile] || null : profiles.High;
+        }
+        if (codec === 'hevc') {
+            return profile === 'Main 10' ? 'hvc1.2.4.L120.90' : 'hvc1.1.6.L120.90';
+        }
+
+        const codecStrings = {
+            vp8: 'vp8',
+            vp9: 'vp09.00.10.08',
+            av1: 'av01.0.05M.08',
+            aac: 'mp4a.40.2',
+            mp3: 'mp4a.69',
+            ac3: 'ac-3',
+            eac3: 'ec-3',
+            opus: 'opus',
+            vorbis: 'vorbis',
+            flac: 'flac'
+        };
+        return codecStrings[codec] || null;
+    }
+
+    /**
+     * 播放代理的转码流，从offset秒开始（转码流不能按字节跳转，跳转时从新的时间点重新转码）
+     */
+    startTranscode(duration, offset, mode = 'transcode') {
+        const videoFile = this.currentVideoInfo;
+        this.transcode = { offset, duration, mode };
+        this.videoElement.src = webdavClient.getTranscodeUrl(videoFile.path, offset, mode, this.audioTrackIndex);
+        this.videoElement.load();
+
+        // 原生进度条无法在转码流中跳转，用预览进度条代替
+        if (this.seekPreviewElement) {
+            this.seekPreviewElement.hidden = false;
+        }
+        this.updateSeekPreviewProgress();
+        logger.info(mode === 'remux' ? '使用重新封装播放' : '使用即时转码播放', {
+            video: videoFile.name,
+            offset: this.formatTime(offset),
+            audioTrack: this.audioTrackIndex
+        });
+    }
+
+    /**
+     * 当前视频的音轨列表（来自代理解析的媒体信息）: [{ index, label, language, codec, channels, default, active }]
+     */
+    getAudioTracks() {
+        const tracks = this.mediaInfo ? this.mediaInfo.audio : [];
+        const activeIndex = this.getActiveAudioTrackIndex();
+        return tracks.map((track, index) => ({
+            index,
+            label: this.describeTrack(track),
+            language: track.language,
+            codec: track.codec,
+            channels: track.channels,
+            default: track.default,
+            active: index === activeIndex
+        }));
+    }
+
+    /**
+     * 正在播放的音轨序号：直接播放时以浏览器启用的音轨为准，否则为选择的音轨（默认第一路）
+     */
+    getActiveAudioTrackIndex() {
+        const nativeTracks = this.videoElement.audioTracks;
+        if (!this.transcode && nativeTracks && nativeTracks.length > 0) {
+            for (let i = 0; i < nativeTracks.length; i++) {
+                if (nativeTracks[i].enabled) return i;
+            }
+        }
+        return this.audioTrackIndex || 0;
+    }
+
+    /**
+     * 切换音轨：浏览器支持多音轨时（如Safari）直接切换，否则由代理从当前位置输出选中的音轨
+     * （能重新封装时只转码音频）
+     */
+    async selectAudioTrack(index) {
+        const videoFile = this.currentVideoInfo;
+        const tracks = this.getAudioTracks();
+        if (!videoFile || !tracks[index] || tracks[index].active) return;
+
+        const nativeTracks = this.videoElement.audioTracks;
+        if (!this.transcode && nativeTracks && nativeTracks.length === tracks.length) {
+            for (let i = 0; i < nativeTracks.length; i++) {
+                nativeTracks[i].enabled = i === index;
+            }
+            this.audioTrackIndex = index;
+            this.updateTrackPickers();
+            logger.info('切换音轨', { video: videoFile.name, track: tracks[index].label });
+            return;
+        }
+
+        let plan = this.transcode;
+        if (!plan) {
+            const info = await this.getTranscodeInfo(videoFile);
+            if (this.currentVideoInfo !== videoFile) return;
+            if (!info) {
+                throw new Error('浏览器不支持切换音轨，且代理无法转码');
+            }
+            plan = { duration: info.duration, mode: this.pickTranscodeMode(info) };
+        }
+
+        const position = this.getCurrentTime();
+        const wasPlaying = !this.videoElement.paused;
+        this.audioTrackIndex = index;
+        this.startTranscode(plan.duration, position, plan.mode);
+        if (wasPlaying) this.play().catch(() => {});
+        this.updateTrackPickers();
+        logger.info('切换音轨', { video: videoFile.name, track: tracks[index].label, mode: plan.mode });
+    }
+
+    /**
+     * 当前视频的章节: [{ start, end, title }]（秒）
+     */
+    getChapters() {
+        return this.mediaInfo ? this.mediaInfo.chapters : [];
+    }
+
+    /**
+     * 指定时间所在的章节序号，第一个章节之前返回-1
+     */
+    getChapterIndexAt(time) {
+        const chapters = this.getChapters();
+        let found = -1;
+        // 跳转后的位置可能略早于章节开始（关键帧），留0.5秒余量
+        for (let i = 0; i < chapters.length && chapters[i].start <= time + 0.5; i++) {
+            found = i;
+        }
+        return found;
+    }
+
+    /**
+     * 当前播放位置所在的章节序号
+     */
+    getCurrentChapterIndex() {
+        return this.getChapterIndexAt(this.getCurrentTime());
+    }
+
+    /**
+     * 跳转到指定章节的开头
+     */
+    seekToChapter(index) {
+        const chapter = this.getChapters()[index];
+        if (!chapter) return;
+
+        this.seekTo(chapter.start);
+        this.updateCurrentChapter(index);
+        logger.debug('跳转到章节', { index, title: chapter.title, start: chapter.start });
+    }
+
+    /**
+     * 跳转到下一章
+     */
+    nextChapter() {
+        this.seekToChapter(this.getCurrentChapterIndex() + 1);
+    }
+
+    /**
+     * 章节开始3秒后回到本章开头，否则跳转到上一章
+     */
+    previousChapter() {
+        const index = this.getCurrentChapterIndex();
+        const chapter = this.getChapters()[index];
+        if (chapter && this.getCurrentTime() - chapter.start > 3) {
+            this.seekToChapter(index);
+        } else {
+            this.seekToChapter(Math.max(index - 1, 0));
+        }
+    }
+
+    /**
+     * 章节的显示名称，没有标题时用序号
+     */
+    getChapterLabel(chapter, index) {
+        return `${chapter.title || `第 ${index + 1} 章`} (${this.formatTime(chapter.start)})`;
+    }
+
+    /**
+     * 按媒体信息更新音轨和章节选择框，以及预览进度条上的章节分界线
+     */
+    updateTrackPickers() {
+        const audioTracks = this.getAudioTracks();
+        if (this.audioTrackSelectElement && this.audioTrackPickerElement) {
+            this.audioTrackSelectElement.innerHTML = '';
+            audioTracks.forEach(track => {
+                const option = document.createElement('option');
+                option.value = String(track.index);
+                option.textContent = `${track.index + 1}. ${track.label}`;
+                option.selected = track.active;
+                this.audioTrackSelectElement.appendChild(option);
+            });
+            this.audioTrackPickerElement.hidden = audioTracks.length < 2;
+        }
+
+        const chapters = this.getChapters();
+        if (this.chapterSelectElement && this.chapterPickerElement) {
+            this.chapterSelectElement.innerHTML = '';
+            chapters.forEach((chapter, index) => {
+                const option = document.createElement('option');
+                option.value = String(index);
+                option.textContent = this.getChapterLabel(chapter, index);
+                this.chapterSelectElement.appendChild(option);
+            });
+            this.chapterPickerElement.hidden = chapters.length === 0;
+            this.updateCurrentChapter();
+        }
+
+        this.renderChapterMarkers();
+    }
+
+    /**
+     * 在预览进度条上标出章节分界（第一个章节从0开始时不标），有章节时显示预览进度条
+     */
+    renderChapterMarkers() {
+        if (!this.seekPreviewBar) return;
+        this.seekPreviewBar.querySelectorAll('.seek-preview-chapter').forEach(marker => marker.remove());
+
+        const chapters = this.getChapters();
+        const duration = this.getDuration() || (this.mediaInfo && this.mediaInfo.duration);
+        if (chapters.length === 0 || !duration) return;
+
+        chapters.forEach((chapter, index) => {
+            if (chapter.start <= 0 || chapter.start >= duration) return;
+            const marker = document.createElement('div');
+            marker.className = 'seek-preview-chapter';
+            marker.style.left = `${((chapter.start / duration) * 100).toFixed(2)}%`;
+            marker.title = this.getChapterLabel(chapter, index);
+            this.seekPreviewBar.appendChild(marker);
+        });
+        this.seekPreviewElement.hidden = false;
+        this.updateSeekPreviewProgress();
+    }
+
+    /**
+     * 章节菜单跟随播放位置选中当前章节
+     */
+    updateCurrentChapter(index = this.getCurrentChapterIndex()) {
+        if (!this.chapterSelectElement || this.chapterPickerElement.hidden) return;
+        const value = String(Math.max(index, 0));
+        if (this.chapterSelectElement.value !== value) {
+            this.chapterSelectElement.value = value;
+        }
+    }
+
+    /**
+     * 格式或编码不受支持时是否改用转码（重新封装失败时改为完整转码，完整转码失败时不再重试）
+     */
+    shouldFallbackToTranscode(error) {
+        const canRetry = !this.transcode || this.transcode.mode === 'remux';
+        return !!error && !!this.currentVideoInfo && canRetry && webdavClient.isConnected &&
+            (error.code === MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED || error.code === MediaError.MEDIA_ERR_DECODE);
+    }
+
+    /**
+     * 从当前位置切换到转码播放，代理不支持转码时显示原来的错误
+     */
+    async fallbackToTranscode(error) {
+        const videoFile = this.currentVideoInfo;
+        const position = this.getCurrentTime();
+        const remuxFailed = !!this.transcode;
+        this.updateVideoInfo('浏览器无法解码该视频，正在切换到转码播放...');
+
+        const transcodeInfo = await this.getTranscodeInfo(videoFile);
+        if (this.currentVideoInfo !== videoFile) return;
+        if (!transcodeInfo) {
+            this.handlePlaybackError(error);
+            return;
+        }
+
+        const mode = remuxFailed ? 'transcode' : this.pickTranscodeMode(transcodeInfo);
+        this.startTranscode(transcodeInfo.duration, position, mode);
+        this.play().catch(() => {});
+    }
+
+    /**
+     * 当前播放位置（秒），转码播放时加上转码开始的时间点
+     */
+    getCurrentTime() {
+        return (this.transcode ? this.transcode.offset : 0) + (this.videoElement.currentTime || 0);
+    }
+
+    /**
+     * 视频总时长（秒），转码流的时长由代理提供
+     */
+    getDuration() {
+        const duration = this.transcode ? this.transcode.duration : this.videoElement.duration;
+        return duration && isFinite(duration) ? duration : 0;
+    }
+
+    /**
+     * 播放结束后按播放列表自动播放下一个（单集循环时重播当前视频）
+     */
+    async playNext() {
+        if (playlist.repeatMode === 'one' && playlist.getCurrent()) {
+            this.seekTo(0);
+            await this.play().catch(() => {});
+            return;
+        }
+
+        // 跳过无法播放的视频，最多尝试整个队列一遍
+        for (let attempt = 0; attempt < playlist.items.length; attempt++) {
+            const nextVideo = playlist.next();
+            if (!nextVideo) {
+                logger.info('播放列表已播放完毕');
+                return;
+            }
+
+            try {
+                logger.info('自动播放下一个视频', { name: nextVideo.name });
+                await this.loadVideo(nextVideo);
+                await this.play().catch(error => {
+                    logger.warn('自动播放被阻止，需要用户手动播放', { error: error.message });
+                });
+                return;
+            } catch (error) {
+                logger.warn('跳过无法播放的视频', { name: nextVideo.name, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * 有未看完的播放记录时显示"从 42:10 继续播放"
+     */
+    async offerResume(videoFile) {
+        const record = await playbackHistory.get(videoFile);
+        if (!record || this.currentVideoInfo !== videoFile) return;
+
+        // 刚开头或接近结尾的位置不提示
+        if (record.position < 10 || (record.duration && record.position > record.duration - 10)) return;
+
+        this.resumePosition = record.position;
+        if (this.resumePromptElement && this.resumeButton) {
+            this.resumeButton.textContent = `从 ${this.formatTime(record.position)} 继续播放`;
+            this.resumePromptElement.hidden = false;
+        }
+
+        logger.info('发现上次的播放位置', {
+            video: videoFile.name,
+            position: this.formatTime(record.position)
+        });
+    }
+
+    /**
+     * 跳转到上次的播放位置并继续播放
+     */
+    resumePlayback() {
+        const position = this.resumePosition;
+        this.hideResumePrompt();
+        if (!position) return;
+
+        const seekAndPlay = () => {
+            this.seekTo(position);
+            this.play().catch(() => {});
+        };
+
+        // 元数据加载前无法跳转（转码播放直接从该位置重新转码）
+        if (this.transcode || this.videoElement.readyState >= HTMLMediaElement.HAVE_METADATA) {
+            seekAndPlay();
+        } else {
+            this.videoElement.addEventListener('loadedmetadata', seekAndPlay, { once: true });
+        }
+
+        logger.info('从上次位置继续播放', { position: this.formatTime(position) });
+    }
+
+    /**
+     * 隐藏续播提示
+     */
+    hideResumePrompt() {
+        this.resumePosition = null;
+        if (this.resumePromptElement) {
+            this.resumePromptElement.hidden = true;
+        }
+    }
+
+    /**
+     * 保存当前视频的播放位置
+     */
+    saveProgress() {
+        const videoFile = this.currentVideoInfo;
+        const position = this.getCurrentTime();
+        const duration = this.getDuration();
+
+        // 播放结束时由markWatched记录
+        if (!videoFile || !duration || position < 1 || this.videoElement.ended) return;
+
+        this.lastProgressSave = Date.now();
+        playbackHistory.savePosition(videoFile, position, duration)
+            .then(record => this.dispatchProgressEvent(videoFile, record));
+    }
+
+    /**
+     * 标记当前视频已看完
+     */
+    markWatched() {
+        const videoFile = this.currentVideoInfo;
+        if (!videoFile) return;
+
+        playbackHistory.markWatched(videoFile, this.getDuration())
+            .then(record => this.dispatchProgressEvent(videoFile, record));
+    }
+
+    /**
+     * 通知界面更新文件列表中的进度条
+     */
+    dispatchProgressEvent(videoFile, record) {
+        window.dispatchEvent(new CustomEvent('video-player-event', {
+            detail: { type: 'playback-progress', path: videoFile.path, record }
+        }));
+    }
+
+    /**
+     * 在视频所在目录查找同名外挂字幕 (movie*.srt/.ass/.ssa/.vtt)
+     */
+    async findSubtitleFiles(videoFile) {
+        const directory = videoFile.path.substring(0, videoFile.path.lastIndexOf('/')) || '/';
+        const baseName = videoFile.name.replace(/\.[^.]+$/, '').toLowerCase();
+        const contents = await webdavClient.getDirectoryContents(directory);
+
+        return contents.files.filter(file => {
+            const ext = this.getFileExtension(file.name);
+            return ['srt', 'ass', 'ssa', 'vtt'].includes(ext) &&
+                file.name.toLowerCase().startsWith(baseName);
+        });
+    }
+
+    /**
+     * 加载外挂字幕并添加为<track>
+     */
+    async loadSubtitles(videoFile) {
+        let subtitleFiles;
+        try {
+            subtitleFiles = await this.findSubtitleFiles(videoFile);
+        } catch (error) {
+            logger.warn('查找外挂字幕失败', { error: error.message, video: videoFile.name });
+            return;
+        }
+
+        if (subtitleFiles.length === 0) {
+            logger.debug('未找到外挂字幕', { video: videoFile.name });
+            return;
+        }
+
+        const baseName = videoFile.name.replace(/\.[^.]+$/, '');
+        for (const file of subtitleFiles) {
+            try {
+                const vttText = await webdavClient.fetchSubtitle(file.path);
+
+                // 加载期间已切换到其他视频
+                if (this.currentVideoInfo !== videoFile) return;
+
+                const language = this.detectSubtitleLanguage(file.name, baseName);
+                const objectUrl = URL.createObjectURL(new Blob([vttText], { type: 'text/vtt' }));
+                const element = document.createElement('track');
+                element.kind = 'subtitles';
+                element.label = language.label;
+                element.srclang = language.srclang;
+                element.src = objectUrl;
+                this.videoElement.appendChild(element);
+
+                this.subtitleTracks.push({ file, ...language, element, objectUrl });
+            } catch (error) {
+                logger.warn('外挂字幕加载失败', { error: error.message, subtitle: file.name });
+            }
+        }
+
+        if (this.currentVideoInfo !== videoFile || this.subtitleTracks.length === 0) return;
+
+        // 默认显示中文字幕，没有中文时显示第一条
+        const preferred = this.subtitleTracks.findIndex(track => track.srclang.startsWith('zh'));
+        this.updateSubtitlePicker();
+        this.selectSubtitle(preferred >= 0 ? preferred : 0);
+
+        logger.info('已加载外挂字幕', {
+            video: videoFile.name,
+            subtitles: this.subtitleTracks.map(track => track.file.name)
+        });
+    }
+
+    /**
+     * 根据字幕文件名中的语言标记识别语言，如 movie.chs.ass、movie.en.srt
+     */
+    detectSubtitleLanguage(fileName, baseName) {
+        const languages = {
+            chs: ['zh-Hans', '简体中文'], sc: ['zh-Hans', '简体中文'], gb: ['zh-Hans', '简体中文'],
+            'zh-cn': ['zh-Hans', '简体中文'], 'zh-hans': ['zh-Hans', '简体中文'], '简体': ['zh-Hans', '简体中文'],
+            cht: ['zh-Hant', '繁體中文'], tc: ['zh-Hant', '繁體中文'], big5: ['zh-Hant', '繁體中文'],
+            'zh-tw': ['zh-Hant', '繁體中文'], 'zh-hk': ['zh-Hant', '繁體中文'], 'zh-hant': ['zh-Hant', '繁體中文'],
+            '繁体': ['zh-Hant', '繁體中文'], '繁體': ['zh-Hant', '繁體中文'],
+            zh: ['zh', '中文'], chi: ['zh', '中文'], zho: ['zh', '中文'], chinese: ['zh', '中文'], '中文': ['zh', '中文'],
+            en: ['en', 'English'], eng: ['en', 'English'], english: ['en', 'English'],
+            ja: ['ja', '日本語'], jp: ['ja', '日本語'], jpn: ['ja', '日本語'],
+            ko: ['ko', '한국어'], kor: ['ko', '한국어']
+        };
+
+        // 去掉视频名和扩展名后剩下的部分，如 ".chs&eng"
+        const suffix = fileName.slice(baseName.length).replace(/\.[^.]+$/, '');
+        const tags = suffix.toLowerCase().split(/[.\s_&+\[\]()-]+/).filter(tag => tag);
+        const fullTag = suffix.toLowerCase().replace(/^[.\s_\[(-]+|[\])\s]+$/g, '');
+
+        const match = languages[fullTag] || tags.map(tag => languages[tag]).find(Boolean);
+        if (match) {
+            return { srclang: match[0], label: match[1] };
+        }
+        return { srclang: 'und', label: fullTag || this.getFileExtension(fileName).toUpperCase() };
+    }
+
+    /**
+     * 更新字幕选择框
+     */
+    updateSubtitlePicker() {
+        if (!this.subtitleSelectElement || !this.subtitlePickerElement) return;
+
+        this.subtitleSelectElement.innerHTML = '';
+        const offOption = document.createElement('option');
+        offOption.value = '-1';
+        offOption.textContent = '关闭字幕';
+        this.subtitleSelectElement.appendChild(offOption);
+
+        this.subtitleTracks.forEach((track, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = `${track.label} (${track.file.name})`;
+            this.subtitleSelectElement.appendChild(option);
+        });
+
+        this.subtitlePickerElement.hidden = this.subtitleTracks.length === 0;
+    }
+
+    /**
+     * 切换显示的字幕，index为-1时关闭字幕
+     */
+    selectSubtitle(index) {
+        this.subtitleTracks.forEach((track, i) => {
+            track.element.track.mode = i === index ? 'showing' : 'disabled';
+        });
+
+        if (this.subtitleSelectElement) {
+            this.subtitleSelectElement.value = String(index);
+        }
+
+        logger.debug('切换字幕', { subtitle: this.subtitleTracks[index]?.file.name || '关闭' });
+    }
+
+    /**
+     * 移除当前视频的字幕
+     */
+    clearSubtitles() {
+        this.subtitleTracks.forEach(track => {
+            track.element.remove();
+            URL.revokeObjectURL(track.objectUrl);
+        });
+        this.subtitleTracks = [];
+        this.updateSubtitlePicker();
+    }
+
+    /**
+     * 加载进度条预览缩略图（代理首次生成雪碧图需要一段时间，加载完成后才显示预览进度条）
+     */
+    async loadThumbnailTrack(videoFile) {
+        if (!webdavClient.thumbnailsAvailable || !this.seekPreviewElement) return;
+
+        let track;
+        try {
+            track = await webdavClient.fetchThumbnailTrack(videoFile.path);
+        } catch (error) {
+            logger.debug('预览缩略图加载失败', { error: error.message, video: videoFile.name });
+            return;
+        }
+
+        // 加载期间已切换到其他视频
+        if (this.currentVideoInfo !== videoFile) {
+            URL.revokeObjectURL(track.imageUrl);
+            return;
+        }
+
+        this.thumbnailTrack = track;
+        this.seekPreviewThumb.style.backgroundImage = `url("${track.imageUrl}")`;
+        this.seekPreviewElement.hidden = false;
+        this.updateSeekPreviewProgress();
+        logger.debug('预览缩略图已加载', { video: videoFile.name, frames: track.cues.length });
+    }
+
+    /**
+     * 根据鼠标位置计算对应的播放时间
+     */
+    getSeekPreviewTime(event) {
+        const rect = this.seekPreviewBar.getBoundingClientRect();
+        const ratio = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+        return ratio * this.getDuration();
+    }
+
+    /**
+     * 显示鼠标位置对应的缩略图
+     */
+    showSeekPreview(event) {
+        if (!this.getDuration()) return;
+
+        const time = this.getSeekPreviewTime(event);
+        const chapter = this.getChapters()[this.getChapterIndexAt(time)];
+        const label = chapter && chapter.title ? `${this.formatTime(time)} ${chapter.title}` : this.formatTime(time);
+        if (!this.thumbnailTrack) {
+            // 没有预览缩略图时只提示时间和章节
+            this.seekPreviewBar.title = label;
+            return;
+        }
+
+        const cues = this.thumbnailTrack.cues;
+        const cue = cues.find(item => time >= item.start && time < item.end) || cues[cues.length - 1];
+
+        const thumb = this.seekPreviewThumb;
+        thumb.style.width = `${cue.width}px`;
+        thumb.style.height = `${cue.height}px`;
+        thumb.style.backgroundPosition = `-${cue.x}px -${cue.y}px`;
+
+        // 预览图保持在进度条范围内
+        const barWidth = this.seekPreviewBar.clientWidth;
+        const offset = event.clientX - this.seekPreviewBar.getBoundingClientRect().left - cue.width / 2;
+        thumb.style.left = `${Math.min(Math.max(offset, 0), Math.max(barWidth - cue.width, 0))}px`;
+        this.seekPreviewTime.textContent = label;
+        thumb.hidden = false;
+    }
+
+    /**
+     * 更新预览进度条的已播放部分
+     */
+    updateSeekPreviewProgress() {
+        const duration = this.getDuration();
+        if (!this.seekPreviewPlayed || !duration) return;
+        const percent = Math.min((this.getCurrentTime() / duration) * 100, 100);
+        this.seekPreviewPlayed.style.width = `${percent.toFixed(2)}%`;
+    }
+
+    /**
+     * 移除当前视频的预览缩略图
+     */
+    clearThumbnailTrack() {
+        if (this.thumbnailTrack) {
+            URL.revokeObjectURL(this.thumbnailTrack.imageUrl);
+            this.thumbnailTrack = null;
+        }
+        if (this.seekPreviewElement) {
+            this.seekPreviewElement.hidden = true;
+            this.seekPreviewThumb.hidden = true;
+            this.seekPreviewPlayed.style.width = '0%';
+        }
+    }
+
     /**
      * 播放视频
      */
@@ -240,6 +1187,15 @@ class VideoPlayer {
      * 跳转到指定时间
      */
     seekTo(time) {
+        if (this.transcode) {
+            if (time >= 0 && (!this.transcode.duration || time < this.transcode.duration)) {
+                const wasPlaying = !this.videoElement.paused;
+                this.startTranscode(this.transcode.duration, time, this.transcode.mode);
+                if (wasPlaying) this.play().catch(() => {});
+            }
+            return;
+        }
+
         if (time >= 0 && time <= this.videoElement.duration) {
             this.videoElement.currentTime = time;
             logger.debug('跳转到时间点', { time: time });
@@ -375,14 +1331,23 @@ class VideoPlayer {
             <div><strong>文件大小:</strong> ${info.formattedSize || '未知'}</div>
         `;
 
-        if (video.duration) {
-            infoHtml += `<div><strong>时长:</strong> ${this.formatTime(video.duration)}</div>`;
+        if (this.getDuration()) {
+            infoHtml += `<div><strong>时长:</strong> ${this.formatTime(this.getDuration())}</div>`;
+        }
+
+        if (this.transcode) {
+            const method = this.transcode.mode === 'remux' ? '重新封装 (视频直通，音频转AAC)' : '即时转码 (H.264/AAC)';
+            infoHtml += `<div><strong>播放方式:</strong> ${method}</div>`;
         }
 
         if (video.videoWidth && video.videoHeight) {
             infoHtml += `<div><strong>分辨率:</strong> ${video.videoWidth}x${video.videoHeight}</div>`;
         }
 
+        if (this.mediaInfo) {
+            infoHtml += this.renderMediaInfo(this.mediaInfo);
+        }
+
         if (this.playbackState.isPlaying) {
             infoHtml += `<div><strong>状态:</strong> 播放中</div>`;
         } else {
@@ -392,6 +1357,36 @@ class VideoPlayer {
         this.videoInfoElement.innerHTML = infoHtml;
     }
 
+    /**
+     * 媒体信息面板：容器、码率、各轨道编码和章节数
+     */
+    renderMediaInfo(mediaInfo) {
+        const container = [mediaInfo.container.toUpperCase(), this.formatBitrate(mediaInfo.bitrate)].filter(Boolean).join(' · ');
+        let html = `<div><strong>容器:</strong> ${container}</div>`;
+
+        mediaInfo.video.forEach(track => {
+            const parts = [
+                this.getCodecLabel(track.codec),
+                track.profile ? `(${track.profile})` : '',
+                track.width && track.height ? `${track.width}x${track.height}` : '',
+                track.frameRate ? `${track.frameRate}fps` : '',
+                this.formatBitrate(track.bitrate)
+            ];
+            html += `<div><strong>视频:</strong> ${this.escapeHtml(parts.filter(Boolean).join(' '))}</div>`;
+        });
+
+        if (mediaInfo.audio.length > 0) {
+            html += `<div><strong>音频:</strong> ${mediaInfo.audio.map(track => this.escapeHtml(this.describeTrack(track))).join('；')}</div>`;
+        }
+        if (mediaInfo.subtitles.length > 0) {
+            html += `<div><strong>内嵌字幕:</strong> ${mediaInfo.subtitles.map(track => this.escapeHtml(this.describeTrack(track))).join('；')}</div>`;
+        }
+        if (mediaInfo.chapters.length > 0) {
+            html += `<div><strong>章节:</strong> ${mediaInfo.chapters.length} 个</div>`;
+        }
+        return html;
+    }
+
     /**
      * 格式化时间显示
      */
@@ -423,8 +1418,8 @@ class VideoPlayer {
      * 获取当前播放进度
      */
     getProgress() {
-        const current = this.videoElement.currentTime || 0;
-        const duration = this.videoElement.duration || 0;
+        const current = this.getCurrentTime();
+        const duration = this.getDuration();
         return duration > 0 ? (current / duration) * 100 : 0;
     }
 
@@ -460,11 +1455,19 @@ class VideoPlayer {
      */
     cleanup() {
         if (this.videoElement) {
+            this.saveProgress();
+            this.hideResumePrompt();
             this.videoElement.pause();
             this.videoElement.src = '';
             this.videoElement.load();
         }
         
+        this.clearSubtitles();
+        this.clearThumbnailTrack();
+        this.transcode = null;
+        this.mediaInfo = null;
+        this.audioTrackIndex = null;
+        this.updateTrackPickers();
         this.currentVideoInfo = null;
         this.playbackState.isPlaying = false;
         this.updateVideoInfo('播放器已清理');
@@ -15,6 +15,20 @@ class WebDAVClient {
         this.currentPath = '/';
         this.fileCache = new Map();
         this.usingFallback = false;
+        // 搜索序号，开始新搜索时旧搜索自动停止
+        this.searchId = 0;
+        // 代理会话令牌（代理启用会话认证时使用，浏览器不持有WebDAV密码）
+        this.sessionToken = null;
+        // 代理能否生成缩略图（代理找不到ffmpeg时不再请求）
+        this.thumbnailsAvailable = true;
+        // 代理能否读取媒体信息（直连WebDAV服务器时不可用）
+        this.mediaInfoAvailable = true;
+        // 代理能否分块上传（直连WebDAV服务器时改为整个文件一次PUT）
+        this.uploadAvailable = true;
+        // 本客户端持有的锁: 路径 -> { token, timeout, refreshTimer }
+        this.heldLocks = new Map();
+        // 申请的锁时长（秒），到期前自动刷新
+        this.lockTimeout = 1800;
         
         // 确保WebDAV库可用
         if (window.ensureWebDAVLibrary) {
@@ -52,24 +66,36 @@ class WebDAVClient {
             serverUrl = this.normalizeUrl(serverUrl);
             basePath = this.normalizePath(basePath);
 
-            // 保存配置
+            // 代理启用会话认证时，使用代理本地账号登录
+            this.sessionToken = await this.loginToProxySession(serverUrl, username, password);
+
+            // 保存配置（会话模式下不保留密码）
             this.config = {
                 serverUrl,
                 username,
-                password,
+                password: this.sessionToken ? '' : password,
                 basePath
             };
 
             // 创建WebDAV客户端
             try {
-                this.client = window.webdav.createClient(serverUrl, {
+                // contactHref 是LOCK请求中的锁所有者，其他用户在锁定状态中看到的名称
+                const clientOptions = this.sessionToken ? {
+                    contactHref: username,
+                    headers: {
+                        'User-Agent': 'WebDAV-Video-Player/1.0',
+                        'Authorization': `Bearer ${this.sessionToken}`
+                    }
+                } : {
                     username: username,
                     password: password,
+                    contactHref: username,
                     authType: window.webdav.AuthType.Password,
                     headers: {
                         'User-Agent': 'WebDAV-Video-Player/1.0'
                     }
-                });
+                };
+                this.client = window.webdav.createClient(serverUrl, clientOptions);
             } catch (clientError) {
                 throw new Error(`创建WebDAV客户端失败: ${clientError.message}`);
             }
@@ -88,6 +114,7 @@ class WebDAVClient {
         } catch (error) {
             this.isConnected = false;
             this.client = null;
+            this.sessionToken = null;
             
             const duration = Date.now() - startTime;
             logger.logPerformance('WebDAV连接失败', duration);
@@ -100,6 +127,41 @@ class WebDAVClient {
         }
     }
 
+    /**
+     * 检测代理是否启用会话认证，启用时登录并返回会话令牌
+     * 非本项目代理（没有/api/session）时返回null，按普通WebDAV服务器处理
+     */
+    async loginToProxySession(serverUrl, username, password) {
+        let sessionInfo;
+        try {
+            const response = await fetch(`${serverUrl}/api/session`);
+            if (!response.ok) return null;
+            sessionInfo = await response.json();
+        } catch (error) {
+            logger.debug('未检测到代理会话认证', { error: error.message });
+            return null;
+        }
+
+        if (!sessionInfo || !sessionInfo.authRequired) {
+            return null;
+        }
+
+        logger.info('代理启用了会话认证，使用代理账号登录', { username: username });
+        const response = await fetch(`${serverUrl}/api/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(`代理登录失败: ${result.error || response.status}`);
+        }
+
+        const result = await response.json();
+        return result.token;
+    }
+
     /**
      * 测试WebDAV连接
      */
@@ -118,10 +180,25 @@ class WebDAVClient {
      * 断开连接
      */
     disconnect() {
+        // 释放持有的锁（不等待结果）
+        this.releaseAllLocks();
+
+        // 注销代理会话
+        if (this.sessionToken) {
+            fetch(`${this.config.serverUrl}/api/logout`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${this.sessionToken}` }
+            }).catch(error => logger.debug('注销代理会话失败', { error: error.message }));
+            this.sessionToken = null;
+        }
+
         this.isConnected = false;
         this.client = null;
         this.currentPath = '/';
         this.fileCache.clear();
+        this.thumbnailsAvailable = true;
+        this.mediaInfoAvailable = true;
+        this.uploadAvailable = true;
         
         logger.info('已断开WebDAV服务器连接');
     }
@@ -195,14 +272,16 @@ class WebDAVClient {
                 path: item.filename,
                 size: item.size || 0,
                 lastmod: item.lastmod,
+                etag: item.etag || null,
                 type: item.type,
-                mime: item.mime
+                mime: item.mime,
+                locks: this.getItemLocks(item)
             };
 
             if (item.type === 'directory') {
                 folders.push({
                     ...itemInfo,
-                    icon: '📁'
+                    icon: itemInfo.path === this.getTrashPath() ? '🗑️' : '📁'
                 });
             } else {
                 files.push({
@@ -230,6 +309,197 @@ class WebDAVClient {
         };
     }
 
+    /**
+     * 递归搜索文件：优先使用 Depth: infinity 一次取回整棵目录树，
+     * 服务器拒绝时改为按目录逐层 Depth: 1 并发爬取
+     * criteria: { keyword, extensions, minSize, maxSize, modifiedAfter, modifiedBefore, videoOnly }
+     */
+    async searchFiles(criteria = {}, onProgress = null) {
+        if (!this.isConnected) {
+            throw new Error('未连接到WebDAV服务器');
+        }
+
+        const rootPath = this.normalizePath(criteria.rootPath || this.currentPath);
+        const searchId = ++this.searchId;
+        const maxResults = criteria.maxResults || 1000;
+        const startTime = Date.now();
+        const result = { results: [], scannedDirectories: 0, truncated: false, method: 'infinity' };
+
+        const collect = items => {
+            items.forEach(item => {
+                if (item.type === 'directory' || result.results.length >= maxResults) return;
+                if (this.matchesSearchCriteria(item, criteria)) {
+                    result.results.push(this.createSearchResult(item));
+                }
+            });
+            result.truncated = result.results.length >= maxResults;
+        };
+
+        logger.info('开始搜索', { rootPath: rootPath, criteria: criteria });
+
+        let firstLevel = null;
+        let needsCrawl = false;
+        try {
+            const items = (await this.listDirectory(rootPath, true)).filter(item => item.filename !== rootPath);
+
+            // 部分服务器把 infinity 当作 1 处理，只返回了直接子项时仍需逐层爬取
+            const isShallow = items.some(item => item.type === 'directory') &&
+                items.every(item => this.getDirectoryOf(item.filename) === rootPath);
+            if (isShallow) {
+                firstLevel = items;
+                needsCrawl = true;
+            } else {
+                collect(items);
+                result.scannedDirectories = 1 + items.filter(item => item.type === 'directory').length;
+            }
+        } catch (error) {
+            logger.info('服务器不支持 Depth: infinity，改为逐层搜索', { error: error.message });
+            needsCrawl = true;
+        }
+
+        if (needsCrawl) {
+            result.method = 'crawl';
+            await this.crawlDirectories(rootPath, firstLevel, searchId, items => {
+                collect(items);
+                result.scannedDirectories++;
+                if (onProgress) onProgress({ ...result });
+                return !result.truncated;
+            });
+        }
+
+        if (searchId !== this.searchId) {
+            throw new Error('搜索已取消');
+        }
+
+        result.results.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+
+        const duration = Date.now() - startTime;
+        logger.logPerformance('文件搜索', duration, {
+            method: result.method,
+            scannedDirectories: result.scannedDirectories,
+            resultCount: result.results.length
+        });
+        return result;
+    }
+
+    /**
+     * 停止正在进行的搜索
+     */
+    cancelSearch() {
+        this.searchId++;
+    }
+
+    /**
+     * 以有限并发逐层爬取目录 (Depth: 1)，onDirectory返回false时停止
+     */
+    async crawlDirectories(rootPath, firstLevel, searchId, onDirectory) {
+        const concurrency = 4;
+        const queue = [];
+        let active = 0;
+        let stopped = false;
+
+        const enqueueChildren = (items, directory) => {
+            items.forEach(item => {
+                if (item.type === 'directory' && item.filename !== directory) {
+                    queue.push(item.filename);
+                }
+            });
+        };
+
+        if (firstLevel) {
+            enqueueChildren(firstLevel, rootPath);
+            stopped = !onDirectory(firstLevel);
+        } else {
+            queue.push(rootPath);
+        }
+
+        await new Promise(resolve => {
+            const pump = () => {
+                if (stopped || searchId !== this.searchId) {
+                    queue.length = 0;
+                }
+                if (queue.length === 0 && active === 0) {
+                    resolve();
+                    return;
+                }
+
+                while (active < concurrency && queue.length > 0) {
+                    const directory = queue.shift();
+                    active++;
+
+                    this.listDirectory(directory, false)
+                        .then(items => {
+                            if (stopped || searchId !== this.searchId) return;
+                            enqueueChildren(items, directory);
+                            stopped = !onDirectory(items.filter(item => item.filename !== directory));
+                        })
+                        .catch(error => {
+                            logger.warn(`搜索时跳过无法读取的目录: ${directory}`, { error: error.message });
+                        })
+                        .finally(() => {
+                            active--;
+                            pump();
+                        });
+                }
+            };
+            pump();
+        });
+    }
+
+    /**
+     * 列出目录（deep为true时请求整棵目录树），返回原始条目数组
+     */
+    async listDirectory(path, deep) {
+        const contents = await this.client.getDirectoryContents(path, { deep: deep, details: true });
+        // webdav库在details模式下返回 { data }，备用实现直接返回数组
+        return (Array.isArray(contents) ? contents : contents.data)
+            .map(item => ({ ...item, filename: this.normalizePath(item.filename) }));
+    }
+
+    /**
+     * 检查文件是否符合搜索条件
+     */
+    matchesSearchCriteria(item, criteria) {
+        const name = this.getBaseName(item.filename).toLowerCase();
+        const ext = name.includes('.') ? name.split('.').pop() : '';
+
+        if (criteria.keyword && !name.includes(criteria.keyword.toLowerCase())) return false;
+        if (criteria.extensions && criteria.extensions.length > 0 && !criteria.extensions.includes(ext)) return false;
+        if (criteria.videoOnly && !this.isVideoFile(item.filename, item.mime)) return false;
+
+        const size = item.size || 0;
+        if (criteria.minSize != null && size < criteria.minSize) return false;
+        if (criteria.maxSize != null && size > criteria.maxSize) return false;
+
+        if (criteria.modifiedAfter || criteria.modifiedBefore) {
+            const modified = new Date(item.lastmod).getTime();
+            if (isNaN(modified)) return false;
+            if (criteria.modifiedAfter && modified < criteria.modifiedAfter.getTime()) return false;
+            if (criteria.modifiedBefore && modified > criteria.modifiedBefore.getTime()) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * 生成搜索结果条目（与目录列表中的文件条目格式相同，另带所在目录）
+     */
+    createSearchResult(item) {
+        return {
+            name: this.getBaseName(item.filename),
+            path: item.filename,
+            directory: this.getDirectoryOf(item.filename),
+            size: item.size || 0,
+            lastmod: item.lastmod,
+            etag: item.etag || null,
+            type: item.type,
+            mime: item.mime,
+            icon: this.getFileIcon(item.filename, item.mime),
+            formattedSize: this.formatFileSize(item.size || 0),
+            locks: this.getItemLocks(item)
+        };
+    }
+
     /**
      * 获取文件流URL
      */
@@ -241,18 +511,74 @@ class WebDAVClient {
         // 构建完整的文件URL
         const baseUrl = this.config.serverUrl.replace(/\/$/, '');
         const cleanPath = filePath.replace(/^\//, '');
-        const fullUrl = `${baseUrl}/${cleanPath}`;
+        let fullUrl = `${baseUrl}/${cleanPath}`;
 
         logger.debug(`生成文件流URL: ${fullUrl}`);
+
+        // 会话模式下通过查询参数携带会话令牌（video元素无法设置请求头）
+        if (this.sessionToken) {
+            fullUrl += `?session=${encodeURIComponent(this.sessionToken)}`;
+        }
         
         return fullUrl;
     }
 
+    /**
+     * 获取即时转码的视频流URL（代理用ffmpeg转为H.264/AAC分片MP4，从start秒开始）
+     * mode为remux时复制视频流，只转码音频；audioTrack为要输出的音频流序号，默认第一路
+     */
+    getTranscodeUrl(filePath, start = 0, mode = 'transcode', audioTrack = null) {
+        if (!this.isConnected) {
+            throw new Error('未连接到WebDAV服务器');
+        }
+
+        let transcodeUrl = `${this.config.serverUrl}/api/transcode?path=${encodeURIComponent(filePath)}`;
+        if (start > 0) {
+            transcodeUrl += `&start=${start.toFixed(1)}`;
+        }
+        if (mode !== 'transcode') {
+            transcodeUrl += `&mode=${mode}`;
+        }
+        if (audioTrack) {
+            transcodeUrl += `&audio=${audioTrack}`;
+        }
+        if (this.sessionToken) {
+            transcodeUrl += `&session=${encodeURIComponent(this.sessionToken)}`;
+        }
+        return transcodeUrl;
+    }
+
+    /**
+     * 查询代理能否转码该视频，返回 { duration, videoCodec, videoProfile, audioCodec }（ffmpeg的编码名）；
+     * 代理不支持转码时抛出异常
+     */
+    async fetchTranscodeInfo(filePath) {
+        if (!this.isConnected) {
+            throw new Error('未连接到WebDAV服务器');
+        }
+
+        const infoUrl = `${this.config.serverUrl}/api/transcode/info?path=${encodeURIComponent(filePath)}`;
+        const response = await fetch(infoUrl, { headers: { 'Authorization': this.getProxyAuthorization() } });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`代理无法转码: ${result.error || response.status}`);
+        }
+        return result;
+    }
+
     /**
      * 获取带认证的文件URL
      */
     getAuthenticatedFileUrl(filePath) {
         const streamUrl = this.getFileStreamUrl(filePath);
+
+        // 会话模式下URL已携带会话令牌，不需要WebDAV凭据
+        if (this.sessionToken) {
+            return {
+                url: streamUrl,
+                headers: {}
+            };
+        }
         
         // 添加认证信息到URL（Base64编码）
         const auth = btoa(`${this.config.username}:${this.config.password}`);
@@ -265,6 +591,617 @@ class WebDAVClient {
         };
     }
 
+    /**
+     * 获取字幕内容（由代理的/api/subtitle转换为UTF-8编码的WebVTT）
+     */
+    async fetchSubtitle(filePath) {
+        if (!this.isConnected) {
+            throw new Error('未连接到WebDAV服务器');
+        }
+
+        const subtitleUrl = `${this.config.serverUrl}/api/subtitle?path=${encodeURIComponent(filePath)}`;
+        const response = await fetch(subtitleUrl, { headers: { 'Authorization': this.getProxyAuthorization() } });
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(`字幕加载失败: ${result.error || response.status}`);
+        }
+
+        logger.debug(`字幕已转换: ${filePath}`, {
+            encoding: response.headers.get('X-Subtitle-Encoding')
+        });
+        return await response.text();
+    }
+
+    /**
+     * 请求代理API时使用的认证头
+     */
+    getProxyAuthorization() {
+        return this.sessionToken
+            ? `Bearer ${this.sessionToken}`
+            : `Basic ${btoa(`${this.config.username}:${this.config.password}`)}`;
+    }
+
+    /**
+     * 请求代理的缩略图接口，代理未找到ffmpeg (503) 或不是流式代理时本次连接不再请求
+     */
+    async fetchThumbnailResource(url) {
+        if (!this.isConnected) {
+            throw new Error('未连接到WebDAV服务器');
+        }
+        if (!this.thumbnailsAvailable) {
+            throw new Error('代理不支持缩略图');
+        }
+
+        let response;
+        try {
+            response = await fetch(url, { headers: { 'Authorization': this.getProxyAuthorization() } });
+        } catch (error) {
+            // 直连WebDAV服务器（不经过代理）时通常因CORS失败
+            this.thumbnailsAvailable = false;
+            throw error;
+        }
+        if (response.status === 503 || response.status === 404) {
+            this.thumbnailsAvailable = false;
+            logger.info('代理不支持缩略图，改用文件图标');
+        }
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(`缩略图加载失败: ${result.error || response.status}`);
+        }
+        return response;
+    }
+
+    /**
+     * 获取视频的媒体信息（由代理的/api/probe解析容器头部），
+     * 返回 { container, title, duration, size, bitrate, video, audio, subtitles, chapters }
+     */
+    async fetchMediaInfo(filePath) {
+        if (!this.isConnected) {
+            throw new Error('未连接到WebDAV服务器');
+        }
+        if (!this.mediaInfoAvailable) {
+            throw new Error('代理不支持媒体信息');
+        }
+
+        const probeUrl = `${this.config.serverUrl}/api/probe?path=${encodeURIComponent(filePath)}`;
+        let response;
+        try {
+            response = await fetch(probeUrl, { headers: { 'Authorization': this.getProxyAuthorization() } });
+        } catch (error) {
+            // 直连WebDAV服务器（不经过代理）时通常因CORS失败
+            this.mediaInfoAvailable = false;
+            throw error;
+        }
+
+        const result = await response.json().catch(() => null);
+        if (!result) {
+            // 不是代理的JSON响应，说明没有经过流式代理
+            this.mediaInfoAvailable = false;
+            throw new Error(`代理不支持媒体信息: ${response.status}`);
+        }
+        if (!response.ok) {
+            throw new Error(`媒体信息读取失败: ${result.error || response.status}`);
+        }
+        return result;
+    }
+
+    /**
+     * 获取视频缩略图（由代理的/api/thumbnail用ffmpeg截取），返回blob URL
+     */
+    async fetchThumbnail(filePath, width = 160) {
+        const thumbnailUrl = `${this.config.serverUrl}/api/thumbnail?path=${encodeURIComponent(filePath)}&w=${width}`;
+        const response = await this.fetchThumbnailResource(thumbnailUrl);
+        return URL.createObjectURL(await response.blob());
+    }
+
+    /**
+     * 获取进度条预览缩略图轨道，返回 { cues: [{ start, end, x, y, width, height }], imageUrl }
+     * imageUrl为雪碧图的blob URL
+     */
+    async fetchThumbnailTrack(filePath) {
+        const vttUrl = `${this.config.serverUrl}/api/thumbnail/sprite.vtt?path=${encodeURIComponent(filePath)}`;
+        const vttText = await (await this.fetchThumbnailResource(vttUrl)).text();
+
+        const cues = [];
+        let spriteUrl = null;
+        const cuePattern = /([\d:.]+)\s+-->\s+([\d:.]+)\s*\n([^\n#]+)#xywh=(\d+),(\d+),(\d+),(\d+)/g;
+        for (const match of vttText.matchAll(cuePattern)) {
+            spriteUrl = spriteUrl || new URL(match[3].trim(), vttUrl).href;
+            cues.push({
+                start: this.parseVttTime(match[1]),
+                end: this.parseVttTime(match[2]),
+                x: parseInt(match[4]),
+                y: parseInt(match[5]),
+                width: parseInt(match[6]),
+                height: parseInt(match[7])
+            });
+        }
+        if (!spriteUrl) {
+            throw new Error('缩略图轨道为空');
+        }
+
+        const imageResponse = await this.fetchThumbnailResource(spriteUrl);
+        return { cues, imageUrl: URL.createObjectURL(await imageResponse.blob()) };
+    }
+
+    /**
+     * 解析WebVTT时间 (00:01:02.500 或 01:02.500) 为秒
+     */
+    parseVttTime(text) {
+        return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+    }
+
+    /**
+     * 创建分块上传（同一文件未完成的上传返回已收到的位置），返回 { id, offset, size, chunkSize, resumed }；
+     * 目标已存在且不覆盖时抛出status为412的异常
+     */
+    async createUpload(filePath, file, overwrite = false) {
+        let apiPath = `/api/upload?path=${encodeURIComponent(filePath)}&size=${file.size}`;
+        if (file.type) {
+            apiPath += `&type=${encodeURIComponent(file.type)}`;
+        }
+        if (overwrite) {
+            apiPath += '&overwrite=1';
+        }
+        return this.requestUploadApi('POST', apiPath);
+    }
+
+    /**
+     * 查询分块上传的进度
+     */
+    async getUploadStatus(uploadId) {
+        return this.requestUploadApi('GET', `/api/upload/${uploadId}`);
+    }
+
+    /**
+     * 上传一块，offset必须等于代理已收到的字节数（不一致时代理返回409和正确的offset）
+     */
+    async uploadChunk(uploadId, offset, blob, onProgress = null, signal = null) {
+        const chunkUrl = `${this.config.serverUrl}/api/upload/${uploadId}?offset=${offset}`;
+        const response = await this.sendUploadRequest('PUT', chunkUrl, blob, {
+            'Authorization': this.getProxyAuthorization(),
+            'Content-Type': 'application/octet-stream'
+        }, onProgress, signal);
+        return this.parseUploadResponse(response.status, response.body);
+    }
+
+    /**
+     * 分块全部上传后让代理写入WebDAV服务器
+     */
+    async completeUpload(uploadId, overwrite = false) {
+        return this.requestUploadApi('POST', `/api/upload/${uploadId}/complete${overwrite ? '?overwrite=1' : ''}`);
+    }
+
+    /**
+     * 取消分块上传，代理删除已收到的数据
+     */
+    async cancelUpload(uploadId) {
+        return this.requestUploadApi('DELETE', `/api/upload/${uploadId}`);
+    }
+
+    /**
+     * 请求代理的上传接口；不是流式代理（请求失败或不是JSON响应）时本次连接改为直接PUT
+     */
+    async requestUploadApi(method, apiPath) {
+        if (!this.isConnected) {
+            throw new Error('未连接到WebDAV服务器');
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.config.serverUrl}${apiPath}`, {
+                method,
+                headers: { 'Authorization': this.getProxyAuthorization() }
+            });
+        } catch (error) {
+            this.uploadAvailable = false;
+            throw error;
+        }
+
+        const body = await response.text();
+        return this.parseUploadResponse(response.status, body);
+    }
+
+    /**
+     * 解析上传接口的响应，失败时抛出带status和result（代理返回的上传状态）的异常
+     */
+    parseUploadResponse(status, body) {
+        let result = null;
+        try {
+            result = JSON.parse(body);
+        } catch (error) {
+            // 不是代理的JSON响应
+        }
+
+        if (!result || status === 503) {
+            this.uploadAvailable = false;
+            const error = new Error(`代理不支持分块上传: ${status}`);
+            error.status = status;
+            throw error;
+        }
+        if (status >= 400) {
+            const error = new Error(result.message ? `${result.error}: ${result.message}` : result.error || `上传失败: ${status}`);
+            error.status = status;
+            error.result = result;
+            throw error;
+        }
+        return result;
+    }
+
+    /**
+     * 直连WebDAV服务器时整个文件一次PUT（不能断点续传）；不覆盖时带 If-None-Match: *
+     */
+    async uploadFileDirect(filePath, file, overwrite = false, onProgress = null, signal = null) {
+        if (!this.isConnected) {
+            throw new Error('未连接到WebDAV服务器');
+        }
+
+        const fileUrl = this.config.serverUrl.replace(/\/$/, '') + filePath.split('/').map(encodeURIComponent).join('/');
+        const headers = {
+            'Authorization': this.getProxyAuthorization(),
+            'Content-Type': file.type || 'application/octet-stream'
+        };
+        if (!overwrite) {
+            if (await this.fileExists(filePath)) {
+                const error = new Error('文件已存在');
+                error.status = 412;
+                throw error;
+            }
+            headers['If-None-Match'] = '*';
+        }
+
+        const response = await this.sendUploadRequest('PUT', fileUrl, file, headers, onProgress, signal);
+        if (response.status >= 400) {
+            const error = new Error(response.status === 412 ? '文件已存在' : `上传失败: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+    }
+
+    /**
+     * 用XMLHttpRequest发送请求体（fetch无法报告上传进度），返回 { status, body }；
+     * signal中止时抛出AbortError
+     */
+    sendUploadRequest(method, requestUrl, body, headers, onProgress = null, signal = null) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open(method, requestUrl);
+            Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+            if (onProgress) {
+                xhr.upload.addEventListener('progress', (e) => onProgress(e.loaded));
+            }
+            xhr.addEventListener('load', () => resolve({ status: xhr.status, body: xhr.responseText }));
+            xhr.addEventListener('error', () => reject(new Error('上传请求失败（网络错误）')));
+            xhr.addEventListener('abort', () => reject(new DOMException('上传已中止', 'AbortError')));
+
+            if (signal) {
+                if (signal.aborted) {
+                    reject(new DOMException('上传已中止', 'AbortError'));
+                    return;
+                }
+                signal.addEventListener('abort', () => xhr.abort(), { once: true });
+            }
+            xhr.send(body);
+        });
+    }
+
+    /**
+     * 新建文件夹
+     */
+    async createDirectory(dirPath) {
+        await this.runFileOperation('新建文件夹', dirPath, () => this.client.createDirectory(dirPath, {
+            headers: this.buildLockHeaders([dirPath])
+        }));
+        this.invalidateCache(dirPath);
+    }
+
+    /**
+     * 逐级创建不存在的文件夹
+     */
+    async ensureDirectory(dirPath) {
+        const parts = this.normalizePath(dirPath).split('/').filter(part => part);
+        let current = '';
+        for (const part of parts) {
+            current += `/${part}`;
+            if (!await this.fileExists(current)) {
+                await this.createDirectory(current);
+            }
+        }
+    }
+
+    /**
+     * 移动或重命名文件/文件夹；目标已存在且不覆盖时抛出status为412的异常
+     */
+    async moveItem(fromPath, toPath, overwrite = false) {
+        await this.runFileOperation('移动', fromPath, () => this.client.moveFile(fromPath, toPath, {
+            headers: { 'Overwrite': overwrite ? 'T' : 'F', ...this.buildLockHeaders([fromPath, toPath]) }
+        }), { destination: toPath });
+        // 锁不随文件移动，服务器已删除原位置的锁
+        this.forgetLocks(fromPath);
+        this.invalidateCache(fromPath);
+        this.invalidateCache(toPath);
+    }
+
+    /**
+     * 复制文件/文件夹（文件夹连同其内容）；目标已存在且不覆盖时抛出status为412的异常
+     */
+    async copyItem(fromPath, toPath, overwrite = false) {
+        await this.runFileOperation('复制', fromPath, () => this.client.copyFile(fromPath, toPath, {
+            headers: { 'Overwrite': overwrite ? 'T' : 'F', ...this.buildLockHeaders([toPath]) }
+        }), { destination: toPath });
+        this.invalidateCache(toPath);
+    }
+
+    /**
+     * 永久删除文件/文件夹
+     */
+    async deleteItem(path) {
+        await this.runFileOperation('删除', path, () => this.client.deleteFile(path, {
+            headers: this.buildLockHeaders([path])
+        }));
+        this.forgetLocks(path);
+        this.invalidateCache(path);
+    }
+
+    /**
+     * 锁定文件/文件夹（排他写锁，文件夹连同其内容），到期前自动刷新
+     */
+    async lockItem(path) {
+        const result = await this.runFileOperation('锁定', path, () => this.client.lock(path, {
+            timeout: `Second-${this.lockTimeout}`
+        }));
+
+        const lock = {
+            token: this.normalizeLockToken(result.token),
+            timeout: this.parseLockTimeout(result.serverTimeout) || this.lockTimeout,
+            refreshTimer: null
+        };
+        this.heldLocks.set(path, lock);
+        this.scheduleLockRefresh(path, lock);
+        logger.info('已锁定', { path, timeout: lock.timeout });
+        return lock;
+    }
+
+    /**
+     * 解锁；token为空时解除本客户端持有的锁（路径在锁定的文件夹中时解除该文件夹的锁），
+     * 否则解除指定的锁（如他人遗留的锁）
+     */
+    async unlockItem(path, token = null) {
+        let lockPath = path;
+        let lockToken = token;
+        if (!lockToken) {
+            lockPath = [...this.heldLocks.keys()].find(heldPath => path === heldPath || path.startsWith(heldPath + '/'));
+            if (!lockPath) {
+                throw new Error('解锁失败: 没有持有该文件的锁');
+            }
+            lockToken = this.heldLocks.get(lockPath).token;
+        }
+
+        await this.runFileOperation('解锁', lockPath, () => this.client.unlock(lockPath, `<${lockToken}>`));
+        const held = this.heldLocks.get(lockPath);
+        if (held && held.token === lockToken) {
+            clearTimeout(held.refreshTimer);
+            this.heldLocks.delete(lockPath);
+        }
+        this.invalidateCache(lockPath);
+        logger.info('已解锁', { path: lockPath });
+    }
+
+    /**
+     * 在锁到期前刷新（到期时间过半时），刷新失败时放弃该锁
+     */
+    scheduleLockRefresh(path, lock) {
+        const delay = Math.max(30, lock.timeout / 2) * 1000;
+        lock.refreshTimer = setTimeout(async () => {
+            if (this.heldLocks.get(path) !== lock) return;
+            try {
+                const result = await this.client.lock(path, {
+                    refreshToken: `(<${lock.token}>)`,
+                    timeout: `Second-${this.lockTimeout}`
+                });
+                lock.timeout = this.parseLockTimeout(result.serverTimeout) || this.lockTimeout;
+                this.scheduleLockRefresh(path, lock);
+                logger.debug('已刷新锁', { path, timeout: lock.timeout });
+            } catch (error) {
+                this.heldLocks.delete(path);
+                logger.warn('刷新锁失败，锁可能已过期或被他人解除', { path, error: error.message });
+            }
+        }, delay);
+    }
+
+    /**
+     * 放弃路径及其下所有文件的锁记录（文件已移动或删除）
+     */
+    forgetLocks(path) {
+        for (const [lockPath, lock] of [...this.heldLocks.entries()]) {
+            if (lockPath === path || lockPath.startsWith(path + '/')) {
+                clearTimeout(lock.refreshTimer);
+                this.heldLocks.delete(lockPath);
+            }
+        }
+    }
+
+    /**
+     * 断开连接时解除持有的所有锁，失败的锁到期后由服务器自动解除
+     */
+    releaseAllLocks() {
+        if (!this.client) return;
+
+        const client = this.client;
+        this.heldLocks.forEach((lock, path) => {
+            clearTimeout(lock.refreshTimer);
+            client.unlock(path, `<${lock.token}>`).catch(error => {
+                logger.debug('断开连接时解锁失败', { path, error: error.message });
+            });
+        });
+        this.heldLocks.clear();
+    }
+
+    /**
+     * 本客户端持有的路径上的锁
+     */
+    getHeldLock(path) {
+        return this.heldLocks.get(path) || null;
+    }
+
+    /**
+     * 生成提交锁令牌的If头：包括操作路径本身、其上级文件夹和其下文件上本客户端持有的锁。
+     * 末尾的 (Not <DAV:no-lock>) 恒为真，使请求只提交令牌而不以令牌是否匹配为条件（RFC 4918 10.4.8）
+     */
+    buildLockHeaders(paths) {
+        const tokens = new Set();
+        this.heldLocks.forEach((lock, lockPath) => {
+            const related = paths.some(path => path === lockPath ||
+                path.startsWith(lockPath + '/') || lockPath.startsWith(path + '/'));
+            if (related) {
+                tokens.add(lock.token);
+            }
+        });
+
+        if (tokens.size === 0) {
+            return {};
+        }
+        return { 'If': [...tokens].map(token => `(<${token}>)`).join(' ') + ' (Not <DAV:no-lock>)' };
+    }
+
+    /**
+     * 从PROPFIND结果的 lockdiscovery 中读取锁状态，返回 [{ token, owner, scope, depth, timeout, root, held }]；
+     * 备用客户端已解析为 locks，主WebDAV库的结果在 props.lockdiscovery 中
+     */
+    getItemLocks(item) {
+        let locks = item.locks;
+        if (!locks) {
+            const discovery = item.props && item.props.lockdiscovery;
+            const activeLocks = discovery && discovery.activelock;
+            locks = (Array.isArray(activeLocks) ? activeLocks : (activeLocks ? [activeLocks] : [])).map(activeLock => ({
+                token: this.getPropText(activeLock.locktoken && activeLock.locktoken.href),
+                owner: this.getPropText(activeLock.owner && (activeLock.owner.href || activeLock.owner)),
+                scope: typeof activeLock.lockscope === 'object' && 'shared' in activeLock.lockscope ? 'shared' : 'exclusive',
+                depth: this.getPropText(activeLock.depth),
+                timeout: this.getPropText(activeLock.timeout),
+                root: this.getPropText(activeLock.lockroot && activeLock.lockroot.href)
+            }));
+        }
+
+        return locks.map(lock => {
+            const token = this.normalizeLockToken(lock.token);
+            const held = [...this.heldLocks.values()].some(heldLock => heldLock.token === token);
+            return { ...lock, token, timeout: this.parseLockTimeout(lock.timeout), held };
+        });
+    }
+
+    getPropText(value) {
+        if (value === undefined || value === null || typeof value === 'object') return '';
+        return String(value).trim();
+    }
+
+    /**
+     * 锁令牌去掉可能带有的尖括号
+     */
+    normalizeLockToken(token) {
+        return String(token || '').trim().replace(/^<|>$/g, '');
+    }
+
+    /**
+     * 解析Timeout（如 "Second-1800"），Infinite或无法识别时返回null
+     */
+    parseLockTimeout(timeout) {
+        const match = /Second-(\d+)/i.exec(String(timeout || ''));
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    /**
+     * 回收站文件夹（基础路径下的 .trash）
+     */
+    getTrashPath() {
+        return this.normalizePath(`${this.config.basePath}/.trash`);
+    }
+
+    /**
+     * 路径是否为回收站或其中的文件
+     */
+    isInTrash(path) {
+        const trashPath = this.getTrashPath();
+        return path === trashPath || path.startsWith(trashPath + '/');
+    }
+
+    /**
+     * 移到回收站，返回 { from, to } 用于撤销；回收站中已有同名文件时在文件名后加上删除时间
+     */
+    async moveToTrash(path) {
+        const trashPath = this.getTrashPath();
+        if (!await this.fileExists(trashPath)) {
+            await this.createDirectory(trashPath);
+        }
+
+        const name = this.getBaseName(path);
+        let target = `${trashPath}/${name}`;
+        try {
+            await this.moveItem(path, target);
+        } catch (error) {
+            if (error.status !== 412) throw error;
+
+            const time = new Date().toISOString().replace(/\.\d+Z$/, '').replace(/\D/g, '');
+            const dot = name.lastIndexOf('.');
+            target = dot > 0
+                ? `${trashPath}/${name.substring(0, dot)} (${time})${name.substring(dot)}`
+                : `${trashPath}/${name} (${time})`;
+            await this.moveItem(path, target);
+        }
+
+        logger.info('已移到回收站', { path, trashPath: target });
+        return { from: path, to: target };
+    }
+
+    /**
+     * 把移到回收站的文件移回原位置（原位置已有同名文件时抛出status为412的异常）
+     */
+    async restoreFromTrash(entry) {
+        await this.moveItem(entry.to, entry.from);
+        logger.info('已从回收站还原', { path: entry.from });
+    }
+
+    /**
+     * 执行文件操作并记录日志，返回操作结果；失败时把状态码转为易懂的错误信息（保留status）
+     */
+    async runFileOperation(operation, path, action, details = {}) {
+        if (!this.isConnected) {
+            throw new Error('未连接到WebDAV服务器');
+        }
+
+        try {
+            const result = await action();
+            logger.logWebDAVOperation(operation, path, 'success', details);
+            return result;
+        } catch (error) {
+            const status = error.status || (error.response && error.response.status);
+            const messages = {
+                403: '没有权限',
+                404: '文件不存在',
+                405: '目标已存在',
+                409: '上级文件夹不存在',
+                412: '目标已存在',
+                423: '文件已被其他人锁定',
+                502: '不能在不同挂载之间移动或复制',
+                507: '服务器空间不足'
+            };
+            logger.logWebDAVOperation(operation, path, 'failed', { ...details, status, error: error.message });
+
+            const friendlyError = new Error(messages[status] ? `${operation}失败: ${messages[status]}` : `${operation}失败: ${error.message}`);
+            friendlyError.status = status;
+            throw friendlyError;
+        }
+    }
+
+    /**
+     * 丢弃路径所在目录的列表缓存
+     */
+    invalidateCache(path) {
+        this.fileCache.delete(this.getDirectoryOf(path));
+        this.fileCache.delete(path);
+    }
+
     /**
      * 检查文件是否存在
      */
@@ -368,6 +1305,13 @@ class WebDAVClient {
         return '/' + parts.slice(0, -1).join('/');
     }
 
+    /**
+     * 工具方法：获取文件所在目录（不受基础路径限制）
+     */
+    getDirectoryOf(path) {
+        return path.substring(0, path.lastIndexOf('/')) || '/';
+    }
+
     /**
      * 工具方法：获取文件图标
      */
@@ -440,7 +1384,8 @@ class WebDAVClient {
             isConnected: this.isConnected,
             currentPath: this.currentPath,
             serverUrl: this.config.serverUrl,
-            username: this.config.username
+            username: this.config.username,
+            sessionMode: !!this.sessionToken
         };
     }
 }
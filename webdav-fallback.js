@@ -8,6 +8,8 @@ class FallbackWebDAVClient {
         this.baseURL = url.replace(/\/$/, '');
         this.username = options.username;
         this.password = options.password;
+        // LOCK请求中的锁所有者（其他用户在锁定状态中看到的名称）
+        this.contactHref = options.contactHref || options.username || 'WebDAV-Fallback-Client';
         this.headers = {
             'Authorization': `Basic ${btoa(`${this.username}:${this.password}`)}`,
             'User-Agent': options.headers?.['User-Agent'] || 'WebDAV-Fallback-Client/1.0',
@@ -36,7 +38,9 @@ class FallbackWebDAVClient {
                             <d:getcontentlength/>
                             <d:getcontenttype/>
                             <d:getlastmodified/>
+                            <d:getetag/>
                             <d:resourcetype/>
+                            <d:lockdiscovery/>
                         </d:prop>
                     </d:propfind>`
             };
@@ -76,7 +80,9 @@ class FallbackWebDAVClient {
                             <d:getcontentlength/>
                             <d:getcontenttype/>
                             <d:getlastmodified/>
+                            <d:getetag/>
                             <d:resourcetype/>
+                            <d:lockdiscovery/>
                         </d:prop>
                     </d:propfind>`
             });
@@ -97,6 +103,124 @@ class FallbackWebDAVClient {
         }
     }
 
+    async moveFile(fromPath, toPath, options = {}) {
+        await this.sendRequest('MOVE', fromPath, {
+            'Destination': this.getResourceUrl(toPath),
+            ...options.headers
+        });
+    }
+
+    async copyFile(fromPath, toPath, options = {}) {
+        await this.sendRequest('COPY', fromPath, {
+            'Destination': this.getResourceUrl(toPath),
+            ...options.headers
+        });
+    }
+
+    async deleteFile(path, options = {}) {
+        await this.sendRequest('DELETE', path, options.headers);
+    }
+
+    async createDirectory(path, options = {}) {
+        await this.sendRequest('MKCOL', path, options.headers);
+    }
+
+    // 锁定文件；options.refreshToken（如 "(<token>)"）存在时刷新已有的锁，返回 { token, serverTimeout }
+    async lock(path, options = {}) {
+        const headers = {
+            'Timeout': options.timeout || 'Infinite, Second-4100000000',
+            'Content-Type': 'application/xml; charset=utf-8'
+        };
+        if (options.refreshToken) {
+            headers['If'] = options.refreshToken;
+        }
+
+        const url = this.getResourceUrl(path);
+        logger.debug(`WebDAV LOCK请求: ${url}`);
+        const response = await fetch(url, {
+            method: 'LOCK',
+            headers: { ...this.headers, ...headers, ...options.headers },
+            mode: 'cors',
+            credentials: 'include',
+            // 刷新锁时不带请求体
+            body: options.refreshToken ? undefined : `<?xml version="1.0" encoding="utf-8" ?>
+                <d:lockinfo xmlns:d="DAV:">
+                    <d:lockscope><d:exclusive/></d:lockscope>
+                    <d:locktype><d:write/></d:locktype>
+                    <d:owner><d:href>${this.escapeXml(this.contactHref)}</d:href></d:owner>
+                </d:lockinfo>`
+        });
+
+        if (!response.ok) {
+            const error = new Error(`WebDAV LOCK请求失败: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const xmlDoc = new DOMParser().parseFromString(await response.text(), 'text/xml');
+        const lock = this.parseActiveLocks(xmlDoc)[0];
+        if (!lock || !lock.token) {
+            throw new Error('LOCK响应中没有锁令牌');
+        }
+        return { token: lock.token, serverTimeout: lock.timeout };
+    }
+
+    // 解锁，token为 Lock-Token 头的值（如 "<opaquelocktoken:...>"）
+    async unlock(path, token, options = {}) {
+        await this.sendRequest('UNLOCK', path, { 'Lock-Token': token, ...options.headers });
+    }
+
+    // 解析 lockdiscovery 中的 activelock
+    parseActiveLocks(element) {
+        const text = (parent, name) => parent.getElementsByTagNameNS('DAV:', name)[0]?.textContent.trim() || '';
+        const activeLocks = element.getElementsByTagNameNS('DAV:', 'activelock');
+
+        return [...activeLocks].map(activeLock => {
+            const tokenElement = activeLock.getElementsByTagNameNS('DAV:', 'locktoken')[0];
+            const ownerElement = activeLock.getElementsByTagNameNS('DAV:', 'owner')[0];
+            const rootElement = activeLock.getElementsByTagNameNS('DAV:', 'lockroot')[0];
+            return {
+                token: tokenElement ? text(tokenElement, 'href') : '',
+                owner: ownerElement ? ownerElement.textContent.trim() : '',
+                scope: activeLock.getElementsByTagNameNS('DAV:', 'shared').length > 0 ? 'shared' : 'exclusive',
+                depth: text(activeLock, 'depth'),
+                timeout: text(activeLock, 'timeout'),
+                root: rootElement ? text(rootElement, 'href') : ''
+            };
+        });
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    getResourceUrl(path) {
+        return this.baseURL + path.split('/').map(encodeURIComponent).join('/');
+    }
+
+    // 发送不需要解析响应体的请求，失败时抛出带status的异常（与主WebDAV库一致）
+    async sendRequest(method, path, headers = {}) {
+        const url = this.getResourceUrl(path);
+        logger.debug(`WebDAV ${method}请求: ${url}`);
+
+        const response = await fetch(url, {
+            method,
+            headers: { ...this.headers, ...headers },
+            mode: 'cors',
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            const error = new Error(`WebDAV ${method}请求失败: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+
     parseWebDAVResponse(xmlText, basePath) {
         try {
             // 创建一个简单的XML解析器
@@ -131,18 +255,23 @@ class FallbackWebDAVClient {
                 const contentLength = prop.getElementsByTagNameNS('DAV:', 'getcontentlength')[0]?.textContent || '0';
                 const contentType = prop.getElementsByTagNameNS('DAV:', 'getcontenttype')[0]?.textContent || '';
                 const lastModified = prop.getElementsByTagNameNS('DAV:', 'getlastmodified')[0]?.textContent || '';
+                const etag = prop.getElementsByTagNameNS('DAV:', 'getetag')[0]?.textContent || '';
                 const resourceType = prop.getElementsByTagNameNS('DAV:', 'resourcetype')[0];
                 
                 // 判断是否为目录
                 const isCollection = resourceType?.getElementsByTagNameNS('DAV:', 'collection').length > 0;
 
+                const lockDiscovery = prop.getElementsByTagNameNS('DAV:', 'lockdiscovery')[0];
+
                 const item = {
                     filename: decodedPath,
                     basename: displayname || decodedPath.split('/').pop() || '',
                     lastmod: lastModified ? new Date(lastModified) : new Date(),
                     size: parseInt(contentLength, 10) || 0,
+                    etag: etag || null,
                     type: isCollection ? 'directory' : 'file',
-                    mime: contentType || 'application/octet-stream'
+                    mime: contentType || 'application/octet-stream',
+                    locks: lockDiscovery ? this.parseActiveLocks(lockDiscovery) : []
                 };
 
                 items.push(item);
@@ -176,7 +305,7 @@ function ensureWebDAVLibrary() {
         if (window.logger) {
             logger.warn('WebDAV库切换到备用实现', {
                 reason: '主库不可用',
-                fallbackFeatures: ['PROPFIND', 'Basic Auth', 'Directory listing']
+                fallbackFeatures: ['PROPFIND', 'MOVE', 'COPY', 'DELETE', 'MKCOL', 'LOCK', 'UNLOCK', 'Basic Auth', 'Directory listing']
             });
         }
         